@@ -14,12 +14,37 @@
  *   create-card   <seed> [--limit N]  Create $0 virtual card for a context
  *   create-context <seed>             Create alias + card together (envelope)
  *   enroll        <url>  [--seed S] [--agent]   Provision context for a URL
- *   list          [--json]            List all envelopes + health status
+ *   record        <url>  [--seed S] [--yes]     Sign up by hand in a browser; save the steps as a site recipe
+ *   recipes       [file]             Site recipes in use, or check one recipe file
+ *   list          [--status S] [--domain D] [--search T] [--since D] [--until D] [--card|--no-card] [--tag T] [--folder F] [--json]  Envelopes + health, filtered
  *   inbox         <seed> [--limit N] [--json]   Read alias mail
- *   audit         <seed>              Check for breach signals
- *   expire        <seed>              Burn alias + freeze card
- *   fund          <seed> --amount N   Fund card to exact dollar amount
+ *   audit         <seed…> | <selection>  Check for breach signals
+ *   timeline      <seed>              When each sender first wrote to the alias (works after expiry)
+ *   charges       <seed>              Card transactions with merchant / decline / limit alerts
+ *   expire        <seed…> | <selection> [--now]  Disable alias + pause card; permanent after the grace window
+ *   restore       <seed>              Undo expire during the grace window, or re-enable a disabled alias
+ *   sweep                             Permanently burn contexts whose grace window has passed
+ *   fund          <seed…> | <selection> --amount N  Fund card to exact dollar amount
+ *   freeze        <seed…> | <selection>  Pause the card; the alias keeps forwarding
+ *   unfreeze      <seed…> | <selection>  Reopen a frozen card
  *   status                            Quick health check of all contexts
+ *   reconcile     [--fix] [--prune [--yes]]   Find orphaned aliases/cards and stalled provisioning
+ *   tag           <seed> [tags…] [--remove] [--folder F]  Show, add or remove tags; file into a folder
+ *   note          <seed> [text…] [--reset]  Show or set a context's notes
+ *   trial         <seed> [--ends D] [--renews N] [--cadence C] [--action A] [--days N] [--reset]  Track a trial
+ *   trials                            Trials by conversion date, with what happens before each
+ *   creds         <seed> [--show] [--copy F] [--set F] [--reset]  Saved logins: username, password, TOTP, answers
+ *   otp           <seed> [--copy] [--set] [--qr [FILE]]  Current 2FA code / save a TOTP secret
+ *   open          <seed> [url]       Browse as a context — its own browser profile, still logged in
+ *   watch         [--interval M] [--once]  Poll contexts and apply breach / charge policies
+ *   policy        <seed> [--on-breach P] [--on-charge P] [--reset]  Show or set a context's watch policy
+ *   proxy                             Serve proxied mail images (for HTML from `inbox --json`)
+ *   lock          [--key-file F]      Encrypt the store / forget the unlock session
+ *   unlock        [--key-file F]      Unlock the encrypted store for PANE_UNLOCK_TTL minutes
+ *   export        [file] [--key-file F] [--no-screenshots]  Encrypted bundle of every context, credential and screenshot
+ *   import        <file> [--key-file F] [--on-conflict C] [--dry-run]  Restore a bundle from pane export
+ *   db            [status]            Store schema version and pending migrations
+ *   db migrate    [--dry-run]         Back up the store and apply pending migrations
  *   help                              Show this help
  *
  * Flags:
@@ -27,18 +52,82 @@
  *   --quiet       Suppress all output except errors
  *   --verbose     Extra detail
  *   --agent       Use Playwright browser for enrollment (requires: npm i playwright)
+ *   --no-verify   enroll: don't wait for the verification email (otherwise opened / entered
+ *                 automatically when INBOX_SOURCE can read it — src/verify.js)
  *   --limit N     Message limit for inbox command (default: 10)
  *   --amount N    Dollar amount for fund command (e.g. 12.00)
- *   --seed S      Override seed/context name
+ *   --seed S      Override seed/context name · record: as this context, in its browser profile
+ *   --key-file F  Use a key file instead of a passphrase (lock/unlock/export/import)
+ *   --now         Expire immediately — no grace window, no restore
+ *   --fix         reconcile: roll back provisioning stalled past PANE_STALL_MINUTES
+ *   --prune       reconcile: list untracked pane aliases / cards to delete (--yes deletes them)
+ *   --interval M  watch: minutes between passes (default: PANE_WATCH_INTERVAL or 60)
+ *   --once        watch: a single pass, then exit (for cron)
+ *   --on-breach P policy: notify | disable
+ *   --on-charge P policy: notify | freeze
+ *   --reset       policy: back to the defaults · trial: stop tracking · note: clear
+ *   --ends D      trial: end date (2026-11-01) or days from now (14d)
+ *   --renews N    trial: expected renewal in dollars (e.g. 16.00)
+ *   --cadence C   trial: weekly | monthly | yearly
+ *   --action A    trial: remind | freeze | zero — applied --days N before it ends
+ *   --show        creds: print secrets instead of masking them
+ *   --copy F      creds: copy username | password | totp | answer, cleared after PANE_CLIPBOARD_CLEAR s
+ *   --set F       creds: prompt for username | password | totp | answer (with --question Q)
+ *   --qr [FILE]   otp: read the TOTP secret from a QR screenshot (default: newest in ~/.pane/screenshots)
+ *   --on-conflict C  import: skip | replace | rename, for a local context of the same name (default: skip)
+ *   --dry-run     import / db migrate: report what would change, write nothing
+ *   --status S    list: active | expiring | expired | pending | clean | warning | breach | all (comma-separated)
+ *   --health H    list: clean | warning | breach
+ *   --domain D    list: enrolled at this service (notion matches notion.so)
+ *   --search T    list: words in the name, alias or enroll URL
+ *   --since D     list: created on/after a date (2026-09-01) or N days ago (30d)
+ *   --until D     list: created before a date or N days ago
+ *   --card        list: only envelopes with a card (--no-card: alias only)
+ *   --tag T       list: contexts with this tag
+ *   --folder F    list: contexts in this folder · tag: file the context there ('' clears)
+ *   --remove      tag: remove the given tags instead of adding them
+ *   --no-screenshots  export: leave enrollment screenshots out
+ *
+ * Bulk (audit, expire, fund, freeze, unfreeze — src/bulk.js):
+ *   several seeds, or a <selection>: --all, or any list filter above
+ *   (--tag, --status, --domain, --search, --since, --until, --card, --folder)
+ *   --older-than D  created before a date or N days ago (same as --until)
+ *   --yes           go ahead with a selection; without it the targets are only listed
+ *                   (record: replace your recipe for the site; reconcile --prune: remove)
+ *   --concurrency N envelopes in flight at once (default: PANE_BULK_CONCURRENCY or 4)
  */
 
 import 'dotenv/config';
 import { AliasService }   from '../src/alias.js';
 import { CardService }    from '../src/card.js';
-import { ContextStore }   from '../src/context.js';
+import { ContextStore, normalizeTags } from '../src/context.js';
+import { SCHEMA_VERSION } from '../src/migrations.js';
 import { InboxService }   from '../src/inbox.js';
 import { IdentityGen }    from '../src/identity.js';
 import { BrowserService } from '../src/browser.js';
+import { RecipeBook, SHIPPED_DIR, readRecipe, validateRecipe } from '../src/recipes.js';
+import { RecipeRecorder, buildRecipe } from '../src/recorder.js';
+import { envSecret, writePrivate } from '../src/crypto.js';
+import { clearSession }            from '../src/agent.js';
+import { ExpiryService }  from '../src/expiry.js';
+import { ProvisionService, labelFor } from '../src/provision.js';
+import { ImageProxy }     from '../src/imageproxy.js';
+import { BreachScorer }   from '../src/breach.js';
+import { ChargeMonitor }  from '../src/charges.js';
+import { TrialTracker, TRIAL_ACTIONS } from '../src/trials.js';
+import { WatchService, POLICIES } from '../src/watch.js';
+import { CredentialVault, FIELDS, totpCode } from '../src/vault.js';
+import { ProfileStore }   from '../src/profiles.js';
+import { copy, clearLater } from '../src/clipboard.js';
+import { readQr }         from '../src/qr.js';
+import { BundleService }  from '../src/bundle.js';
+import { VerificationService } from '../src/verify.js';
+import { BulkRunner }     from '../src/bulk.js';
+import { EnvelopeQuery, listRow } from '../src/query.js';
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { join }           from 'path';
+import { homedir }        from 'os';
+import { createInterface } from 'readline';
 
 // ── COLOUR HELPERS ────────────────────────────────────────────────────────────
 const isTTY = process.stdout.isTTY;
@@ -56,14 +145,63 @@ const c = {
 const argv    = process.argv.slice(2);
 const cmd     = argv[0];
 const posArgs = argv.filter(a => !a.startsWith('-'));
+// Positions in argv taken as a flag's value, so seedArgs() doesn't read them as seeds
+const flagValues = new Set();
+
+// The word after `flag`, if it's there and `accept` takes it; null when the flag isn't given
+function valueOf(flag, accept = () => true) {
+  const i = argv.indexOf(flag);
+  if (i < 0) return null;
+  if (argv[i + 1] == null || !accept(argv[i + 1])) return undefined;
+  flagValues.add(i + 1);
+  return argv[i + 1];
+}
+
 const flags   = {
   json:    argv.includes('--json'),
   quiet:   argv.includes('--quiet'),
   verbose: argv.includes('--verbose'),
   agent:   argv.includes('--agent'),
-  limit:   parseInt(argv[argv.indexOf('--limit')  + 1]) || 10,
-  amount:  parseFloat(argv[argv.indexOf('--amount') + 1]) || null,
-  seed:    argv[argv.indexOf('--seed') + 1] || null,
+  noVerify: argv.includes('--no-verify'),
+  now:     argv.includes('--now'),
+  fix:     argv.includes('--fix'),
+  prune:   argv.includes('--prune'),
+  once:    argv.includes('--once'),
+  reset:   argv.includes('--reset'),
+  show:    argv.includes('--show'),
+  limit:   parseInt(valueOf('--limit')) || 10,
+  amount:  parseFloat(valueOf('--amount')) || null,
+  seed:    valueOf('--seed'),
+  keyFile: valueOf('--key-file'),
+  interval: parseFloat(valueOf('--interval')) || parseFloat(process.env.PANE_WATCH_INTERVAL) || 60,
+  onBreach: valueOf('--on-breach'),
+  onCharge: valueOf('--on-charge'),
+  ends:     valueOf('--ends'),
+  renews:   argv.includes('--renews') ? parseFloat(valueOf('--renews')) : null,
+  cadence:  valueOf('--cadence'),
+  action:   valueOf('--action'),
+  days:     argv.includes('--days') ? parseFloat(valueOf('--days')) : null,
+  copy:     !argv.includes('--copy') ? null : valueOf('--copy', v => /^[a-z]+$/.test(v)) || 'password',
+  set:      valueOf('--set'),
+  question: valueOf('--question'),
+  onConflict: argv.includes('--on-conflict') ? valueOf('--on-conflict') : 'skip',
+  dryRun:   argv.includes('--dry-run'),
+  noScreenshots: argv.includes('--no-screenshots'),
+  status:   valueOf('--status'),
+  health:   valueOf('--health'),
+  domain:   valueOf('--domain'),
+  search:   valueOf('--search'),
+  since:    valueOf('--since'),
+  until:    valueOf('--until'),
+  card:     argv.includes('--card') ? true : argv.includes('--no-card') ? false : null,
+  tag:      valueOf('--tag'),
+  folder:   argv.includes('--folder') ? valueOf('--folder') ?? '' : null,
+  remove:   argv.includes('--remove'),
+  all:      argv.includes('--all'),
+  yes:      argv.includes('--yes'),
+  olderThan: valueOf('--older-than'),
+  concurrency: parseInt(valueOf('--concurrency')) || null,
+  qr:       !argv.includes('--qr') ? null : valueOf('--qr', v => /^[^-]/.test(v)) || true,
 };
 
 // ── SERVICE INIT ──────────────────────────────────────────────────────────────
@@ -72,8 +210,24 @@ const card    = new CardService();
 const store   = new ContextStore();
 const idgen   = new IdentityGen();
 const inbox   = new InboxService();
-const browser = new BrowserService();
-await store.init();
+const vault   = new CredentialVault({ store });
+const profiles = new ProfileStore({ vault, store });
+const recipes = new RecipeBook();
+const browser = new BrowserService({ recipes, profiles });
+const expiry  = new ExpiryService({ alias, card, store, profiles });
+const provision = new ProvisionService({ alias, card, store });
+const breach  = new BreachScorer({ inbox, store });
+const charges = new ChargeMonitor({ card, store });
+const trials  = new TrialTracker({ store });
+const bundle  = new BundleService({ store, vault });
+const query   = new EnvelopeQuery({ store, breach });
+const bulk    = new BulkRunner({ store, query, concurrency: flags.concurrency });
+const verifier = new VerificationService({ inbox });
+
+// help/lock/unlock manage the store themselves; proxy never touches it; db migrates explicitly
+if (!['help', '--help', '-h', undefined, 'lock', 'unlock', 'proxy', 'recipes'].includes(cmd)) {
+  await store.init({ prompt: () => promptSecret('passphrase'), migrate: cmd !== 'db' }).catch(e => err(e.message));
+}
 
 // ── OUTPUT HELPERS ────────────────────────────────────────────────────────────
 function out(data) {
@@ -108,7 +262,7 @@ function renderHuman(data) {
   // Context list
   if (data.contexts) {
     const rows = data.contexts;
-    if (!rows.length) { console.log(c.dim('  No active envelopes.')); return; }
+    if (!rows.length) { console.log(c.dim(`  ${data.message || 'No active envelopes.'}`)); return; }
     const w = { name: 20, alias: 38, card: 12, status: 10, created: 12 };
     const hdr = [
       c.dim('context'.padEnd(w.name)),
@@ -123,19 +277,71 @@ function renderHuman(data) {
       const statusIcon = r.status === 'clean'   ? c.green('●') + c.dim(' clean  ')
                        : r.status === 'warning' ? c.yellow('●') + c.yellow(' warning')
                        : r.status === 'breach'  ? c.red('●')   + c.red(' breach ')
+                       : r.status === 'expiring' ? c.yellow('◐') + c.dim(' expiring')
+                       : r.status === 'expired'  ? c.dim('✗ expired')
+                       : r.status === 'pending'  ? c.dim('○ pending')
                        : c.dim('● unknown');
       console.log('  ' +
         c.bold(String(r.name    || '').padEnd(w.name)) + '  ' +
         c.teal(String(r.alias   || '').padEnd(w.alias)) + '  ' +
         c.dim( String(r.card    || '').padEnd(w.card))  + '  ' +
         statusIcon.padEnd(10)                            + '  ' +
-        c.dim(String(r.created || ''))
+        c.dim(String(r.created || '').padEnd(w.created)) +
+        labels(r)
       );
     });
     console.log(c.dim(`\n  ${rows.length} envelope${rows.length !== 1 ? 's' : ''}`));
     return;
   }
 
+  // Bulk run: a row per envelope, then the counts as one JSON line
+  if (data.bulk) {
+    data.results.forEach(r => {
+      const mark   = r.result === 'ok' ? c.green('✓') : r.result === 'failed' ? c.red('✗') : c.dim('–');
+      const detail = r.result === 'ok' ? r.message || '' : r.result === 'failed' ? c.red(r.error) : c.dim(`skipped — ${r.reason}`);
+      console.log(`  ${mark}  ${c.bold(r.context.padEnd(20))}  ${detail}`);
+    });
+    const { action, total, ok: done, failed, skipped, took_ms } = data;
+    console.log(`\n  ${c.dim(JSON.stringify({ action, total, ok: done, failed, skipped, took_ms }))}\n`);
+    return;
+  }
+
+  // Tags / notes on one context
+  if (data.tagged) {
+    console.log(`\n  ${c.bold(data.context)}${data.folder ? c.dim(`  in ${data.folder}/`) : ''}`);
+    console.log(`  ${data.tags.length ? data.tags.map(t => c.teal(`#${t}`)).join(' ') : c.dim('no tags')}`);
+    if (data.notes) console.log(`\n  ${data.notes.split('\n').join('\n  ')}`);
+    console.log('');
+    return;
+  }
+
+  // A recipe just recorded
+  if (data.recorded) {
+    console.log(`\n  ${c.bold(data.domain)}  ${c.dim(data.file)}`);
+    data.matched.forEach(m => console.log(`  ${c.green('✓')} ${m.field.padEnd(11)} ${c.dim(m.selector)}${m.by === 'hint' ? c.yellow('  (from the field, not the value — check it)') : ''}`));
+    data.unmapped.forEach(u => console.log(`  ${c.yellow('?')} ${c.dim(`${u} — not one of pane's values, left out`)}`));
+    console.log(`\n  ${data.message}\n`);
+    return;
+  }
+
+  // A profile session that just ended
+  if (data.opened) {
+    ok(`${data.opened} session saved — ${data.cookies} cookie${data.cookies !== 1 ? 's' : ''}, ${data.origins} site${data.origins !== 1 ? 's' : ''} with storage`);
+    console.log(c.dim(`  ${data.profile}\n`));
+    return;
+  }
+
+  // Recipes in use
+  if (data.recipes) {
+    data.recipes.forEach(r => console.log(`  ${c.bold(r.domain.padEnd(26))}  ${(r.source === 'yours' ? c.teal : c.dim)(r.source.padEnd(7))}  ${c.dim(`${r.steps} step${r.steps !== 1 ? 's' : ''}`)}`));
+    data.problems.forEach(p => {
+      console.log(`  ${c.red('✗')} ${p.file}`);
+      p.errors.forEach(e => console.log(c.dim(`      ${e}`)));
+    });
+    console.log(c.dim(`\n  ${data.recipes.length} recipe${data.recipes.length !== 1 ? 's' : ''}${data.problems.length ? ` · ${data.problems.length} skipped` : ''}`));
+    return;
+  }
+
   // Inbox messages
   if (data.messages) {
     console.log(c.teal(`\n  ${data.alias}`));
@@ -145,6 +351,13 @@ function renderHuman(data) {
       console.log(`  ${c.bold(m.from || '?')}  ${c.dim(m.date || '')}`);
       console.log(`  ${m.subject || '(no subject)'}`);
       if (m.preview) console.log(c.dim(`  ${m.preview.slice(0, 120)}…`));
+      const r = m.removed;
+      const stripped = r && [
+        r.trackers?.length        && `${r.trackers.length} tracker${r.trackers.length !== 1 ? 's' : ''} removed`,
+        r.images_proxied          && `${r.images_proxied} image${r.images_proxied !== 1 ? 's' : ''} proxied`,
+        r.links_unwrapped?.length && `${r.links_unwrapped.length} link${r.links_unwrapped.length !== 1 ? 's' : ''} unwrapped`,
+      ].filter(Boolean);
+      if (stripped?.length) console.log(`  ${c.green('⊘')} ${c.dim(stripped.join(' · '))}`);
       console.log('');
     });
     return;
@@ -152,17 +365,23 @@ function renderHuman(data) {
 
   // Audit result
   if ('breach_signal' in data) {
-    const icon = data.breach_signal ? c.red('⚠') : c.green('✓');
+    const icon = data.level === 'breach' ? c.red('⚠') : data.level === 'warning' ? c.yellow('●') : c.green('✓');
     console.log(`\n  ${icon}  ${c.bold(data.context)}`);
     console.log(`  ${c.dim('alias')}   ${c.teal(data.alias)}`);
     console.log(`  ${c.dim('msgs')}    ${data.total_messages}`);
+    console.log(`  ${c.dim('score')}   ${data.score}/100`);
     if (data.known_senders?.length) {
       console.log(`  ${c.dim('known')}   ${data.known_senders.slice(0,3).join(', ')}`);
     }
     if (data.unexpected_senders?.length) {
       console.log(`  ${c.red('⚠ unexpected')}  ${data.unexpected_senders.join(', ')}`);
     }
-    console.log(`\n  ${data.breach_signal ? c.yellow(data.verdict) : c.green(data.verdict)}\n`);
+    if (data.evidence?.length) {
+      console.log(`\n  ${c.dim('evidence')}`);
+      data.evidence.forEach(e => console.log(`  ${c.dim(`${e.points > 0 ? '+' : ''}${e.points}`.padStart(4))}  ${e.detail}`));
+    }
+    const tint = data.level === 'breach' ? c.red : data.level === 'warning' ? c.yellow : c.green;
+    console.log(`\n  ${tint(data.verdict)}\n`);
     return;
   }
 
@@ -178,6 +397,91 @@ function renderHuman(data) {
     return;
   }
 
+  // Sender timeline
+  if (data.events) {
+    console.log(`\n  ${c.bold(data.context)}  ${c.teal(data.alias)}  ${c.dim(`given to ${data.enrolled || '—'}`)}\n`);
+    data.events.forEach(e => {
+      const day = String(e.date).slice(0, 10);
+      if (e.event !== 'first_seen') {
+        console.log(`  ${c.dim(day)}  ${c.dim('○')} ${c.dim(`${e.event.replace('_', ' ')} — ${e.detail}`)}`);
+        return;
+      }
+      const icon = e.expected ? c.green('●') : c.red('⚠');
+      const when = e.days_after_enrollment != null ? c.dim(` · day ${e.days_after_enrollment}`) : '';
+      console.log(`  ${c.dim(day)}  ${icon} ${(e.expected ? c.bold : c.red)(e.domain)}${when}${c.dim(` · ${e.messages} msg${e.messages !== 1 ? 's' : ''} · last ${String(e.last_seen).slice(0, 10)}`)}`);
+      console.log(`              ${c.dim(`${e.from} — "${e.subject}"`)}`);
+    });
+    if (data.refresh_error) console.log(c.yellow(`\n  · inbox not refreshed (${data.refresh_error}) — showing recorded history`));
+    console.log('');
+    return;
+  }
+
+  // Card charges
+  if (data.charges) {
+    const limit = data.spend_limit != null ? c.dim(`limit $${(data.spend_limit / 100).toFixed(2)}`) : '';
+    console.log(`\n  ${c.bold(data.context)}  ${c.teal(data.card || 'no card')}  ${limit}\n`);
+    if (!data.charges.length) console.log(c.dim('  No charges.'));
+    const flagged = new Set(data.alerts.filter(a => a.type !== 'near_limit').map(a => a.token));
+    data.charges.slice(0, 20).forEach(t => {
+      const state = t.status === 'DECLINED' ? c.red(`declined · ${t.result}`) : c.dim(String(t.status || '').toLowerCase());
+      console.log(`  ${c.dim(String(t.created).slice(0, 10))}  ${`$${(t.amount / 100).toFixed(2)}`.padStart(9)}  ${String(t.merchant || '?').padEnd(24)}  ${state}${flagged.has(t.token) ? c.red('  ⚠') : ''}`);
+    });
+    if (data.charges.length > 20) console.log(c.dim(`  … ${data.charges.length - 20} more (--json for all)`));
+    data.recurring.forEach(r => console.log(c.dim(`\n  ↻ ${r.merchant} ${r.cadence} · ${r.count} charges${r.next_due ? ` · next ~${r.next_due.slice(0, 10)}` : ''}`)));
+    if (data.alerts.length) {
+      console.log(`\n  ${c.red('⚠ alerts')}`);
+      data.alerts.forEach(a => console.log(`  ${c.yellow(a.type.replace('_', ' ').padEnd(17))} ${a.detail}`));
+    }
+    if (data.sync_error) console.log(c.yellow(`\n  · issuer not reachable (${data.sync_error}) — showing recorded charges`));
+    console.log('');
+    return;
+  }
+
+  // 2FA code
+  if ('expires_in' in data) {
+    const code = `${data.code.slice(0, Math.ceil(data.code.length / 2))} ${data.code.slice(Math.ceil(data.code.length / 2))}`;
+    console.log(`\n  ${c.bold(data.context)}${data.issuer ? c.dim(`  ${data.issuer}`) : ''}`);
+    console.log(`  ${c.teal(code)}  ${c.dim(`${data.expires_in}s left`)}\n`);
+    return;
+  }
+
+  // Saved credentials
+  if (data.credentials) {
+    const k = data.credentials;
+    console.log(`\n  ${c.bold(data.context)}  ${c.teal(data.login || '')}\n`);
+    if (k.username) console.log(`  ${c.dim('username')}  ${k.username}`);
+    if (k.password) console.log(`  ${c.dim('password')}  ${k.password}`);
+    if (k.totp)     console.log(`  ${c.dim('totp')}      ${k.totp}`);
+    k.answers.forEach(a => console.log(`  ${c.dim('answer')}    ${a.question} → ${a.answer}`));
+    console.log(c.dim(`\n  updated ${String(k.updated_at).slice(0, 10)}${data.revealed ? '' : ` · --show to reveal, --copy password to copy`}\n`));
+    return;
+  }
+
+  // Trials
+  if (data.trials) {
+    if (!data.trials.length) { console.log(c.dim('  No trials tracked. Add one: pane trial <seed> --ends 14d')); return; }
+    console.log('');
+    data.trials.forEach(t => {
+      const icon = t.status === 'converted' ? c.red('●') : t.status === 'due' ? c.yellow('●') : c.green('●');
+      const left = t.status === 'converted' ? c.red(`ended ${-t.days_left}d ago`) : `${t.days_left}d left`;
+      const renews = t.renewal_amount != null ? `then $${(t.renewal_amount / 100).toFixed(2)}${t.cadence ? ` ${t.cadence}` : ''}` : '';
+      console.log(`  ${icon} ${c.bold(t.context.padEnd(20))} ${t.ends.slice(0, 10)}  ${left.padEnd(14)} ${c.dim(renews)}`);
+      console.log(c.dim(`    ${t.action} ${t.lead_days}d before (${t.act_on.slice(0, 10)})${t.card ? ` · card ${t.card}` : ''}`));
+    });
+    console.log('');
+    return;
+  }
+
+  // Expire, phase 1 — inside grace window
+  if (data.status === 'expiring') {
+    console.log(`\n  ${c.yellow('◐')} ${data.context} expiring`);
+    console.log(`  ${c.dim(data.alias)} ${c.dim('→ disabled')}`);
+    console.log(`  ${c.dim('permanent at')} ${data.purge_at.replace('T', ' ').slice(0, 16)} UTC`);
+    console.log(`  ${c.dim('undo with')} ${c.amber(`pane restore ${data.context}`)}`);
+    console.log('');
+    return;
+  }
+
   // Expire / burn
   if (data.status === 'expired') {
     console.log(`\n  ${c.red('✓')} ${data.context} burned`);
@@ -193,14 +497,19 @@ function renderHuman(data) {
   }
 }
 
+// "travel/ #work-trials #newsletters" after a list row
+function labels(r) {
+  const parts = [r.folder && `${r.folder}/`, ...(r.tags || []).map(t => `#${t}`)].filter(Boolean);
+  return parts.length ? c.dim(parts.join(' ')) : '';
+}
+
 // ── COMMANDS ──────────────────────────────────────────────────────────────────
 
 async function cmdCreateAlias(seed) {
   if (!seed) err('seed required. Usage: pane create-alias <seed>');
   const identity = idgen.generate(seed);
   info(`Creating alias for "${seed}"…`);
-  const result = await alias.create({ name: seed, description: seed, identity });
-  await store.save({ name: seed, aliasEmail: result.email, aliasId: result.id, identity, createdAt: new Date().toISOString() });
+  const { aliasResult: result } = await provision.envelope({ name: seed, identity, withCard: false });
   out({ context: seed, alias_email: result.email, identity: `${identity.first_name} ${identity.last_name}`, message: `Mail to ${result.email} forwards to your inbox.` });
 }
 
@@ -208,8 +517,8 @@ async function cmdCreateCard(seed) {
   if (!seed) err('seed required. Usage: pane create-card <seed>');
   info(`Creating virtual card for "${seed}"…`);
   const limitCents = flags.amount ? Math.round(flags.amount * 100) : 0;
-  const result = await card.create({ memo: seed, spend_limit: limitCents });
-  await store.update(seed, { cardToken: result.token, cardLast4: result.last_four });
+  const result = await card.create({ memo: labelFor(seed), spend_limit: limitCents });
+  await store.upsert(seed, { cardToken: result.token, cardLast4: result.last_four });
   out({ context: seed, alias_email: null, card_last4: result.last_four, message: `Card ····${result.last_four} created. Limit: $${(limitCents/100).toFixed(2)}.` });
 }
 
@@ -217,11 +526,7 @@ async function cmdCreateContext(seed) {
   if (!seed) err('seed required. Usage: pane create-context <seed>');
   const identity = idgen.generate(seed);
   info(`Creating envelope for "${seed}"…`);
-  const [aliasResult, cardResult] = await Promise.all([
-    alias.create({ name: seed, description: seed, identity }),
-    card.create({ memo: seed, spend_limit: 0 }),
-  ]);
-  await store.save({ name: seed, aliasEmail: aliasResult.email, aliasId: aliasResult.id, cardToken: cardResult.token, cardLast4: cardResult.last_four, identity, createdAt: new Date().toISOString() });
+  const { aliasResult, cardResult } = await provision.envelope({ name: seed, identity });
   out({ context: seed, alias_email: aliasResult.email, card_last4: cardResult.last_four, identity: `${identity.first_name} ${identity.last_name}`, message: `Envelope ready. Use ${aliasResult.email} and card ····${cardResult.last_four} for ${seed}.` });
 }
 
@@ -233,23 +538,34 @@ async function cmdEnroll(url) {
   const identity = idgen.generate(seed);
 
   info(`Provisioning envelope for ${domain}…`);
-  const [aliasResult, cardResult] = await Promise.all([
-    alias.create({ name: seed, description: seed, identity }),
-    card.create({ memo: seed, spend_limit: 0 }),
-  ]);
-  await store.save({ name: seed, aliasEmail: aliasResult.email, aliasId: aliasResult.id, cardToken: cardResult.token, cardLast4: cardResult.last_four, identity, enrollUrl: stripped, createdAt: new Date().toISOString() });
+  const { aliasResult, cardResult } = await provision.envelope({ name: seed, identity, enrollUrl: stripped });
 
   if (flags.agent) {
     info('Launching browser enrollment…');
-    const result = await browser.enroll(stripped, { identity, aliasResult, cardResult }, (step, msg, shot) => {
+    const envelope = { identity, aliasResult, cardResult, seed, otp: () => vault.code(seed) };
+    // The verification mail is waited for, then opened / entered in the same browser
+    if (!flags.noVerify && verifier.available) {
+      envelope.verification = opts => verifier.waitFor({ aliasEmail: aliasResult.email, aliasId: aliasResult.id, enrollUrl: stripped }, opts);
+    } else if (!flags.noVerify && flags.verbose) {
+      info('Verification emails need INBOX_SOURCE=maildir or imap — finish that step by hand');
+    }
+    const result = await browser.enroll(stripped, envelope, (step, msg, shot) => {
       if (!flags.quiet) {
         const icon = msg.startsWith('✓') ? c.green('✓') : msg.startsWith('⚠') ? c.yellow('⚠') : c.dim('·');
         const shotNote = (shot && flags.verbose) ? c.dim(` [${shot.split('/').pop()}]`) : '';
         console.log(`  ${icon} ${msg}${shotNote}`);
       }
     });
+    // Saved even if enrollment failed — the form may have gone through
+    if (envelope.generatedPassword || result.accountNumber) {
+      await vault.set(seed, { username: result.accountNumber || envelope.generatedUsername, password: envelope.generatedPassword });
+      info(`Login saved — ${c.amber(`pane creds ${seed}`)}`);
+    }
+    if (result.verified) {
+      await store.update(seed, { verifiedAt: new Date().toISOString() });
+    }
     if (result.success) {
-      ok(`Enrolled at ${domain} as ${aliasResult.email}`);
+      ok(`Enrolled at ${domain} as ${aliasResult.email}${result.verified ? ' — email verified' : ''}`);
       if (result.screenshots?.length && flags.verbose) {
         result.screenshots.forEach(s => info(`screenshot: ${s}`));
       }
@@ -261,13 +577,103 @@ async function cmdEnroll(url) {
   }
 }
 
-async function cmdList() {
-  const contexts = await store.list();
-  if (!contexts.length) { out({ contexts: [], message: 'No active envelopes.' }); return; }
-  const rows = await Promise.all(contexts.map(async ctx => {
-    const health = await inbox.getHealth(ctx.aliasId).catch(() => 'unknown');
-    return { name: ctx.name, alias: ctx.aliasEmail, card: ctx.cardLast4 ? `····${ctx.cardLast4}` : '—', status: health, created: ctx.createdAt?.split('T')[0] || '—' };
+async function cmdRecord(url) {
+  if (!url) err('URL required. Usage: pane record <url> [--seed S] [--yes]');
+  const stripped = stripTracking(url);
+  const domain   = new URL(stripped).hostname.replace(/^www\./, '');
+  if (existsSync(recipes.pathFor(domain)) && !flags.yes) {
+    err(`You already have a recipe for ${domain} (${recipes.pathFor(domain)}) — add --yes to record over it`);
+  }
+
+  // The values to type, so each one can be traced back to its field
+  let values, identity;
+  if (flags.seed) {
+    const ctx = await store.get(flags.seed);
+    if (!ctx) err(`No active context "${flags.seed}"`);
+    identity = ctx.identity?.first_name ? ctx.identity : idgen.generate(flags.seed);
+    values = browser.signupValues(identity, ctx.aliasEmail);
+  } else {
+    const made = idgen.generate(`record-${domain}`);
+    values = browser.signupValues(made, `${made.first_name.toLowerCase()}.${made.last_name.toLowerCase()}@example.com`);
+  }
+
+  info(`Sign up at ${domain} in the browser window, typing these where the form asks:`);
+  for (const [field, value] of Object.entries(values)) {
+    if (value) console.log(`      ${c.dim(field.padEnd(11))} ${value}`);
+  }
+  info('Then come back here and press Enter (or close the browser).');
+
+  const rl    = createInterface({ input: process.stdin });
+  const until = new Promise(resolve => rl.once('line', resolve));
+  // As the seed, the signup runs in its browser profile and leaves its session there
+  const recording = await new RecipeRecorder({ browser }).record(stripped, {
+    seed: flags.seed,
+    identity,
+    until,
+    onStatus: (step, msg) => info(msg),
+  }).finally(() => rl.close());
+
+  const { recipe, matched, unmapped } = buildRecipe({ ...recording, values });
+  if (!recipe.steps.some(s => s.fill || s.click || s.submit)) err('Nothing was recorded — no fields filled or buttons pressed');
+  const file = recipes.save(recipe);
+
+  // The account exists now; keep its login with the context
+  const typed = field => matched.some(m => m.field === field && m.by === 'value');
+  if (flags.seed && typed('password')) {
+    await vault.set(flags.seed, { username: typed('username') ? values.username : undefined, password: values.password });
+    info(`Login saved — ${c.amber(`pane creds ${flags.seed}`)}`);
+  }
+  out({ recorded: true, domain, file, steps: recipe.steps.length, matched, unmapped,
+        message: `Saved ${recipe.steps.length} steps. ${c.amber(`pane enroll ${stripped} --agent`)} replays them.` });
+}
+
+async function cmdOpen(seed, url) {
+  if (!seed) err('seed required. Usage: pane open <seed> [url]');
+  const ctx = await store.get(seed);
+  if (!ctx) err(`No active context "${seed}"`);
+  const target = url ? stripTracking(url) : ctx.enrollUrl && new URL(ctx.enrollUrl).origin;
+  if (!target) err(`${seed} wasn't enrolled anywhere — give a URL: pane open ${seed} <url>`);
+
+  if (!profiles.has(seed)) info(`${seed} has no browser profile yet — log in once and it is kept`);
+  if (await vault.get(seed)) info(`Login: ${c.amber(`pane creds ${seed} --copy password`)}  ·  2FA: ${c.amber(`pane otp ${seed} --copy`)}`);
+  info('Close the browser window (or press Enter here) to save the session.');
+
+  const rl     = createInterface({ input: process.stdin });
+  const until  = new Promise(resolve => rl.once('line', resolve));
+  const identity = ctx.identity?.timezone ? ctx.identity : idgen.generate(seed);
+  const result = await browser.open(target, seed, {
+    identity,
+    until,
+    onStatus: (step, msg) => info(msg),
+  }).finally(() => rl.close());
+  out({ opened: seed, ...result });
+}
+
+async function cmdRecipes(file) {
+  if (file) {
+    let errors;
+    try { errors = validateRecipe(readRecipe(file)); } catch (e) { errors = [e.message]; }
+    if (errors.length) err(`${file}:\n    ${errors.join('\n    ')}`);
+    ok(`${file} is a valid recipe`);
+    return;
+  }
+  const { recipes: found, problems } = recipes.load();
+  const rows = [...found.values()].map(({ recipe, file }) => ({
+    domain: recipe.domain,
+    source: file.startsWith(SHIPPED_DIR) ? 'shipped' : 'yours',
+    steps:  recipe.steps.length,
+    file,
   }));
+  out({ recipes: rows, problems });
+  if (problems.length) process.exitCode = 1;
+}
+
+async function cmdList() {
+  const { status, health, domain, search, since, card: hasCard, tag, folder } = flags;
+  const until    = flags.olderThan || flags.until;
+  const filtered = [status, health, domain, search, since, until, hasCard, tag, folder].some(v => v != null);
+  const rows = (await query.run({ status, health, domain, search, since, until, card: hasCard, tag, folder })).map(listRow);
+  if (!rows.length) { out({ contexts: [], message: filtered ? 'No envelopes match.' : 'No active envelopes.' }); return; }
   out({ contexts: rows, total: rows.length });
 }
 
@@ -275,55 +681,266 @@ async function cmdInbox(seed) {
   if (!seed) err('seed required. Usage: pane inbox <seed>');
   const ctx = await store.get(seed);
   if (!ctx) err(`No context "${seed}" — run: pane create-alias ${seed}`);
-  const messages = await inbox.read({ aliasId: ctx.aliasId, limit: flags.limit });
-  out({ context: seed, alias: ctx.aliasEmail, count: messages.length, messages: messages.map(m => ({ from: m.from, subject: m.subject, date: m.date, preview: m.preview })) });
+  const messages = await inbox.read({ aliasId: ctx.aliasId, aliasEmail: ctx.aliasEmail, limit: flags.limit });
+  out({ context: seed, alias: ctx.aliasEmail, count: messages.length, messages: messages.map(m => ({ from: m.from, subject: m.subject, date: m.date, preview: m.preview, body: m.body, html: m.html, removed: m.removed })) });
+}
+
+async function cmdTimeline(seed) {
+  if (!seed) err('seed required. Usage: pane timeline <seed>');
+  const ctx = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  out(await breach.timeline(ctx));
+}
+
+async function cmdCharges(seed) {
+  if (!seed) err('seed required. Usage: pane charges <seed>');
+  const ctx = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  if (!ctx.cardToken) err(`${seed} has no card.`);
+  out(await charges.review(ctx, { sync: ctx.status !== 'expired' }));
+}
+
+async function cmdTrial(seed) {
+  if (!seed) err('seed required. Usage: pane trial <seed> --ends 2026-11-01 [--renews 16.00] [--cadence monthly] [--action remind|freeze|zero] [--days N]');
+  if (flags.action && !TRIAL_ACTIONS.includes(flags.action)) err(`--action must be one of: ${TRIAL_ACTIONS.join(', ')}`);
+  const ctx = await store.get(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  if (flags.reset) {
+    await trials.set(seed, null);
+    ok(`Stopped tracking the ${seed} trial.`);
+    return;
+  }
+  const changes = {
+    ends:     flags.ends,
+    amount:   flags.renews != null ? Math.round(flags.renews * 100) : null,
+    cadence:  flags.cadence,
+    action:   flags.action,
+    leadDays: flags.days,
+  };
+  const view = Object.values(changes).some(v => v != null) ? await trials.set(seed, changes) : trials.view(ctx);
+  if (!view) err(`${seed} has no trial. Add one: pane trial ${seed} --ends 14d`);
+  out({ trials: [view] });
+}
+
+async function cmdTrials() {
+  out({ trials: await trials.list() });
+}
+
+async function cmdCreds(seed) {
+  if (!seed) err('seed required. Usage: pane creds <seed> [--show] [--copy password] [--set password] [--reset]');
+  const ctx = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+
+  if (flags.reset) {
+    await vault.remove(seed);
+    ok(`Credentials for ${seed} deleted.`);
+    return;
+  }
+  if (flags.set) {
+    if (!FIELDS.includes(flags.set)) err(`--set must be one of: ${FIELDS.join(', ')}`);
+    if (flags.set === 'answer' && !flags.question) err('--set answer needs --question "…"');
+    const value = await readSecret(flags.set === 'answer' ? `answer to "${flags.question}"` : flags.set);
+    if (!value) err('Nothing entered.');
+    await vault.set(seed, flags.set === 'answer' ? { answer: { question: flags.question, answer: value } } : { [flags.set]: value });
+    ok(`${flags.set} saved for ${seed}.`);
+    return;
+  }
+
+  const creds = await vault.get(seed);
+  if (!creds) err(`No credentials saved for ${seed}. Add some: pane creds ${seed} --set password`);
+
+  if (flags.copy) {
+    if (!FIELDS.includes(flags.copy)) err(`--copy must be one of: ${FIELDS.join(', ')}`);
+    const answers = flags.question ? creds.answers.filter(a => a.question.toLowerCase().includes(flags.question.toLowerCase())) : creds.answers;
+    if (flags.copy === 'answer' && answers.length !== 1) err(answers.length ? 'Several answers saved — pick one with --question "…"' : 'No matching answer saved.');
+    const value = flags.copy === 'username' ? creds.username || ctx.aliasEmail
+                : flags.copy === 'totp'     ? creds.totp && totpCode(creds.totp).code
+                : flags.copy === 'answer'   ? answers[0].answer
+                : creds.password;
+    if (!value) err(`No ${flags.copy} saved for ${seed}.`);
+    const seconds = parseFloat(process.env.PANE_CLIPBOARD_CLEAR) || 30;
+    copy(value);
+    clearLater(seconds, value);
+    ok(`${flags.copy} for ${seed} copied — clipboard clears in ${seconds}s.`);
+    return;
+  }
+
+  const mask = v => v ? (flags.show ? v : '••••••••••') : null;
+  const totp = creds.totp && totpCode(creds.totp);
+  out({
+    context:  seed,
+    login:    ctx.aliasEmail,
+    revealed: flags.show,
+    credentials: {
+      username:   creds.username || null,
+      password:   mask(creds.password),
+      totp:       totp ? (flags.show ? `${totp.code} (${totp.expires_in}s left)` : '••••••') : null,
+      answers:    creds.answers.map(a => ({ question: a.question, answer: flags.show ? a.answer : '••••••' })),
+      updated_at: creds.updated_at,
+    },
+  });
+}
+
+async function cmdOtp(seed) {
+  if (!seed) err('seed required. Usage: pane otp <seed> [--copy] [--set] [--qr [file]]');
+  const ctx = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+
+  if (argv.includes('--set') || flags.qr) {
+    const input = flags.qr ? readQr(screenshotPath(flags.qr)) : await readSecret('TOTP secret or otpauth:// URI');
+    if (!input) err('Nothing entered.');
+    const { totp } = await vault.set(seed, { totp: input });
+    ok(`2FA secret saved for ${seed}${totp.issuer ? ` (${totp.issuer}${totp.account ? ` · ${totp.account}` : ''})` : ''}.`);
+  }
+
+  const otp = await vault.code(seed);
+  if (!otp) err(`No TOTP secret saved for ${seed}. Add one: pane otp ${seed} --set  (or --qr screenshot.png)`);
+  if (flags.copy) {
+    const seconds = parseFloat(process.env.PANE_CLIPBOARD_CLEAR) || 30;
+    copy(otp.code);
+    clearLater(seconds, otp.code);
+    ok(`Code for ${seed} copied — valid ${otp.expires_in}s, clipboard clears in ${seconds}s.`);
+    return;
+  }
+  out({ context: seed, ...otp });
+}
+
+// --qr FILE: a path, or a name inside ~/.pane/screenshots; bare --qr: the newest PNG there.
+function screenshotPath(arg) {
+  const dir = join(homedir(), '.pane', 'screenshots');
+  if (arg !== true) return existsSync(arg) ? arg : join(dir, arg);
+  const newest = (existsSync(dir) ? readdirSync(dir) : [])
+    .filter(f => f.toLowerCase().endsWith('.png'))
+    .map(f => ({ f, t: statSync(join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.t - a.t)[0];
+  if (!newest) err(`No screenshots in ${dir}`);
+  info(`Reading QR from ${newest.f}`);
+  return join(dir, newest.f);
 }
 
 async function cmdAudit(seed) {
-  if (!seed) err('seed required. Usage: pane audit <seed>');
+  if (isBulk()) {
+    return runBulk('audit', async ctx => {
+      const r = await breach.assess(ctx);
+      return {
+        level: r.level, score: r.score, unexpected_senders: r.unexpected_senders,
+        message: `${r.level} · ${r.score}/100${r.unexpected_senders.length ? ` · ${r.unexpected_senders.join(', ')}` : ''}`,
+      };
+    }, { confirm: false, anyStatus: true });
+  }
+  if (!seed) err('seed required. Usage: pane audit <seed> (or several seeds, --all, --tag T, list filters)');
   const ctx = await store.get(seed);
   if (!ctx) err(`No context "${seed}"`);
   info(`Checking ${ctx.aliasEmail}…`);
-  const messages   = await inbox.read({ aliasId: ctx.aliasId, limit: 100 });
-  const senders    = [...new Set(messages.map(m => m.from_domain).filter(Boolean))];
-  const enrolled   = ctx.enrollUrl ? new URL(ctx.enrollUrl).hostname.replace('www.','') : null;
-  const unexpected = enrolled ? senders.filter(s => s && !s.includes(enrolled)) : [];
-  out({ context: seed, alias: ctx.aliasEmail, total_messages: messages.length, known_senders: enrolled ? senders.filter(s => s?.includes(enrolled)) : senders, unexpected_senders: unexpected, breach_signal: unexpected.length > 0, verdict: unexpected.length > 0 ? `⚠ Breach signal — unexpected mail from: ${unexpected.join(', ')}. Consider: pane expire ${seed}` : '✓ Clean — no unexpected senders detected.' });
+  const r = await breach.assess(ctx);
+  const verdict = r.level === 'breach'  ? `⚠ Breach signal (score ${r.score}) — unexpected mail from: ${r.unexpected_senders.join(', ')}. Consider: pane expire ${seed}`
+                : r.level === 'warning' ? `· Possible leak (score ${r.score}) — keep an eye on ${r.unexpected_senders.join(', ') || 'this alias'}.`
+                : `✓ Clean (score ${r.score}) — no unexpected senders detected.`;
+  out({ context: seed, alias: ctx.aliasEmail, ...r, breach_signal: r.level === 'breach', verdict });
 }
 
 async function cmdExpire(seed) {
-  if (!seed) err('seed required. Usage: pane expire <seed>');
+  if (isBulk()) {
+    return runBulk(flags.now ? 'burn' : 'expire', async ctx => {
+      const r = await expiry.begin(ctx, { immediate: flags.now });
+      return r.status === 'expired'
+        ? { status: 'expired', message: 'burned — alias deleted, card closed' }
+        : { status: 'expiring', purge_at: r.purgeAt, message: `expiring · permanent at ${r.purgeAt.replace('T', ' ').slice(0, 16)} UTC` };
+    });
+  }
+  if (!seed) err('seed required. Usage: pane expire <seed> (or several seeds, --all, --tag T, list filters)');
   const ctx = await store.get(seed);
   if (!ctx) err(`No context "${seed}"`);
-  info(`Burning ${seed}…`);
-  await Promise.all([
-    alias.delete(ctx.aliasId).catch(e => { if (flags.verbose) info(`alias delete: ${e.message}`); }),
-    ctx.cardToken ? card.freeze(ctx.cardToken).catch(e => { if (flags.verbose) info(`card freeze: ${e.message}`); }) : Promise.resolve(),
-  ]);
-  await store.tombstone(seed);
-  out({ context: seed, alias: ctx.aliasEmail, status: 'expired', message: `${seed} burned. ${ctx.aliasEmail} deleted. Card frozen.` });
+  info(flags.now ? `Burning ${seed}…` : `Expiring ${seed}…`);
+  const result = await expiry.begin(ctx, { immediate: flags.now });
+  if (result.status === 'expired') {
+    out({ context: seed, alias: ctx.aliasEmail, status: 'expired', message: `${seed} burned. ${ctx.aliasEmail} deleted. Card closed.` });
+  } else {
+    out({ context: seed, alias: ctx.aliasEmail, status: 'expiring', purge_at: result.purgeAt });
+  }
+}
+
+async function cmdFreeze(seed, { undo = false } = {}) {
+  const verb = undo ? 'unfreeze' : 'freeze';
+  const apply = async ctx => {
+    if (!ctx.cardToken) return { skipped: 'no card' };
+    await (undo ? card.unfreeze(ctx.cardToken) : card.freeze(ctx.cardToken));
+    return { card: `····${ctx.cardLast4}`, message: `card ····${ctx.cardLast4} ${undo ? 'open' : 'paused'}` };
+  };
+  if (isBulk()) return runBulk(verb, apply);
+  if (!seed) err(`seed required. Usage: pane ${verb} <seed> (or several seeds, --all, --tag T, list filters)`);
+  const ctx = await store.get(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  if (!ctx.cardToken) err(`No card for context "${seed}"`);
+  await apply(ctx);
+  ok(undo ? `Card ····${ctx.cardLast4} unfrozen — charges go through again` : `Card ····${ctx.cardLast4} frozen — charges are declined until pane unfreeze ${seed}`);
+}
+
+async function cmdTag(seed) {
+  if (!seed) err('seed required. Usage: pane tag <seed> [tags…] [--remove] [--folder F]');
+  const ctx = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  // Words after the seed, minus flags' values (--folder's)
+  const given = seedArgs().slice(1);
+  const changes = {};
+  if (given.length) {
+    changes.tags = flags.remove
+      ? ctx.tags.filter(t => !normalizeTags(given).includes(t))
+      : [...ctx.tags, ...given];
+  }
+  if (flags.folder != null) changes.folder = flags.folder;
+  const next = Object.keys(changes).length ? await store.update(seed, changes, { version: ctx.version }) : ctx;
+  out({ tagged: true, context: seed, tags: next.tags, folder: next.folder, notes: next.notes });
+}
+
+async function cmdNote(seed) {
+  if (!seed) err('seed required. Usage: pane note <seed> [text…] [--reset]');
+  const ctx  = await store.find(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  const text = argv.slice(1).filter(a => !a.startsWith('-')).slice(1).join(' ');
+  const next = flags.reset ? await store.update(seed, { notes: null })
+             : text        ? await store.update(seed, { notes: text })
+             : ctx;
+  out({ tagged: true, context: seed, tags: next.tags, folder: next.folder, notes: next.notes });
+}
+
+async function cmdRestore(seed) {
+  if (!seed) err('seed required. Usage: pane restore <seed>');
+  // Still active: its alias was disabled on its own (pane watch, on a breach)
+  const active = await store.get(seed);
+  if (active) {
+    await alias.enable(active.aliasId);
+    ok(`${seed}: ${active.aliasEmail} forwarding again.`);
+    return;
+  }
+  info(`Restoring ${seed}…`);
+  const ctx = await expiry.restore(seed);
+  ok(`${seed} restored. ${ctx.aliasEmail} forwarding again${ctx.cardToken ? ` · card ····${ctx.cardLast4} unpaused` : ''}.`);
+}
+
+async function cmdSweep() {
+  const results = await expiry.sweep();
+  if (flags.json) { out(results); return; }
+  if (!results.length) { info('Nothing due.'); return; }
+  results.forEach(r => r.ok ? ok(`${r.name} burned — grace window over`) : console.log(c.yellow('  ⚠ ') + `${r.name}: ${r.error}`));
 }
 
 async function cmdFund(seed) {
-  if (!seed)         err('seed required. Usage: pane fund <seed> --amount 12.00');
   if (!flags.amount) err('--amount required. Example: pane fund amber-circuit --amount 12.00');
+  if (isBulk()) {
+    return runBulk('fund', async ctx => {
+      if (!ctx.cardToken) return { skipped: 'no card' };
+      await card.setLimit(ctx.cardToken, Math.round(flags.amount * 100));
+      return { card: `····${ctx.cardLast4}`, message: `card ····${ctx.cardLast4} funded to $${flags.amount.toFixed(2)}` };
+    });
+  }
+  if (!seed)         err('seed required. Usage: pane fund <seed> --amount 12.00');
   const ctx = await store.get(seed);
   if (!ctx) err(`No context "${seed}"`);
   if (!ctx.cardToken) err(`No card for context "${seed}"`);
   const cents = Math.round(flags.amount * 100);
   info(`Funding card ····${ctx.cardLast4} to $${flags.amount.toFixed(2)}…`);
-  // Privacy.com card update endpoint: PATCH /v1/card
-  const apiKey = process.env.PRIVACY_API_KEY;
-  if (!apiKey) err('PRIVACY_API_KEY not set in .env');
-  const resp = await fetch('https://api.privacy.com/v1/card', {
-    method: 'PATCH',
-    headers: { 'Authorization': `api-key ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ token: ctx.cardToken, spend_limit: cents, spend_limit_duration: 'TRANSACTION' }),
-  });
-  if (!resp.ok) {
-    const body = await resp.text().catch(() => '');
-    err(`Privacy.com API error ${resp.status}: ${body}`);
-  }
+  await card.setLimit(ctx.cardToken, cents);
   ok(`Card ····${ctx.cardLast4} funded to $${flags.amount.toFixed(2)}`);
 }
 
@@ -334,19 +951,193 @@ async function cmdStatus() {
     return;
   }
   const statuses = await Promise.all(contexts.map(async ctx => {
-    const h = await inbox.getHealth(ctx.aliasId).catch(() => 'unknown');
+    const h = await breach.assess(ctx).then(r => r.level).catch(() => 'unknown');
     return { ...ctx, health: h };
   }));
   const clean   = statuses.filter(s => s.health === 'clean').length;
   const warning = statuses.filter(s => s.health === 'warning').length;
-  const breach  = statuses.filter(s => s.health === 'breach').length;
+  const breached = statuses.filter(s => s.health === 'breach').length;
   console.log(c.bold(`\n  pane status`));
-  console.log(`  ${contexts.length} envelopes · ${c.green(clean + ' clean')} · ${warning ? c.yellow(warning + ' warning') : c.dim('0 warning')} · ${breach ? c.red(breach + ' breach') : c.dim('0 breach')}`);
-  if (breach > 0)   console.log(`  ${c.red('⚠')} Run ${c.amber('pane audit <seed>')} on flagged contexts`);
+  console.log(`  ${contexts.length} envelopes · ${c.green(clean + ' clean')} · ${warning ? c.yellow(warning + ' warning') : c.dim('0 warning')} · ${breached ? c.red(breached + ' breach') : c.dim('0 breach')}`);
+  if (breached > 0)   console.log(`  ${c.red('⚠')} Run ${c.amber('pane audit <seed>')} on flagged contexts`);
   if (warning > 0)  console.log(`  ${c.yellow('·')} Run ${c.amber('pane audit <seed>')} to investigate warnings`);
   console.log('');
 }
 
+async function cmdLock() {
+  if (!store.encrypted) {
+    await store.init();
+    const secret = flags.keyFile ? readFileSync(flags.keyFile) : envSecret() || await newPassphrase();
+    info('Encrypting context store…');
+    await store.lock(secret);
+    ok(`Context store encrypted → ${store.sealedPath}`);
+    const moved = profiles.reseal();
+    if (moved) ok(`${moved} browser session${moved === 1 ? '' : 's'} re-sealed under the store key`);
+    info('Plaintext contexts.db removed. Keep your passphrase safe — there is no recovery.');
+    return;
+  }
+  if (await clearSession(store.sealedPath)) ok('Locked. Unlock agent stopped.');
+  else info('Already locked.');
+}
+
+async function cmdUnlock() {
+  if (!store.encrypted) err('Context store is not encrypted. Run: pane lock');
+  const passphrase = flags.keyFile ? readFileSync(flags.keyFile) : undefined;
+  await store.init({ passphrase, prompt: () => promptSecret('passphrase') });
+  const ttl     = parseInt(process.env.PANE_UNLOCK_TTL) || 60;
+  const expires = await store.rememberKey(ttl);
+  ok(`Unlocked until ${expires.slice(11, 16)} UTC. Run ${c.amber('pane lock')} when done.`);
+}
+
+async function cmdExport(file) {
+  const path   = file || `pane-${new Date().toISOString().slice(0, 10)}.panebundle`;
+  if (existsSync(path)) err(`${path} already exists — pick another name`);
+  const secret = flags.keyFile ? readFileSync(flags.keyFile) : envSecret() || await newPassphrase();
+  const { blob, counts } = await bundle.export(secret, { screenshots: !flags.noScreenshots });
+  writePrivate(path, blob);
+  if (flags.json) { out({ path, bytes: blob.length, ...counts }); return; }
+  ok(`Exported → ${path}`);
+  info(`${counts.contexts} contexts · ${counts.expired} expired · ${counts.credentials} with credentials · ${counts.screenshots} screenshots`);
+  info('The bundle holds passwords and 2FA secrets — keep it and its passphrase apart.');
+}
+
+async function cmdImport(file) {
+  if (!file) err('file required. Usage: pane import <file> [--on-conflict skip|replace|rename] [--dry-run]');
+  if (!existsSync(file)) err(`No such file: ${file}`);
+  const secret = flags.keyFile ? readFileSync(flags.keyFile) : envSecret() || await promptSecret('bundle passphrase');
+  const r = await bundle.import(readFileSync(file), secret, { onConflict: flags.onConflict, dryRun: flags.dryRun });
+  if (flags.json) { out(r); return; }
+
+  console.log(`\n  ${c.bold(flags.dryRun ? 'import (dry run)' : 'import')} ${c.dim(`bundle from ${r.exported_at.slice(0, 10)}`)}`);
+  r.added.forEach(n    => console.log(`  ${c.green('+')} ${n}`));
+  r.merged.forEach(n   => console.log(`  ${c.teal('=')} ${n} ${c.dim('same envelope — history merged')}`));
+  r.replaced.forEach(n => console.log(`  ${c.yellow('↺')} ${n} ${c.dim('replaced the local context')}`));
+  r.renamed.forEach(x  => console.log(`  ${c.yellow('+')} ${x.to} ${c.dim(`renamed from ${x.from}`)}`));
+  r.skipped.forEach(n  => console.log(`  ${c.dim('·')} ${n} ${c.dim('kept local — a different envelope has this name')}`));
+  if (r.screenshots) console.log(`  ${c.dim(`${r.screenshots} screenshots`)}`);
+  console.log('');
+  if (r.replaced.length && !flags.dryRun) info(`Replaced contexts' own aliases and cards are still live — ${c.amber('pane reconcile')} lists them.`);
+  if (r.skipped.length) info(`Run again with ${c.amber('--on-conflict rename')} or ${c.amber('replace')} to bring the skipped contexts in.`);
+}
+
+async function cmdDb(sub = 'status') {
+  if (!['status', 'migrate'].includes(sub)) err('Usage: pane db [status] | pane db migrate [--dry-run]');
+  const path = store.encrypted ? store.sealedPath : store.dbPath;
+
+  if (sub === 'status') {
+    const r = { path, version: store.schemaVersion, latest: SCHEMA_VERSION, pending: store.pendingMigrations() };
+    if (flags.json) { out(r); return; }
+    console.log(`\n  ${c.bold('pane db')} ${c.dim(path)}`);
+    console.log(`  schema v${r.version} ${c.dim(`of v${r.latest}`)}`);
+    if (r.version > r.latest) console.log(`  ${c.red('✗')} written by a newer pane — upgrade before using it`);
+    r.pending.forEach(m => console.log(`  ${c.yellow('○')} v${m.version} ${m.name}`));
+    console.log('');
+    if (r.pending.length) info(`Run ${c.amber('pane db migrate')} (or any pane command) to apply.`);
+    return;
+  }
+
+  const r = await store.migrate({ dryRun: flags.dryRun });
+  if (flags.json) { out({ path, dry_run: flags.dryRun, ...r }); return; }
+  if (!r.applied.length) { ok(`Schema is current (v${r.from}).`); return; }
+  r.applied.forEach(m => console.log(`  ${flags.dryRun ? c.yellow('○') : c.green('✓')} v${m.version} ${m.name}`));
+  if (flags.dryRun) { info(`Would migrate v${r.from} → v${r.to}, backing up first. Nothing written.`); return; }
+  if (r.backup) info(`Backup: ${r.backup}`);
+  ok(`Migrated v${r.from} → v${r.to}.`);
+}
+
+async function cmdReconcile() {
+  info('Comparing provider listings against the context store…');
+  // Pruning deletes remote resources: list them first, act only with --yes
+  const r = await provision.reconcile({ fix: flags.fix, prune: flags.prune && flags.yes });
+  if (flags.json) { out(r); return; }
+
+  const section = (title, items, fmt) => {
+    if (!items.length) return;
+    console.log(`\n  ${c.bold(title)} ${c.dim(`(${items.length})`)}`);
+    items.forEach(i => console.log('  ' + fmt(i)));
+  };
+  const mine = x => x.pane ? c.yellow('?') : c.dim('·');
+  section('stalled provisioning', r.stalled, s => `${c.yellow('◐')} ${s.name.padEnd(20)} ${c.dim(`alias ${s.aliasId || '—'} · card ${s.cardToken || '—'}`)}`);
+  section('still provisioning',   r.inFlight, s => `${c.dim('◐')} ${s.name.padEnd(20)} ${c.dim(`since ${s.since}`)}`);
+  section('untracked aliases',    r.untrackedAliases, a => `${mine(a)} ${c.teal(a.email)} ${c.dim(`${a.description}${a.pane ? '' : ' · not pane\'s'}`)}`);
+  section('untracked cards',      r.untrackedCards, k => `${mine(k)} ····${k.last_four} ${c.dim(`${k.memo} · ${k.state}${k.pane ? '' : ' · not pane\'s'}`)}`);
+  section('aliases missing at provider', r.missingAliases, n => `${c.red('✗')} ${n}`);
+  section('fixed', r.fixed, f => `${f.ok ? c.green('✓') : c.red('✗')} ${f.name || f.alias || `····${f.card}`}${f.error ? c.dim(` ${f.error}`) : ''}`);
+
+  const prunable = [...r.untrackedAliases, ...r.untrackedCards].filter(x => x.pane).length;
+  const issues   = r.stalled.length + r.untrackedAliases.length + r.untrackedCards.length + r.missingAliases.length;
+  console.log('');
+  if (!issues) { ok('Store and providers agree.'); return; }
+  if (flags.prune && !flags.yes) {
+    info(prunable
+      ? `${prunable} untracked pane resource(s) above would be removed — add ${c.amber('--yes')} to remove them.`
+      : 'No untracked resources pane created — nothing to prune.');
+  } else if (!flags.fix && !flags.prune) {
+    info(`Run ${c.amber('pane reconcile --fix')} to roll back stalled provisioning, ${c.amber('--prune')} to also remove untracked pane resources.`);
+  }
+  if (r.untrackedAliases.length + r.untrackedCards.length > prunable) info('Resources not labelled pane:<name> are never pruned.');
+}
+
+async function cmdProxy() {
+  const proxy = new ImageProxy();
+  await proxy.listen();
+  ok(`Image proxy on ${proxy.base} — Ctrl-C to stop. Cache: ${proxy.cacheDir}`);
+}
+
+async function cmdWatch() {
+  const watch = new WatchService({ alias, card, store, breach, charges, trials });
+  const icon  = { notified: c.yellow('●'), disabled: c.red('◐'), frozen: c.red('❄'), zeroed: c.red('$'), failed: c.red('✗') };
+  const onEvent = e => {
+    if (flags.json) { console.log(JSON.stringify(e)); return; }
+    if (!flags.quiet || e.action !== 'notified') {
+      console.log(`  ${c.dim(e.at.slice(0, 16).replace('T', ' '))}  ${icon[e.action] || '·'} ${c.bold(e.context)} ${e.signal.replace('_', ' ')} → ${e.action}${e.error ? c.red(` (${e.error})`) : ''}`);
+      console.log(`                    ${c.dim(e.detail)}`);
+    }
+  };
+
+  if (flags.once) {
+    const entries = await watch.poll({ onEvent });
+    if (!entries.length) info('Nothing new.');
+    return;
+  }
+  info(`Watching every ${flags.interval} min · log ${watch.logPath} · Ctrl-C to stop`);
+  watch.run({
+    intervalMinutes: flags.interval,
+    onEvent,
+    onPass: (entries, e) => {
+      if (e) console.error(c.red(`  ✗ watch pass failed: ${e.message}`));
+      else if (flags.verbose) info(`${new Date().toISOString().slice(11, 16)} pass done · ${entries.length} new`);
+    },
+  });
+}
+
+async function cmdPolicy(seed) {
+  if (!seed) err('seed required. Usage: pane policy <seed> [--on-breach notify|disable] [--on-charge notify|freeze]');
+  const ctx = await store.get(seed);
+  if (!ctx) err(`No context "${seed}"`);
+  const watch = new WatchService({ alias, card, store, breach, charges, trials });
+
+  if (flags.reset) {
+    await store.setPolicy(seed, null);
+    ctx.watchPolicy = null;
+  } else if (flags.onBreach || flags.onCharge) {
+    const next = { ...(ctx.watchPolicy || {}) };
+    if (flags.onBreach) next.onBreach = flags.onBreach;
+    if (flags.onCharge) next.onCharge = flags.onCharge;
+    for (const [k, v] of Object.entries(next)) {
+      if (!POLICIES[k].includes(v)) err(`--${k === 'onBreach' ? 'on-breach' : 'on-charge'} must be one of: ${POLICIES[k].join(', ')}`);
+    }
+    await store.setPolicy(seed, next);
+    ctx.watchPolicy = next;
+  }
+  const p = watch.policyFor(ctx);
+  if (flags.json) { out({ context: seed, policy: p, overrides: ctx.watchPolicy || {} }); return; }
+  const mark = k => ctx.watchPolicy?.[k] ? '' : c.dim(' (default)');
+  console.log(`\n  ${c.bold(seed)}`);
+  console.log(`  ${c.dim('on breach')}   ${p.onBreach}${mark('onBreach')}`);
+  console.log(`  ${c.dim('on charge')}   ${p.onCharge}${mark('onCharge')}\n`);
+}
+
 function cmdHelp() {
   console.log(`
   ${c.bold('pane')} — privacy envelope manager
@@ -356,29 +1147,88 @@ function cmdHelp() {
   ${c.teal('create-card')}   <seed> [--amount N]    $0 virtual card (or --amount to prefund)
   ${c.teal('create-context')}<seed>                 alias + $0 card together (envelope)
   ${c.teal('enroll')}        <url>  [--agent]       provision context for a URL; --agent runs Playwright
-  ${c.teal('list')}          [--json]               all envelopes + health status
+  ${c.teal('record')}        <url>  [--seed S] [--yes]  sign up by hand; the steps become a site recipe for --agent (--yes: replace yours)
+  ${c.teal('recipes')}       [file]                 site recipes in use, or check a recipe file
+  ${c.teal('list')}          [--status S] [--domain D] [--search T] [--tag T]  envelopes + health; filter by status, service, text, dates, card, tag
   ${c.teal('inbox')}         <seed> [--limit N]     read alias mail
-  ${c.teal('audit')}         <seed>                 check for breach signals
-  ${c.teal('expire')}        <seed>                 burn alias + freeze card
-  ${c.teal('fund')}          <seed> --amount N      fund card to exact dollar amount
+  ${c.teal('audit')}         <seed…> | <selection>  check for breach signals
+  ${c.teal('timeline')}      <seed>                 when each sender first wrote (evidence for vendors)
+  ${c.teal('tag')}           <seed> [tags…] [--remove] [--folder F]  label a context; file it in a folder
+  ${c.teal('note')}          <seed> [text…] [--reset]  free-form notes on a context
+  ${c.teal('trial')}         <seed> --ends D [--renews N] [--cadence C] [--action A] [--days N]  track a trial
+  ${c.teal('trials')}                               trials by conversion date
+  ${c.teal('creds')}         <seed> [--show] [--copy F] [--set F]  saved login — username, password, totp, answers
+  ${c.teal('otp')}           <seed> [--copy] [--set] [--qr [F]]  2FA code; save a secret typed, pasted or from a QR screenshot
+  ${c.teal('open')}          <seed> [url]           browse as a context in its own profile, still logged in
+  ${c.teal('charges')}       <seed>                 card transactions, alerts on odd merchants / declines / limits
+  ${c.teal('expire')}        <seed…> | <selection> [--now]  disable alias + pause card; permanent after grace window
+  ${c.teal('restore')}       <seed>                 undo expire during the grace window, or re-enable a disabled alias
+  ${c.teal('sweep')}                                burn contexts whose grace window is over (cron)
+  ${c.teal('fund')}          <seed…> --amount N     fund card to exact dollar amount
+  ${c.teal('freeze')}        <seed…> | <selection>  pause the card, keep the alias (unfreeze reopens it)
   ${c.teal('status')}                               quick health summary
+  ${c.teal('reconcile')}     [--fix] [--prune [--yes]]  find orphan aliases/cards, roll back stalled provisioning
+  ${c.teal('watch')}         [--interval M] [--once] poll contexts, apply breach / charge policies
+  ${c.teal('policy')}        <seed> [--on-breach P] [--on-charge P]  per-context watch policy
+  ${c.teal('proxy')}                                serve proxied mail images on 127.0.0.1
+  ${c.teal('lock')}          [--key-file F]         encrypt the store / end the unlock session
+  ${c.teal('unlock')}        [--key-file F]         unlock the encrypted store for a while
+  ${c.teal('export')}        [file]                 encrypted bundle: contexts, tombstones, credentials, screenshots
+  ${c.teal('import')}        <file> [--on-conflict C] [--dry-run]  restore a bundle on this machine
+  ${c.teal('db')}            [status | migrate] [--dry-run]  schema version; back up + apply pending migrations
 
   ${c.bold('flags')}
   ${c.dim('--json')}         raw JSON output
   ${c.dim('--quiet')}        suppress output
   ${c.dim('--verbose')}      extra detail
   ${c.dim('--agent')}        use Playwright browser for enroll
+  ${c.dim('--no-verify')}    enroll: don't wait for the verification email
   ${c.dim('--limit N')}      message count for inbox (default 10)
   ${c.dim('--amount N')}     dollar amount for fund/create-card
-  ${c.dim('--seed S')}       override context name for enroll
+  ${c.dim('--seed S')}       override context name for enroll · record: as this context, in its browser profile
+  ${c.dim('--key-file F')}   key file instead of passphrase for lock/unlock/export/import
+  ${c.dim('--now')}          expire immediately, no grace window
+  ${c.dim('--fix')}          reconcile: roll back provisioning stalled past PANE_STALL_MINUTES
+  ${c.dim('--prune')}        reconcile: untracked pane aliases / cards to remove (--yes removes them)
+  ${c.dim('--interval M')}   watch: minutes between passes (default 60)
+  ${c.dim('--once')}         watch: one pass then exit (cron)
+  ${c.dim('--on-breach P')}  policy: notify | disable
+  ${c.dim('--on-charge P')}  policy: notify | freeze
+  ${c.dim('--ends D')}       trial: end date or days from now (14d)
+  ${c.dim('--renews N')}     trial: renewal amount in dollars
+  ${c.dim('--cadence C')}    trial: weekly | monthly | yearly
+  ${c.dim('--action A')}     trial: remind | freeze | zero, --days N before the end
+  ${c.dim('--copy F')}       creds: copy to clipboard, cleared after 30s
+  ${c.dim('--set F')}        creds: prompt for username | password | totp | answer (--question Q)
+  ${c.dim('--on-conflict C')} import: skip | replace | rename a clashing context (default skip)
+  ${c.dim('--dry-run')}      import / db migrate: show what would change
+  ${c.dim('--status S')}     list: active | expiring | expired | pending | clean | warning | breach | all
+  ${c.dim('--domain D')}     list: enrolled at this service
+  ${c.dim('--search T')}     list: text in name, alias or enroll URL
+  ${c.dim('--since D')}      list: created since a date or 30d ago (--until: before)
+  ${c.dim('--card')}         list: with a card only (--no-card: alias only)
+  ${c.dim('--tag T')}        list: contexts with this tag
+  ${c.dim('--folder F')}     list: in this folder · tag: file the context there
+
+  ${c.bold('bulk')}           audit, expire, fund, freeze, unfreeze
+  ${c.dim('<seed…>')}        several seeds at once
+  ${c.dim('<selection>')}    --all, or list filters: --tag, --status, --domain, --search, --since, --card …
+  ${c.dim('--older-than D')} created before a date or N days ago (90d)
+  ${c.dim('--yes')}          act on a selection (without it: list the targets and stop)
+  ${c.dim('--concurrency N')} envelopes at once (default 4)
 
   ${c.bold('examples')}
   ${c.dim('pane create-context frost-ridge')}
   ${c.dim('pane enroll https://notion.so --agent')}
+  ${c.dim('pane record https://example.com/signup --seed example')}
   ${c.dim('pane list')}
+  ${c.dim('pane list --status expired --domain notion')}
   ${c.dim('pane audit morning-brew')}
   ${c.dim('pane expire shopsite-app')}
   ${c.dim('pane fund amber-circuit --amount 12.00')}
+  ${c.dim('pane audit --all')}
+  ${c.dim('pane expire --status warning --yes')}
+  ${c.dim('pane freeze --older-than 90d --yes')}
   ${c.dim('pane inbox frost-ridge --limit 5')}
 
   ${c.bold('more')}
@@ -389,6 +1239,91 @@ function cmdHelp() {
 }
 
 // ── HELPERS ───────────────────────────────────────────────────────────────────
+function promptSecret(label) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('Passphrase required — set PANE_PASSPHRASE or PANE_KEY_FILE, or run pane unlock in a terminal'));
+  }
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    let value = '';
+    const done = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.off('data', onData);
+      process.stderr.write('\n');
+    };
+    const onData = chunk => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') { done(); return resolve(value); }
+        if (ch === '\u0003')             { done(); return reject(new Error('Cancelled')); }
+        value = ch === '\u007f' ? value.slice(0, -1) : value + ch;
+      }
+    };
+    process.stderr.write(c.dim(`  ${label}: `));
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// Hidden prompt in a terminal; first line of stdin when piped.
+async function readSecret(label) {
+  if (process.stdin.isTTY) return promptSecret(label);
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data.split(/\r?\n/)[0];
+}
+
+async function newPassphrase() {
+  const first = await promptSecret('new passphrase');
+  if (first.length < 8) err('Passphrase must be at least 8 characters');
+  const again = await promptSecret('repeat passphrase');
+  if (first !== again) err('Passphrases do not match');
+  return first;
+}
+
+// Seeds named on the command line
+function seedArgs() {
+  return argv.map((a, i) => i && !a.startsWith('-') && !flagValues.has(i) ? a : null).filter(Boolean);
+}
+
+function selection() {
+  const { status, health, domain, search, since, card: hasCard, tag, folder } = flags;
+  return { status, health, domain, search, since, until: flags.olderThan || flags.until, card: hasCard, tag, folder };
+}
+
+// Several seeds, --all, or a tag / list filter rather than one seed
+function isBulk() {
+  return seedArgs().length > 1 || flags.all || Object.values(selection()).some(v => v != null);
+}
+
+/**
+ * Run one action over every selected envelope (src/bulk.js) and print a row
+ * per envelope. With `confirm`, a selection (not seeds named outright) is
+ * only listed until it is re-run with --yes. Only `anyStatus` (read-only
+ * actions) can select expiring or expired envelopes.
+ */
+async function runBulk(action, fn, { confirm = true, anyStatus = false } = {}) {
+  const seeds   = seedArgs();
+  const targets = await bulk.select({ seeds, all: flags.all, filters: selection(), anyStatus }).catch(e => err(e.message));
+  if (!targets.length) err('No envelopes match.');
+  if (confirm && !seeds.length && !flags.yes) {
+    targets.forEach(t => info(`${t.name.padEnd(20)}  ${c.dim(t.aliasEmail || '')}`));
+    const msg = `${action} ${targets.length} envelope${targets.length === 1 ? '' : 's'}`;
+    if (flags.dryRun) { info(`Would ${msg}.`); return; }
+    err(`This would ${msg}. Re-run with --yes to go ahead.`);
+  }
+  const summary = await bulk.run(action, targets, fn);
+  out({ bulk: true, ...summary });
+  if (summary.failed) process.exitCode = 1;
+}
+
+// First positional that isn't a flag's value (`pane export --key-file k out.panebundle`).
+function fileArg() {
+  return posArgs.slice(1).find(a => a !== flags.keyFile && a !== flags.onConflict);
+}
+
 function stripTracking(url) {
   const TRACKING = ['fbclid','gclid','utm_source','utm_medium','utm_campaign','utm_term','utm_content','ref','mc_cid','mkt_tok'];
   try {
@@ -405,12 +1340,36 @@ try {
     case 'create-card':     await cmdCreateCard(posArgs[1]);    break;
     case 'create-context':  await cmdCreateContext(posArgs[1]); break;
     case 'enroll':          await cmdEnroll(posArgs[1]);        break;
+    case 'record':          await cmdRecord(posArgs[1]);        break;
+    case 'recipes':         await cmdRecipes(posArgs[1]);       break;
     case 'list':            await cmdList();                    break;
     case 'inbox':           await cmdInbox(posArgs[1]);         break;
     case 'audit':           await cmdAudit(posArgs[1]);         break;
+    case 'timeline':        await cmdTimeline(posArgs[1]);      break;
+    case 'charges':         await cmdCharges(posArgs[1]);       break;
+    case 'tag':             await cmdTag(posArgs[1]);           break;
+    case 'note':            await cmdNote(posArgs[1]);          break;
+    case 'trial':           await cmdTrial(posArgs[1]);         break;
+    case 'trials':          await cmdTrials();                  break;
+    case 'creds':           await cmdCreds(posArgs[1]);         break;
+    case 'otp':             await cmdOtp(posArgs[1]);           break;
+    case 'open':            await cmdOpen(posArgs[1], posArgs[2]); break;
     case 'expire':          await cmdExpire(posArgs[1]);        break;
+    case 'freeze':          await cmdFreeze(posArgs[1]);        break;
+    case 'unfreeze':        await cmdFreeze(posArgs[1], { undo: true }); break;
+    case 'restore':         await cmdRestore(posArgs[1]);       break;
+    case 'sweep':           await cmdSweep();                   break;
     case 'fund':            await cmdFund(posArgs[1]);          break;
     case 'status':          await cmdStatus();                  break;
+    case 'reconcile':       await cmdReconcile();               break;
+    case 'watch':           await cmdWatch();                   break;
+    case 'policy':          await cmdPolicy(posArgs[1]);        break;
+    case 'proxy':           await cmdProxy();                   break;
+    case 'lock':            await cmdLock();                    break;
+    case 'unlock':          await cmdUnlock();                  break;
+    case 'export':          await cmdExport(fileArg());         break;
+    case 'import':          await cmdImport(fileArg());         break;
+    case 'db':              await cmdDb(posArgs[1]);            break;
     case undefined:
     case 'help':
     case '--help':
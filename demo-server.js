@@ -32,14 +32,22 @@ import { CardService }     from './src/card.js';
 import { ContextStore }    from './src/context.js';
 import { IdentityGen }     from './src/identity.js';
 import { BrowserService }  from './src/browser.js';
+import { ProvisionService, labelFor } from './src/provision.js';
+import { CredentialVault } from './src/vault.js';
+import { ProfileStore }    from './src/profiles.js';
+import { InboxService }    from './src/inbox.js';
+import { VerificationService } from './src/verify.js';
 
 const alias   = new AliasService();
 const card    = new CardService();
 const store   = new ContextStore();
 const idgen   = new IdentityGen();
-const browser = new BrowserService();
+const vault   = new CredentialVault({ store });
+const browser = new BrowserService({ profiles: new ProfileStore({ vault, store }) });
+const provision = new ProvisionService({ alias, card, store });
+const verifier = new VerificationService({ inbox: new InboxService() });
 
-await store.init();
+await store.init().catch(e => { console.error(`  ✗ ${e.message}`); process.exit(1); });
 
 const PORT           = parseInt(process.env.MCP_PORT) || 3141;
 const SCREENSHOT_DIR = join(homedir(), '.pane', 'screenshots');
@@ -185,8 +193,7 @@ const server = createServer(async (req, res) => {
       const seed     = body.seed || genSeed();
       const identity = idgen.generate(seed);
       try {
-        const result = await alias.create({ name: seed, description: seed, identity });
-        await store.save({ name: seed, aliasEmail: result.email, aliasId: result.id, identity, createdAt: new Date().toISOString() });
+        const { aliasResult: result } = await provision.envelope({ name: seed, identity, withCard: false });
         return json(res, { ok: true, seed, email: result.email, identity });
       } catch (e) {
         return json(res, { ok: false, error: e.message }, 500);
@@ -198,8 +205,8 @@ const server = createServer(async (req, res) => {
       const seed = body.seed;
       if (!seed) return json(res, { ok: false, error: 'seed required' }, 400);
       try {
-        const result = await card.create({ memo: seed, spend_limit: 0 });
-        await store.update(seed, { cardToken: result.token, cardLast4: result.last_four });
+        const result = await card.create({ memo: labelFor(seed), spend_limit: 0 });
+        await store.upsert(seed, { cardToken: result.token, cardLast4: result.last_four });
         return json(res, { ok: true, seed, last4: result.last_four });
       } catch (e) {
         return json(res, { ok: false, error: e.message }, 500);
@@ -222,37 +229,45 @@ const server = createServer(async (req, res) => {
           emit(id, 'status', { step: 'prepare', message: 'Preparing alias identity…', pct: 5 });
           const identity = idgen.generate(seed);
 
-          emit(id, 'status', { step: 'alias', message: 'Creating alias email via Addy.io…', pct: 15 });
-          let aliasResult;
+          emit(id, 'status', { step: 'alias', message: 'Creating alias email and $0 virtual card…', pct: 15 });
+          let aliasResult, cardResult;
           try {
-            aliasResult = await alias.create({ name: seed, description: seed, identity });
-            await store.save({ name: seed, aliasEmail: aliasResult.email, aliasId: aliasResult.id, identity, enrollUrl: stripTracking(enrollUrl), createdAt: new Date().toISOString() });
+            ({ aliasResult, cardResult } = await provision.envelope({ name: seed, identity, enrollUrl: stripTracking(enrollUrl) }));
           } catch (e) {
-            // Demo fallback if API key not set
+            // Demo fallback if API keys not set — provisioning already rolled back
             aliasResult = { email: `${seed}-demo@alias.yourdomain.com`, id: 'demo-' + seed };
+            cardResult  = { last_four: '0000', token: 'demo-token' };
           }
           emit(id, 'status', { step: 'alias', message: `✓ Alias created: ${aliasResult.email}`, pct: 25, email: aliasResult.email });
-
-          emit(id, 'status', { step: 'card', message: 'Creating $0 virtual card…', pct: 35 });
-          let cardResult;
-          try {
-            cardResult = await card.create({ memo: seed, spend_limit: 0 });
-            await store.update(seed, { cardToken: cardResult.token, cardLast4: cardResult.last_four });
-          } catch (e) {
-            cardResult = { last_four: '0000', token: 'demo-token' };
-          }
           emit(id, 'status', { step: 'card', message: `✓ Card created: ····${cardResult.last_four} · $0 limit`, pct: 45, last4: cardResult.last_four });
 
           if (mode === 'agent') {
             emit(id, 'status', { step: 'browser', message: 'Launching stealth browser…', pct: 55 });
             const cleanUrl = stripTracking(enrollUrl);
 
-            const result = await browser.enroll(cleanUrl, { identity, aliasResult, cardResult }, (step, message, screenshot) => {
-              const pctMap = { launch: 55, navigate: 65, block: 66, form: 75, fill: 82, submit: 90, verify: 96, error: 99 };
+            // Demo fallback envelopes aren't in the store — they get a throwaway browser
+            const stored   = !!await store.get(seed);
+            const envelope = {
+              identity, aliasResult, cardResult,
+              ...(stored && { seed }),
+              otp: () => vault.code(seed),
+              ...(verifier.available && {
+                verification: opts => verifier.waitFor({ aliasEmail: aliasResult.email, aliasId: aliasResult.id, enrollUrl: cleanUrl }, opts),
+              }),
+            };
+            const result = await browser.enroll(cleanUrl, envelope, (step, message, screenshot) => {
+              const pctMap = { launch: 55, navigate: 65, block: 66, form: 75, fill: 82, step: 86, submit: 90, verify: 96, error: 99 };
               const pct = pctMap[step] || 70;
               const screenshotUrl = screenshot ? `/screenshots/${screenshot.split('/').pop()}` : null;
               emit(id, 'status', { step, message, pct, screenshotUrl });
             });
+            // Nor anything to attach a login to
+            if ((envelope.generatedPassword || result.accountNumber) && stored) {
+              await vault.set(seed, { username: result.accountNumber || envelope.generatedUsername, password: envelope.generatedPassword });
+            }
+            if (result.verified && stored) {
+              await store.update(seed, { verifiedAt: new Date().toISOString() });
+            }
 
             if (result.success) {
               emit(id, 'complete', {
@@ -261,6 +276,7 @@ const server = createServer(async (req, res) => {
                 last4: cardResult.last_four,
                 identity: `${identity.first_name} ${identity.last_name}`,
                 screenshots: result.screenshots.map(s => `/screenshots/${s.split('/').pop()}`),
+                verified: result.verified,
                 message: `✓ Enrolled at ${new URL(enrollUrl).hostname} as ${aliasResult.email}`
               });
             } else {
@@ -33,7 +33,15 @@ async function checkAddy() {
   }
 }
 
+async function checkAlias() {
+  const provider = process.env.EMAIL_PROVIDER || 'addy';
+  if (provider === 'addy')  return checkAddy();
+  if (provider === 'local') return { ok: true, msg: 'local mock provider — no network, aliases in ~/.pane/local-aliases.json' };
+  return { ok: null, msg: `${provider} — no connectivity check yet` };
+}
+
 async function checkPrivacy() {
+  if (process.env.CARD_ISSUER === 'sandbox') return { ok: true, msg: 'sandbox issuer — simulated cards in ~/.pane/sandbox-cards.json' };
   const key = process.env.PRIVACY_API_KEY;
   if (!key) return { ok: null, msg: 'PRIVACY_API_KEY not set (US only — skip if outside US)' };
   try {
@@ -60,6 +68,7 @@ async function checkPlaywright() {
 function checkEnvVars() {
   const vars = [
     ['EMAIL_PROVIDER',         process.env.EMAIL_PROVIDER || 'addy (default)'],
+    ['INBOX_SOURCE',           process.env.INBOX_SOURCE || 'provider API (default)'],
     ['PANE_BASE_REGION',       process.env.PANE_BASE_REGION || 'US-West (default)'],
     ['PANE_NAME_STYLE',        process.env.PANE_NAME_STYLE || 'generic-anglo (default)'],
     ['CARD_DEFAULT_LIMIT_CENTS', process.env.CARD_DEFAULT_LIMIT_CENTS || '0 (default)'],
@@ -70,11 +79,11 @@ function checkEnvVars() {
 async function main() {
   console.log('\n  pane pre-flight check\n  ' + '─'.repeat(40));
 
-  const [addy, priv, pw] = await Promise.all([checkAddy(), checkPrivacy(), checkPlaywright()]);
+  const [addy, priv, pw] = await Promise.all([checkAlias(), checkPrivacy(), checkPlaywright()]);
 
   const icon = r => r.ok === true ? G : r.ok === false ? R : Y;
-  console.log(`\n  ${icon(addy)}  Addy.io         ${addy.msg}`);
-  console.log(`  ${icon(priv)}  Privacy.com     ${priv.msg}`);
+  console.log(`\n  ${icon(addy)}  Alias provider  ${addy.msg}`);
+  console.log(`  ${icon(priv)}  Card issuer     ${priv.msg}`);
   console.log(`  ${icon(pw)}  Playwright      ${pw.msg}`);
 
   console.log('\n  Config:');
@@ -3,7 +3,9 @@
  * scripts/test-browser.js — Browser enrollment test harness
  *
  * Tests browser.js against real or simulated service signup pages.
- * Runs offline smoke tests by default. Pass --live for real network calls.
+ * Runs offline smoke tests by default, then the signup wizard against the
+ * local pages in scripts/fixtures/signup (skipped without Chromium).
+ * Pass --live for real network calls.
  *
  * Usage:
  *   node scripts/test-browser.js               # offline smoke tests
@@ -79,14 +81,13 @@ const SMOKE_TESTS = [
     },
   },
   {
-    name: 'SERVICE_OVERRIDES covers all demo services',
+    name: 'Shipped recipes cover all demo services and all validate',
     run: async () => {
-      const { BrowserService: BS } = await import('../src/browser.js');
-      // Check source file contains the expected domains
-      const { readFileSync } = await import('fs');
-      const src = readFileSync('./src/browser.js', 'utf8');
+      const { RecipeBook, SHIPPED_DIR } = await import('../src/recipes.js');
+      const book = new RecipeBook({ dirs: [SHIPPED_DIR] });
+      const { problems } = book.load();
       const required = ['addy.io','app.simplelogin.io','account.mullvad.net','notion.so','figma.com'];
-      return required.every(d => src.includes(`'${d}'`));
+      return !problems.length && required.every(d => book.for(d)) && book.for('www.notion.so') === book.for('notion.so');
     },
   },
   {
@@ -106,6 +107,1084 @@ const SMOKE_TESTS = [
       return required.every(d => src.includes(d));
     },
   },
+  {
+    name: 'Store encryption round-trips and rejects a wrong passphrase',
+    run: async () => {
+      const { deriveKey, seal, unseal, newSalt } = await import('../src/crypto.js');
+      const salt = newSalt();
+      const blob = seal(deriveKey('correct horse', salt), salt, Buffer.from('alias map'));
+      const back = unseal(deriveKey('correct horse', salt), blob).toString();
+      try { unseal(deriveKey('wrong horse', salt), blob); return false; } catch {}
+      return back === 'alias map' && !blob.includes(Buffer.from('alias map'));
+    },
+  },
+  {
+    name: 'Sealed store keeps writes from two processes with it open',
+    run: async () => {
+      const { mkdtempSync, existsSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore } = await import('../src/context.js');
+      const server = new ContextStore();
+      await server.init();
+      await server.lock('correct horse');
+      const cli = new ContextStore();
+      await cli.init({ passphrase: 'correct horse' });
+
+      await server.create({ name: 'amber-circuit' });
+      await cli.create({ name: 'cobalt-harbor' });           // opened before amber-circuit existed
+      const seen  = (await server.list()).map(c => c.name).sort().join();
+      const stale = await cli.find('amber-circuit');
+      await server.update('amber-circuit', { notes: 'from the server' });
+      let conflict = null;
+      try { await cli.update('amber-circuit', { notes: 'from the cli' }, { version: stale.version }); } catch (e) { conflict = e.code; }
+
+      const fresh = new ContextStore();
+      await fresh.init({ passphrase: 'correct horse' });
+      return seen === 'amber-circuit,cobalt-harbor' && conflict === 'ESTALE'
+        && (await fresh.list()).length === 2 && (await fresh.find('amber-circuit')).notes === 'from the server'
+        && !existsSync(`${fresh.sealedPath}.lock`);
+    },
+  },
+  {
+    name: 'Unlock agent hands the key to later commands and keeps it off disk',
+    run: async () => {
+      const { mkdtempSync, readdirSync, readFileSync, statSync } = await import('fs');
+      const { tmpdir, homedir } = await import('os');
+      const { join, dirname }   = await import('path');
+      const { randomBytes }     = await import('crypto');
+      const { saveSession, loadSession, clearSession, socketFor } = await import('../src/agent.js');
+      const sealed = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db.enc');
+      const key    = randomBytes(32);
+      await saveSession(sealed, key, 1);
+      try {
+        const held  = await loadSession(sealed);
+        const other = await loadSession(`${sealed}.other`);
+        const dir   = dirname(socketFor(sealed));
+        const onDisk = [join(homedir(), '.pane'), dir].flatMap(d => readdirSync(d).map(f => join(d, f)))
+          .filter(f => statSync(f).isFile())
+          .some(f => readFileSync(f).includes(key) || readFileSync(f, 'utf8').includes(key.toString('hex')));
+        const mode = statSync(dir).mode & 0o777;
+        return held?.equals(key) && other === null && !onDisk && mode === 0o700
+          && await clearSession(sealed) && (await loadSession(sealed)) === null;
+      } finally {
+        await clearSession(sealed);
+      }
+    },
+  },
+  {
+    name: 'Local alias provider creates, disables, lists and deletes',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      process.env.PANE_LOCAL_ALIAS_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'aliases.json');
+      const { AliasService } = await import('../src/alias.js');
+      const alias = new AliasService('local');
+      const { id, email } = await alias.create({ name: 'amber-circuit' });
+      await alias.disable(id);
+      const listed = await alias.list();
+      await alias.delete(id);
+      return email.startsWith('amber-circuit.') && listed.length === 1 && listed[0].active === false
+        && (await alias.list()).length === 0;
+    },
+  },
+  {
+    name: 'Sandbox card issuer approves within limit and declines when frozen',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      process.env.PANE_SANDBOX_CARDS_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'cards.json');
+      const { CardService } = await import('../src/card.js');
+      const card = new CardService('sandbox');
+      const { token } = await card.create({ memo: 'amber-circuit', spend_limit: 0 });
+      const overLimit = await card.backend.authorize(token, { amount: 999, merchant: 'NOTION LABS' });
+      await card.setLimit(token, 1200);
+      const approved  = await card.backend.authorize(token, { amount: 999, merchant: 'NOTION LABS' });
+      await card.freeze(token);
+      const paused    = await card.backend.authorize(token, { amount: 100, merchant: 'NOTION LABS' });
+      return overLimit.result === 'USER_TRANSACTION_LIMIT' && approved.result === 'APPROVED'
+        && paused.result === 'CARD_PAUSED' && (await card.transactions(token)).length === 3;
+    },
+  },
+  {
+    name: 'Envelope provisioning rolls back the alias when the card fails',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_LOCAL_ALIAS_PATH = join(dir, 'aliases.json');
+      process.env.PANE_DB_PATH          = join(dir, 'contexts.db');
+      const { AliasService }     = await import('../src/alias.js');
+      const { ContextStore }     = await import('../src/context.js');
+      const { ProvisionService } = await import('../src/provision.js');
+      const alias = new AliasService('local');
+      const store = new ContextStore();
+      await store.init();
+      const card = { create: async () => { throw new Error('issuer down'); } };
+      const provision = new ProvisionService({ alias, card, store });
+      try { await provision.envelope({ name: 'amber-circuit', identity: {} }); return false; } catch {}
+      return (await alias.list()).length === 0 && (await store.tracked()).length === 0;
+    },
+  },
+  {
+    name: 'Reconcile prunes only pane-labelled leftovers and rolls back only stalled provisioning',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_LOCAL_ALIAS_PATH   = join(dir, 'aliases.json');
+      process.env.PANE_SANDBOX_CARDS_PATH = join(dir, 'cards.json');
+      process.env.PANE_DB_PATH            = join(dir, 'contexts.db');
+      const { AliasService }     = await import('../src/alias.js');
+      const { CardService }      = await import('../src/card.js');
+      const { ContextStore }     = await import('../src/context.js');
+      const { ProvisionService, labelFor } = await import('../src/provision.js');
+      const alias = new AliasService('local');
+      const card  = new CardService('sandbox');
+      const store = new ContextStore();
+      await store.init();
+      const provision = new ProvisionService({ alias, card, store });
+
+      await provision.envelope({ name: 'amber-circuit', identity: {} });
+      await store.create({ name: 'newsletters' });      // a context named like the user's own alias
+      const leftover = await alias.create({ name: 'old-seed', description: labelFor('old-seed') });
+      await alias.create({ name: 'newsletters', description: 'my own alias' });
+      await card.create({ memo: labelFor('old-seed') });
+      await card.create({ memo: 'groceries' });
+      await store.insertPending({ name: 'fresh-start' });
+      await store.insertPending({ name: 'crashed-run', createdAt: new Date(Date.now() - 3600_000).toISOString() });
+      const crashed = await alias.create({ name: 'crashed-run', description: labelFor('crashed-run') });
+      await store.recordPending('crashed-run', { aliasId: crashed.id, aliasEmail: crashed.email });
+
+      const listed = await provision.reconcile();
+      const r      = await provision.reconcile({ fix: true, prune: true });
+      const aliases = (await alias.list()).map(a => a.description);
+      const cards   = (await card.list()).filter(k => k.state !== 'CLOSED').map(k => k.memo);
+      await alias.create({ name: 'mine', description: 'newsletters' });
+      await card.create({ memo: 'newsletters' });
+      const clash = await provision.reconcile();
+      await provision.reconcile({ prune: true });
+      const kept  = (await alias.list()).some(a => a.description === 'newsletters')
+        && (await card.list()).some(k => k.memo === 'newsletters' && k.state !== 'CLOSED');
+      return listed.untrackedAliases.filter(a => a.pane).length === 1 && listed.untrackedAliases.length === 2
+        && clash.untrackedAliases.every(a => !a.pane) && clash.untrackedCards.every(k => !k.pane) && kept
+        && listed.stalled.map(s => s.name).join() === 'crashed-run' && listed.inFlight.map(s => s.name).join() === 'fresh-start'
+        && r.fixed.some(f => f.name === 'crashed-run' && f.ok) && r.fixed.some(f => f.alias === leftover.email && f.ok)
+        && aliases.includes('my own alias') && !aliases.includes(labelFor('old-seed')) && !aliases.includes(labelFor('crashed-run'))
+        && cards.includes('groceries') && !cards.includes(labelFor('old-seed'))
+        && (await store.pending()).map(p => p.name).join() === 'fresh-start';
+    },
+  },
+  {
+    name: 'Maildir inbox matches forwarded mail to its alias and original sender',
+    run: async () => {
+      const { fileURLToPath } = await import('url');
+      process.env.PANE_MAILDIR = fileURLToPath(new URL('./fixtures/maildir', import.meta.url));
+      const { InboxService } = await import('../src/inbox.js');
+      const msgs = await new InboxService('maildir').read({ aliasEmail: 'frost-ridge@alias.example' });
+      return msgs.length === 2
+        && msgs[0].from === 'offers@spammy-broker.biz' && msgs[0].subject.startsWith("You've been selected")
+        && msgs[0].body.includes('€500') && !msgs[0].body.includes('https://')
+        && msgs[1].from_domain === 'makenotion.com' && msgs[1].body.includes('workspace is ready');
+    },
+  },
+  {
+    name: 'Mail sanitizer drops pixels, proxies images and unwraps click-trackers',
+    run: async () => {
+      const { sanitizeHtml } = await import('../src/sanitize.js');
+      const proxy = { url: u => `http://127.0.0.1:3142/img/x?u=${encodeURIComponent(u)}` };
+      const { html, removed } = sanitizeHtml(`
+        <p onclick="x()">Hi</p><script>track()</script>
+        <img src="https://cdn.example.com/logo.png" width="120">
+        <img src="https://t.example.com/o.gif" width="1" height="1">
+        <img src="https://acme.list-manage.com/track/open.php?u=1">
+        <a href="https://links.example.com/c?url=https%3A%2F%2Fshop.example%2F%3Futm_source%3Dmail">Shop</a>`, { proxy });
+      return !/script|onclick|o\.gif|list-manage|utm_source/.test(html)
+        && html.includes('127.0.0.1:3142/img/') && html.includes('href="https://shop.example/"')
+        && removed.trackers.length === 2 && removed.images_proxied === 1 && removed.links_unwrapped.length === 1;
+    },
+  },
+  {
+    name: 'Mail sanitizer drops styles that can load anything, escaped or not',
+    run: async () => {
+      const { sanitizeHtml } = await import('../src/sanitize.js');
+      const { html, removed } = sanitizeHtml(`
+        <div style="background:\\75 rl(https://t.example/a.gif)">a</div>
+        <div style="background:u\\rl(https://t.example/b.gif)">b</div>
+        <div style="background-image:image-set('https://t.example/c.gif' 1x)">c</div>
+        <div style="background:ur/**/l(https://t.example/d.gif)">d</div>
+        <div style="color:#333;font-weight:bold">e</div>`);
+      return !html.includes('t.example') && html.includes('style="color:#333;font-weight:bold"')
+        && removed.attributes === 4;
+    },
+  },
+  {
+    name: 'Image proxy refuses loopback and private hosts, by address or by name',
+    run: async () => {
+      const { createServer } = await import('http');
+      const { ImageProxy }   = await import('../src/imageproxy.js');
+      let hits = 0;
+      const origin = createServer((req, res) => { hits++; res.writeHead(200, { 'Content-Type': 'image/png' }); res.end('png'); });
+      await new Promise(r => origin.listen(0, '127.0.0.1', r));
+      const { port } = origin.address();
+      const proxy = new ImageProxy({ port: 0 });
+      const get = async remote => {
+        const local = new URL(proxy.url(remote));
+        const res   = { status: 0, body: '', writeHead(s) { this.status = s; }, end(b = '') { this.body = String(b); } };
+        await proxy.handle({ method: 'GET', url: local.pathname + local.search }, res);
+        return res;
+      };
+      try {
+        const byAddress = await get(`http://127.0.0.1:${port}/logo-${Date.now()}.png`);
+        const byName    = await get(`http://localhost:${port}/logo-${Date.now()}.png`);
+        const metadata  = await get('http://169.254.169.254/latest/meta-data/');
+        return [byAddress, byName, metadata].every(r => r.status === 502 && /not a public address/.test(r.body)) && hits === 0;
+      } finally {
+        origin.close();
+      }
+    },
+  },
+  {
+    name: 'Breach scorer trusts sister domains and ESPs, flags late unexpected senders',
+    run: async () => {
+      const { BreachScorer } = await import('../src/breach.js');
+      const scorer = new BreachScorer({});
+      const ctx = { name: 'notion', enrollUrl: 'https://www.notion.so/signup', createdAt: '2026-09-01T00:00:00Z' };
+      const now = new Date('2026-10-01T00:00:00Z');
+      const msg = (from_domain, subject = 'Your workspace') => ({ from_domain, subject, preview: '', date: '2026-09-30T12:00:00Z' });
+      const clean = scorer.score(ctx, [msg('makenotion.com'), msg('mail.notion.so'), msg('sendgrid.net')], { now });
+      const leak  = scorer.score(ctx, [msg('makenotion.com'), msg('broker.biz', 'Claim your reward'), msg('deals.example')],
+        { now, firstSeen: { 'broker.biz': '2026-09-20T00:00:00Z' } });
+      return clean.level === 'clean' && clean.unexpected_senders.length === 0
+        && leak.level === 'breach' && leak.unexpected_senders.length === 2
+        && ['unexpected_sender', 'late_first_seen', 'spam_content'].every(s => leak.evidence.some(e => e.signal === s));
+    },
+  },
+  {
+    name: 'Sender history is idempotent and the timeline marks unexpected first sightings',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore } = await import('../src/context.js');
+      const { BreachScorer } = await import('../src/breach.js');
+      const store = new ContextStore();
+      await store.init();
+      await store.create({ name: 'frost-ridge', aliasEmail: 'frost-ridge@alias.example', enrollUrl: 'https://www.notion.so/signup', createdAt: '2026-09-01T00:00:00Z' });
+      const inbox = { read: async () => [
+        { id: '<1@notion>',  date: '2026-09-01T00:05:00Z', from: 'team@makenotion.com', from_domain: 'makenotion.com', subject: 'Welcome', preview: '' },
+        { id: '<2@broker>',  date: '2026-09-20T00:00:00Z', from: 'ads@partnerads.net',  from_domain: 'partnerads.net', subject: 'Offer',   preview: '' },
+      ] };
+      const scorer = new BreachScorer({ inbox, store });
+      await scorer.assess(await store.get('frost-ridge'));
+      const { events } = await scorer.timeline(await store.get('frost-ridge'));
+      const broker = events.find(e => e.domain === 'partnerads.net');
+      return (await store.history('frost-ridge')).length === 2
+        && events[0].event === 'created' && broker.expected === false && broker.days_after_enrollment === 19
+        && events.find(e => e.domain === 'makenotion.com').messages === 1;
+    },
+  },
+  {
+    name: 'Watch freezes on an unexpected merchant once and logs it once',
+    run: async () => {
+      const { mkdtempSync, readFileSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_WATCH_LOG = join(mkdtempSync(join(tmpdir(), 'pane-')), 'watch.log');
+      const { WatchService } = await import('../src/watch.js');
+      const frozen = [];
+      const ctx    = { name: 'frost-ridge', cardToken: 'card_1', enrollUrl: 'https://www.notion.so/signup', watchPolicy: { onCharge: 'freeze' } };
+      const deps   = {
+        store:   { list: async () => [ctx] },
+        breach:  { assess: async () => ({ level: 'clean' }) },
+        card:    { freeze: async token => { frozen.push(token); } },
+        trials:  { view: () => null },
+        charges: { review: async () => ({ alerts: [
+          { type: 'merchant_mismatch', token: 't2', detail: 'SHADY CASINO · $9.00 — not www.notion.so' },
+          { type: 'declined',          token: 't2', detail: 'SHADY CASINO · $9.00 declined (USER_TRANSACTION_LIMIT)' },
+        ] }) },
+      };
+      const first  = await new WatchService(deps).poll();
+      const second = await new WatchService(deps).poll();   // fresh instance: dedupe comes from the log
+      const log    = readFileSync(process.env.PANE_WATCH_LOG, 'utf8').trim().split('\n');
+      delete process.env.PANE_WATCH_LOG;
+      return first.length === 2 && first[0].action === 'frozen' && first[1].action === 'notified' && second.length === 0
+        && frozen.length === 1 && log.length === 2;
+    },
+  },
+  {
+    name: 'Watch disables only the alias on a breach — the context keeps its status and card',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_WATCH_LOG = join(mkdtempSync(join(tmpdir(), 'pane-')), 'watch.log');
+      const { WatchService } = await import('../src/watch.js');
+      const calls = [];
+      const ctx   = { name: 'frost-ridge', aliasId: 'a1', aliasEmail: 'frost@alias.example', cardToken: 'card_1', watchPolicy: { onBreach: 'disable' } };
+      const deps  = {
+        alias:   { disable: async id => { calls.push(`disable ${id}`); } },
+        store:   { list: async () => [ctx], markExpiring: async () => { calls.push('expiring'); } },
+        breach:  { assess: async () => ({ level: 'breach', score: 70, unexpected_senders: ['pharma.example'], evidence: [{ detail: 'pharma.example is not the enrolled service' }] }) },
+        card:    { freeze: async () => { calls.push('freeze'); }, close: async () => { calls.push('close'); } },
+        trials:  { view: () => null },
+        charges: { review: async () => { calls.push('charges'); return { alerts: [] }; } },
+      };
+      const [entry] = await new WatchService(deps).poll();
+      delete process.env.PANE_WATCH_LOG;
+      return entry.action === 'disabled' && !('purge_at' in entry)
+        && calls.join() === 'disable a1,charges';
+    },
+  },
+  {
+    name: 'Charge monitor syncs from a stand-in Privacy.com API and flags mismatch, decline and limit',
+    run: async () => {
+      const { createServer } = await import('http');
+      const { mkdtempSync }  = await import('fs');
+      const { tmpdir }       = await import('os');
+      const { join }         = await import('path');
+      const txns = [
+        { token: 'tx3', amount: 900,  merchant: { descriptor: 'NOTION LABS' },  status: 'SETTLED',  result: 'APPROVED',               created: '2026-10-01T00:00:00Z' },
+        { token: 'tx2', amount: 1500, merchant: { descriptor: 'SHADY CASINO' }, status: 'DECLINED', result: 'USER_TRANSACTION_LIMIT', created: '2026-09-15T00:00:00Z' },
+        { token: 'tx1', amount: 800,  merchant: { descriptor: 'NOTION LABS' },  status: 'SETTLED',  result: 'APPROVED',               created: '2026-09-01T00:00:00Z' },
+      ];
+      const api = createServer((req, res) => {
+        const u = new URL(req.url, 'http://x');
+        const body = req.headers.authorization !== 'api-key test' ? null
+                   : u.pathname === '/v1/card'        ? { data: [{ token: 'card_1', last_four: '4242', memo: 'frost-ridge', state: 'OPEN', spend_limit: 1000 }] }
+                   : u.pathname === '/v1/transaction' ? { data: txns }
+                   : null;
+        res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body || {}));
+      });
+      await new Promise(r => api.listen(0, '127.0.0.1', r));
+      process.env.PRIVACY_API_URL = `http://127.0.0.1:${api.address().port}/v1`;
+      process.env.PRIVACY_API_KEY = 'test';
+      process.env.PANE_DB_PATH    = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      try {
+        const { CardService }   = await import('../src/card.js');
+        const { ContextStore }  = await import('../src/context.js');
+        const { ChargeMonitor } = await import('../src/charges.js');
+        const store = new ContextStore();
+        await store.init();
+        const ctx = { name: 'frost-ridge', cardToken: 'card_1', cardLast4: '4242', enrollUrl: 'https://www.notion.so/signup' };
+        const r = await new ChargeMonitor({ card: new CardService('privacy'), store }).review(ctx);
+        const types = r.alerts.map(a => a.type).sort().join(',');
+        return r.spend_limit === 1000 && (await store.charges('frost-ridge')).length === 3
+          && types === 'declined,merchant_mismatch,near_limit'
+          && r.recurring[0].cadence === 'monthly' && r.recurring[0].projected === 1000;
+      } finally {
+        api.close();
+        delete process.env.PRIVACY_API_URL;
+        delete process.env.PRIVACY_API_KEY;
+      }
+    },
+  },
+  {
+    name: 'Trial moves running → due → converted and watch zeroes the card once',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_WATCH_LOG = join(mkdtempSync(join(tmpdir(), 'pane-')), 'watch.log');
+      const { TrialTracker } = await import('../src/trials.js');
+      const { WatchService } = await import('../src/watch.js');
+      const ctx    = { name: 'amber-circuit', cardToken: 'card_1', trial: { ends: '2026-11-01T00:00:00Z', amount: 1600, cadence: 'monthly', action: 'zero', leadDays: 2 } };
+      const trials = new TrialTracker({ store: null });
+      const at     = d => trials.view(ctx, { now: new Date(d) }).status;
+      const limits = [];
+      const deps   = {
+        store:   { list: async () => [ctx] },
+        breach:  { assess: async () => ({ level: 'clean' }) },
+        charges: { review: async () => ({ alerts: [] }) },
+        card:    { setLimit: async (token, cents) => { limits.push(cents); } },
+        trials:  { view: c => trials.view(c, { now: new Date('2026-10-31T00:00:00Z') }) },
+      };
+      const first  = await new WatchService(deps).poll();
+      const second = await new WatchService(deps).poll();
+      delete process.env.PANE_WATCH_LOG;
+      return at('2026-10-20') === 'running' && at('2026-10-30T12:00:00Z') === 'due' && at('2026-11-02') === 'converted'
+        && first.length === 1 && first[0].action === 'zeroed' && second.length === 0 && limits.join() === '0';
+    },
+  },
+  {
+    name: 'Credential vault seals logins per context and computes RFC 6238 codes',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_DB_PATH        = join(dir, 'contexts.db');
+      process.env.PANE_VAULT_KEY_PATH = join(dir, 'vault.key');
+      const { ContextStore } = await import('../src/context.js');
+      const { CredentialVault, totpCode } = await import('../src/vault.js');
+      const store = new ContextStore();
+      await store.init();
+      const vault = new CredentialVault({ store });
+      await vault.set('amber-circuit', { username: 'jordan481', password: 'hunter2-but-longer' });
+      await vault.set('amber-circuit', { totp: 'otpauth://totp/x?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', answer: { question: 'First pet?', answer: 'Rex' } });
+      const creds = await vault.get('amber-circuit');
+      const blob  = await store.credentials('amber-circuit');
+      delete process.env.PANE_VAULT_KEY_PATH;
+      return creds.password === 'hunter2-but-longer' && creds.answers[0].answer === 'Rex'
+        && !blob.includes('hunter2')
+        && totpCode(creds.totp, 59_000).code === '287082';   // RFC 6238 appendix B, T = 59
+    },
+  },
+  {
+    name: '2FA secret is read from a QR screenshot with its otpauth parameters',
+    run: async () => {
+      const { readQr }    = await import('../src/qr.js');
+      const { parseTotp, totpCode } = await import('../src/vault.js');
+      const totp   = parseTotp(readQr(new URL('./fixtures/otp-qr.png', import.meta.url).pathname));
+      const sha256 = parseTotp('otpauth://totp/x?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA&algorithm=SHA256&digits=8');
+      return totp.secret === 'JBSWY3DPEHPK3PXP' && totp.issuer === 'Acme' && totp.account === 'amber-circuit@alias.example'
+        && totpCode(sha256, 59_000).code === '46119246';   // RFC 6238 appendix B, SHA-256
+    },
+  },
+  {
+    name: 'Bundle export / import round-trips contexts, tombstones and credentials, renaming clashes',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const { ContextStore }    = await import('../src/context.js');
+      const { CredentialVault } = await import('../src/vault.js');
+      const { BundleService }   = await import('../src/bundle.js');
+      const machine = async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+        process.env.PANE_DB_PATH        = join(dir, 'contexts.db');
+        process.env.PANE_VAULT_KEY_PATH = join(dir, 'vault.key');
+        process.env.PANE_SCREENSHOT_DIR = join(dir, 'screenshots');
+        const store = new ContextStore();
+        await store.init();
+        const vault = new CredentialVault({ store });
+        return { store, vault, bundle: new BundleService({ store, vault }) };
+      };
+
+      const a = await machine();
+      await a.store.create({ name: 'frost-ridge', aliasEmail: 'frost@alias.example', cardToken: 'card_1' });
+      await a.store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example', cardToken: 'card_2' });
+      await a.store.recordMessages('amber-circuit', [{ date: '2026-10-01T00:00:00Z', from: 'hi@notion.so', domain: 'notion.so', subject: 'Welcome' }]);
+      await a.store.tombstone('amber-circuit');
+      await a.vault.set('frost-ridge', { username: 'jordan481', password: 'hunter2-but-longer' });
+      const { blob } = await a.bundle.export('correct horse');
+
+      const b = await machine();
+      await b.store.create({ name: 'frost-ridge', aliasEmail: 'other@alias.example', cardToken: 'card_9' });
+      await b.store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example', cardToken: 'card_2' });
+      const wrong = await b.bundle.import(blob, 'wrong horse').then(() => false, e => /passphrase/.test(e.message));
+      const first = await b.bundle.import(blob, 'correct horse', { onConflict: 'rename' });
+      const again = await b.bundle.import(blob, 'correct horse', { onConflict: 'rename' });
+      const creds = await b.vault.get('frost-ridge-2');
+      const amber = await b.store.row('amber-circuit');
+      const mail  = await b.store.history('amber-circuit');
+      ['PANE_VAULT_KEY_PATH', 'PANE_SCREENSHOT_DIR'].forEach(k => delete process.env[k]);
+      return wrong && first.renamed[0]?.to === 'frost-ridge-2' && first.merged.join() === 'amber-circuit'
+        && again.renamed.length === 0 && again.merged.length === 2
+        && creds?.password === 'hunter2-but-longer' && !(await b.vault.get('frost-ridge'))
+        && amber.status === 'expired' && JSON.stringify(mail).includes('Welcome');
+    },
+  },
+  {
+    name: 'Pre-versioning store is backed up and migrated; a newer schema is refused',
+    run: async () => {
+      const { mkdtempSync, existsSync } = await import('fs');
+      const { createRequire } = await import('module');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const { ContextStore }   = await import('../src/context.js');
+      const { SCHEMA_VERSION } = await import('../src/migrations.js');
+      const Database = createRequire(import.meta.url)('better-sqlite3');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_DB_PATH = join(dir, 'contexts.db');
+      const legacy = new Database(process.env.PANE_DB_PATH);
+      legacy.exec(`CREATE TABLE contexts (name TEXT PRIMARY KEY, alias_email TEXT, alias_id TEXT, card_token TEXT, card_last4 TEXT,
+        identity TEXT, enroll_url TEXT, status TEXT DEFAULT 'active', created_at TEXT, expired_at TEXT, purge_at TEXT)`);
+      legacy.prepare(`INSERT INTO contexts (name, alias_email, identity) VALUES ('frost-ridge', 'frost@alias.example', '{}')`).run();
+      legacy.close();
+
+      const store = new ContextStore();
+      await store.init({ migrate: false });
+      const before = store.pendingMigrations().length;
+      const r = await store.migrate();
+      await store.setTrial('frost-ridge', { ends: '2026-11-01T00:00:00Z' });
+      const ctx = await store.get('frost-ridge');
+      const again = await store.migrate();
+      store.db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, 'from the future', '')`).run(SCHEMA_VERSION + 1);
+      const refused = await new ContextStore().init().then(() => false, e => /upgrade pane/.test(e.message));
+      return before === SCHEMA_VERSION && r.from === 0 && r.to === SCHEMA_VERSION && existsSync(r.backup)
+        && ctx.aliasEmail === 'frost@alias.example' && ctx.trial?.ends === '2026-11-01T00:00:00Z'
+        && again.applied.length === 0 && refused;
+    },
+  },
+  {
+    name: 'Locking a migrated store leaves no plaintext copy behind, backups included',
+    run: async () => {
+      const { mkdtempSync, readdirSync, readFileSync } = await import('fs');
+      const { createRequire } = await import('module');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const { ContextStore } = await import('../src/context.js');
+      const { unseal, deriveKey, saltOf } = await import('../src/crypto.js');
+      const Database = createRequire(import.meta.url)('better-sqlite3');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_DB_PATH = join(dir, 'contexts.db');
+      const legacy = new Database(process.env.PANE_DB_PATH);
+      legacy.exec(`CREATE TABLE contexts (name TEXT PRIMARY KEY, alias_email TEXT, alias_id TEXT, card_token TEXT, card_last4 TEXT,
+        identity TEXT, enroll_url TEXT, status TEXT DEFAULT 'active', created_at TEXT, expired_at TEXT, purge_at TEXT)`);
+      legacy.prepare(`INSERT INTO contexts (name, alias_email, identity) VALUES ('frost-ridge', 'frost@alias.example', '{}')`).run();
+      legacy.close();
+
+      const store = new ContextStore();
+      await store.init();                      // migrates, writing contexts.db.v0.bak
+      await store.lock('correct horse');
+      const files = readdirSync(dir);
+      const leaks = files.filter(f => readFileSync(join(dir, f)).includes('frost@alias.example'));
+      const bak   = readFileSync(join(dir, 'contexts.db.enc.v0.bak'));
+      const image = unseal(deriveKey('correct horse', saltOf(bak)), bak);
+      return !leaks.length && !files.includes('contexts.db.v0.bak') && image.includes('frost@alias.example');
+    },
+  },
+  {
+    name: 'Store updates only the fields given, rejects stale versions and implicit status changes',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore } = await import('../src/context.js');
+      const store = new ContextStore();
+      await store.init();
+      const fails = (p, re) => p.then(() => false, e => re.test(e.code || e.message));
+
+      // pane_create_alias then pane_create_card
+      const made = await store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example', aliasId: 'a1', identity: { first_name: 'Jordan' } });
+      await store.markExpiring('amber-circuit', '2026-11-01T00:00:00Z');
+      const carded = await store.upsert('amber-circuit', { cardToken: 'card_1', cardLast4: '4242' });
+      const stale  = await fails(store.update('amber-circuit', { cardLast4: '0000' }, { version: made.version }), /ESTALE/);
+      const status = await fails(store.update('amber-circuit', { status: 'active' }), /transition/);
+      const burned = await store.tombstone('amber-circuit');
+      const back   = await fails(store.transition('amber-circuit', 'expired', 'active'), /can't go/);
+      const ctx    = await store.find('amber-circuit');
+      return carded.aliasEmail === 'amber@alias.example' && carded.aliasId === 'a1' && carded.createdAt === made.createdAt
+        && carded.identity.first_name === 'Jordan' && carded.status === 'expiring' && carded.version === made.version + 2
+        && stale && status && burned && back && ctx.status === 'expired' && ctx.cardLast4 === '4242' && ctx.expiredAt;
+    },
+  },
+  {
+    name: 'Expiry pauses mail and card, restores only inside the grace window and sweeps what is due',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      process.env.PANE_EXPIRE_GRACE_HOURS = '1';
+      const { ContextStore }  = await import('../src/context.js');
+      const { ExpiryService } = await import('../src/expiry.js');
+      const store = new ContextStore();
+      await store.init();
+      const calls = [];
+      const log   = (...names) => Object.fromEntries(names.map(n => [n, async id => {
+        if (id === 'a-stuck' && n === 'delete') throw new Error('provider down');
+        calls.push(`${n} ${id}`);
+      }]));
+      const expiry = new ExpiryService({ alias: log('disable', 'enable', 'delete'), card: log('freeze', 'unfreeze', 'close'), store });
+      delete process.env.PANE_EXPIRE_GRACE_HOURS;
+      for (const [name, aliasId, cardToken] of [['amber-circuit', 'a1', 'c1'], ['frost-lantern', 'a2'], ['cedar-vault', 'a3', 'c3'], ['dune-relay', 'a-stuck']]) {
+        await store.create({ name, aliasId, cardToken });
+      }
+
+      const begun = await expiry.begin(await store.get('amber-circuit'));
+      const inHour = Math.abs(Date.parse(begun.purgeAt) - Date.now() - 3_600_000) < 60_000;
+      const paused = calls.join() === 'disable a1,freeze c1';
+      await expiry.restore('amber-circuit');
+      const amber  = await store.get('amber-circuit');
+      const undone = calls.join() === 'disable a1,freeze c1,enable a1,unfreeze c1';
+
+      await expiry.begin(await store.get('frost-lantern'));
+      // cedar-vault and dune-relay started expiring a while ago
+      await store.markExpiring('cedar-vault', '2026-01-01T00:00:00.000Z');
+      await store.markExpiring('dune-relay', '2026-01-01T00:00:00.000Z');
+      calls.length = 0;
+      const late   = await expiry.restore('cedar-vault').then(() => false, e => /grace window/.test(e.message));
+      const direct = await store.restore('cedar-vault');
+      const swept  = await expiry.sweep();
+      const status = async name => (await store.find(name)).status;
+      return begun.status === 'expiring' && inHour && paused
+        && amber.status === 'active' && amber.purgeAt === null && undone
+        && late && direct === false
+        && JSON.stringify(swept.map(r => [r.name, r.ok])) === '[["cedar-vault",true],["dune-relay",false]]'
+        && calls.join() === 'delete a3,close c3'
+        && await status('cedar-vault') === 'expired' && await status('dune-relay') === 'expiring'
+        && await status('frost-lantern') === 'expiring';
+    },
+  },
+  {
+    name: 'Expiry starts only on active contexts and undoes its steps when one fails',
+    run: async () => {
+      const { ExpiryService } = await import('../src/expiry.js');
+      const calls = [];
+      const step  = (name, fail) => async id => { calls.push(`${name} ${id}`); if (fail) throw new Error(`${name} failed`); };
+      const make  = ({ freezeFails = false, stored = true } = {}) => new ExpiryService({
+        alias: { disable: step('disable'), enable: step('enable') },
+        card:  { freeze: step('freeze', freezeFails), unfreeze: step('unfreeze') },
+        store: { markExpiring: async () => stored },
+      });
+      const ctx   = { name: 'amber-circuit', status: 'active', aliasId: 'a1', cardToken: 'c1' };
+      const fails = p => p.then(() => false, () => true);
+
+      const notActive = await fails(make().begin({ ...ctx, status: 'expiring' }));
+      const untouched = calls.length === 0;
+      const freeze = await fails(make({ freezeFails: true }).begin(ctx));
+      const afterFreeze = calls.splice(0).join();
+      const raced  = await fails(make({ stored: false }).begin(ctx));
+      return notActive && untouched
+        && freeze && afterFreeze === 'disable a1,freeze c1,enable a1'
+        && raced && calls.join() === 'disable a1,freeze c1,enable a1,unfreeze c1';
+    },
+  },
+  {
+    name: 'Sweep burns a context whose alias and card are already gone at the provider',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_DB_PATH            = join(dir, 'contexts.db');
+      process.env.PANE_LOCAL_ALIAS_PATH   = join(dir, 'aliases.json');
+      process.env.PANE_SANDBOX_CARDS_PATH = join(dir, 'cards.json');
+      const { ContextStore }  = await import('../src/context.js');
+      const { AliasService }  = await import('../src/alias.js');
+      const { CardService }   = await import('../src/card.js');
+      const { ExpiryService } = await import('../src/expiry.js');
+      const store = new ContextStore();
+      await store.init();
+      const alias = new AliasService('local');
+      const card  = new CardService('sandbox');
+      const a = await alias.create({ name: 'amber-circuit' });
+      const c = await card.create({ memo: 'amber-circuit', spend_limit: 0 });
+      await store.create({ name: 'amber-circuit', aliasId: a.id, cardToken: c.token });
+      await store.markExpiring('amber-circuit', '2026-01-01T00:00:00.000Z');
+      // Deleted and closed by hand at the provider in the meantime
+      await alias.delete(a.id);
+      await card.close(c.token);
+
+      const swept = await new ExpiryService({ alias, card, store }).sweep();
+      return swept.length === 1 && swept[0].ok && (await store.find('amber-circuit')).status === 'expired';
+    },
+  },
+  {
+    name: 'Envelope query filters by lifecycle, health, domain, text, dates and card',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore }  = await import('../src/context.js');
+      const { EnvelopeQuery } = await import('../src/query.js');
+      const store = new ContextStore();
+      await store.init();
+      await store.create({ name: 'frost-ridge',   aliasEmail: 'frost@alias.example', enrollUrl: 'https://www.notion.so/signup', cardToken: 'c1', createdAt: '2026-06-01T00:00:00Z' });
+      await store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example', enrollUrl: 'https://figma.com/signup', createdAt: '2026-10-01T00:00:00Z' });
+      await store.create({ name: 'cedar-vault',   aliasEmail: 'cedar@alias.example', enrollUrl: 'https://notion.so/signup', createdAt: '2026-07-01T00:00:00Z' });
+      await store.tombstone('cedar-vault');
+      const breach = { assess: async ctx => ({ level: ctx.name === 'amber-circuit' ? 'warning' : 'clean', score: 0 }) };
+      const q   = new EnvelopeQuery({ store, breach });
+      const now = new Date('2026-10-19T00:00:00Z');
+      const names = async f => (await q.run(f, { now })).map(c => c.name).join();
+      return await names({}) === 'amber-circuit,frost-ridge'
+        && await names({ status: 'expired', domain: 'notion' }) === 'cedar-vault'
+        && await names({ status: 'all', domain: 'notion' }) === 'cedar-vault,frost-ridge'
+        && await names({ status: 'warning' }) === 'amber-circuit'
+        && await names({ search: 'FROST signup' }) === 'frost-ridge'
+        && await names({ until: '90d', status: 'all' }) === 'cedar-vault,frost-ridge'
+        && await names({ since: '2026-09-01' }) === 'amber-circuit'
+        && await names({ card: false }) === 'amber-circuit';
+    },
+  },
+  {
+    name: 'Tags are normalised and filterable; notes are searchable; folders group',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore } = await import('../src/context.js');
+      const store = new ContextStore();
+      await store.init();
+      await store.create({ name: 'frost-ridge', aliasEmail: 'frost@alias.example', tags: ['#Work-Trials', 'newsletters', 'work-trials'] });
+      await store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example', folder: ' travel ', notes: 'Lisbon hotel booking' });
+      const frost = await store.get('frost-ridge');
+      const names = async f => (await store.query(f)).map(c => c.name).join();
+      const found = [await names({ tag: 'WORK-TRIALS' }), await names({ folder: 'travel' }), await names({ search: ['lisbon'] })];
+      const cleared = await store.update('frost-ridge', { tags: [] });
+      let rejected = false;
+      try { await store.update('amber-circuit', { tags: ['no spaces'] }); } catch { rejected = true; }
+      return frost.tags.join() === 'newsletters,work-trials'
+        && found.join('|') === 'frost-ridge|amber-circuit|amber-circuit'
+        && cleared.tags.length === 0
+        && rejected;
+    },
+  },
+  {
+    name: 'Bulk runner selects by seeds or filters, bounds concurrency and isolates failures',
+    run: async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      process.env.PANE_DB_PATH = join(mkdtempSync(join(tmpdir(), 'pane-')), 'contexts.db');
+      const { ContextStore }  = await import('../src/context.js');
+      const { EnvelopeQuery } = await import('../src/query.js');
+      const { BulkRunner }    = await import('../src/bulk.js');
+      const store = new ContextStore();
+      await store.init();
+      for (const n of ['a', 'b', 'c', 'd', 'e']) {
+        await store.create({ name: n, aliasEmail: `${n}@alias.example`, tags: n < 'd' ? ['old'] : [], createdAt: n < 'd' ? '2026-01-01T00:00:00Z' : undefined });
+      }
+      const query = new EnvelopeQuery({ store, breach: { assess: async () => { throw new Error('not needed'); } } });
+      const bulk  = new BulkRunner({ store, query, concurrency: 2 });
+      const byTag = (await bulk.select({ filters: { tag: 'old', until: '90d' } })).map(c => c.name).sort().join();
+      let unnamed = false, missing = false;
+      try { await bulk.select({}); } catch { unnamed = true; }
+      try { await bulk.select({ seeds: ['a', 'zz'] }); } catch (e) { missing = /zz/.test(e.message); }
+
+      let inFlight = 0, peak = 0;
+      const summary = await bulk.run('test', await bulk.select({ all: true }), async ctx => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(r => setTimeout(r, 10));
+        inFlight--;
+        if (ctx.name === 'b') throw new Error('provider down');
+        if (ctx.name === 'c') return { skipped: 'no card' };
+        return { message: 'done' };
+      });
+
+      // Tombstones and expiring ones: readable by audit, never changed
+      await store.markExpiring('e', '2026-01-01T00:00:00.000Z');
+      await store.tombstone('d');
+      const changing = await bulk.select({ filters: { status: 'expired' } }).then(() => false, e => /Only active/.test(e.message));
+      const reading  = (await bulk.select({ filters: { status: 'expired,expiring' }, anyStatus: true })).map(c => c.name).sort().join();
+      const active   = (await bulk.select({ all: true })).map(c => c.name).sort().join();
+      return byTag === 'a,b,c' && unnamed && missing && peak === 2
+        && changing && reading === 'd,e' && active === 'a,b,c'
+        && summary.total === 5 && summary.ok === 3 && summary.failed === 1 && summary.skipped === 1
+        && summary.results.find(r => r.context === 'b').error === 'provider down';
+    },
+  },
+  {
+    name: 'Recipe validation reports bad steps, off-domain URLs and broken regexes; user recipes win',
+    run: async () => {
+      const { RecipeBook, SHIPPED_DIR, validateRecipe } = await import('../src/recipes.js');
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir }      = await import('os');
+      const { join }        = await import('path');
+      const good = { recipe: 1, domain: 'notion.so', url: 'https://www.notion.so/signup', steps: [{ fill: 'email', selector: '#email' }] };
+      const bad  = validateRecipe({ ...good, url: 'https://evil.example/signup', steps: [{ fill: 'ssn', selector: '#x' }, { wait: { colour: 'red' } }] });
+      const regex = validateRecipe({ ...good, steps: [{ if: { url: '/x' }, then: [{ extract: 'id', selector: 'code', pattern: '(' }] }] });
+
+      const book = new RecipeBook({ dirs: [SHIPPED_DIR, mkdtempSync(join(tmpdir(), 'pane-'))] });
+      book.userDir = book.dirs[1];
+      book.save({ ...good, steps: [{ fill: 'email', selector: 'input[name="mine"]' }] });
+      return !validateRecipe(good).length
+        && bad.some(e => e.includes('steps[0].fill')) && bad.some(e => e.includes('colour'))
+        && regex.length === 1 && regex[0].startsWith('steps[0].then[0].pattern')
+        && book.for('notion.so').steps[0].selector === 'input[name="mine"]';
+    },
+  },
+  {
+    name: 'Wizard steps check their field map; multi-step sites ship as wizards',
+    run: async () => {
+      const { RecipeBook, SHIPPED_DIR, validateRecipe } = await import('../src/recipes.js');
+      const book   = new RecipeBook({ dirs: [SHIPPED_DIR] });
+      const recipe = steps => validateRecipe({ recipe: 1, domain: 'github.com', url: 'https://github.com/signup', steps });
+      const wizard = { wizard: 'button:has-text("Continue")', fields: { email: '#email', username: '#login' }, screens: 4 };
+      const badField   = recipe([{ ...wizard, fields: { ssn: '#ssn' } }]);
+      const badScreens = recipe([{ ...wizard, screens: 0 }]);
+      return !recipe([wizard]).length
+        && badField.some(e => e.includes('unknown key "ssn"')) && badScreens.some(e => e.includes('at least 1'))
+        && ['github.com', 'proton.me', 'account.protonvpn.com'].every(d => book.for(d).steps[0].wizard);
+    },
+  },
+  {
+    name: 'Recorder maps typed values to identity fields with stable selectors, never the values',
+    run: async () => {
+      const { buildRecipe, selectorFor } = await import('../src/recorder.js');
+      const { validateRecipe } = await import('../src/recipes.js');
+      const values = { email: 'jordan.reyes@example.com', first_name: 'Jordan', password: 'hunter2-but-longer' };
+      const events = [
+        { kind: 'click', at: 1, target: { tag: 'button', text: 'Accept all cookies' } },
+        { kind: 'fill',  at: 2, target: { tag: 'input', id: 'email', name: 'email', type: 'email' }, value: values.email },
+        { kind: 'fill',  at: 3, target: { tag: 'input', id: 'email', name: 'email', type: 'email' }, value: values.email },
+        { kind: 'fill',  at: 4, target: { tag: 'input', id: 'radix-1234', autocomplete: 'given-name' }, value: 'Jordan' },
+        { kind: 'fill',  at: 5, target: { tag: 'input', id: ':r2:', type: 'password', placeholder: 'Password' }, value: values.password, frameUrl: 'https://auth.example.com/frame' },
+        { kind: 'fill',  at: 6, target: { tag: 'input', name: 'company' }, value: 'Acme' },
+        { kind: 'click', at: 7, target: { tag: 'button', type: 'submit', text: 'Create account', testAttr: 'data-testid', testId: 'signup' } },
+      ];
+      const { recipe, matched, unmapped } = buildRecipe({ url: 'https://www.example.com/signup?ref=x', events, values,
+        final: { url: 'https://www.example.com/welcome', heading: 'Welcome aboard' } });
+      const json = JSON.stringify(recipe);
+      return !validateRecipe(recipe).length
+        && recipe.steps.map(s => Object.keys(s)[0]).join() === 'fill,fill,fill,submit'
+        && recipe.steps[1].selector === 'input[autocomplete="given-name"]'
+        && recipe.steps[3].submit.startsWith('[data-testid="signup"]')
+        && recipe.frame === 'auth.example.com' && recipe.url === 'https://www.example.com/signup'
+        && matched.every(m => m.by === 'value') && unmapped.length === 1
+        && !json.includes(values.password) && !json.includes(values.email)
+        && selectorFor({ tag: 'button', text: 'Say "hi"' }) === 'button:has-text("Say \\"hi\\"")';
+    },
+  },
+  {
+    name: 'Verification mail is found on the alias; link or code extracted, stale and marketing mail ignored',
+    run: async () => {
+      const { mkdtempSync, mkdirSync, writeFileSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      mkdirSync(join(dir, 'new'));
+      const deliver = (file, { to, from, subject, date = new Date(), html, text }) => writeFileSync(join(dir, 'new', file), [
+        `To: ${to}`, `From: ${from}`, `Subject: ${subject}`, `Date: ${date.toUTCString()}`, 'MIME-Version: 1.0',
+        `Content-Type: text/${html ? 'html' : 'plain'}; charset=utf-8`, '', html || text,
+      ].join('\r\n'));
+      deliver('1700000000.M1.test', { to: 'amber@alias.example', from: 'team@makenotion.com', subject: 'Confirm your email', date: new Date('2026-01-01'),
+        html: '<a href="https://www.notion.so/verify?token=old">Confirm</a>' });
+      deliver('1900000001.M2.test', { to: 'amber@alias.example', from: 'team@makenotion.com', subject: 'Confirm your email',
+        html: '<p>Almost there.</p><a href="https://www.notion.so/help">Help</a> <a href="https://www.notion.so/verify?token=abc&amp;u=1">Confirm email</a> <a href="https://www.notion.so/unsubscribe?u=1">Unsubscribe</a>' });
+      deliver('1900000002.M3.test', { to: 'frost@alias.example', from: 'no-reply@figma.com', subject: 'Your Figma sign-in', text: 'Your verification code is 482 913. It expires in 10 minutes.' });
+      deliver('1900000003.M4.test', { to: 'cedar@alias.example', from: 'deals@shop.example', subject: 'Flash sale', html: '<a href="https://shop.example/sale">Shop now</a>' });
+
+      process.env.PANE_MAILDIR = dir;
+      const { InboxService }        = await import('../src/inbox.js');
+      const { VerificationService } = await import('../src/verify.js');
+      const verifier = new VerificationService({ inbox: new InboxService('maildir') });
+      const since = new Date(Date.now() - 60_000);
+      const wait  = (aliasEmail, enrollUrl) => verifier.waitFor({ aliasEmail, enrollUrl }, { since, timeout: 0 });
+      const link = await wait('amber@alias.example', 'https://www.notion.so/signup');
+      const code = await wait('frost@alias.example', 'https://www.figma.com/signup');
+      const none = await wait('cedar@alias.example', 'https://shop.example/join');
+
+      process.env.PANE_DB_PATH = join(dir, 'contexts.db');
+      const { ContextStore } = await import('../src/context.js');
+      const store = new ContextStore();
+      await store.init();
+      await store.create({ name: 'amber-circuit', aliasEmail: 'amber@alias.example' });
+      const marked = await store.update('amber-circuit', { verifiedAt: '2026-10-19T12:00:00.000Z' });
+      return link?.link === 'https://www.notion.so/verify?token=abc&u=1' && link.from === 'team@makenotion.com'
+        && code?.code === '482913' && !code.link
+        && none === null
+        && marked.verifiedAt === '2026-10-19T12:00:00.000Z';
+    },
+  },
+  {
+    name: 'Verification counts only mail from the enrolled site or its sister domains, or links back to it',
+    run: async () => {
+      const { findVerification } = await import('../src/verify.js');
+      const mail = (from, href, body = '') => ({
+        from, from_domain: from.split('@')[1], subject: 'Confirm your email', body,
+        html: `<a href="${href}">Confirm email</a>`,
+      });
+      const domain    = 'notion.so';
+      const sister    = findVerification(mail('team@makenotion.com', 'https://click.mailer.example/c/1'), { domain });
+      const forwarded = findVerification(mail('alerts@mailer.example', 'https://www.notion.so/verify?token=fw'), { domain });
+      const stranger  = findVerification(mail('team@lookalike.example', 'https://lookalike.example/verify?token=x'), { domain });
+      const code      = findVerification(mail('team@lookalike.example', 'https://lookalike.example/', 'Your code is 482913'), { domain });
+      return sister?.link === 'https://click.mailer.example/c/1'
+        && forwarded?.link === 'https://www.notion.so/verify?token=fw'
+        && stranger === null && code === null;
+    },
+  },
+  {
+    name: 'Browser profiles keep one fingerprint per envelope; sessions sealed, isolated and burned with it',
+    run: async () => {
+      const { mkdtempSync, readFileSync, writeFileSync, existsSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_PROFILE_DIR    = join(dir, 'profiles');
+      process.env.PANE_VAULT_KEY_PATH = join(dir, 'vault.key');
+      const { CredentialVault } = await import('../src/vault.js');
+      const { ProfileStore, FINGERPRINT_VERSION } = await import('../src/profiles.js');
+      const { ExpiryService }   = await import('../src/expiry.js');
+      const profiles = new ProfileStore({ vault: new CredentialVault({ store: null }) });
+
+      const first = profiles.load('amber-circuit', { identity: { timezone: 'Europe/London' } });
+      const again = profiles.load('amber-circuit', { identity: { timezone: 'America/Chicago' } });
+      const state = { cookies: [{ name: 'session', value: 'secret-session-token', domain: '.notion.so', path: '/' }], origins: [] };
+      const saved = profiles.save('amber-circuit', state);
+      const back  = profiles.load('amber-circuit');
+      const sealed = !readFileSync(join(first.dir, 'state.enc')).includes('secret-session-token');
+      const other = profiles.load('frost-lantern');
+      let unsafe = false;
+      try { profiles.load('../escape'); } catch { unsafe = true; }
+
+      // Saved before FINGERPRINT_VERSION: a new browser, and no session carried over to it
+      profiles.save('cobalt-harbor', state);
+      const oldDir = profiles.dirFor('cobalt-harbor');
+      writeFileSync(join(oldDir, 'fingerprint.json'), JSON.stringify({ userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', timezone: 'UTC' }));
+      const upgraded = profiles.load('cobalt-harbor');
+      const upgradedOnce = !profiles.load('cobalt-harbor').replaced;
+
+      const expiry = new ExpiryService({
+        alias: { delete: async () => {} }, card: { close: async () => {} }, store: { tombstone: async () => true }, profiles,
+      });
+      await expiry.burn({ name: 'amber-circuit', aliasId: 'a1' });
+      return first.storageState === null && first.fingerprint.timezone === 'Europe/London'
+        && JSON.stringify(again.fingerprint) === JSON.stringify(first.fingerprint)
+        && saved.cookies === 1 && back.storageState.cookies[0].value === 'secret-session-token'
+        && sealed
+        && other.storageState === null && other.dir !== first.dir
+        && unsafe && !existsSync(first.dir) && profiles.has('frost-lantern')
+        && !first.replaced && upgraded.replaced && upgraded.storageState === null && upgradedOnce
+        && upgraded.fingerprint.version === FINGERPRINT_VERSION && !existsSync(join(oldDir, 'state.enc'));
+    },
+  },
+  {
+    name: 'Locking the store re-seals browser sessions under its key; the vault key alone no longer opens them',
+    run: async () => {
+      const { mkdtempSync, readFileSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join }   = await import('path');
+      const dir = mkdtempSync(join(tmpdir(), 'pane-'));
+      process.env.PANE_DB_PATH        = join(dir, 'contexts.db');
+      process.env.PANE_PROFILE_DIR    = join(dir, 'profiles');
+      process.env.PANE_VAULT_KEY_PATH = join(dir, 'vault.key');
+      const { ContextStore }    = await import('../src/context.js');
+      const { CredentialVault } = await import('../src/vault.js');
+      const { ProfileStore }    = await import('../src/profiles.js');
+      const store = new ContextStore();
+      await store.init();
+      const vault    = new CredentialVault({ store });
+      const profiles = new ProfileStore({ vault, store });
+      const state = { cookies: [{ name: 'session', value: 'secret-session-token', domain: '.notion.so', path: '/' }], origins: [] };
+      profiles.save('amber-circuit', state);
+      const before = profiles.reseal();        // nothing to move while the store is plaintext
+
+      await store.lock('correct horse');
+      const moved   = profiles.reseal();
+      const again   = profiles.reseal();
+      const blob    = readFileSync(join(profiles.dirFor('amber-circuit'), 'state.enc'));
+      let vaultOnly = true;
+      try { vault.unsealBlob(blob); } catch { vaultOnly = false; }
+
+      // Another process: locked out until it unlocks the store
+      const other = new ContextStore();
+      let locked = false;
+      try { new ProfileStore({ vault, store: other }).load('amber-circuit'); } catch { locked = true; }
+      await other.init({ passphrase: 'correct horse' });
+      const back = new ProfileStore({ vault, store: other }).load('amber-circuit');
+      return before === 0 && moved === 1 && again === 0 && !vaultOnly && locked
+        && back.storageState.cookies[0].value === 'secret-session-token';
+    },
+  },
+  {
+    name: 'Fingerprints are seeded from the context name and agree with themselves and the identity',
+    run: async () => {
+      const { fingerprintFor, acceptLanguage, clientHintBrands } = await import('../src/profiles.js');
+      const uk   = { timezone: 'Europe/London', address: { country: 'GB' } };
+      const a    = fingerprintFor('amber-circuit', uk);
+      const same = fingerprintFor('amber-circuit', uk);
+      const strip = f => JSON.stringify({ ...f, created_at: null });
+      const many = Array.from({ length: 60 }, (_, i) => fingerprintFor(`seed-${i}`));
+      const coherent = f => {
+        const ua = f.userAgent;
+        const os = /Macintosh/.test(ua) ? 'macOS' : /Windows/.test(ua) ? 'Windows' : 'Linux';
+        const chrome = ua.match(/Chrome\/(\d+)/)[1];
+        return f.platform === os
+          && f.navigatorPlatform === { macOS: 'MacIntel', Windows: 'Win32', Linux: 'Linux x86_64' }[os]
+          && f.brands.filter(b => !b.brand.startsWith('Not')).every(b => b.version === chrome)
+          && (os === 'macOS') === /Apple|Intel Inc\./.test(f.webgl.vendor)
+          && (os === 'Windows') === /Direct3D/.test(f.webgl.renderer)
+          && f.fonts.includes({ macOS: 'Helvetica Neue', Windows: 'Segoe UI', Linux: 'DejaVu Sans' }[os])
+          && !/Safari\/605/.test(ua) && f.viewport.height < f.screen.height;
+      };
+      return strip(a) === strip(same)
+        && new Set(many.map(f => f.canvasSeed)).size === many.length
+        && new Set(many.map(f => f.platform)).size >= 2
+        && many.every(coherent) && coherent(a)
+        && a.timezone === 'Europe/London' && a.locale === 'en-GB'
+        && acceptLanguage(a) === 'en-GB,en;q=0.9'
+        && fingerprintFor('frost-lantern').languages[0] === 'en-US'
+        && clientHintBrands(a).includes(`"Google Chrome";v="${a.brands[1].version}"`);
+    },
+  },
+  {
+    name: 'Rate limiter paces requests in a rolling window and retries 429s',
+    run: async () => {
+      const { RateLimiter, paced } = await import('../src/ratelimit.js');
+      const limiter = new RateLimiter(2, { windowMs: 150 });
+      const t0 = Date.now();
+      await Promise.all([limiter.take(), limiter.take(), limiter.take()]);
+      const waited = Date.now() - t0;
+
+      let calls = 0;
+      const res = await paced(new RateLimiter(0), async () => ({
+        status:  ++calls < 2 ? 429 : 200,
+        headers: { get: () => '0.01' },
+      }));
+      return waited >= 140 && res.status === 200 && calls === 2;
+    },
+  },
+];
+
+// ── LOCAL PAGE TESTS ──────────────────────────────────────────────────────────
+// The step engine in a real browser against scripts/fixtures/signup, served on
+// loopback. *.localhost resolves to loopback in Chromium, so a recipe can be
+// given its own host. Skipped when Playwright has no Chromium installed.
+const BROWSER_TESTS = [
+  {
+    name: 'Wizard fills each screen and stops on the sign-up confirmation, not on "Confirm password"',
+    run: async site => {
+      const { result, events, steps } = await site.enroll('index.html');
+      return result.success && result.matchedSignal === 'check your email'
+        && JSON.stringify(steps) === JSON.stringify([
+          'Screen 1: email',
+          'Screen 2: password',
+          'Screen 3: first_name, last_name',
+          'Screen 4: username',
+          'Screen 5: "check your email"',
+        ])
+        && ['email', 'password', 'first_name', 'last_name', 'username']
+          .every(f => events.some(([step, msg]) => step === 'fill' && msg === `${f}: filled`))
+        && events.some(([step, msg]) => step === 'submit' && msg.startsWith('✓ Enrollment confirmed'));
+    },
+  },
+  {
+    name: 'Wizard stops on a screen that does not change, one with nothing to fill, and its screen limit',
+    run: async site => {
+      const stuck = await site.enroll('stuck.html', {
+        host: 'stuck.localhost', steps: [{ wizard: 'button[type="submit"]', timeout: 1500 }],
+      });
+      const short = await site.enroll('short.html');
+      const limit = await site.enroll('index.html', {
+        host: 'limit.localhost', steps: [{ wizard: 'button[type="submit"]', screens: 2 }],
+      });
+      return JSON.stringify(stuck.steps) === JSON.stringify([
+          'Screen 1: email', '⚠ Screen 1 didn\'t change — stopped (an error on the form, or a captcha?)',
+        ])
+        && JSON.stringify(short.steps) === JSON.stringify(['Screen 1: email', 'Screen 2: nothing left to fill'])
+        && JSON.stringify(limit.steps) === JSON.stringify([
+          'Screen 1: email', 'Screen 2: password', '⚠ Still going after 2 screens — stopped',
+        ])
+        && !stuck.result.matchedSignal && !limit.result.matchedSignal;
+    },
+  },
+  {
+    name: 'Verification counts only when the page says it worked',
+    run: async site => {
+      const done    = await site.enroll('index.html', { verify: 'confirmed.html' });
+      const unclear = await site.enroll('index.html', { verify: 'landing.html' });
+      const broken  = await site.enroll('index.html', { verify: 'http://127.0.0.1:1/confirm' });
+      const said    = ({ events }) => events.filter(([step]) => step === 'verify').at(-1)?.[1];
+      return done.result.verified === true && said(done) === '✓ Email verified by link'
+        && unclear.result.verified === false && /doesn't say it worked/.test(said(unclear))
+        && broken.result.success && broken.result.verified === false && /Couldn't use the verification link/.test(said(broken));
+    },
+  },
 ];
 
 // ── RUNNER ────────────────────────────────────────────────────────────────────
@@ -138,6 +1217,80 @@ async function runSmoke() {
   return fail === 0;
 }
 
+async function runBrowser() {
+  console.log(`  ${B}Local page tests${X} ${D}(headless Chromium — scripts/fixtures/signup)${X}\n`);
+  const { chromium } = await import('playwright');
+  try {
+    await (await chromium.launch({ args: ['--no-sandbox'] })).close();
+  } catch {
+    console.log(`  ${Y}  Skipped — no Chromium for Playwright (npx playwright install chromium)\n`);
+    return true;
+  }
+
+  const site = await serveFixtures();
+  let pass = 0, fail = 0;
+  for (const t of BROWSER_TESTS) {
+    try {
+      if (await t.run(site)) {
+        console.log(`  ${G}  ${t.name}`);
+        pass++;
+      } else {
+        console.log(`  ${R}  ${t.name}`);
+        fail++;
+      }
+    } catch (e) {
+      console.log(`  ${R}  ${t.name}`);
+      if (verbose) console.log(`     ${D}${e.message}${X}`);
+      fail++;
+    }
+  }
+  site.close();
+  console.log(`\n  ${pass} passed · ${fail} failed\n`);
+  return fail === 0;
+}
+
+// A static server over the fixture pages, and an enroll() that records what it reports
+async function serveFixtures() {
+  const { createServer }   = await import('http');
+  const { readFile, mkdtempSync, writeFileSync } = await import('fs');
+  const { tmpdir }         = await import('os');
+  const { join, dirname }  = await import('path');
+  const { fileURLToPath }  = await import('url');
+  const { RecipeBook }     = await import('../src/recipes.js');
+  const root = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'signup');
+
+  const server = createServer((req, res) => {
+    const file = new URL(req.url, 'http://x').pathname.replace(/^\/+/, '') || 'index.html';
+    readFile(join(root, file.replace(/\.\.+/g, '')), (err, html) => {
+      res.writeHead(err ? 404 : 200, { 'content-type': 'text/html; charset=utf-8' });
+      res.end(err ? 'Not found' : html);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  process.env.PLAYWRIGHT_SLOW_MO = '1';
+  const identity = new IdentityGen().generate('fixture-signup');
+
+  return {
+    close: () => server.close(),
+    // Generic detection on 127.0.0.1, or a one-step recipe for `host`;
+    // `verify` is the page (or full URL) the verification mail links to
+    async enroll(page, { host = '127.0.0.1', steps, verify } = {}) {
+      const url = `http://${host}:${port}/${page}`;
+      const dir = mkdtempSync(join(tmpdir(), 'pane-recipes-'));
+      if (steps) writeFileSync(join(dir, `${host}.json`), JSON.stringify({ recipe: 1, domain: host, url, steps }));
+      const browser = new BrowserService({ recipes: new RecipeBook({ dirs: [dir] }) });
+      const events  = [];
+      const link = /^https?:/.test(verify) ? verify : `http://${host}:${port}/${verify}`;
+      const verification = verify && (async () => ({ link, from: 'team@fixture.example' }));
+      const result  = await browser.enroll(url, { identity, aliasResult: { email: 'fixture@alias.example' }, verification },
+        (step, msg) => events.push([step, msg]));
+      return { result, events, steps: events.filter(([step]) => step === 'step').map(([, msg]) => msg) };
+    },
+  };
+}
+
 async function runLive(serviceName, url) {
   const idgen   = new IdentityGen();
   const browser = new BrowserService();
@@ -185,8 +1338,9 @@ async function runLive(serviceName, url) {
 async function main() {
   let allPassed = true;
 
-  // Always run smoke tests
+  // Always run smoke and local page tests
   allPassed = await runSmoke() && allPassed;
+  allPassed = await runBrowser() && allPassed;
 
   if (urlArg) {
     const name = new URL(urlArg).hostname.replace('www.','');
@@ -8,10 +8,22 @@
  *
  * Architecture:
  *   server.js        — MCP wire protocol, tool dispatch
- *   src/alias.js     — email alias layer (Addy.io / SimpleLogin)
- *   src/card.js      — virtual card layer (Privacy.com)
+ *   src/alias.js     — email alias provider registry (Addy.io / SimpleLogin / local)
+ *   src/providers/   — one module per alias provider
+ *   src/card.js      — virtual card issuer registry (Privacy.com / sandbox)
+ *   src/issuers/     — one module per card issuer
  *   src/identity.js  — consistent identity generation
  *   src/context.js   — context store (SQLite, ~/.pane/contexts.db)
+ *   src/crypto.js    — at-rest encryption for the context store
+ *   src/expiry.js    — two-phase expiry (grace window, restore, sweep)
+ *   src/provision.js — envelope provisioning saga with rollback, reconcile
+ *   src/inbox.js     — alias mail reader (provider API / Maildir / IMAP)
+ *   src/sanitize.js  — mail HTML sanitizer (pixels, click-trackers)
+ *   src/imageproxy.js — local caching image proxy for mail images
+ *   src/breach.js    — breach-signal scoring shared by list / status / audit
+ *   src/query.js     — envelope filters for list (status, health, domain, text, dates)
+ *   src/charges.js   — card transaction sync and merchant / decline / limit alerts
+ *   src/vault.js     — encrypted per-context credentials, TOTP codes
  *   src/services.js  — InboxService, BrowserService (stub), logger
  *
  *   NEXT tier (stubs in src/services.js, not yet wired):
@@ -23,10 +35,18 @@ import 'dotenv/config';
 import { createInterface } from 'readline';
 import { AliasService }    from './src/alias.js';
 import { CardService }     from './src/card.js';
-import { ContextStore }    from './src/context.js';
+import { ContextStore, normalizeTags } from './src/context.js';
 import { InboxService }    from './src/inbox.js';
 import { BrowserService }  from './src/browser.js';
 import { IdentityGen }     from './src/identity.js';
+import { ExpiryService }   from './src/expiry.js';
+import { ProvisionService, labelFor } from './src/provision.js';
+import { ImageProxy }      from './src/imageproxy.js';
+import { BreachScorer }    from './src/breach.js';
+import { ChargeMonitor }   from './src/charges.js';
+import { CredentialVault } from './src/vault.js';
+import { ProfileStore }    from './src/profiles.js';
+import { EnvelopeQuery, listRow } from './src/query.js';
 import { log }             from './src/logger.js';
 
 // ── SERVICE INIT ─────────────────────────────────────────────────────────────
@@ -34,11 +54,21 @@ import { log }             from './src/logger.js';
 const alias   = new AliasService();
 const card    = new CardService();
 const store   = new ContextStore();
-const inbox   = new InboxService();
-const browser = new BrowserService();
+const imageProxy = new ImageProxy();
+const inbox   = new InboxService(undefined, { proxy: imageProxy });
+const vault   = new CredentialVault({ store });
+const profiles = new ProfileStore({ vault, store });
+const browser = new BrowserService({ profiles });
 const idgen   = new IdentityGen();
+const expiry  = new ExpiryService({ alias, card, store, profiles });
+const provision = new ProvisionService({ alias, card, store });
+const breach  = new BreachScorer({ inbox, store });
+const charges = new ChargeMonitor({ card, store });
+const query   = new EnvelopeQuery({ store, breach });
 
-await store.init();
+// stdin is the MCP channel — a sealed store must be unlocked beforehand
+// (pane unlock) or keyed via PANE_PASSPHRASE / PANE_KEY_FILE.
+await store.init().catch(e => { log.error(e.message); process.exit(1); });
 
 // ── TOOL DEFINITIONS ─────────────────────────────────────────────────────────
 // These are the tools Claude sees and can call.
@@ -83,7 +113,7 @@ Returns the context name and alias details.`,
   },
   {
     name: 'pane_create_card',
-    description: 'Create a virtual card for a named context via Privacy.com.',
+    description: 'Create a virtual card for a named context via the configured card issuer (Privacy.com, or the sandbox).',
     inputSchema: {
       type: 'object',
       properties: {
@@ -108,13 +138,56 @@ Returns the context name and alias details.`,
   },
   {
     name: 'pane_list',
-    description: 'List all active envelopes with their status. Shows alias health and any breach signals.',
-    inputSchema: { type: 'object', properties: {} }
+    description: `List envelopes with their status. Active ones show alias health (clean / warning / breach).
+With no filters: every active envelope. Filters combine; expired tombstones are listed with status "expired" or "all".`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status:   { type: 'array', items: { type: 'string', enum: ['active', 'expiring', 'expired', 'pending', 'clean', 'warning', 'breach', 'all'] },
+                    description: 'Lifecycle and/or health. Health levels imply active. Default: active.' },
+        domain:   { type: 'string',  description: 'Enrolled service, e.g. "notion" matches notion.so.' },
+        search:   { type: 'string',  description: 'Words that must all appear in the name, alias email, enroll URL or notes.' },
+        since:    { type: 'string',  description: 'Created on/after: a date (2026-09-01) or days ago (30d).' },
+        until:    { type: 'string',  description: 'Created before: a date or days ago.' },
+        has_card: { type: 'boolean', description: 'true: only envelopes with a card; false: alias only.' },
+        tag:      { type: 'string',  description: 'Only envelopes carrying this tag.' },
+        folder:   { type: 'string',  description: 'Only envelopes filed in this folder.' }
+      }
+    }
+  },
+  {
+    name: 'pane_tag',
+    description: `Label an envelope: add or remove tags (lowercase words such as "work-trials", "newsletters") and
+file it in a folder. Tags and folders are for the user's own grouping — pane_list filters on them.
+Returns the envelope's tags, folder and notes.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Context name.' },
+        add:          { type: 'array', items: { type: 'string' }, description: 'Tags to add.' },
+        remove:       { type: 'array', items: { type: 'string' }, description: 'Tags to remove.' },
+        folder:       { type: 'string', description: 'Folder to file it in. Empty string takes it out of its folder.' }
+      },
+      required: ['context_name']
+    }
+  },
+  {
+    name: 'pane_note',
+    description: 'Set free-form notes on an envelope (why it exists, what it was used for). An empty note clears them. pane_list search covers notes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Context name.' },
+        note:         { type: 'string', description: 'The notes. Replaces any existing ones.' }
+      },
+      required: ['context_name', 'note']
+    }
   },
   {
     name: 'pane_check_inbox',
-    description: `Read emails received by an alias. All remote images are proxied to block pixel trackers.
-Returns message list with sender, subject, and body. Flags unexpected senders.`,
+    description: `Read emails received by an alias. HTML is sanitized: tracking pixels are removed, remote images
+are rewritten to pane's local caching image proxy, and click-tracking redirects are unwrapped.
+Returns message list with sender, subject, body, sanitized html, and a per-message report of what was removed.`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -126,12 +199,25 @@ Returns message list with sender, subject, and body. Flags unexpected senders.`,
   },
   {
     name: 'pane_expire',
-    description: `Burn an envelope completely. Deletes the alias email (stops all future mail),
-freezes the virtual card, and logs a tombstone. The service can no longer reach you.`,
+    description: `Burn an envelope. The alias is disabled (mail blocked) and the virtual card paused straight away;
+after the grace window (PANE_EXPIRE_GRACE_HOURS, default 72h) the alias is deleted, the card closed,
+and a tombstone logged. Until then pane_restore undoes it. Pass immediate=true to skip the grace window.`,
     inputSchema: {
       type: 'object',
       properties: {
-        context_name: { type: 'string', description: 'Context name to expire.' }
+        context_name: { type: 'string', description: 'Context name to expire.' },
+        immediate:    { type: 'boolean', description: 'Delete now with no grace window. Cannot be undone. Default: false.' }
+      },
+      required: ['context_name']
+    }
+  },
+  {
+    name: 'pane_restore',
+    description: 'Undo pane_expire during the grace window: re-enables the alias and unpauses the card.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Expiring context to restore.' }
       },
       required: ['context_name']
     }
@@ -139,8 +225,9 @@ freezes the virtual card, and logs a tombstone. The service can no longer reach
   {
     name: 'pane_audit',
     description: `Audit a context for cross-contamination signals.
-Checks whether the alias has received mail from unexpected senders (breach indicator),
-whether the context IP was consistent, and whether any real identity data may have leaked.`,
+Scores the alias 0-100 from unexpected senders (outside the enrolled service, its sister domains and
+bulk-mail ESPs), when each sender first appeared, spam content, and volume spikes.
+Returns the score, level (clean / warning / breach) and the evidence behind it.`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -148,6 +235,45 @@ whether the context IP was consistent, and whether any real identity data may ha
       },
       required: ['context_name']
     }
+  },
+  {
+    name: 'pane_timeline',
+    description: `Chronological sender history for a context: when each sender domain first and last wrote to the alias,
+how many messages, the first sender address and subject, and whether the sender was expected.
+History is kept after expiry — use it as evidence when confronting a vendor about selling the alias.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Context name (active, expiring or expired).' }
+      },
+      required: ['context_name']
+    }
+  },
+  {
+    name: 'pane_otp',
+    description: `Current 2FA (TOTP) code for a context's account, from the secret saved with \`pane otp <seed> --set\` or --qr.
+Use it when logging in to an alias account asks for an authenticator code. Returns the code and how many seconds it stays valid.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Context name.' }
+      },
+      required: ['context_name']
+    }
+  },
+  {
+    name: 'pane_charges',
+    description: `Card transactions for a context, synced from the card issuer, with alerts:
+merchant_mismatch (the merchant isn't the service the card was created for — the card number leaked),
+declined (often a free trial trying to convert), near_limit (a recurring charge about to hit the card's limit).
+Recurring charges are listed with their cadence and next expected date.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context_name: { type: 'string', description: 'Context name (active, expiring or expired).' }
+      },
+      required: ['context_name']
+    }
   }
 ];
 
@@ -160,17 +286,11 @@ async function handleTool(name, args) {
 
     case 'pane_create_alias': {
       const identity = idgen.generate();
-      const result   = await alias.create({
+      const { aliasResult: result } = await provision.envelope({
         name:        args.context_name,
-        description: args.description || args.context_name,
-        identity
-      });
-      await store.save({
-        name:       args.context_name,
-        aliasEmail: result.email,
-        aliasId:    result.id,
+        description: args.description,
         identity,
-        createdAt:  new Date().toISOString()
+        withCard:    false
       });
       return {
         context:    args.context_name,
@@ -182,11 +302,11 @@ async function handleTool(name, args) {
 
     case 'pane_create_card': {
       const result = await card.create({
-        memo:           args.context_name,
-        spend_limit:    args.limit_cents ?? parseInt(process.env.CARD_DEFAULT_LIMIT_CENTS) || 0,
+        memo:           labelFor(args.context_name),
+        spend_limit:    args.limit_cents ?? (parseInt(process.env.CARD_DEFAULT_LIMIT_CENTS) || 0),
         merchant_lock:  args.merchant_lock
       });
-      await store.update(args.context_name, { cardToken: result.token, cardLast4: result.last_four });
+      await store.upsert(args.context_name, { cardToken: result.token, cardLast4: result.last_four });
       return {
         context:   args.context_name,
         card_last4: result.last_four,
@@ -196,20 +316,11 @@ async function handleTool(name, args) {
     }
 
     case 'pane_create_context': {
-      const identity   = idgen.generate();
-      const aliasResult = await alias.create({ name: args.context_name, identity });
-      const cardResult  = await card.create({
-        memo:        args.context_name,
-        spend_limit: args.card_limit_cents ?? 0
-      });
-      await store.save({
-        name:       args.context_name,
-        aliasEmail: aliasResult.email,
-        aliasId:    aliasResult.id,
-        cardToken:  cardResult.token,
-        cardLast4:  cardResult.last_four,
+      const identity = idgen.generate();
+      const { aliasResult, cardResult } = await provision.envelope({
+        name:      args.context_name,
         identity,
-        createdAt:  new Date().toISOString()
+        cardLimit: args.card_limit_cents ?? 0
       });
       return {
         context:     args.context_name,
@@ -228,20 +339,11 @@ async function handleTool(name, args) {
       const ctxName  = args.context_name || domain.split('.')[0];
       const identity = idgen.generate();
 
-      const aliasResult = await alias.create({ name: ctxName, identity });
-      const cardResult  = await card.create({
-        memo:        ctxName,
-        spend_limit: args.card_limit_cents ?? 0
-      });
-      await store.save({
-        name:       ctxName,
-        aliasEmail: aliasResult.email,
-        aliasId:    aliasResult.id,
-        cardToken:  cardResult.token,
-        cardLast4:  cardResult.last_four,
+      const { aliasResult, cardResult } = await provision.envelope({
+        name:      ctxName,
         identity,
-        enrollUrl:  url,
-        createdAt:  new Date().toISOString()
+        enrollUrl: url,
+        cardLimit: args.card_limit_cents ?? 0
       });
 
       // TODO: browser.enroll(url, { identity, aliasResult, cardResult })
@@ -261,19 +363,33 @@ async function handleTool(name, args) {
     }
 
     case 'pane_list': {
-      const contexts = await store.list();
-      if (!contexts.length) return { contexts: [], message: 'No active envelopes.' };
-      const rows = await Promise.all(contexts.map(async (ctx) => {
-        const health = await inbox.getHealth(ctx.aliasId).catch(() => 'unknown');
-        return { name: ctx.name, alias: ctx.aliasEmail, card: `····${ctx.cardLast4}`, status: health, created: ctx.createdAt?.split('T')[0] };
-      }));
+      const { status, domain, search, since, until, has_card, tag, folder } = args;
+      const rows = (await query.run({ status, domain, search, since, until, card: has_card, tag, folder })).map(listRow);
+      if (!rows.length) return { contexts: [], message: Object.keys(args).length ? 'No envelopes match.' : 'No active envelopes.' };
       return { contexts: rows, total: rows.length };
     }
 
+    case 'pane_tag': {
+      const ctx = await store.find(args.context_name);
+      if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
+      const drop    = normalizeTags(args.remove || []);
+      const changes = { tags: [...ctx.tags.filter(t => !drop.includes(t)), ...(args.add || [])] };
+      if (args.folder != null) changes.folder = args.folder;
+      const next = await store.update(args.context_name, changes, { version: ctx.version });
+      return { context: args.context_name, tags: next.tags, folder: next.folder };
+    }
+
+    case 'pane_note': {
+      const ctx = await store.find(args.context_name);
+      if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
+      const next = await store.update(args.context_name, { notes: args.note });
+      return { context: args.context_name, notes: next.notes };
+    }
+
     case 'pane_check_inbox': {
       const ctx = await store.get(args.context_name);
       if (!ctx) throw new Error(`No context found for "${args.context_name}". Run pane_create_context first.`);
-      const messages = await inbox.read({ aliasId: ctx.aliasId, limit: args.limit || 10 });
+      const messages = await inbox.read({ aliasId: ctx.aliasId, aliasEmail: ctx.aliasEmail, limit: args.limit || 10 });
       return {
         context:  args.context_name,
         alias:    ctx.aliasEmail,
@@ -283,7 +399,9 @@ async function handleTool(name, args) {
           subject: m.subject,
           date:    m.date,
           preview: m.preview,
-          images:  'proxied'
+          body:    m.body,
+          html:    m.html,
+          removed: m.removed
         }))
       };
     }
@@ -291,39 +409,69 @@ async function handleTool(name, args) {
     case 'pane_expire': {
       const ctx = await store.get(args.context_name);
       if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
-      await alias.delete(ctx.aliasId);
-      await card.freeze(ctx.cardToken);
-      await store.tombstone(args.context_name);
+      const result = await expiry.begin(ctx, { immediate: !!args.immediate });
+      return {
+        context:  args.context_name,
+        alias:    ctx.aliasEmail,
+        status:   result.status,
+        purge_at: result.purgeAt,
+        message:  result.status === 'expired'
+          ? `Done. ${args.context_name} alias deleted, card closed. They can no longer reach you.`
+          : `${args.context_name} alias disabled, card paused. Permanent at ${result.purgeAt} — pane_restore undoes it until then.`
+      };
+    }
+
+    case 'pane_restore': {
+      const ctx = await expiry.restore(args.context_name);
       return {
         context: args.context_name,
         alias:   ctx.aliasEmail,
-        status:  'expired',
-        message: `Done. ${args.context_name} alias burned, card frozen. They can no longer reach you.`
+        status:  'active',
+        message: `${args.context_name} restored. ${ctx.aliasEmail} forwarding again${ctx.cardToken ? ', card unpaused' : ''}.`
       };
     }
 
     case 'pane_audit': {
       const ctx = await store.get(args.context_name);
       if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
-      const messages  = await inbox.read({ aliasId: ctx.aliasId, limit: 100 });
-      const senders   = [...new Set(messages.map(m => m.from_domain))];
-      const enrolled  = ctx.enrollUrl ? new URL(ctx.enrollUrl).hostname.replace('www.', '') : null;
-      const unexpected = enrolled
-        ? senders.filter(s => !s.includes(enrolled))
-        : [];
+      const r = await breach.assess(ctx);
       return {
         context:       args.context_name,
         alias:         ctx.aliasEmail,
-        total_messages: messages.length,
-        known_senders:  enrolled ? senders.filter(s => s.includes(enrolled)) : senders,
-        unexpected_senders: unexpected,
-        breach_signal: unexpected.length > 0,
-        verdict: unexpected.length > 0
-          ? `⚠ Breach signal — unexpected mail from: ${unexpected.join(', ')}. Consider running pane_expire.`
-          : '✓ Clean — no unexpected senders detected.'
+        score:         r.score,
+        level:         r.level,
+        evidence:      r.evidence,
+        total_messages: r.total_messages,
+        known_senders:  r.known_senders,
+        unexpected_senders: r.unexpected_senders,
+        breach_signal: r.level === 'breach',
+        verdict: r.level === 'breach'  ? `⚠ Breach signal (score ${r.score}) — unexpected mail from: ${r.unexpected_senders.join(', ')}. Consider running pane_expire.`
+               : r.level === 'warning' ? `Possible leak (score ${r.score}) — watch ${r.unexpected_senders.join(', ') || 'this alias'}.`
+               : `✓ Clean (score ${r.score}) — no unexpected senders detected.`
       };
     }
 
+    case 'pane_timeline': {
+      const ctx = await store.find(args.context_name);
+      if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
+      return breach.timeline(ctx);
+    }
+
+    case 'pane_otp': {
+      const ctx = await store.find(args.context_name);
+      if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
+      const otp = await vault.code(args.context_name);
+      if (!otp) throw new Error(`No TOTP secret saved for "${args.context_name}". Save one with: pane otp ${args.context_name} --set`);
+      return { context: args.context_name, ...otp };
+    }
+
+    case 'pane_charges': {
+      const ctx = await store.find(args.context_name);
+      if (!ctx) throw new Error(`No context found for "${args.context_name}".`);
+      if (!ctx.cardToken) throw new Error(`Context "${args.context_name}" has no card.`);
+      return charges.review(ctx, { sync: ctx.status !== 'expired' });
+    }
+
     default:
       throw new Error(`Unknown tool: ${name}`);
   }
@@ -386,4 +534,21 @@ rl.on('line', async (line) => {
   }
 });
 
+// ── EXPIRY SWEEP ──────────────────────────────────────────────────────────────
+// Finish expiries whose grace window has passed. Hourly while the server runs.
+
+async function sweep() {
+  const results = await expiry.sweep().catch(e => { log.error(`sweep: ${e.message}`); return []; });
+  results.forEach(r => r.ok ? log.info(`expired ${r.name} (grace window over)`) : log.warn(`sweep ${r.name}: ${r.error}`));
+}
+sweep();
+setInterval(sweep, 60 * 60 * 1000).unref();
+
+// ── IMAGE PROXY ───────────────────────────────────────────────────────────────
+// Serves the remote images sanitized mail points at (127.0.0.1 only).
+
+imageProxy.listen()
+  .then(() => log.info(`image proxy on ${imageProxy.base}`))
+  .catch(e => log.warn(`image proxy not started (${e.message}) — mail images won't load`));
+
 log.info('pane MCP server started');
@@ -0,0 +1,139 @@
+/**
+ * src/agent.js — Unlock agent
+ *
+ * `pane unlock` hands the store key to a small detached process that keeps
+ * it in memory and gives it to later pane commands over a socket in
+ * ~/.pane/agent/ (directory 0700, socket 0600; a named pipe on Windows).
+ * The key never touches disk. The agent exits when PANE_UNLOCK_TTL runs
+ * out or `pane lock` stops it. One agent per sealed store.
+ *
+ * Stores unlocked by an older pane left the key in ~/.pane/session.key;
+ * that file is overwritten and removed the next time pane sees it.
+ */
+
+import { spawn }      from 'child_process';
+import { createHash } from 'crypto';
+import { createConnection, createServer } from 'net';
+import { existsSync, mkdirSync, writeFileSync, unlinkSync, chmodSync } from 'fs';
+import { join }       from 'path';
+import { homedir }    from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const AGENT_DIR      = join(homedir(), '.pane', 'agent');
+const LEGACY_SESSION = join(homedir(), '.pane', 'session.key');
+const START_TIMEOUT  = 5000;
+
+/** Socket (or pipe) of the agent for a sealed file. */
+export function socketFor(forPath) {
+  const id = createHash('sha256').update(forPath).digest('hex').slice(0, 16);
+  return process.platform === 'win32' ? `\\\\.\\pipe\\pane-agent-${id}` : join(AGENT_DIR, `${id}.sock`);
+}
+
+/**
+ * Key held by the agent for a sealed file, or null if none is running.
+ * @param {string} forPath - sealed file the key belongs to
+ * @returns {Promise<Buffer|null>}
+ */
+export async function loadSession(forPath) {
+  dropLegacy();
+  const reply = await ask(socketFor(forPath), 'key');
+  return reply && /^[0-9a-f]{64}$/.test(reply) ? Buffer.from(reply, 'hex') : null;
+}
+
+/**
+ * Start an agent holding `key` for `ttlMinutes`, replacing any running one.
+ * @returns {Promise<string>} ISO expiry
+ */
+export async function saveSession(forPath, key, ttlMinutes) {
+  await clearSession(forPath);
+  mkdirSync(AGENT_DIR, { recursive: true, mode: 0o700 });
+  chmodSync(AGENT_DIR, 0o700);
+  const expires = new Date(Date.now() + ttlMinutes * 60_000).toISOString();
+  const agent   = spawn(process.execPath, [fileURLToPath(import.meta.url), '--serve', socketFor(forPath)], {
+    detached: true,
+    stdio:    ['pipe', 'pipe', 'ignore'],
+  });
+  // Over stdin, not argv or the environment — both are visible to other users in ps
+  agent.stdin.end(JSON.stringify({ key: key.toString('hex'), expires }));
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Unlock agent did not start')), START_TIMEOUT);
+      agent.stdout.once('data', () => { clearTimeout(timer); resolve(); });
+      agent.once('exit', () => { clearTimeout(timer); reject(new Error('Unlock agent exited on start')); });
+    });
+  } finally {
+    agent.stdout.destroy();
+    agent.unref();
+  }
+  return expires;
+}
+
+/**
+ * Stop the agent for a sealed file (and remove a legacy key file).
+ * @returns {Promise<boolean>} whether anything was holding a key
+ */
+export async function clearSession(forPath) {
+  const legacy  = dropLegacy();
+  const stopped = (await ask(socketFor(forPath), 'stop')) === 'ok';
+  return legacy || stopped;
+}
+
+function dropLegacy() {
+  if (!existsSync(LEGACY_SESSION)) return false;
+  // Overwrite before unlinking — best effort, filesystems may keep old blocks
+  try { writeFileSync(LEGACY_SESSION, '0'.repeat(256)); } catch {}
+  try { unlinkSync(LEGACY_SESSION); } catch {}
+  return true;
+}
+
+/** One request, one line back; null if nothing is listening. */
+function ask(socket, command, timeoutMs = 2000) {
+  return new Promise(resolve => {
+    let data = '';
+    const conn = createConnection(socket);
+    const done = reply => { conn.destroy(); resolve(reply); };
+    conn.setEncoding('utf8');
+    conn.setTimeout(timeoutMs, () => done(null));
+    conn.on('connect', () => conn.write(`${command}\n`));
+    conn.on('data', chunk => { data += chunk; if (data.includes('\n')) done(data.split('\n')[0]); });
+    conn.on('end', () => done(data.split('\n')[0] || null));
+    conn.on('error', () => done(null));
+  });
+}
+
+async function serve(socket) {
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  const { key, expires } = JSON.parse(input);
+
+  if (process.platform !== 'win32' && existsSync(socket)) unlinkSync(socket);   // left by a killed agent
+  const server = createServer(conn => {
+    let line = '';
+    conn.setEncoding('utf8');
+    conn.on('error', () => {});
+    conn.on('data', chunk => {
+      line += chunk;
+      if (!line.includes('\n')) return;
+      const command = line.split('\n')[0];
+      if (command === 'key')  conn.end(`${key}\n`);
+      else if (command === 'stop') conn.end('ok\n', stop);
+      else conn.end('?\n');
+    });
+  });
+  const stop = () => {
+    server.close();
+    if (process.platform !== 'win32') try { unlinkSync(socket); } catch {}
+    process.exit(0);
+  };
+  // setTimeout overflows past ~24 days
+  setTimeout(stop, Math.min(Math.max(Date.parse(expires) - Date.now(), 0), 2 ** 31 - 1));
+  server.listen(socket, () => {
+    if (process.platform !== 'win32') chmodSync(socket, 0o600);
+    process.stdout.write('ready\n');
+  });
+}
+
+// Detached agent: node src/agent.js --serve <socket>, key on stdin
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href && process.argv[2] === '--serve') {
+  serve(process.argv[3]).catch(() => process.exit(1));
+}
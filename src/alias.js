@@ -1,20 +1,49 @@
 /**
  * src/alias.js — Email alias layer
  *
- * Wraps Addy.io and SimpleLogin APIs.
- * Switched via EMAIL_PROVIDER env var.
+ * Provider registry for alias backends. Switched via EMAIL_PROVIDER env var.
+ *
+ *   addy         Addy.io            (src/providers/addy.js)
+ *   simplelogin  SimpleLogin        (src/providers/simplelogin.js)
+ *   local        file-backed mock   (src/providers/local.js) — no network, for CI
+ *
+ * A provider is a class with:
+ *   create({ name, description })  → { id, email }
+ *   delete(aliasId)                  burn — no more forwarding, ever
+ *   disable(aliasId)                 block mail, keep the alias
+ *   enable(aliasId)                  undo disable()
+ *   list()                         → [{ id, email, description, active, createdAt }]
+ *   stats(aliasId)                 → { forwarded, blocked, replied, lastUsed }
+ * Its constructor throws if required credentials are missing.
  */
 
-export class AliasService {
-  constructor() {
-    this.provider = process.env.EMAIL_PROVIDER || 'addy';
-    this.apiKey   = this.provider === 'addy'
-      ? process.env.ADDY_API_KEY
-      : process.env.SIMPLELOGIN_API_KEY;
+import { AddyProvider }        from './providers/addy.js';
+import { SimpleLoginProvider } from './providers/simplelogin.js';
+import { LocalProvider }       from './providers/local.js';
+
+const PROVIDERS = {
+  addy:        AddyProvider,
+  simplelogin: SimpleLoginProvider,
+  local:       LocalProvider,
+};
+
+/**
+ * Add (or replace) an alias provider.
+ * @param {string}   name     - value of EMAIL_PROVIDER that selects it
+ * @param {Function} Provider - class implementing the provider interface above
+ */
+export function registerProvider(name, Provider) {
+  PROVIDERS[name] = Provider;
+}
 
-    if (!this.apiKey) {
-      throw new Error(`Missing API key for email provider "${this.provider}". Check your .env file.`);
+export class AliasService {
+  constructor(provider = process.env.EMAIL_PROVIDER || 'addy') {
+    const Provider = PROVIDERS[provider];
+    if (!Provider) {
+      throw new Error(`Unknown email provider "${provider}". Options: ${Object.keys(PROVIDERS).join(', ')}`);
     }
+    this.provider = provider;
+    this.backend  = new Provider();
   }
 
   /**
@@ -26,81 +55,46 @@ export class AliasService {
    * @returns {{ id: string, email: string }}
    */
   async create({ name, identity, description }) {
-    if (this.provider === 'addy') return this.#addyCreate({ name, description: description || name });
-    return this.#simpleloginCreate({ name, description: description || name });
+    return this.backend.create({ name, description: description || name });
   }
 
   /**
-   * Delete an alias by ID (burns it — no more forwarding).
+   * Delete an alias by ID (burns it — no more forwarding). One that is
+   * already gone at the provider counts as deleted.
    * @param {string} aliasId
    */
   async delete(aliasId) {
-    if (this.provider === 'addy') return this.#addyDelete(aliasId);
-    return this.#simpleloginDelete(aliasId);
+    return this.backend.delete(aliasId);
   }
 
-  // ── ADDY.IO ────────────────────────────────────────────────────────────────
-
-  async #addyCreate({ name, description }) {
-    const domain = process.env.ALIAS_DOMAIN || undefined;
-    const body   = { description };
-    if (domain) body.domain = domain;
-
-    const res = await fetch('https://app.addy.io/api/v1/aliases', {
-      method:  'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type':  'application/json',
-        'X-Requested-With': 'XMLHttpRequest'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`Addy.io alias creation failed (${res.status}): ${text}`);
-    }
-
-    const { data } = await res.json();
-    return { id: data.id, email: data.email };
+  /**
+   * Disable an alias — incoming mail is blocked but the address still exists.
+   * @param {string} aliasId
+   */
+  async disable(aliasId) {
+    return this.backend.disable(aliasId);
   }
 
-  async #addyDelete(aliasId) {
-    const res = await fetch(`https://app.addy.io/api/v1/aliases/${aliasId}`, {
-      method:  'DELETE',
-      headers: { 'Authorization': `Bearer ${this.apiKey}`, 'X-Requested-With': 'XMLHttpRequest' }
-    });
-    if (!res.ok && res.status !== 204) {
-      throw new Error(`Addy.io alias deletion failed (${res.status})`);
-    }
+  /**
+   * Re-enable a disabled alias (undo of disable).
+   * @param {string} aliasId
+   */
+  async enable(aliasId) {
+    return this.backend.enable(aliasId);
   }
 
-  // ── SIMPLELOGIN ────────────────────────────────────────────────────────────
-
-  async #simpleloginCreate({ name, description }) {
-    const res = await fetch('https://app.simplelogin.io/api/alias/random/new', {
-      method:  'POST',
-      headers: {
-        'Authentication': this.apiKey,
-        'Content-Type':   'application/json'
-      },
-      body: JSON.stringify({ note: description })
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`SimpleLogin alias creation failed (${res.status}): ${text}`);
-    }
-
-    const data = await res.json();
-    return { id: String(data.id), email: data.email };
+  /**
+   * Every alias the provider knows about, pane-created or not.
+   */
+  async list() {
+    return this.backend.list();
   }
 
-  async #simpleloginDelete(aliasId) {
-    const res = await fetch(`https://app.simplelogin.io/api/aliases/${aliasId}`, {
-      method:  'DELETE',
-      headers: { 'Authentication': this.apiKey }
-    });
-    if (!res.ok) throw new Error(`SimpleLogin alias deletion failed (${res.status})`);
+  /**
+   * Forward / block / reply counters for one alias.
+   * @param {string} aliasId
+   */
+  async stats(aliasId) {
+    return this.backend.stats(aliasId);
   }
 }
@@ -0,0 +1,243 @@
+/**
+ * src/breach.js — Breach-signal scoring
+ *
+ * Scores one context's alias mail 0–100 and says why. An alias is handed
+ * to exactly one service, so mail from anyone else means the address
+ * leaked, was sold, or was shared. Signals:
+ *
+ *   unexpected sender   domain is neither the enrolled service, one of its
+ *                       known sister domains, nor a bulk-mail ESP
+ *   late first sighting sender first appeared well after enrollment
+ *                       (partners in the welcome flow show up in day one)
+ *   spam content        subject / preview matches spam phrasing
+ *   volume spike        last 24h far above the context's daily baseline
+ *
+ * Every assessment folds the fresh inbox read into ContextStore's sender
+ * history and scores the whole history, so a sender that has been around
+ * since enrollment stays trusted and old evidence isn't forgotten.
+ *
+ *   score ≥ 60 → 'breach'   score ≥ 25 → 'warning'   else 'clean'
+ *
+ * Shared by `pane list`, `pane status`, `pane audit`, pane_list and pane_audit;
+ * timeline() backs `pane timeline` / pane_timeline.
+ */
+
+// Domains a service legitimately mails from besides its own
+const SISTER_DOMAINS = {
+  'notion.so':      ['makenotion.com', 'notion.com', 'notion.site'],
+  'notion.com':     ['makenotion.com', 'notion.so'],
+  'github.com':     ['githubapp.com', 'github.io', 'githubusercontent.com'],
+  'google.com':     ['youtube.com', 'gmail.com', 'googlemail.com'],
+  'amazon.com':     ['amazon.co.uk', 'amazon.de', 'amazonaws.com', 'audible.com', 'primevideo.com'],
+  'apple.com':      ['icloud.com', 'itunes.com', 'me.com'],
+  'microsoft.com':  ['live.com', 'outlook.com', 'office.com', 'microsoftonline.com', 'xbox.com', 'linkedin.com'],
+  'meta.com':       ['facebook.com', 'facebookmail.com', 'instagram.com', 'whatsapp.com'],
+  'facebook.com':   ['facebookmail.com', 'meta.com', 'instagram.com'],
+  'twitter.com':    ['x.com'],
+  'x.com':          ['twitter.com'],
+  'substack.com':   ['substackcdn.com'],
+  'spotify.com':    ['spotifymail.com'],
+  'netflix.com':    ['netflixmail.com'],
+  'paypal.com':     ['paypal.co.uk', 'venmo.com', 'xoom.com'],
+  'shopify.com':    ['myshopify.com', 'shop.app'],
+  'stripe.com':     ['stripe.network', 'link.com'],
+  'slack.com':      ['slack-corp.com', 'slackhq.com'],
+  'zoom.us':        ['zoom.com'],
+  'dropbox.com':    ['dropboxmail.com'],
+  'airbnb.com':     ['airbnb.co.uk', 'airbnbmail.com'],
+  'uber.com':       ['ubereats.com'],
+  'addy.io':        ['anonaddy.com', 'anonaddy.me'],
+  'simplelogin.io': ['simplelogin.co', 'simplelogin.com', 'proton.me'],
+  'mullvad.net':    [],
+};
+
+// Bulk senders services relay through — not evidence on their own
+const ESP_DOMAINS = [
+  'sendgrid.net', 'sendgrid.com', 'mailchimp.com', 'mcsv.net', 'mcdlv.net', 'rsgsv.net', 'list-manage.com',
+  'mandrillapp.com', 'amazonses.com', 'mailgun.org', 'mailgun.net', 'sparkpostmail.com', 'postmarkapp.com',
+  'mtasv.net', 'customeriomail.com', 'hubspotemail.net', 'klaviyomail.com', 'exacttarget.com', 'createsend.com',
+  'cmail19.com', 'cmail20.com', 'intercom-mail.com', 'zendesk.com', 'freshdesk.com', 'helpscout.net',
+];
+
+const SPAM_PATTERNS = [
+  /\byou('ve| have) (been selected|won)\b/i, /\bclaim (your|now)\b/i, /\b(lottery|jackpot|sweepstake)/i,
+  /\b(crypto|bitcoin|btc|forex) (profit|signal|opportunit)/i, /\bguaranteed (income|returns?)\b/i,
+  /\b(viagra|cialis|weight ?loss)\b/i, /\bact now\b/i, /\b(urgent|final) (notice|warning)\b/i,
+  /\bverify your (account|identity) (now|immediately)\b/i, /\bwire transfer\b/i, /\bgift ?card\b/i,
+  /\b100% free\b/i, /\bno credit check\b/i, /\bunsubscribe\b.*\bremoved\b/i,
+];
+
+// Two-label public suffixes common enough to matter for sender grouping
+const SECOND_LEVEL = new Set(['co.uk', 'org.uk', 'ac.uk', 'com.au', 'net.au', 'co.nz', 'co.jp', 'com.br', 'co.in', 'co.za']);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const LEVELS = { breach: 60, warning: 25 };
+
+/** Registrable domain: mail.notion.so → notion.so, news.bbc.co.uk → bbc.co.uk */
+export function baseDomain(host) {
+  const labels = String(host || '').toLowerCase().replace(/^www\./, '').split('.').filter(Boolean);
+  const take   = SECOND_LEVEL.has(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-take).join('.');
+}
+
+/** A service's own domain and the sister domains it mails and links from. */
+export function serviceDomains(host) {
+  const owner = baseDomain(host);
+  return new Set([owner, ...(SISTER_DOMAINS[owner] || [])].filter(Boolean));
+}
+
+export class BreachScorer {
+  /**
+   * @param {object} deps
+   * @param {import('./inbox.js').InboxService}    deps.inbox
+   * @param {import('./context.js').ContextStore}  deps.store
+   */
+  constructor({ inbox, store }) {
+    this.inbox = inbox;
+    this.store = store;
+  }
+
+  /**
+   * Read a context's mail and score it.
+   * @param {object} ctx - context from ContextStore
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - messages to consider (default 100)
+   * @param {Date}   [opts.now]
+   * @returns {{ score, level, evidence: Array<{signal, points, detail}>, total_messages, known_senders, unexpected_senders }}
+   */
+  async assess(ctx, { limit = 100, now = new Date() } = {}) {
+    const fresh   = await this.#refresh(ctx, { limit, now });
+    const history = await this.store.history(ctx.name);
+    return this.score(ctx, history.length ? history : fresh, { firstSeen: await this.#firstSeen(ctx, fresh), now });
+  }
+
+  /**
+   * Chronological sender history for a context, each sender marked
+   * expected or not. Works on expired contexts from what was recorded.
+   * @param {object}  ctx
+   * @param {object}  [opts]
+   * @param {boolean} [opts.refresh] - read the inbox first (default true)
+   * @returns {{ context, alias, enrolled, events: Array<{date, event, ...}>, refresh_error? }}
+   */
+  async timeline(ctx, { refresh = true } = {}) {
+    let refresh_error;
+    if (refresh) await this.#refresh(ctx).catch(e => { refresh_error = e.message; });
+
+    const senders  = await this.store.senders(ctx.name);
+    const created  = ctx.createdAt;
+    const firstSeen = Object.fromEntries(senders.map(s => [s.domain, s.firstSeen]));
+    const { isKnown, isEsp, owner } = this.#classify(ctx, senders.map(s => s.domain), firstSeen);
+
+    const events = [];
+    if (created) events.push({ date: created, event: 'created', detail: `${ctx.aliasEmail} given to ${owner || 'nobody yet'}` });
+    for (const s of senders) {
+      const days = created ? Math.floor((Date.parse(s.firstSeen) - Date.parse(created)) / DAY) : null;
+      events.push({
+        date:      s.firstSeen,
+        event:     'first_seen',
+        domain:    s.domain,
+        expected:  isKnown(s.domain) || isEsp(s.domain),
+        from:      s.firstFrom,
+        subject:   s.firstSubject,
+        messages:  s.messages,
+        last_seen: s.lastSeen,
+        days_after_enrollment: days,
+      });
+    }
+    if (ctx.status === 'expiring' && ctx.purgeAt) events.push({ date: ctx.purgeAt, event: 'purge_scheduled', detail: 'grace window ends' });
+    if (ctx.expiredAt) events.push({ date: ctx.expiredAt, event: 'expired', detail: 'alias deleted, card closed' });
+    events.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return { context: ctx.name, alias: ctx.aliasEmail, enrolled: owner, events, ...(refresh_error && { refresh_error }) };
+  }
+
+  /**
+   * Pure scoring — no I/O.
+   * @param {object} ctx
+   * @param {Array}  messages - InboxService.read() output
+   * @param {object} [opts]
+   * @param {Object<string,string>} [opts.firstSeen] - base domain → ISO first sighting
+   * @param {Date}   [opts.now]
+   */
+  score(ctx, messages, { firstSeen = {}, now = new Date() } = {}) {
+    const evidence = [];
+    const created  = Date.parse(ctx.createdAt) || null;
+    const domains  = [...new Set(messages.map(m => m.from_domain && baseDomain(m.from_domain)).filter(Boolean))];
+    const { isKnown, isEsp } = this.#classify(ctx, domains, firstSeen);
+    const unexpected = domains.filter(d => !isKnown(d) && !isEsp(d));
+
+    for (const d of domains.filter(isEsp)) {
+      evidence.push({ signal: 'esp_sender', points: 5, detail: `mail from bulk sender ${d} with no brand domain` });
+    }
+    for (const d of unexpected) {
+      const count = messages.filter(m => m.from_domain && baseDomain(m.from_domain) === d).length;
+      evidence.push({ signal: 'unexpected_sender', points: 35, detail: `${count} message${count !== 1 ? 's' : ''} from ${d}` });
+
+      const first = Date.parse(firstSeen[d]);
+      if (created && first) {
+        const days = Math.floor((first - created) / DAY);
+        if (days >= 7) {
+          evidence.push({ signal: 'late_first_seen', points: 15, detail: `${d} first seen ${days} days after enrollment` });
+        } else if (days >= 0 && days <= 1) {
+          evidence.push({ signal: 'early_first_seen', points: -15, detail: `${d} first seen during enrollment — likely part of the signup flow` });
+        }
+      }
+    }
+
+    const spam = messages.filter(m => SPAM_PATTERNS.some(p => p.test(`${m.subject} ${m.preview}`)));
+    if (spam.length) {
+      evidence.push({ signal: 'spam_content', points: Math.min(30, spam.length * 10), detail: `${spam.length} spam-like message${spam.length !== 1 ? 's' : ''}: "${spam[0].subject}"` });
+    }
+
+    const dated    = messages.map(m => Date.parse(m.date)).filter(Boolean);
+    const lastDay  = dated.filter(t => now - t <= DAY).length;
+    const baseline = dated.filter(t => now - t > DAY && now - t <= 15 * DAY).length / 14;
+    if (lastDay >= 5 && lastDay > 3 * Math.max(baseline, 0.5)) {
+      evidence.push({ signal: 'volume_spike', points: 20, detail: `${lastDay} messages in 24h vs ${baseline.toFixed(1)}/day baseline` });
+    }
+
+    const score = Math.max(0, Math.min(100, evidence.reduce((s, e) => s + e.points, 0)));
+    return {
+      score,
+      level:              score >= LEVELS.breach ? 'breach' : score >= LEVELS.warning ? 'warning' : 'clean',
+      evidence,
+      total_messages:     messages.length,
+      known_senders:      domains.filter(d => isKnown(d) || isEsp(d)),
+      unexpected_senders: unexpected,
+    };
+  }
+
+  #classify(ctx, domains, firstSeen) {
+    const enrolled = ctx.enrollUrl ? baseDomain(new URL(ctx.enrollUrl).hostname) : null;
+    // Without an enroll URL the alias was given out by hand — whoever
+    // wrote first is who it was given to.
+    const owner = enrolled
+      ?? domains.slice().sort((a, b) => (firstSeen[a] || '').localeCompare(firstSeen[b] || ''))[0]
+      ?? null;
+    const known = serviceDomains(owner);
+    return { owner, isKnown: d => known.has(d), isEsp: d => ESP_DOMAINS.includes(d) };
+  }
+
+  // Read the inbox and fold it into the store's history.
+  async #refresh(ctx, { limit = 100, now = new Date() } = {}) {
+    const messages = await this.inbox.read({ aliasId: ctx.aliasId, aliasEmail: ctx.aliasEmail, limit });
+    await this.store.recordMessages(ctx.name, messages.map(m => ({
+      id: m.id, date: m.date || now.toISOString(), from: m.from, subject: m.subject, preview: m.preview,
+      domain: m.from_domain ? baseDomain(m.from_domain) : null,
+    })));
+    return messages;
+  }
+
+  // First sightings from the store, or from this read if the store is off.
+  async #firstSeen(ctx, fresh) {
+    const senders = await this.store.senders(ctx.name);
+    if (senders.length) return Object.fromEntries(senders.map(s => [s.domain, s.firstSeen]));
+    const seen = {};
+    for (const m of fresh) {
+      const d = m.from_domain && baseDomain(m.from_domain);
+      if (d && (!seen[d] || m.date < seen[d])) seen[d] = m.date;
+    }
+    return seen;
+  }
+}
@@ -18,6 +18,17 @@
  *   npx playwright install chromium
  *   (optional, better stealth): npm install playwright-extra playwright-extra-plugin-stealth
  *
+ * Sites with a recipe (src/recipes.js — recipes/, ~/.pane/recipes) are
+ * enrolled by replaying it; anything else gets generic form detection, one
+ * screen at a time, so multi-step signups get through either way.
+ * `pane record <url>` makes a recipe from a signup done by hand (src/recorder.js).
+ *
+ * Given a seed, enrollment runs in that envelope's own browser profile
+ * (src/profiles.js) — same fingerprint every time, cookies kept — and
+ * open() brings the profile back up in a window for `pane open <seed>`.
+ * session() hands the same profiled browser to callers that drive it
+ * themselves (`pane record --seed`, src/recorder.js).
+ *
  * Env vars:
  *   PLAYWRIGHT_HEADLESS=false   Show the browser window during enrollment
  *   PLAYWRIGHT_SLOW_MO=200      Slow down actions (ms) — useful for debugging
@@ -27,6 +38,9 @@ import { chromium }               from 'playwright';
 import { mkdirSync, existsSync }   from 'fs';
 import { join }                    from 'path';
 import { homedir }                 from 'os';
+import { randomInt, randomUUID }   from 'crypto';
+import { RecipeBook }              from './recipes.js';
+import { fingerprintFor, acceptLanguage, clientHintBrands } from './profiles.js';
 
 // ── SCREENSHOT DIR ────────────────────────────────────────────────────────────
 const SCREENSHOT_DIR = join(homedir(), '.pane', 'screenshots');
@@ -71,127 +85,6 @@ const CONSENT_TEXTS = [
   'Accept','Got it','OK','Agree and continue',
 ];
 
-// ── SERVICE-SPECIFIC OVERRIDES ────────────────────────────────────────────────
-// When generic detection is not enough, define explicit flows per domain.
-// Each entry can override: navUrl, steps[], successCheck()
-const SERVICE_OVERRIDES = {
-
-  'addy.io': {
-    navUrl: 'https://addy.io/register',
-    steps: [
-      { field: 'email',    selector: '#email,input[name="email"]' },
-      { field: 'password', selector: '#password,input[name="password"]' },
-      { field: 'password_confirm', selector: '#password_confirmation,input[name="password_confirmation"]',
-        derivedFrom: 'password' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    successSignals: ['dashboard','aliases','verify your email','resend'],
-  },
-
-  'app.simplelogin.io': {
-    navUrl: 'https://app.simplelogin.io/auth/register',
-    steps: [
-      { field: 'email',    selector: 'input[name="email"]' },
-      { field: 'password', selector: 'input[name="password"]' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    successSignals: ['check your inbox','activated','dashboard'],
-  },
-
-  'account.mullvad.net': {
-    navUrl: 'https://account.mullvad.net/signup',
-    // Mullvad has no form — just a "Generate account" button, returns an account number
-    noForm: true,
-    generateSelector: 'button:has-text("Generate account number"), button[data-testid="generate-account"]',
-    successSignals: ['account number','copy account'],
-    extractAccountNumber: async (page) => {
-      // After clicking generate, scrape the account number
-      await page.waitForSelector('[data-testid="account-number"], .account-number, code', { timeout: 10000 });
-      const el = await page.$('[data-testid="account-number"], .account-number, code');
-      return el ? (await el.textContent()).replace(/\s/g, '') : null;
-    },
-  },
-
-  'account.protonvpn.com': {
-    navUrl: 'https://account.protonvpn.com/signup',
-    // Proton has a multi-step flow inside an iframe
-    iframeSrc: 'proton.me',
-    steps: [
-      { field: 'username', selector: 'input[id="username"],input[name="username"]' },
-      // Password comes on next screen
-    ],
-    multiStep: true,
-    stepSelector: 'button:has-text("Next"), button:has-text("Continue"), button[type="submit"]',
-    successSignals: ['verify email','welcome','dashboard','check your inbox'],
-  },
-
-  'proton.me': {
-    navUrl: 'https://proton.me/mail',
-    // Redirect to account.proton.me/signup — same iframe flow
-    followRedirect: true,
-    iframeSrc: 'proton.me',
-    multiStep: true,
-    steps: [
-      { field: 'username', selector: '#username, input[name="username"]' },
-    ],
-    stepSelector: 'button[type="submit"]',
-    successSignals: ['verify email','welcome to proton','inbox'],
-  },
-
-  'notion.so': {
-    navUrl: 'https://www.notion.so/signup',
-    steps: [
-      { field: 'email', selector: 'input[type="email"]' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    // After email submit, Notion shows "continue with email" -> sends magic link
-    successSignals: ['check your email','magic link','continue with email sent'],
-  },
-
-  'github.com': {
-    navUrl: 'https://github.com/signup',
-    // GitHub has a custom multi-step signup with animation delays
-    multiStep: true,
-    steps: [
-      { field: 'email',    selector: '#email' },
-      { field: 'password', selector: '#password' },
-      { field: 'login',    selector: '#login', derivedFrom: 'username' },
-    ],
-    stepSelector: 'button[type="submit"], .signup-continue-button',
-    successSignals: ['dashboard','your profile','verify your email address'],
-    note: 'GitHub has aggressive bot detection. Recommend manual mode.',
-  },
-
-  'figma.com': {
-    navUrl: 'https://www.figma.com/signup',
-    steps: [
-      { field: 'fullname', selector: 'input[name="name"], input[id*="name"]' },
-      { field: 'email',    selector: 'input[type="email"]' },
-      { field: 'password', selector: 'input[type="password"]' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    successSignals: ['verify','check your email','welcome to figma'],
-  },
-
-  'linear.app': {
-    navUrl: 'https://linear.app/signup',
-    steps: [
-      { field: 'email', selector: 'input[type="email"]' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    successSignals: ['check your email','magic link','continue'],
-  },
-
-  'substack.com': {
-    navUrl: 'https://substack.com/sign-up',
-    steps: [
-      { field: 'email', selector: 'input[type="email"], input[name="email"]' },
-    ],
-    submitSelector: 'button[type="submit"]',
-    successSignals: ['check your inbox','magic link','email sent'],
-  },
-};
-
 // ── GENERIC FIELD PATTERNS ─────────────────────────────────────────────────────
 // Ordered by specificity. First match wins.
 const GENERIC_FIELDS = {
@@ -242,6 +135,17 @@ const GENERIC_FIELDS = {
   ],
 };
 
+// ── 2FA CODE PATTERNS ─────────────────────────────────────────────────────────
+// Prompts for a one-time code, filled from the credential vault (ctx.otp)
+const OTP_SELECTORS = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]','input[id*="otp" i]',
+  'input[name*="totp" i]','input[id*="totp" i]',
+  'input[name*="2fa" i]','input[id*="2fa" i]',
+  'input[name*="two_factor" i]','input[name*="twoFactor" i]',
+  'input[placeholder*="authentication code" i]','input[placeholder*="6-digit" i]',
+];
+
 // ── SUBMIT BUTTON PATTERNS ────────────────────────────────────────────────────
 const SUBMIT_SELECTORS = [
   'button[type="submit"]',
@@ -259,126 +163,105 @@ const SUBMIT_SELECTORS = [
   'form button:last-of-type',  // last-resort: last button in form
 ];
 
-// ── FINGERPRINT CONFIG ────────────────────────────────────────────────────────
-const SCREEN_SIZES = [
-  { width:1440, height:900 },{ width:1280, height:800 },
-  { width:1920, height:1080 },{ width:1366, height:768 },
+// ── EMAIL VERIFICATION ────────────────────────────────────────────────────────
+// The page is waiting on a mail to the alias
+const EMAIL_PROMPTS = /check your (e-?mail|inbox)|(verify|confirm) your (e-?mail|address|account)|we('ve| have)? (just )?sent|sent (you )?(an? )?(e-?mail|code|link)|enter the code|verification code|magic link/i;
+// Where an emailed code goes
+const CODE_SELECTORS = [
+  ...OTP_SELECTORS,
+  'input[name*="code" i]','input[id*="code" i]','input[placeholder*="code" i]',
+  'input[inputmode="numeric"]',
 ];
-const USER_AGENTS = [
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+// The site took the link or code — a page without an error isn't proof
+const VERIFY_DONE   = /\b(e-?mail|address|account) (is |has been |was )?(now )?(verified|confirmed|activated)\b|thanks? (you )?for (verifying|confirming)|verification (is )?(complete|successful)|successfully (verified|confirmed)|you're all set|you are all set/i;
+// The site turned the link or code down
+const VERIFY_FAILED = /expired|invalid|incorrect|not valid|no longer valid|try again/i;
+
+// ── SUCCESS SIGNALS ───────────────────────────────────────────────────────────
+// Page text / title / URL meaning the signup went through, for sites whose
+// recipe doesn't name its own. Matched as whole phrases, and phrases only:
+// the wizard checks after every screen, and a lone "confirm" or "verify" is
+// on half of them ("Confirm password", "Verify you're human").
+const SUCCESS_SIGNALS = [
+  'check your email', 'check your inbox', 'email sent', "we've sent you", 'we sent you',
+  'verify your email', 'confirm your email', 'account created', 'thanks for signing up',
+  'thank you for signing up', 'registration complete',
+  { url: '/dashboard' }, { url: '/welcome' }, { url: '/onboarding' },
 ];
 
 // ── MAIN SERVICE ──────────────────────────────────────────────────────────────
 export class BrowserService {
-  constructor() {
+  /**
+   * @param {object}       [deps]
+   * @param {RecipeBook}   [deps.recipes]
+   * @param {import('./profiles.js').ProfileStore} [deps.profiles] - without it every enrollment is a throwaway browser
+   */
+  constructor({ recipes = new RecipeBook(), profiles = null } = {}) {
     this.headless = process.env.PLAYWRIGHT_HEADLESS !== 'false';
     this.slowMo   = parseInt(process.env.PLAYWRIGHT_SLOW_MO) || 80;
+    this.recipes  = recipes;
+    this.profiles = profiles;
+  }
+
+  /**
+   * What a signup form gets filled with: the alias, the identity, a fresh
+   * password and a username. Keys are the recipe fill fields.
+   * @param {object} identity - from IdentityGen
+   * @param {string} email
+   */
+  signupValues(identity, email) {
+    return {
+      email,
+      first_name: identity.first_name,
+      last_name:  identity.last_name,
+      full_name:  identity.full_name,
+      username:   this.#deriveUsername(email, identity),
+      password:   this.#generatePassword(),
+      phone:      identity.phone,
+    };
   }
 
   /**
    * Enroll at a service using alias identity.
    * @param {string}   url
-   * @param {object}   ctx  - { identity, aliasResult, cardResult }
+   * @param {object}   ctx  - { identity, aliasResult, cardResult, seed?, otp?, verification? }
+   *   seed: the context's name — enrollment starts from its browser profile and
+   *     saves the session back to it (src/profiles.js)
+   *   otp: async () => current TOTP code or null — fills a 2FA prompt if one appears
+   *   verification: async ({ since }) => { link?, code?, from } or null — the site's
+   *     verification mail (src/verify.js); opened / entered if the site asks for one
    * @param {Function} [onStatus] - (step, message, screenshotPath?) => void
-   * @returns {{ success, email, screenshots, accountNumber?, error? }}
+   * @returns {{ success, email, screenshots, verified, accountNumber?, error? }} - plus anything a recipe extracts
    */
   async enroll(url, ctx, onStatus = null) {
     const emit = (step, msg, shot = null) => onStatus?.(step, msg, shot);
-    const screen    = this.#pick(SCREEN_SIZES);
-    const userAgent = this.#pick(USER_AGENTS);
     const parsed    = new URL(url);
     const domain    = parsed.hostname.replace('www.', '');
     const ts        = Date.now();
     const shots     = [];
-    const override  = SERVICE_OVERRIDES[domain];
-
-    if (override?.note) {
-      emit('warn', `Note: ${override.note}`);
+    const recipe    = this.recipes.for(domain);
+    const profile   = ctx.seed && this.profiles
+      ? this.profiles.load(ctx.seed, { identity: ctx.identity })
+      : null;
+    // No seed, no profile: a one-off browser that is still a coherent one
+    const fingerprint = profile?.fingerprint || fingerprintFor(ctx.seed || randomUUID(), ctx.identity);
+
+    if (recipe?.note) {
+      emit('warn', `Note: ${recipe.note}`);
+    }
+    if (profile?.replaced) {
+      emit('warn', `The ${ctx.seed} profile was from an older pane — new fingerprint, saved session dropped`);
     }
 
-    const navUrl = override?.navUrl || url;
+    const navUrl = recipe?.url || url;
     let browser, context, page;
 
     try {
       // ── Launch ──────────────────────────────────────────────────────────────
-      emit('launch', 'Launching browser…');
-      let launcher = chromium;
-      try {
-        const { chromium: extra } = await import('playwright-extra');
-        const { default: Stealth } = await import('playwright-extra-plugin-stealth');
-        extra.use(Stealth());
-        launcher = extra;
-        emit('launch', 'Stealth plugin active');
-      } catch {
-        emit('launch', 'Standard browser (no stealth plugin — run: npm i playwright-extra playwright-extra-plugin-stealth)');
-      }
-
-      browser = await launcher.launch({
-        headless: this.headless,
-        slowMo:   this.slowMo,
-        args: [
-          '--no-sandbox',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-features=IsolateOrigins',
-          `--window-size=${screen.width},${screen.height}`,
-        ],
-      });
-
-      context = await browser.newContext({
-        userAgent,
-        viewport:       screen,
-        locale:         'en-US',
-        timezoneId:     ctx.identity?.timezone || 'America/New_York',
-        permissions:    [],
-        geolocation:    null,
-        hasTouch:       false,
-        isMobile:       false,
-        deviceScaleFactor: 1,
-        extraHTTPHeaders: {
-          'Accept-Language': 'en-US,en;q=0.9',
-          'sec-ch-ua': '"Not A(Brand";v="99", "Google Chrome";v="121"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"macOS"',
-        },
-      });
-
-      // Block trackers
-      await context.route('**/*', (route) => {
-        const reqUrl = route.request().url();
-        try {
-          const host = new URL(reqUrl).hostname;
-          if (TRACKER_DOMAINS.some(t => host.includes(t))) {
-            emit('block', `Blocked: ${host}`);
-            return route.abort();
-          }
-        } catch {}
-        return route.continue();
-      });
-
-      page = await context.newPage();
-
-      // Spoof automation signals
-      await page.addInitScript(() => {
-        Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-        Object.defineProperty(navigator, 'plugins', { get: () => [1,2,3,4,5] });
-        Object.defineProperty(navigator, 'languages', { get: () => ['en-US','en'] });
-        Object.defineProperty(navigator, 'platform', { get: () => 'MacIntel' });
-        window.chrome = { runtime: {} };
-        // Subtle canvas noise
-        const origToDataURL = HTMLCanvasElement.prototype.toDataURL;
-        HTMLCanvasElement.prototype.toDataURL = function(...args) {
-          const ctx = this.getContext('2d');
-          if (ctx) {
-            const pixel = ctx.getImageData(0, 0, 1, 1);
-            pixel.data[0] ^= (Math.random() * 2 | 0);
-            ctx.putImageData(pixel, 0, 0);
-          }
-          return origToDataURL.apply(this, args);
-        };
-      });
+      emit('launch', profile?.storageState ? `Launching browser with the ${ctx.seed} profile…` : 'Launching browser…');
+      browser = await this.#launch(fingerprint, { headless: this.headless, emit });
+      context = await this.#newContext(browser, fingerprint, { storageState: profile?.storageState, emit });
+      page    = await context.newPage();
 
       // ── Navigate ─────────────────────────────────────────────────────────
       emit('navigate', `Navigating to ${domain}…`);
@@ -391,38 +274,19 @@ export class BrowserService {
       // ── Cookie consent ────────────────────────────────────────────────────
       await this.#dismissConsent(page, emit);
 
-      // ── Mullvad special case (no form, just a button) ──────────────────
-      if (override?.noForm) {
-        emit('form', 'No signup form — clicking generate button…');
-        const btn = await page.$(override.generateSelector);
-        if (btn) {
-          await btn.click();
-          await this.#humanPause(page, 2000, 500);
-          shots.push(await this.#shot(page, domain, '02-generated', ts));
-          const accountNumber = override.extractAccountNumber
-            ? await override.extractAccountNumber(page)
-            : null;
-          emit('complete', accountNumber
-            ? `✓ Account generated: ${accountNumber}`
-            : '✓ Account generated — see page for number', shots.at(-1));
-          return { success: true, email: ctx.aliasResult?.email, accountNumber, screenshots: shots };
-        }
-        throw new Error('Generate button not found on Mullvad signup page');
-      }
-
       // ── Find iframe wrapper if needed ─────────────────────────────────────
       let target = page; // target is either the main page or an iframe
-      if (override?.iframeSrc) {
-        emit('form', `Looking for embedded signup frame (${override.iframeSrc})…`);
-        const frame = page.frames().find(f => f.url().includes(override.iframeSrc) && f !== page.mainFrame());
+      if (recipe?.frame) {
+        emit('form', `Looking for embedded signup frame (${recipe.frame})…`);
+        const frame = page.frames().find(f => f.url().includes(recipe.frame) && f !== page.mainFrame());
         if (frame) {
           target = frame;
           emit('form', 'Found embedded frame');
         }
-        // Also wait for Proton's iframe to mount
+        // Also wait for the iframe to mount (Proton)
         try {
-          await page.waitForSelector(`iframe[src*="${override.iframeSrc}"]`, { timeout: 8000 });
-          const iframeEl = await page.$(`iframe[src*="${override.iframeSrc}"]`);
+          await page.waitForSelector(`iframe[src*="${recipe.frame}"]`, { timeout: 8000 });
+          const iframeEl = await page.$(`iframe[src*="${recipe.frame}"]`);
           if (iframeEl) {
             const iframeContent = await iframeEl.contentFrame();
             if (iframeContent) target = iframeContent;
@@ -430,98 +294,61 @@ export class BrowserService {
         } catch {}
       }
 
-      // ── Fill fields ───────────────────────────────────────────────────────
-      emit('form', 'Scanning for form fields…');
-
       const { identity, aliasResult } = ctx;
-      const values = {
-        email:            aliasResult.email,
-        first_name:       identity.first_name,
-        last_name:        identity.last_name,
-        full_name:        identity.full_name,
-        fullname:         identity.full_name,
-        password:         this.#generatePassword(),
-        username:         this.#deriveUsername(aliasResult.email, identity),
-        phone:            identity.phone,
-      };
-      // Store password on ctx so caller can persist it
+      const values = this.signupValues(identity, aliasResult?.email);
+      // Left on ctx for the caller to save in the credential vault (src/vault.js)
       ctx.generatedPassword = values.password;
 
-      let filledCount = 0;
-
-      if (override?.steps) {
-        // Service-specific step sequence
-        for (const step of override.steps) {
-          const val = step.derivedFrom ? values[step.derivedFrom] : values[step.field];
-          if (!val) continue;
-          const el = await this.#waitForField(target, step.selector, 5000);
-          if (el) {
-            await this.#typeHuman(page, el, val);
-            emit('fill', `${step.field}: filled`);
-            filledCount++;
-          } else {
-            emit('fill', `${step.field}: field not found — skipping`);
-          }
-        }
-      } else {
-        // Generic field detection
-        for (const [field, selectors] of Object.entries(GENERIC_FIELDS)) {
-          if (field === 'phone' && !values.phone) continue;
-          const el = await this.#findField(target, selectors);
-          if (!el) continue;
-          const val = field === 'full_name' ? (await this.#findField(target, GENERIC_FIELDS.first_name)) ? null : values.full_name
-                    : values[field] || null;
-          if (!val) continue;
-          await this.#typeHuman(page, el, val);
-          emit('fill', `${field}: filled`);
-          filledCount++;
-        }
-      }
-
-      if (filledCount === 0) throw new Error('No fillable fields found — signup form not detected');
-
-      await this.#humanPause(page, 600, 400);
-      shots.push(await this.#shot(page, domain, '02-filled', ts));
-      emit('fill', `${filledCount} fields filled`, shots.at(-1));
-
-      // ── Submit ────────────────────────────────────────────────────────────
-      emit('submit', 'Submitting form…');
-
-      const submitSel = override?.submitSelector || SUBMIT_SELECTORS.join(', ');
-      const submitBtn = await target.$(submitSel);
+      const run = {
+        page, target, domain, ts, shots, values, ctx, emit,
+        frame:     recipe?.frame,
+        signals:   recipe?.success || SUCCESS_SIGNALS,
+        filled:    0,
+        submitted: false,
+        extracted: {},
+      };
 
-      if (submitBtn) {
-        await this.#humanPause(page, 400, 200);
-        await submitBtn.click();
+      if (recipe) {
+        // ── Replay the site recipe ──────────────────────────────────────────
+        emit('form', `Following the ${domain} recipe…`);
+        await this.#runSteps(recipe.steps, run);
+        if (run.filled === 0 && hasFill(recipe.steps)) throw new Error('No fillable fields found — the recipe\'s selectors matched nothing');
+        if (!run.submitted) shots.push(await this.#shot(page, domain, '02-done', ts));
       } else {
-        // Fallback: Enter key in the last filled field
-        await page.keyboard.press('Enter');
-        emit('submit', 'Submit button not found — used Enter key');
+        // ── Generic field detection, screen by screen ───────────────────────
+        emit('form', 'Scanning for form fields…');
+        await this.#wizard(run, {});
+        if (run.filled === 0) throw new Error('No fillable fields found — signup form not detected');
       }
 
-      // Wait for navigation or DOM change
-      await Promise.race([
-        page.waitForNavigation({ timeout: 12000, waitUntil: 'domcontentloaded' }).catch(() => {}),
-        page.waitForTimeout(4000),
-      ]);
-
-      shots.push(await this.#shot(page, domain, '03-submitted', ts));
+      // ── 2FA prompt ────────────────────────────────────────────────────────
+      if (ctx.otp && await this.#fillOtp(page, run.target, ctx, emit)) {
+        shots.push(await this.#shot(page, domain, '03-otp', ts));
+      }
 
       // ── Detect success ────────────────────────────────────────────────────
-      const sigs   = override?.successSignals || ['welcome','dashboard','confirm','verify','check your email','success','sent','inbox'];
-      const body   = (await page.innerText('body').catch(() => '')).toLowerCase().slice(0, 1000);
-      const title  = (await page.title().catch(() => '')).toLowerCase();
-      const curUrl = page.url().toLowerCase();
-
-      const matched = sigs.find(s => body.includes(s) || title.includes(s) || curUrl.includes(s));
+      const matched = await this.#succeeded(run);
       const success = !!matched;
 
       emit('submit', success
-        ? `✓ Enrollment confirmed — signal: "${matched}"` + (aliasResult.email ? ` — check ${aliasResult.email}` : '')
+        ? `✓ Enrollment confirmed — signal: "${matched}"` + (aliasResult?.email ? ` — check ${aliasResult.email}` : '')
         : `⚠ Submitted — could not confirm success. Check ${aliasResult?.email || 'your alias inbox'} for verification.`,
         shots.at(-1));
 
-      return { success: true, email: aliasResult.email, screenshots: shots, matchedSignal: matched };
+      // ── Email verification ────────────────────────────────────────────────
+      const verification = ctx.verification && await this.#asksForEmail(run)
+        ? await this.#verify(run, aliasResult?.email)
+        : null;
+
+      return {
+        success:       true,
+        email:         aliasResult?.email,
+        screenshots:   shots,
+        matchedSignal: matched,
+        verified:      !!verification?.verified,
+        ...(verification && { verification }),
+        ...run.extracted,
+      };
 
     } catch (err) {
       const errShot = page ? await this.#shot(page, 'error', '04-error', Date.now()).catch(() => null) : null;
@@ -529,12 +356,512 @@ export class BrowserService {
       emit('error', `Failed: ${err.message}`, errShot);
       return { success: false, screenshots: shots, error: err.message };
     } finally {
+      // Whatever the site set — a login, half a signup — stays with the envelope
+      if (profile && context) {
+        await context.storageState({ indexedDB: true })
+          .then(state => this.profiles.save(ctx.seed, state))
+          .catch(e => emit('warn', `Browser profile not saved: ${e.message}`));
+      }
       await browser?.close().catch(() => {});
     }
   }
 
+  /**
+   * Open a visible browser as a context, from its profile, and save the
+   * session back when the window closes or `until` resolves — the state is
+   * also saved every 30s in case the process is killed.
+   * @param {string} url
+   * @param {string} seed
+   * @param {object}   [opts]
+   * @param {object}   [opts.identity] - from IdentityGen, if the profile is new
+   * @param {Promise}  [opts.until]    - resolves to end the session (Enter in the terminal)
+   * @param {Function} [opts.onStatus] - (step, message) => void
+   * @returns {{ url, profile: string, restored: boolean, cookies: number, origins: number }}
+   */
+  async open(url, seed, { identity, until = new Promise(() => {}), onStatus = null } = {}) {
+    const emit = (step, msg) => onStatus?.(step, msg);
+    const { browser, context, profile, save } = await this.session(seed, { identity, emit });
+    let saved = { cookies: 0, origins: 0 };
+    try {
+      const page = await context.newPage();
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      emit('open', 'Browsing — close the window when you are done');
+
+      const timer = setInterval(() => save().catch(() => {}), 30000);
+      // Done when every tab is closed (new ones may open along the way)
+      const closed = new Promise(resolve => {
+        const check = () => setTimeout(() => { if (!context.pages().length) resolve(); }, 250);
+        context.on('page', p => p.on('close', check));
+        page.on('close', check);
+      });
+      await Promise.race([until, closed, new Promise(resolve => browser.on('disconnected', resolve))]);
+      clearInterval(timer);
+
+      if (browser.isConnected()) saved = await save();
+      emit('save', `Session saved — ${saved.cookies} cookies, ${saved.origins} sites with storage`);
+    } finally {
+      await browser.close().catch(() => {});
+    }
+    return { url, profile: profile.dir, restored: !!profile.storageState, ...saved };
+  }
+
+  /**
+   * A browser dressed as a context's profile — its fingerprint, its saved
+   * session, trackers blocked — for a caller that drives it. save() writes
+   * the session back; closing the browser is the caller's job.
+   * @param {string} seed
+   * @param {object}   [opts]
+   * @param {object}   [opts.identity] - from IdentityGen, if the profile is new
+   * @param {boolean}  [opts.headless] - default false: someone is at the window
+   * @param {Function} [opts.emit]     - (step, message) => void
+   * @returns {Promise<{ browser, context, profile, save: () => Promise<{ cookies, origins }> }>}
+   */
+  async session(seed, { identity, headless = false, emit = () => {} } = {}) {
+    if (!this.profiles) throw new Error('BrowserService needs a ProfileStore to open a profile');
+    const profile = this.profiles.load(seed, { identity });
+    if (profile.replaced) emit('warn', `The ${seed} profile was from an older pane — new fingerprint, saved session dropped. Log in again.`);
+    emit('launch', profile.storageState ? `Opening the ${seed} profile (saved ${profile.savedAt.slice(0, 16).replace('T', ' ')})…` : `Opening a new ${seed} profile…`);
+
+    const browser = await this.#launch(profile.fingerprint, { headless, emit });
+    try {
+      const context = await this.#newContext(browser, profile.fingerprint, { storageState: profile.storageState });
+      const save    = async () => this.profiles.save(seed, await context.storageState({ indexedDB: true }));
+      return { browser, context, profile, save };
+    } catch (e) {
+      await browser.close().catch(() => {});
+      throw e;
+    }
+  }
+
+  // ── LAUNCH ─────────────────────────────────────────────────────────────────
+
+  async #launch(fingerprint, { headless, emit }) {
+    let launcher = chromium;
+    try {
+      const { chromium: extra } = await import('playwright-extra');
+      const { default: Stealth } = await import('playwright-extra-plugin-stealth');
+      extra.use(Stealth());
+      launcher = extra;
+      emit('launch', 'Stealth plugin active');
+    } catch {
+      emit('launch', 'Standard browser (no stealth plugin — run: npm i playwright-extra playwright-extra-plugin-stealth)');
+    }
+
+    return launcher.launch({
+      headless,
+      slowMo:   this.slowMo,
+      args: [
+        '--no-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-features=IsolateOrigins',
+        `--window-size=${fingerprint.screen.width},${fingerprint.screen.height}`,
+      ],
+    });
+  }
+
+  // A browser context that looks like `fingerprint` — headers, navigator,
+  // screen, WebGL, fonts and canvas all agreeing — trackers blocked,
+  // starting from `storageState` if there is one
+  async #newContext(browser, fingerprint, { storageState = null, emit = () => {} } = {}) {
+    const context = await browser.newContext({
+      userAgent:      fingerprint.userAgent,
+      viewport:       fingerprint.viewport,
+      screen:         fingerprint.screen,
+      locale:         fingerprint.locale,
+      timezoneId:     fingerprint.timezone,
+      permissions:    [],
+      hasTouch:       false,
+      isMobile:       false,
+      deviceScaleFactor: fingerprint.deviceScaleFactor,
+      ...(storageState && { storageState }),
+      extraHTTPHeaders: {
+        'Accept-Language': acceptLanguage(fingerprint),
+        'sec-ch-ua': clientHintBrands(fingerprint),
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': `"${fingerprint.platform}"`,
+      },
+    });
+
+    // Block trackers
+    await context.route('**/*', (route) => {
+      const reqUrl = route.request().url();
+      try {
+        const host = new URL(reqUrl).hostname;
+        if (TRACKER_DOMAINS.some(t => host.includes(t))) {
+          emit('block', `Blocked: ${host}`);
+          return route.abort();
+        }
+      } catch {}
+      return route.continue();
+    });
+
+    // Spoof automation signals and say what the fingerprint says, in every tab
+    await context.addInitScript((fp) => {
+      const define = (obj, key, value) => Object.defineProperty(obj, key, { get: () => value, configurable: true });
+      define(Navigator.prototype, 'webdriver', undefined);
+      define(Navigator.prototype, 'plugins', [1,2,3,4,5]);
+      define(Navigator.prototype, 'languages', Object.freeze([...fp.languages]));
+      define(Navigator.prototype, 'language', fp.languages[0]);
+      define(Navigator.prototype, 'platform', fp.navigatorPlatform);
+      define(Navigator.prototype, 'hardwareConcurrency', fp.hardwareConcurrency);
+      define(Navigator.prototype, 'deviceMemory', fp.deviceMemory);
+      window.chrome = { runtime: {} };
+
+      // Client hints as JavaScript sees them
+      const fullVersion = `${fp.brands[0].version}.0.0.0`;
+      const hints = {
+        brands: fp.brands, mobile: false, platform: fp.platform,
+        platformVersion: fp.platformVersion, architecture: fp.architecture, bitness: '64', model: '', wow64: false,
+        uaFullVersion: fullVersion,
+        fullVersionList: fp.brands.map(b => ({ brand: b.brand, version: b.brand.startsWith('Not') ? `${b.version}.0.0.0` : fullVersion })),
+      };
+      define(Navigator.prototype, 'userAgentData', {
+        brands: fp.brands, mobile: false, platform: fp.platform,
+        getHighEntropyValues: async keys => Object.fromEntries(Object.entries(hints).filter(([k]) => ['brands', 'mobile', 'platform', ...keys].includes(k))),
+        toJSON: () => ({ brands: fp.brands, mobile: false, platform: fp.platform }),
+      });
+
+      // GPU: the unmasked vendor / renderer
+      for (const proto of [WebGLRenderingContext.prototype, window.WebGL2RenderingContext?.prototype].filter(Boolean)) {
+        const getParameter = proto.getParameter;
+        proto.getParameter = function(p) {
+          if (p === 0x9245) return fp.webgl.vendor;   // UNMASKED_VENDOR_WEBGL
+          if (p === 0x9246) return fp.webgl.renderer; // UNMASKED_RENDERER_WEBGL
+          return getParameter.call(this, p);
+        };
+      }
+
+      // Fonts: installed means on the fingerprint's list
+      if (document.fonts?.check) {
+        const GENERIC = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+        const check = document.fonts.check.bind(document.fonts);
+        document.fonts.check = (font, text) => {
+          const families = font.replace(/^.*?\d+(\.\d+)?(px|pt|em|rem|%)\S*\s+/, '').split(',').map(f => f.trim().replace(/^["']|["']$/g, ''));
+          return families.some(f => GENERIC.includes(f) || fp.fonts.includes(f)) && check(font, text);
+        };
+      }
+
+      // Canvas noise: one pixel nudged, the same one every time for this
+      // context, on a copy so the page's canvas is left alone
+      const toDataURL = HTMLCanvasElement.prototype.toDataURL;
+      HTMLCanvasElement.prototype.toDataURL = function(...args) {
+        if (!this.width || !this.height) return toDataURL.apply(this, args);
+        const copy = document.createElement('canvas');
+        copy.width  = this.width;
+        copy.height = this.height;
+        const ctx = copy.getContext('2d');
+        ctx.drawImage(this, 0, 0);
+        const x = fp.canvasSeed % copy.width, y = (fp.canvasSeed >>> 8) % copy.height;
+        const pixel = ctx.getImageData(x, y, 1, 1);
+        pixel.data[(fp.canvasSeed >>> 16) % 3] ^= 1;
+        ctx.putImageData(pixel, x, y);
+        return toDataURL.apply(copy, args);
+      };
+    }, fingerprint);
+
+    return context;
+  }
+
+  // ── RECIPE STEPS ───────────────────────────────────────────────────────────
+  // One step kind per key; see recipes/recipe.schema.json. A fill whose field
+  // isn't on the page is skipped, a missing click fails the enrollment unless
+  // it is `optional`.
+
+  async #runSteps(steps, run) {
+    const { page, values, ctx, emit } = run;
+    for (const step of steps) {
+      // run.target moves if a wizard screen replaces the signup frame
+      const target = run.target;
+      if (step.fill) {
+        const val = values[step.fill];
+        if (!val) continue;
+        const el = await this.#waitForField(target, step.selector, step.timeout ?? 5000);
+        if (!el) { emit('fill', `${step.fill}: field not found — skipping`); continue; }
+        await this.#typeHuman(page, el, val);
+        if (step.fill === 'username') ctx.generatedUsername = val;
+        emit('fill', `${step.fill}: filled`);
+        run.filled++;
+      } else if (step.click) {
+        const el = await this.#waitForField(target, step.click, step.timeout ?? 5000);
+        if (!el) {
+          if (step.optional) continue;
+          throw new Error(`Nothing to click at ${step.click}`);
+        }
+        await this.#humanPause(page, 300, 200);
+        await el.click();
+        await this.#humanPause(page, 1200, 600);
+      } else if (step.submit) {
+        await this.#submit(run, step.submit, step.timeout);
+      } else if (step.wizard) {
+        await this.#wizard(run, { next: step.wizard, fields: step.fields, screens: step.screens, timeout: step.timeout });
+      } else if ('wait' in step) {
+        if (typeof step.wait === 'number') { await page.waitForTimeout(step.wait); continue; }
+        if (await this.#waitUntil(run, step.wait, step.timeout ?? 10000)) continue;
+        if (!step.optional) throw new Error(`Timed out waiting for ${JSON.stringify(step.wait)}`);
+      } else if (step.if) {
+        const branch = await this.#waitUntil(run, step.if, step.timeout ?? 3000) ? step.then : step.else;
+        if (branch) await this.#runSteps(branch, run);
+      } else if (step.extract) {
+        const el = await this.#waitForField(target, step.selector, step.timeout ?? 10000);
+        let text = el ? (await el.textContent()) || '' : '';
+        if (step.pattern) { const m = text.match(new RegExp(step.pattern)); text = m ? m[1] ?? m[0] : ''; }
+        if (step.strip) text = text.replace(new RegExp(step.strip, 'g'), '');
+        text = text.trim();
+        if (text) run.extracted[step.extract] = text;
+        emit('extract', text ? `${step.extract}: ${text}` : `${step.extract}: not found on the page`);
+      }
+    }
+  }
+
+  // Click submit (Enter if there's no button), then wait for the page to move on
+  async #submit(run, selector, timeout = 12000) {
+    const { page, target, domain, ts, shots, emit } = run;
+    await this.#humanPause(page, 600, 400);
+    shots.push(await this.#shot(page, domain, '02-filled', ts));
+    emit('fill', `${run.filled} fields filled`, shots.at(-1));
+
+    emit('submit', 'Submitting form…');
+    const submitBtn = await target.$(selector);
+    if (submitBtn) {
+      await this.#humanPause(page, 400, 200);
+      await submitBtn.click();
+    } else {
+      // Fallback: Enter key in the last filled field
+      await page.keyboard.press('Enter');
+      emit('submit', 'Submit button not found — used Enter key');
+    }
+
+    // Wait for navigation or DOM change
+    await Promise.race([
+      page.waitForNavigation({ timeout, waitUntil: 'domcontentloaded' }).catch(() => {}),
+      page.waitForTimeout(4000),
+    ]);
+    shots.push(await this.#shot(page, domain, '03-submitted', ts));
+    run.submitted = true;
+  }
+
+  // ── WIZARD ─────────────────────────────────────────────────────────────────
+  // Signups that ask for a few fields per screen (Proton, GitHub) and plain
+  // one-screen forms alike. Each screen: fill what is visible and still
+  // empty, screenshot, press next, wait for the screen to change. Stops on a
+  // success signal, a screen with nothing left to fill, a screen that
+  // doesn't change (usually a validation error or a captcha) or `screens`.
+
+  async #wizard(run, { next, fields = {}, screens = 8, timeout = 10000 }) {
+    const { page, domain, ts, shots, ctx, emit } = run;
+    // A recipe's selectors first; generic detection for the fields it doesn't name
+    const where   = { ...GENERIC_FIELDS, ...Object.fromEntries(Object.entries(fields).map(([f, sel]) => [f, [sel]])) };
+    const buttons = next ? [next] : SUBMIT_SELECTORS;
+
+    let stop = `⚠ Still going after ${screens} screens — stopped`;
+    for (let n = 1; n <= screens; n++) {
+      const filled = await this.#fillScreen(run, where);
+      if (ctx.otp && await this.#fillOtp(page, run.target, ctx, emit)) filled.push('2FA code');
+      if (!filled.length) {
+        stop = n === 1 ? 'Nothing to fill on the first screen' : `Screen ${n}: nothing left to fill`;
+        break;
+      }
+      shots.push(await this.#shot(page, domain, `02-screen-${n}`, ts));
+      emit('step', `Screen ${n}: ${filled.join(', ')}`, shots.at(-1));
+
+      const before = await this.#screenKey(run);
+      const button = await this.#findField(run.target, buttons);
+      await this.#humanPause(page, 500, 400);
+      if (button) {
+        await button.click();
+      } else {
+        await page.keyboard.press('Enter');
+        emit('step', `Screen ${n}: no next button — used Enter key`);
+      }
+      run.submitted = true;
+
+      if (!await this.#settle(run, before, timeout)) {
+        stop = `⚠ Screen ${n} didn't change — stopped (an error on the form, or a captcha?)`;
+        break;
+      }
+      const signal = await this.#succeeded(run);
+      if (signal) { stop = `Screen ${n + 1}: "${signal}"`; break; }
+    }
+    if (run.submitted) shots.push(await this.#shot(page, domain, '03-submitted', ts));
+    emit('step', stop, shots.at(-1));
+  }
+
+  // Fill every field on the current screen that is visible and empty; returns the fields filled
+  async #fillScreen(run, where) {
+    const { page, values, ctx, emit } = run;
+    const filled = [];
+    for (const [field, selectors] of Object.entries(where)) {
+      const val = values[field];
+      if (!val) continue;
+      const el = await this.#findField(run.target, selectors);
+      if (!el || await el.inputValue().catch(() => '')) continue;
+      // One name box only when the form has no first-name box
+      if (field === 'full_name' && await this.#findField(run.target, where.first_name)) continue;
+      await this.#typeHuman(page, el, val);
+      if (field === 'username') ctx.generatedUsername = val;
+      emit('fill', `${field}: filled`);
+      run.filled++;
+      filled.push(field);
+    }
+    return filled;
+  }
+
+  // The URL plus the visible inputs and headings — changes when the screen does
+  async #screenKey({ page, target }) {
+    const seen = await target.$$eval('input, select, textarea, h1, h2', els => els
+      .filter(el => el.offsetParent !== null && el.type !== 'hidden')
+      .map(el => el.name || el.id || el.textContent.trim().slice(0, 40) || el.tagName)
+      .join('|')).catch(() => '');
+    return `${page.url()} ${seen}`;
+  }
+
+  // Wait for the screen to change and the network to quiet down
+  async #settle(run, before, timeout) {
+    const { page } = run;
+    const until = Date.now() + timeout;
+    let changed = false;
+    while (!changed && Date.now() < until) {
+      await page.waitForTimeout(250);
+      // A new page can replace the signup iframe — find it again
+      if (run.target !== page && run.target.isDetached()) {
+        run.target = page.frames().find(f => f !== page.mainFrame() && run.frame && f.url().includes(run.frame)) || page;
+      }
+      changed = (await this.#screenKey(run)) !== before;
+    }
+    if (!changed) return false;
+    await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+    await this.#humanPause(page, 800, 400);
+    return true;
+  }
+
+  // The first success signal the page shows, or null
+  async #succeeded(run) {
+    const { page } = run;
+    const body   = (await page.innerText('body').catch(() => '')).slice(0, 1000);
+    const title  = await page.title().catch(() => '');
+    const curUrl = page.url();
+    for (const sig of run.signals) {
+      const hit = typeof sig === 'string'
+        ? [body, title, curUrl].some(text => phrase(sig).test(text.replace(/[‘’]/g, "'")))
+        : await this.#holds(run, sig);
+      if (hit) return typeof sig === 'string' ? sig : JSON.stringify(sig);
+    }
+    return null;
+  }
+
+  // ── EMAIL VERIFICATION ─────────────────────────────────────────────────────
+  // The mail comes through ctx.verification (src/verify.js); its link is
+  // opened, or its code typed, here — in the session that signed up, since
+  // some sites only accept it there.
+
+  async #asksForEmail({ page, target }) {
+    const text = [await page.innerText('body').catch(() => ''), target !== page ? await target.innerText('body').catch(() => '') : ''].join(' ');
+    return EMAIL_PROMPTS.test(text);
+  }
+
+  async #verify(run, email) {
+    const { page, domain, ts, shots, ctx, emit } = run;
+    emit('verify', `Waiting for the verification email at ${email}…`);
+    let found;
+    try {
+      found = await ctx.verification({ since: new Date(ts) });
+    } catch (e) {
+      emit('verify', `⚠ Can't check the inbox: ${e.message}`);
+      return null;
+    }
+    if (!found) {
+      emit('verify', '⚠ No verification email yet — it will show in pane inbox when it arrives');
+      return null;
+    }
+    const via = found.link ? 'link' : 'code';
+
+    // The account is made by now: a link that won't load or a code field
+    // that goes away fails the verification, not the enrollment
+    try {
+      if (found.link) {
+        emit('verify', `Opening the confirmation link from ${found.from}…`);
+        await page.goto(found.link, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      } else {
+        const el = await this.#findField(run.target, CODE_SELECTORS) || await this.#findField(page, CODE_SELECTORS);
+        if (!el) {
+          emit('verify', `⚠ Code ${found.code} from ${found.from}, but nowhere on the page to enter it`);
+          return { via, from: found.from, verified: false };
+        }
+        emit('verify', `Entering the code from ${found.from}…`);
+        await this.#typeHuman(page, el, found.code);
+        await this.#humanPause(page, 400, 300);
+        // Many code forms submit themselves on the last digit; the button is for the rest
+        const button = await this.#findField(run.target, SUBMIT_SELECTORS);
+        if (button) await button.click().catch(() => {});
+        else await page.keyboard.press('Enter').catch(() => {});
+      }
+    } catch (e) {
+      emit('verify', `⚠ Couldn't use the verification ${via} from ${found.from}: ${e.message.split('\n')[0]}`);
+      return { via, from: found.from, verified: false };
+    }
+    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+    await this.#humanPause(page, 800, 400);
+    shots.push(await this.#shot(page, domain, '04-verified', ts));
+
+    const text     = [await page.innerText('body').catch(() => ''), await page.title().catch(() => '')]
+      .join('\n').slice(0, 2000).replace(/[‘’]/g, "'");
+    const rejected = VERIFY_FAILED.test(text);
+    const verified = !rejected && VERIFY_DONE.test(text);
+    emit('verify', verified ? `✓ Email verified by ${via}`
+      : rejected ? `⚠ The site didn't take the verification ${via} — see the screenshot`
+      : `⚠ Used the verification ${via}, but the page doesn't say it worked — see the screenshot`, shots.at(-1));
+    return { via, from: found.from, verified };
+  }
+
+  // Does the page meet a recipe condition right now? Every key given must hold.
+  async #holds({ page, target }, { selector, text, url }) {
+    if (url && !page.url().toLowerCase().includes(url.toLowerCase())) return false;
+    if (text) {
+      const body = (await target.innerText('body').catch(() => '')).toLowerCase();
+      if (!body.includes(text.toLowerCase())) return false;
+    }
+    if (selector) {
+      const el = await target.$(selector).catch(() => null);
+      if (!el || !(await el.isVisible().catch(() => false))) return false;
+    }
+    return true;
+  }
+
+  async #waitUntil(run, condition, timeout) {
+    const until = Date.now() + timeout;
+    for (;;) {
+      if (await this.#holds(run, condition)) return true;
+      if (Date.now() >= until) return false;
+      await run.page.waitForTimeout(250);
+    }
+  }
+
   // ── HELPERS ────────────────────────────────────────────────────────────────
 
+  // Returns true if a code prompt was found and answered.
+  async #fillOtp(page, target, ctx, emit) {
+    const el = await this.#findField(target, OTP_SELECTORS);
+    if (!el) return false;
+    const otp = await ctx.otp();
+    if (!otp) {
+      emit('verify', '2FA code requested — no TOTP secret saved for this context (pane otp <seed> --set)');
+      return false;
+    }
+    // A code about to roll over may be rejected by the time it's submitted
+    if (otp.expires_in < 3) await page.waitForTimeout(otp.expires_in * 1000 + 500);
+    const { code } = otp.expires_in < 3 ? await ctx.otp() : otp;
+    await this.#typeHuman(page, el, code);
+    emit('verify', '2FA code filled from vault');
+    await this.#humanPause(page, 400, 200);
+    const btn = await target.$(SUBMIT_SELECTORS.join(', '));
+    if (btn) await btn.click(); else await page.keyboard.press('Enter');
+    await Promise.race([
+      page.waitForNavigation({ timeout: 12000, waitUntil: 'domcontentloaded' }).catch(() => {}),
+      page.waitForTimeout(4000),
+    ]);
+    return true;
+  }
+
   async #dismissConsent(page, emit) {
     // Try text-based buttons first (most reliable)
     for (const text of CONSENT_TEXTS) {
@@ -562,11 +889,13 @@ export class BrowserService {
     }
   }
 
+  // First visible match — a wizard keeps earlier screens' buttons hidden in the DOM
   async #findField(page, selectors) {
     for (const sel of selectors) {
       try {
-        const el = await page.$(sel);
-        if (el && await el.isVisible()) return el;
+        for (const el of await page.$$(sel)) {
+          if (await el.isVisible()) return el;
+        }
       } catch {}
     }
     return null;
@@ -602,7 +931,7 @@ export class BrowserService {
 
   #generatePassword() {
     const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    return Array.from({ length: 22 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+    return Array.from({ length: 22 }, () => chars[randomInt(chars.length)]).join('');
   }
 
   #deriveUsername(email, identity) {
@@ -612,5 +941,17 @@ export class BrowserService {
     return `${base}${suffix}`;
   }
 
-  #pick(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
+}
+
+// Does a recipe fill anything (branches included)?
+function hasFill(steps) {
+  return steps.some(s => s.fill || s.wizard || (s.then && hasFill(s.then)) || (s.else && hasFill(s.else)));
+}
+
+// A success signal as a whole word or phrase: "sent" is not in "consent"
+function phrase(signal) {
+  const s    = signal.trim();
+  const word = /[\p{L}\p{N}]/u;
+  const body = s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`${word.test(s[0]) ? '(?<![\\p{L}\\p{N}])' : ''}${body}${word.test(s.at(-1)) ? '(?![\\p{L}\\p{N}])' : ''}`, 'iu');
 }
@@ -0,0 +1,101 @@
+/**
+ * src/bulk.js — One action over many envelopes
+ *
+ * `pane audit`, `expire`, `freeze`, `unfreeze` and `fund` take one seed, or
+ * several, or a selection:
+ *
+ *   --all                every active envelope
+ *   --tag T              active envelopes carrying a tag
+ *   --status, --domain,  the `pane list` filters (src/query.js);
+ *   --search, --since,   --older-than 90d is --until 90d
+ *   --until, --card
+ *
+ * Only audit reads expiring and expired envelopes (--status expired); the
+ * rest change things, so their selections are active envelopes only.
+ *
+ * select() resolves that to contexts; run() applies the action to each,
+ * at most `concurrency` at a time (--concurrency, PANE_BULK_CONCURRENCY,
+ * default 4). Provider rate limits are handled below this, per request
+ * (src/ratelimit.js). One envelope failing doesn't stop the others: every
+ * item ends ok, failed (with the error) or skipped (with the reason).
+ */
+
+import { parseFilters } from './query.js';
+
+export class BulkRunner {
+  /**
+   * @param {object} deps
+   * @param {import('./context.js').ContextStore} deps.store
+   * @param {import('./query.js').EnvelopeQuery}  deps.query
+   * @param {number} [deps.concurrency]
+   */
+  constructor({ store, query, concurrency }) {
+    this.store       = store;
+    this.query       = query;
+    this.concurrency = concurrency || parseInt(process.env.PANE_BULK_CONCURRENCY) || 4;
+  }
+
+  /**
+   * @param {object}   selection
+   * @param {string[]} [selection.seeds]   - named contexts; wins over everything else
+   * @param {boolean}  [selection.all]
+   * @param {object}   [selection.filters] - src/query.js filters, tag included
+   * @param {boolean}  [selection.anyStatus] - allow expiring / expired ones (read-only actions)
+   * @returns {Array<object>} contexts
+   */
+  async select({ seeds = [], all = false, filters = {}, anyStatus = false } = {}) {
+    if (seeds.length) {
+      const found   = await Promise.all(seeds.map(s => this.store.get(s)));
+      const missing = seeds.filter((s, i) => !found[i]);
+      if (missing.length) throw new Error(`No active context ${missing.map(s => `"${s}"`).join(', ')}`);
+      return found;
+    }
+    const given = Object.values(filters).some(v => v != null);
+    if (!all && !given) throw new Error('Name the envelopes: seeds, --all, --tag T or a list filter (--status, --older-than …)');
+    if (!anyStatus) {
+      const other = parseFilters(filters).lifecycle.filter(s => s !== 'active');
+      if (other.length) throw new Error(`Only active envelopes can be changed — --status ${other.join(',')} is for pane audit and pane list`);
+    }
+    const found = await this.query.run(filters, { assess: false });
+    return anyStatus ? found : found.filter(ctx => ctx.status === 'active');
+  }
+
+  /**
+   * @param {string}   action   - label for the summary ("expire", "audit", …)
+   * @param {object[]} contexts
+   * @param {(ctx: object) => Promise<object|void>} fn - resolves to the item's result;
+   *        `{ skipped: reason }` marks it skipped, a throw marks it failed
+   * @returns {{ action, total, ok, failed, skipped, took_ms, results: Array<{ context, result: 'ok'|'failed'|'skipped', error?, reason?, … }> }}
+   */
+  async run(action, contexts, fn) {
+    const started = Date.now();
+    const results = new Array(contexts.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < contexts.length) {
+        const i   = next++;
+        const ctx = contexts[i];
+        try {
+          const r = (await fn(ctx)) || {};
+          results[i] = r.skipped
+            ? { context: ctx.name, result: 'skipped', reason: r.skipped }
+            : { context: ctx.name, result: 'ok', ...r };
+        } catch (e) {
+          results[i] = { context: ctx.name, result: 'failed', error: e.message };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, contexts.length) }, worker));
+
+    const count = kind => results.filter(r => r.result === kind).length;
+    return {
+      action,
+      total:   results.length,
+      ok:      count('ok'),
+      failed:  count('failed'),
+      skipped: count('skipped'),
+      took_ms: Date.now() - started,
+      results,
+    };
+  }
+}
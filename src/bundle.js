@@ -0,0 +1,175 @@
+/**
+ * src/bundle.js — Portable encrypted envelope bundles
+ *
+ * `pane export` writes everything needed to rebuild the envelope map on
+ * another machine — contexts of every status (tombstones included, so a
+ * burned alias is never reissued by mistake), identities, sender / message /
+ * charge history, vault credentials and enrollment screenshots — as one
+ * file sealed under a passphrase or key file (src/crypto.js, same format as
+ * a locked store). `pane import` reads it back.
+ *
+ * Credentials travel decrypted inside the sealed bundle and are re-sealed
+ * under the importing machine's vault key.
+ *
+ * Import conflicts — a local context with the same name but a different
+ * alias or card:
+ *
+ *   skip     keep the local context, leave the bundle's out       default
+ *   replace  the bundle's context wins (local credentials too)
+ *   rename   import it as <name>-2 (or -3, …)
+ *
+ * The same alias + card is the same envelope, whatever it is called here:
+ * history is merged and a tombstone on either side wins — that alias was
+ * deleted. A replaced context's own alias and card are left live at the
+ * providers; `pane reconcile` lists them as untracked.
+ */
+
+import { gzipSync, gunzipSync } from 'zlib';
+import { readdirSync, readFileSync, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join, basename } from 'path';
+import { homedir }        from 'os';
+import { seal, unseal, deriveKey, newSalt, saltOf } from './crypto.js';
+
+export const BUNDLE_FORMAT  = 'pane-bundle';
+export const BUNDLE_VERSION = 1;
+export const ON_CONFLICT    = ['skip', 'replace', 'rename'];
+
+const SCREENSHOT_DIR = join(homedir(), '.pane', 'screenshots');
+
+export class BundleService {
+  /**
+   * @param {object} deps
+   * @param {import('./context.js').ContextStore}  deps.store
+   * @param {import('./vault.js').CredentialVault} deps.vault
+   */
+  constructor({ store, vault }) {
+    this.store         = store;
+    this.vault         = vault;
+    this.screenshotDir = process.env.PANE_SCREENSHOT_DIR || SCREENSHOT_DIR;
+  }
+
+  /**
+   * @param {string|Buffer} secret - passphrase or key file contents
+   * @param {object}  [opts]
+   * @param {boolean} [opts.screenshots] - false leaves them out (they are most of the size)
+   * @returns {{ blob: Buffer, counts: { contexts, expired, credentials, screenshots } }}
+   */
+  async export(secret, { screenshots = true } = {}) {
+    const tables = await this.store.dump();
+    const credentials = {};
+    for (const row of tables.contexts) {
+      const creds = await this.vault.get(row.name);
+      if (creds) credentials[row.name] = creds;
+    }
+    const shots = screenshots && existsSync(this.screenshotDir)
+      ? readdirSync(this.screenshotDir).filter(f => f.endsWith('.png'))
+          .map(name => ({ name, data: readFileSync(join(this.screenshotDir, name)).toString('base64') }))
+      : [];
+
+    const payload = {
+      format:      BUNDLE_FORMAT,
+      version:     BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      ...tables,
+      credentials,
+      screenshots: shots,
+    };
+    const salt = newSalt();
+    return {
+      blob: seal(deriveKey(secret, salt), salt, gzipSync(JSON.stringify(payload))),
+      counts: {
+        contexts:    tables.contexts.filter(c => c.status !== 'expired').length,
+        expired:     tables.contexts.filter(c => c.status === 'expired').length,
+        credentials: Object.keys(credentials).length,
+        screenshots: shots.length,
+      },
+    };
+  }
+
+  /**
+   * @param {Buffer} blob
+   * @param {string|Buffer} secret
+   * @param {object}  [opts]
+   * @param {string}  [opts.onConflict] - skip | replace | rename
+   * @param {boolean} [opts.dryRun]     - report what would happen, write nothing
+   * @returns {{ exported_at, added, merged, replaced, renamed: Array<{from, to}>, skipped, screenshots }}
+   */
+  async import(blob, secret, { onConflict = 'skip', dryRun = false } = {}) {
+    if (!ON_CONFLICT.includes(onConflict)) throw new Error(`--on-conflict must be one of: ${ON_CONFLICT.join(', ')}`);
+    const bundle = open(blob, secret);
+    const report = { exported_at: bundle.exported_at, added: [], merged: [], replaced: [], renamed: [], skipped: [], screenshots: 0 };
+    const locals = (await this.store.dump()).contexts;
+    const taken  = new Set(locals.map(c => c.name));
+
+    for (const row of bundle.contexts) {
+      const local   = await this.store.row(row.name);
+      const history = historyOf(bundle, row.name);
+      const creds   = bundle.credentials?.[row.name];
+      // The same envelope may already be here under another name (an earlier --on-conflict rename)
+      const same    = local && sameEnvelope(local, row) ? local : locals.find(l => (l.alias_email || l.card_token) && sameEnvelope(l, row));
+
+      if (same) {
+        report.merged.push(same.name === row.name ? row.name : `${row.name} → ${same.name}`);
+        if (dryRun) continue;
+        // A tombstone wins: the alias was deleted on whichever side has one
+        const keep = row.status === 'expired' && same.status !== 'expired' ? { ...row, name: same.name } : same;
+        await this.store.load(keep, history);
+        if (creds && !(await this.vault.get(same.name))) await this.vault.put(same.name, creds);
+      } else if (!local) {
+        report.added.push(row.name);
+        if (!dryRun) await this.#write(row, history, creds);
+      } else if (onConflict === 'replace') {
+        report.replaced.push(row.name);
+        if (!dryRun) await this.#write(row, history, creds, { replace: true });
+      } else if (onConflict === 'rename') {
+        let n = 2;
+        while (taken.has(`${row.name}-${n}`)) n++;
+        const to = `${row.name}-${n}`;
+        taken.add(to);
+        report.renamed.push({ from: row.name, to });
+        if (!dryRun) await this.#write({ ...row, name: to }, history, creds);
+      } else {
+        report.skipped.push(row.name);
+      }
+    }
+
+    for (const shot of bundle.screenshots || []) {
+      const path = join(this.screenshotDir, basename(shot.name));
+      if (existsSync(path)) continue;
+      report.screenshots++;
+      if (dryRun) continue;
+      mkdirSync(this.screenshotDir, { recursive: true });
+      writeFileSync(path, Buffer.from(shot.data, 'base64'));
+    }
+    return report;
+  }
+
+  async #write(row, history, creds, { replace = false } = {}) {
+    if (replace) await this.vault.remove(row.name);
+    await this.store.load(row, history, { replace });
+    if (creds) await this.vault.put(row.name, creds);
+  }
+}
+
+function open(blob, secret) {
+  let bundle;
+  try {
+    bundle = JSON.parse(gunzipSync(unseal(deriveKey(secret, saltOf(blob)), blob)).toString('utf8'));
+  } catch (e) {
+    throw new Error(/passphrase/.test(e.message) ? e.message : 'Not a pane bundle');
+  }
+  if (bundle?.format !== BUNDLE_FORMAT) throw new Error('Not a pane bundle');
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle is version ${bundle.version}; this pane reads up to ${BUNDLE_VERSION} — upgrade pane first`);
+  }
+  return bundle;
+}
+
+function historyOf(bundle, name) {
+  const of = rows => (rows || []).filter(r => r.context === name);
+  return { senders: of(bundle.senders), messages: of(bundle.messages), charges: of(bundle.charges) };
+}
+
+function sameEnvelope(a, b) {
+  return (a.alias_email || null) === (b.alias_email || null) && (a.card_token || null) === (b.card_token || null);
+}
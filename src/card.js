@@ -1,18 +1,49 @@
 /**
  * src/card.js — Virtual card layer
  *
- * Wraps Privacy.com API.
- * US only. For non-US, swap in Revolut/Wise.
+ * Card-issuer registry. Switched via CARD_ISSUER env var.
+ *
+ *   privacy  Privacy.com (US only)         (src/issuers/privacy.js)
+ *   sandbox  simulated issuer, no account  (src/issuers/sandbox.js)
+ *
+ * For non-US, register a Revolut/Wise issuer with registerIssuer().
+ *
+ * An issuer is a class with:
+ *   create({ memo, spend_limit, merchant_lock }) → { token, last_four, state }
+ *   freeze(token) / unfreeze(token)                pause / resume charges
+ *   setLimit(token, limitCents)
+ *   close(token)                                   permanent
+ *   get(token)                                   → { token, last_four, memo, state, spend_limit }
+ *   list()                                       → [{ token, last_four, memo, state }]
+ *   transactions(token, { limit })               → [{ token, amount, merchant, status, result, created }]
+ * Its constructor throws if required credentials are missing.
  */
 
-const PRIVACY_BASE = 'https://api.privacy.com/v1';
+import { PrivacyIssuer } from './issuers/privacy.js';
+import { SandboxIssuer } from './issuers/sandbox.js';
+
+const ISSUERS = {
+  privacy: PrivacyIssuer,
+  sandbox: SandboxIssuer,
+};
+
+/**
+ * Add (or replace) a card issuer.
+ * @param {string}   name   - value of CARD_ISSUER that selects it
+ * @param {Function} Issuer - class implementing the issuer interface above
+ */
+export function registerIssuer(name, Issuer) {
+  ISSUERS[name] = Issuer;
+}
 
 export class CardService {
-  constructor() {
-    this.apiKey = process.env.PRIVACY_API_KEY;
-    if (!this.apiKey) {
-      throw new Error('Missing PRIVACY_API_KEY. Get yours at app.privacy.com/developer.');
+  constructor(issuer = process.env.CARD_ISSUER || 'privacy') {
+    const Issuer = ISSUERS[issuer];
+    if (!Issuer) {
+      throw new Error(`Unknown card issuer "${issuer}". Options: ${Object.keys(ISSUERS).join(', ')}`);
     }
+    this.issuer  = issuer;
+    this.backend = new Issuer();
   }
 
   /**
@@ -24,34 +55,7 @@ export class CardService {
    * @returns {{ token: string, last_four: string, state: string }}
    */
   async create({ memo, spend_limit = 0, merchant_lock }) {
-    const body = {
-      memo,
-      type:        merchant_lock ? 'MERCHANT_LOCKED' : 'UNLOCKED',
-      spend_limit,
-      spend_limit_duration: 'TRANSACTION'
-    };
-    if (merchant_lock) body.merchant_locked = merchant_lock;
-
-    const res = await fetch(`${PRIVACY_BASE}/card`, {
-      method:  'POST',
-      headers: {
-        'Authorization': `api-key ${this.apiKey}`,
-        'Content-Type':  'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`Privacy.com card creation failed (${res.status}): ${text}`);
-    }
-
-    const data = await res.json();
-    return {
-      token:     data.token,
-      last_four: data.last_four,
-      state:     data.state
-    };
+    return this.backend.create({ memo, spend_limit, merchant_lock });
   }
 
   /**
@@ -59,15 +63,15 @@ export class CardService {
    * @param {string} cardToken
    */
   async freeze(cardToken) {
-    const res = await fetch(`${PRIVACY_BASE}/card`, {
-      method:  'PUT',
-      headers: {
-        'Authorization': `api-key ${this.apiKey}`,
-        'Content-Type':  'application/json'
-      },
-      body: JSON.stringify({ card_token: cardToken, state: 'PAUSED' })
-    });
-    if (!res.ok) throw new Error(`Privacy.com card freeze failed (${res.status})`);
+    return this.backend.freeze(cardToken);
+  }
+
+  /**
+   * Reopen a frozen card.
+   * @param {string} cardToken
+   */
+  async unfreeze(cardToken) {
+    return this.backend.unfreeze(cardToken);
   }
 
   /**
@@ -76,14 +80,40 @@ export class CardService {
    * @param {number} limitCents
    */
   async setLimit(cardToken, limitCents) {
-    const res = await fetch(`${PRIVACY_BASE}/card`, {
-      method:  'PUT',
-      headers: {
-        'Authorization': `api-key ${this.apiKey}`,
-        'Content-Type':  'application/json'
-      },
-      body: JSON.stringify({ card_token: cardToken, spend_limit: limitCents })
-    });
-    if (!res.ok) throw new Error(`Privacy.com limit update failed (${res.status})`);
+    return this.backend.setLimit(cardToken, limitCents);
+  }
+
+  /**
+   * Close a card for good. Unlike freeze, this cannot be undone. A card
+   * that is already closed, or gone, counts as closed.
+   * @param {string} cardToken
+   */
+  async close(cardToken) {
+    return this.backend.close(cardToken);
+  }
+
+  /**
+   * One card, with its current per-transaction spend limit in cents.
+   * @param {string} cardToken
+   */
+  async get(cardToken) {
+    return this.backend.get(cardToken);
+  }
+
+  /**
+   * Every card on the issuer account, pane-created or not.
+   */
+  async list() {
+    return this.backend.list();
+  }
+
+  /**
+   * Recent transactions on a card, newest first. Amounts in cents.
+   * @param {string} cardToken
+   * @param {object} [opts]
+   * @param {number} [opts.limit]
+   */
+  async transactions(cardToken, { limit = 50 } = {}) {
+    return this.backend.transactions(cardToken, { limit });
   }
 }
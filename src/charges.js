@@ -0,0 +1,156 @@
+/**
+ * src/charges.js — Card transaction monitoring
+ *
+ * Pulls a context's card transactions from the issuer into ContextStore
+ * (kept after expiry, like sender history) and raises alerts:
+ *
+ *   merchant_mismatch  descriptor doesn't name the enrolled service — the
+ *                      card number was shared, leaked or skimmed. Without an
+ *                      enroll URL, the first merchant seen is the expected one.
+ *   declined           a charge was refused — often a free trial trying to
+ *                      convert against a $0 or low limit
+ *   near_limit         a recurring charge (same merchant, 2+ approved) whose
+ *                      next amount is projected within 80% of the card's
+ *                      per-transaction limit, or over it
+ *
+ * Backs `pane charges` / pane_charges; `pane watch` acts on the alerts.
+ */
+
+import { baseDomain } from './breach.js';
+
+const NEAR_LIMIT = 0.8;
+const DAY = 24 * 60 * 60 * 1000;
+
+export class ChargeMonitor {
+  /**
+   * @param {object} deps
+   * @param {import('./card.js').CardService}     deps.card
+   * @param {import('./context.js').ContextStore} deps.store
+   */
+  constructor({ card, store }) {
+    this.card  = card;
+    this.store = store;
+  }
+
+  /**
+   * Sync a context's transactions and review them.
+   * @param {object}  ctx
+   * @param {object}  [opts]
+   * @param {number}  [opts.limit] - transactions to fetch from the issuer (default 50)
+   * @param {boolean} [opts.sync]  - false reviews what was recorded only
+   * @returns {{ context, card, spend_limit, charges, recurring, alerts, sync_error? }}
+   */
+  async review(ctx, { limit = 50, sync = true } = {}) {
+    let sync_error, spendLimit = null;
+    if (sync && ctx.cardToken) {
+      try {
+        const [txns, info] = await Promise.all([
+          this.card.transactions(ctx.cardToken, { limit }),
+          this.card.get(ctx.cardToken),
+        ]);
+        await this.store.recordCharges(ctx.name, txns);
+        spendLimit = info?.spend_limit ?? null;
+      } catch (e) { sync_error = e.message; }
+    }
+    const charges = await this.store.charges(ctx.name);
+    return {
+      context:     ctx.name,
+      card:        ctx.cardLast4 ? `····${ctx.cardLast4}` : null,
+      spend_limit: spendLimit,
+      charges,
+      ...this.assess(ctx, charges, { spendLimit }),
+      ...(sync_error && { sync_error }),
+    };
+  }
+
+  /**
+   * Pure review — no I/O.
+   * @param {object} ctx
+   * @param {Array<{token, amount, merchant, status, result, created}>} charges - newest first
+   * @param {object} [opts]
+   * @param {number} [opts.spendLimit] - per-transaction limit in cents
+   * @returns {{ recurring: Array<object>, alerts: Array<{type, detail, ...}> }}
+   */
+  assess(ctx, charges, { spendLimit = null } = {}) {
+    const alerts   = [];
+    const expected = expectedMerchant(ctx, charges);
+
+    for (const t of charges) {
+      if (expected && !squash(t.merchant).includes(expected)) {
+        alerts.push({ type: 'merchant_mismatch', token: t.token, merchant: t.merchant, amount: t.amount, date: t.created,
+          detail: `${t.merchant || 'unknown merchant'} · ${money(t.amount)} — not ${ctx.enrollUrl ? new URL(ctx.enrollUrl).hostname : 'the first merchant on this card'}` });
+      }
+      if (t.status === 'DECLINED') {
+        const trial = /LIMIT|INSUFFICIENT/.test(t.result || '');
+        alerts.push({ type: 'declined', token: t.token, merchant: t.merchant, amount: t.amount, date: t.created,
+          detail: `${t.merchant || 'unknown merchant'} · ${money(t.amount)} declined (${t.result || 'no reason'})${trial ? ' — a trial trying to convert?' : ''}` });
+      }
+    }
+
+    const recurring = recurringCharges(charges);
+    for (const r of recurring) {
+      if (!spendLimit || r.projected < spendLimit * NEAR_LIMIT) continue;
+      const over = r.projected > spendLimit;
+      alerts.push({ type: 'near_limit', token: r.last_token, merchant: r.merchant, amount: r.projected, date: r.next_due,
+        detail: `${r.merchant} ${r.cadence} · next ~${money(r.projected)}${r.next_due ? ` around ${r.next_due.slice(0, 10)}` : ''} — ${over ? 'over' : `${Math.round(r.projected / spendLimit * 100)}% of`} the ${money(spendLimit)} limit` });
+    }
+    return { recurring, alerts };
+  }
+}
+
+// Approved charges grouped by merchant, 2+ of them = recurring.
+function recurringCharges(charges) {
+  const groups = new Map();
+  for (const t of [...charges].reverse()) {
+    if (t.status === 'DECLINED' || (t.result && t.result !== 'APPROVED')) continue;
+    const key = squash(t.merchant);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+
+  const out = [];
+  for (const txns of groups.values()) {
+    if (txns.length < 2) continue;
+    const last = txns.at(-1), prev = txns.at(-2);
+    const gaps = txns.slice(1).map((t, i) => Date.parse(t.created) - Date.parse(txns[i].created)).filter(g => g > 0).sort((a, b) => a - b);
+    const gap  = gaps.length ? gaps[Math.floor(gaps.length / 2)] : null;
+    out.push({
+      merchant:   last.merchant,
+      count:      txns.length,
+      last_amount: last.amount,
+      // A rising price is projected to keep rising by the same step
+      projected:  Math.max(last.amount, last.amount + (last.amount - prev.amount)),
+      cadence:    cadence(gap),
+      next_due:   gap ? new Date(Date.parse(last.created) + gap).toISOString() : null,
+      last_token: last.token,
+    });
+  }
+  return out;
+}
+
+function cadence(gap) {
+  if (!gap) return 'repeating';
+  const days = Math.round(gap / DAY);
+  if (days >= 6   && days <= 8)   return 'weekly';
+  if (days >= 28  && days <= 31)  return 'monthly';
+  if (days >= 360 && days <= 370) return 'yearly';
+  return days ? `every ${days} days` : 'same day';
+}
+
+// Squashed label the descriptor must contain ("notion" for notion.so).
+function expectedMerchant(ctx, charges) {
+  if (ctx.enrollUrl) {
+    try { return baseDomain(new URL(ctx.enrollUrl).hostname).split('.')[0]; } catch {}
+  }
+  const first = [...charges].sort((a, b) => String(a.created).localeCompare(String(b.created)))[0];
+  return squash(first?.merchant);
+}
+
+function squash(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function money(cents) {
+  return `$${((cents || 0) / 100).toFixed(2)}`;
+}
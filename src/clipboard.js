@@ -0,0 +1,70 @@
+/**
+ * src/clipboard.js — Clipboard copy with a timed clear
+ *
+ * Uses whatever the platform has: pbcopy (macOS), clip (Windows),
+ * wl-copy / xclip / xsel (Linux). clearLater() hands the wait to a
+ * detached process so the CLI can exit; it only clears if the clipboard
+ * still holds what was copied.
+ */
+
+import { spawn, spawnSync }  from 'child_process';
+import { createHash }        from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const COPY = {
+  darwin: [['pbcopy']],
+  win32:  [['clip']],
+  linux:  [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']],
+};
+const PASTE = {
+  darwin: [['pbpaste']],
+  win32:  [['powershell', '-NoProfile', '-Command', 'Get-Clipboard']],
+  linux:  [['wl-paste', '-n'], ['xclip', '-selection', 'clipboard', '-o'], ['xsel', '--clipboard', '--output']],
+};
+
+/**
+ * @param {string} text
+ * @returns {string} the tool that took it
+ */
+export function copy(text) {
+  for (const [cmd, ...args] of COPY[process.platform] || COPY.linux) {
+    const r = spawnSync(cmd, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+    if (r.status === 0) return cmd;
+  }
+  throw new Error('No clipboard tool found — install wl-clipboard, xclip or xsel');
+}
+
+/**
+ * Clear the clipboard after `seconds`, unless something else was copied since.
+ * @param {number} seconds
+ * @param {string} text - what was copied
+ */
+export function clearLater(seconds, text) {
+  spawn(process.execPath, [fileURLToPath(import.meta.url), '--clear-after', String(seconds)], {
+    detached: true,
+    stdio:    'ignore',
+    env:      { ...process.env, PANE_CLIP_SHA: digest(text) },
+  }).unref();
+}
+
+function paste() {
+  for (const [cmd, ...args] of PASTE[process.platform] || PASTE.linux) {
+    const r = spawnSync(cmd, args, { encoding: 'utf8', timeout: 5000 });
+    if (r.status === 0) return r.stdout.replace(/\r?\n$/, '');
+  }
+  return null;
+}
+
+function digest(text) {
+  return createHash('sha256').update(String(text)).digest('hex');
+}
+
+// Detached clearer: node src/clipboard.js --clear-after N
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href && process.argv[2] === '--clear-after') {
+  setTimeout(() => {
+    const current = paste();   // no paste tool → clear regardless
+    if (current === null || digest(current) === process.env.PANE_CLIP_SHA) {
+      try { copy(''); } catch {}
+    }
+  }, parseFloat(process.argv[3]) * 1000);
+}
@@ -4,84 +4,816 @@
  * Lightweight SQLite store for envelope state.
  * Each context = one alias + one card + one generated identity.
  * Stored locally at ~/.pane/contexts.db
+ *
+ * Encryption at rest (optional, `pane lock`):
+ *   The database is sealed into ~/.pane/contexts.db.enc with a
+ *   passphrase-derived key (see src/crypto.js). When sealed, the DB is
+ *   opened in memory and every write re-seals the file — the plaintext
+ *   never touches disk. The MCP server, the CLI and `pane watch` can have
+ *   it open at once: a write takes contexts.db.enc.lock, re-reads the file
+ *   if another process replaced it, then re-seals; reads pick up the
+ *   latest file too.
  */
 
 import { createRequire } from 'module';
 import { homedir }       from 'os';
-import { mkdirSync }     from 'fs';
-import { join }          from 'path';
+import { mkdirSync, existsSync, readFileSync, writeFileSync, statSync, unlinkSync, openSync, closeSync, readdirSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { createHash, hkdfSync } from 'crypto';
+import { deriveKey, seal, unseal, saltOf, newSalt, envSecret, writePrivate } from './crypto.js';
+import { loadSession, saveSession } from './agent.js';
+import { MIGRATIONS, SCHEMA_VERSION } from './migrations.js';
 
 const require = createRequire(import.meta.url);
 
+// Sealed-store write lock: how long to wait for it, and when a holder that
+// never let go (crashed mid-write) is presumed dead.
+const LOCK_WAIT_MS  = 10_000;
+const LOCK_STALE_MS = 30_000;
+
 export class ContextStore {
+  #key   = null;
+  #salt  = null;
+  #stamp = null;   // the sealed file as last read or written (see #refresh)
+
   constructor() {
-    const dbPath = process.env.PANE_DB_PATH ||
+    this.dbPath = process.env.PANE_DB_PATH ||
       join(homedir(), '.pane', 'contexts.db');
+    this.sealedPath = `${this.dbPath}.enc`;
     mkdirSync(join(homedir(), '.pane'), { recursive: true });
     // Lazy-load better-sqlite3 so server still parses without it installed
     try {
-      const Database = require('better-sqlite3');
-      this.db = new Database(dbPath);
+      this.Database = require('better-sqlite3');
     } catch {
       console.warn('[pane] better-sqlite3 not found — context store disabled. Run: npm install better-sqlite3');
-      this.db = null;
+      this.Database = null;
     }
+    this.db = null;
   }
 
-  async init() {
-    if (!this.db) return;
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS contexts (
-        name        TEXT PRIMARY KEY,
-        alias_email TEXT,
-        alias_id    TEXT,
-        card_token  TEXT,
-        card_last4  TEXT,
-        identity    TEXT,
-        enroll_url  TEXT,
-        status      TEXT DEFAULT 'active',
-        created_at  TEXT,
-        expired_at  TEXT
-      );
-    `);
-  }
-
-  async save(ctx) {
-    if (!this.db) return;
-    this.db.prepare(`
-      INSERT OR REPLACE INTO contexts
-        (name, alias_email, alias_id, card_token, card_last4, identity, enroll_url, status, created_at)
-      VALUES
-        (@name, @aliasEmail, @aliasId, @cardToken, @cardLast4, @identity, @enrollUrl, 'active', @createdAt)
-    `).run({
-      ...ctx,
-      identity: JSON.stringify(ctx.identity || {}),
-      enrollUrl: ctx.enrollUrl || null
+  /** True if the store on disk is sealed (or has been sealed by lock()). */
+  get encrypted() {
+    return existsSync(this.sealedPath);
+  }
+
+  /**
+   * Open the store. A sealed store needs a key, tried in order:
+   * opts.passphrase → PANE_KEY_FILE → PANE_PASSPHRASE → `pane unlock` session → opts.prompt().
+   * @param {object}   [opts]
+   * @param {string}   [opts.passphrase]
+   * @param {Function} [opts.prompt] - async () => passphrase; omit for non-interactive callers
+   * @param {boolean}  [opts.migrate] - false opens without applying pending migrations (`pane db`)
+   */
+  async init({ passphrase, prompt, migrate = true } = {}) {
+    if (!this.Database) return;
+    if (this.encrypted) {
+      this.#stamp = stampOf(this.sealedPath);
+      const blob = readFileSync(this.sealedPath);
+      this.#salt = Buffer.from(saltOf(blob));
+      this.#key  = await this.#resolveKey(blob, { passphrase, prompt });
+      this.db    = new this.Database(unseal(this.#key, blob));
+    } else {
+      this.db = new this.Database(this.dbPath);
+    }
+    if (migrate) await this.migrate();
+  }
+
+  // ── SCHEMA ─────────────────────────────────────────────────────────────────
+  // Versioned by src/migrations.js. Open stores are migrated automatically,
+  // after a backup next to the store: contexts.db.v<N>.bak, or
+  // contexts.db.enc.v<N>.bak (still sealed) for an encrypted one. lock()
+  // re-seals the plaintext backups and removes them.
+
+  /** Applied schema version — 0 for a new store or one from before versioning. */
+  get schemaVersion() {
+    if (!this.db) return 0;
+    const t = this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`).get();
+    return t ? this.db.prepare('SELECT MAX(version) AS v FROM schema_version').get().v || 0 : 0;
+  }
+
+  /** Migrations not yet applied, oldest first. */
+  pendingMigrations() {
+    const at = this.schemaVersion;
+    return MIGRATIONS.filter(m => m.version > at).map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Apply pending migrations. A store written by a newer pane is refused.
+   * @param {object}  [opts]
+   * @param {boolean} [opts.dryRun] - report only
+   * @returns {{ from: number, to: number, applied: Array<{version, name}>, backup: string|null }}
+   */
+  async migrate({ dryRun = false } = {}) {
+    if (!this.db) return { from: 0, to: 0, applied: [], backup: null };
+    this.#refresh();
+    const report = this.#plan();
+    if (dryRun || !report.applied.length) return report;
+
+    return this.#write(() => {
+      const report = this.#plan();   // again under the lock — another process may have just migrated
+      const from   = report.from;
+      if (!report.applied.length) return report;
+
+      const empty = !this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table'`).get();
+      if (!empty) report.backup = this.#backup(from);
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version     INTEGER PRIMARY KEY,
+          name        TEXT,
+          applied_at  TEXT
+        );
+      `);
+      const record = this.db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)');
+      for (const m of MIGRATIONS.filter(m => m.version > from)) {
+        this.db.transaction(() => {
+          m.up(this.db);
+          record.run(m.version, m.name, new Date().toISOString());
+        })();
+      }
+      return report;
     });
   }
 
-  async update(name, fields) {
-    if (!this.db) return;
-    const existing = this.db.prepare('SELECT * FROM contexts WHERE name = ?').get(name) || {};
-    await this.save({ ...existing, identity: existing.identity ? JSON.parse(existing.identity) : {}, name, ...fields });
+  #plan() {
+    const from = this.schemaVersion;
+    if (from > SCHEMA_VERSION) {
+      throw new Error(`contexts.db is schema v${from}; this pane only knows up to v${SCHEMA_VERSION} — upgrade pane`);
+    }
+    const pending = this.pendingMigrations();
+    return { from, to: pending.at(-1)?.version ?? from, applied: pending, backup: null };
   }
 
-  async get(name) {
+  #backup(version) {
+    const path = this.#key ? `${this.sealedPath}.v${version}.bak` : `${this.dbPath}.v${version}.bak`;
+    writePrivate(path, this.#key ? readFileSync(this.sealedPath) : this.db.serialize());
+    return path;
+  }
+
+  // ── CONTEXTS ───────────────────────────────────────────────────────────────
+  // Contexts go in and come out camelCase (toContext()). Writes name only
+  // the fields they change, and each one bumps `version`: pass the version
+  // you read to update() and a concurrent write in between (pane watch, the
+  // MCP server) fails with code ESTALE instead of being overwritten.
+  // Status is never a field — it only moves through transition().
+
+  /**
+   * Insert a context. Fails if a live context (anything but expired) has the
+   * name; an expired one is replaced — its history stays.
+   * @param {object} ctx - name plus any of FIELDS, and trial
+   * @param {object} [opts]
+   * @param {string} [opts.status] - 'active' (default), or 'pending' while provisioning
+   * @returns {object|null} the stored context
+   */
+  async create(ctx, { status = 'active' } = {}) {
+    if (!this.db) return null;
+    if (!['active', 'pending'].includes(status)) throw new Error(`New contexts start active or pending, not ${status}`);
+    return this.#write(() => {
+      const existing = this.db.prepare('SELECT status FROM contexts WHERE name = ?').get(ctx.name);
+      if (existing && existing.status !== 'expired') {
+        throw new Error(`Context "${ctx.name}" already exists (${existing.status}).`);
+      }
+      const values = toColumns({ identity: {}, ...ctx, createdAt: ctx.createdAt || new Date().toISOString() });
+      const cols   = ['name', 'status', 'version', ...Object.keys(values)];
+      this.db.prepare(`INSERT OR REPLACE INTO contexts (${cols.join(', ')}) VALUES (${cols.map(c => `@${c}`).join(', ')})`)
+        .run({ ...values, name: ctx.name, status, version: 1 });
+      return this.#read(ctx.name);
+    });
+  }
+
+  /**
+   * Change some of a context's fields. Fields left out keep their value,
+   * null clears one; `trial` replaces all of the trial columns.
+   * @param {string} name
+   * @param {object} changes - any of FIELDS, and trial
+   * @param {object} [opts]
+   * @param {number} [opts.version] - the version you read; if it moved on, nothing is written
+   * @returns {object|null} the updated context
+   */
+  async update(name, changes, { version } = {}) {
+    if (!this.db) return null;
+    if ('status' in changes) throw new Error('Status changes go through transition()');
+    const values = toColumns(changes);
+    const sets   = [...Object.keys(values).map(c => `${c} = @${c}`), 'version = version + 1'];
+    return this.#write(() => {
+      const r = this.db.prepare(`UPDATE contexts SET ${sets.join(', ')} WHERE name = @name${version != null ? ' AND version = @version' : ''}`)
+        .run({ ...values, name, version });
+      if (!r.changes) this.#missed(name, version);
+      return this.#read(name);
+    });
+  }
+
+  /** update() a live context, or create() an active one if the name is free. */
+  async upsert(name, changes) {
     if (!this.db) return null;
-    const row = this.db.prepare('SELECT * FROM contexts WHERE name = ? AND status = "active"').get(name);
-    if (!row) return null;
-    return { ...row, aliasEmail: row.alias_email, aliasId: row.alias_id, cardToken: row.card_token, cardLast4: row.card_last4, enrollUrl: row.enroll_url, identity: JSON.parse(row.identity || '{}') };
+    this.#refresh();
+    const row = this.db.prepare('SELECT status FROM contexts WHERE name = ?').get(name);
+    return row && row.status !== 'expired' ? this.update(name, changes) : this.create({ ...changes, name });
+  }
+
+  /**
+   * Move a context to another status. The only moves:
+   *   pending → active · active → expiring | expired · expiring → active | expired
+   * @param {string} name
+   * @param {string} from - the status it has to be in
+   * @param {string} to
+   * @param {object} [opts]
+   * @param {string} [opts.purgeAt] - end of the grace window, for → expiring
+   * @param {string} [opts.purgeAfter] - only if its purge time is later than this
+   * @param {number} [opts.version]
+   * @returns {boolean} false if it wasn't in `from` (nothing written)
+   */
+  async transition(name, from, to, { purgeAt, purgeAfter, version } = {}) {
+    if (!this.db) return false;
+    if (!TRANSITIONS[from]?.includes(to)) throw new Error(`A context can't go from ${from} to ${to}`);
+    const sets = ['status = @to', 'version = version + 1'];
+    if (to === 'expiring') sets.push('purge_at = @purgeAt');
+    if (to === 'active' && from === 'expiring') sets.push('purge_at = NULL');
+    if (to === 'expired') sets.push('expired_at = @now');
+    return this.#write(() => {
+      const r = this.db.prepare(`UPDATE contexts SET ${sets.join(', ')} WHERE name = @name AND status = @from`
+        + (version != null ? ' AND version = @version' : '') + (purgeAfter ? ' AND purge_at > @purgeAfter' : ''))
+        .run({ name, from, to, purgeAt: purgeAt ?? null, purgeAfter, now: new Date().toISOString(), version });
+      return r.changes > 0;
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} [opts]
+   * @param {string} [opts.status] - 'active' (default) | 'expiring' | 'expired' | 'pending'
+   */
+  async get(name, { status = 'active' } = {}) {
+    if (!this.db) return null;
+    this.#refresh();
+    const row = this.db.prepare('SELECT * FROM contexts WHERE name = ? AND status = ?').get(name, status);
+    return row ? toContext(row) : null;
+  }
+
+  /** Any context by name regardless of status — timelines outlive expiry. */
+  async find(name) {
+    return this.#read(name);
   }
 
   async list() {
+    return this.query();
+  }
+
+  /**
+   * Contexts matching every given filter, newest first (src/query.js builds these).
+   * @param {object}   [filters]
+   * @param {string[]} [filters.statuses]      - default ['active']
+   * @param {string}   [filters.createdAfter]  - ISO, inclusive
+   * @param {string}   [filters.createdBefore] - ISO, exclusive
+   * @param {boolean}  [filters.hasCard]
+   * @param {string[]} [filters.search]        - words, each must appear in the name, alias, enroll URL or notes
+   * @param {string}   [filters.tag]
+   * @param {string}   [filters.folder]
+   */
+  async query({ statuses = ['active'], createdAfter, createdBefore, hasCard, search = [], tag, folder } = {}) {
     if (!this.db) return [];
-    return this.db.prepare('SELECT * FROM contexts WHERE status = "active" ORDER BY created_at DESC').all()
-      .map(row => ({ ...row, aliasEmail: row.alias_email, aliasId: row.alias_id, cardToken: row.card_token, cardLast4: row.card_last4 }));
+    this.#refresh();
+    const where  = [`status IN (${statuses.map(() => '?').join(', ')})`];
+    const params = [...statuses];
+    if (createdAfter)  { where.push('created_at >= ?'); params.push(createdAfter); }
+    if (createdBefore) { where.push('created_at < ?');  params.push(createdBefore); }
+    if (hasCard != null) where.push(hasCard ? 'card_token IS NOT NULL' : 'card_token IS NULL');
+    if (tag)    { where.push('EXISTS (SELECT 1 FROM json_each(contexts.tags) WHERE value = ?)'); params.push(normalizeTags([tag])[0]); }
+    if (folder) { where.push('folder = ?'); params.push(folder.trim()); }
+    for (const word of search) {
+      where.push(`(name || ' ' || IFNULL(alias_email, '') || ' ' || IFNULL(enroll_url, '') || ' ' || IFNULL(notes, '')) LIKE ? ESCAPE '\\'`);
+      params.push(`%${word.replace(/[\\%_]/g, ch => `\\${ch}`)}%`);
+    }
+    return this.db.prepare(`SELECT * FROM contexts WHERE ${where.join(' AND ')} ORDER BY created_at DESC`).all(...params).map(toContext);
+  }
+
+  /**
+   * Contexts inside their expiry grace window.
+   * @param {object} [opts]
+   * @param {string} [opts.dueBy] - ISO time; only those whose purge_at has passed it
+   */
+  async expiring({ dueBy } = {}) {
+    if (!this.db) return [];
+    this.#refresh();
+    const rows = dueBy
+      ? this.db.prepare(`SELECT * FROM contexts WHERE status = 'expiring' AND purge_at <= ? ORDER BY purge_at`).all(dueBy)
+      : this.db.prepare(`SELECT * FROM contexts WHERE status = 'expiring' ORDER BY purge_at`).all();
+    return rows.map(toContext);
+  }
+
+  /** First phase of expiry — still restorable until purgeAt. */
+  async markExpiring(name, purgeAt) {
+    return this.transition(name, 'active', 'expiring', { purgeAt });
   }
 
+  /** Undo markExpiring() — false once the purge time has passed. */
+  async restore(name) {
+    return this.transition(name, 'expiring', 'active', { purgeAfter: new Date().toISOString() });
+  }
+
+  /** Final phase of expiry, from wherever the context is now. */
   async tombstone(name) {
+    this.#refresh();
+    const row = this.db?.prepare('SELECT status FROM contexts WHERE name = ?').get(name);
+    return row ? this.transition(name, row.status, 'expired') : false;
+  }
+
+  /**
+   * Per-context overrides for `pane watch` (see src/watch.js).
+   * @param {string} name
+   * @param {{ onBreach?: string, onCharge?: string }|null} policy - null resets to defaults
+   */
+  async setPolicy(name, policy) {
+    return this.update(name, { watchPolicy: policy });
+  }
+
+  /**
+   * Trial / subscription lifecycle (see src/trials.js).
+   * @param {string} name
+   * @param {{ ends: string, amount?: number, cadence?: string, action?: string, leadDays?: number }|null} trial - null clears it
+   */
+  async setTrial(name, trial) {
+    return this.update(name, { trial });
+  }
+
+  #read(name) {
+    if (!this.db) return null;
+    this.#refresh();
+    const row = this.db.prepare('SELECT * FROM contexts WHERE name = ?').get(name);
+    return row ? toContext(row) : null;
+  }
+
+  #missed(name, version) {
+    const row = this.db.prepare('SELECT version FROM contexts WHERE name = ?').get(name);
+    if (!row) throw new Error(`No context "${name}"`);
+    throw Object.assign(new Error(`Context "${name}" changed since it was read (version ${version}, now ${row.version}) — read it again`), { code: 'ESTALE' });
+  }
+
+  // ── PROVISIONING ───────────────────────────────────────────────────────────
+  // A context is written as 'pending' before any remote call, each remote
+  // resource is recorded on it as soon as it exists, and only a fully
+  // provisioned context becomes 'active'. See src/provision.js.
+
+  /** Reserve a name for provisioning. Fails if a live context already has it. */
+  async insertPending(ctx) {
+    return this.create(ctx, { status: 'pending' });
+  }
+
+  /** Record remote resources on a pending context as they are created. */
+  async recordPending(name, { aliasEmail, aliasId, cardToken, cardLast4 }) {
+    if (!this.db) return;
+    await this.#write(() => this.db.prepare(`
+      UPDATE contexts SET
+        alias_email = COALESCE(@aliasEmail, alias_email),
+        alias_id    = COALESCE(@aliasId, alias_id),
+        card_token  = COALESCE(@cardToken, card_token),
+        card_last4  = COALESCE(@cardLast4, card_last4),
+        version     = version + 1
+      WHERE name = @name AND status = 'pending'
+    `).run({ name, aliasEmail: aliasEmail ?? null, aliasId: aliasId ?? null, cardToken: cardToken ?? null, cardLast4: cardLast4 ?? null }));
+  }
+
+  async activate(name) {
+    return this.transition(name, 'pending', 'active');
+  }
+
+  /** Drop a pending context after its remote resources were compensated. */
+  async discardPending(name) {
+    if (!this.db) return;
+    await this.#write(() => this.db.prepare(`DELETE FROM contexts WHERE name = ? AND status = 'pending'`).run(name));
+  }
+
+  /** Pending contexts — provisioning that crashed or failed to compensate. */
+  async pending() {
+    if (!this.db) return [];
+    this.#refresh();
+    return this.db.prepare(`SELECT * FROM contexts WHERE status = 'pending' ORDER BY created_at`).all().map(toContext);
+  }
+
+  /** Every context that still owns remote resources (anything but expired). */
+  async tracked() {
+    if (!this.db) return [];
+    this.#refresh();
+    return this.db.prepare(`SELECT name, alias_id, card_token, status FROM contexts WHERE status != 'expired'`).all()
+      .map(row => ({ name: row.name, aliasId: row.alias_id, cardToken: row.card_token, status: row.status }));
+  }
+
+  // ── SENDER HISTORY ─────────────────────────────────────────────────────────
+  // Every message header ever seen on a context, and when each sender
+  // domain first and last wrote. Kept after expiry — it is the evidence
+  // for src/breach.js and for `pane timeline` when confronting a vendor.
+  // Bodies are never stored.
+
+  /**
+   * Record messages (idempotent — re-reading the inbox adds nothing twice).
+   * @param {string} name
+   * @param {Array<{id?, date, from, domain, subject, preview}>} messages - domain is the sender's base domain
+   */
+  async recordMessages(name, messages) {
+    if (!this.db || !messages.length) return;
+    await this.#write(() => {
+      const insert = this.db.prepare(`
+        INSERT OR IGNORE INTO messages (context, id, date, from_addr, domain, subject, preview)
+        VALUES (@name, @id, @date, @from, @domain, @subject, @preview)
+      `);
+      const upsert = this.db.prepare(`
+        INSERT INTO senders (context, domain, first_seen, last_seen) VALUES (@name, @domain, @date, @date)
+        ON CONFLICT (context, domain) DO UPDATE SET
+          first_seen = MIN(first_seen, excluded.first_seen),
+          last_seen  = MAX(last_seen, excluded.last_seen)
+      `);
+      this.db.transaction(() => {
+        for (const m of messages) {
+          const row = {
+            name, date: m.date, from: m.from || '', domain: m.domain, subject: m.subject || '', preview: (m.preview || '').slice(0, 200),
+            id: m.id || createHash('sha256').update(`${m.date}|${m.from}|${m.subject}`).digest('hex').slice(0, 32),
+          };
+          insert.run(row);
+          if (row.domain) upsert.run(row);
+        }
+      })();
+    });
+  }
+
+  /** Sender domains with first/last sighting, message count and first message, oldest first. */
+  async senders(name) {
+    if (!this.db) return [];
+    this.#refresh();
+    return this.db.prepare(`
+      SELECT s.domain, s.first_seen AS firstSeen, s.last_seen AS lastSeen,
+        (SELECT COUNT(*)  FROM messages m WHERE m.context = s.context AND m.domain = s.domain) AS messages,
+        (SELECT from_addr FROM messages m WHERE m.context = s.context AND m.domain = s.domain ORDER BY date LIMIT 1) AS firstFrom,
+        (SELECT subject   FROM messages m WHERE m.context = s.context AND m.domain = s.domain ORDER BY date LIMIT 1) AS firstSubject
+      FROM senders s WHERE s.context = ? ORDER BY s.first_seen
+    `).all(name);
+  }
+
+  /** Recorded messages, newest first, shaped like InboxService.read() output. */
+  async history(name, { limit = 500 } = {}) {
+    if (!this.db) return [];
+    this.#refresh();
+    return this.db.prepare('SELECT * FROM messages WHERE context = ? ORDER BY date DESC LIMIT ?').all(name, limit)
+      .map(r => ({ id: r.id, date: r.date, from: r.from_addr, from_domain: r.from_addr.split('@')[1] || r.domain, subject: r.subject, preview: r.preview }));
+  }
+
+  // ── CARD CHARGES ───────────────────────────────────────────────────────────
+  // Card transactions synced from the issuer (src/charges.js). Like sender
+  // history, kept after expiry.
+
+  /**
+   * Record transactions. A transaction seen again overwrites its status —
+   * pending charges settle, authorizations get voided.
+   * @param {string} name
+   * @param {Array<{token, amount, merchant, status, result, created}>} txns
+   */
+  async recordCharges(name, txns) {
+    if (!this.db || !txns.length) return;
+    await this.#write(() => {
+      const upsert = this.db.prepare(`
+        INSERT INTO charges (context, token, created, amount, merchant, status, result)
+        VALUES (@name, @token, @created, @amount, @merchant, @status, @result)
+        ON CONFLICT (context, token) DO UPDATE SET status = excluded.status, result = excluded.result, amount = excluded.amount
+      `);
+      this.db.transaction(() => {
+        for (const t of txns) {
+          upsert.run({ name, token: t.token, created: t.created, amount: t.amount ?? 0, merchant: t.merchant || '', status: t.status || null, result: t.result || null });
+        }
+      })();
+    });
+  }
+
+  /** Recorded transactions, newest first, shaped like CardService.transactions() output. */
+  async charges(name, { limit = 500 } = {}) {
+    if (!this.db) return [];
+    this.#refresh();
+    return this.db.prepare('SELECT token, amount, merchant, status, result, created FROM charges WHERE context = ? ORDER BY created DESC LIMIT ?').all(name, limit);
+  }
+
+  // ── CREDENTIALS ────────────────────────────────────────────────────────────
+  // Sealed per-context blobs — src/vault.js does the encryption, the store
+  // never sees plaintext. Kept after expiry: the account at the service
+  // outlives the alias, and you may still need to log in to delete it.
+
+  async saveCredentials(name, blob) {
+    if (!this.db) return;
+    await this.#write(() => this.db.prepare(`
+      INSERT INTO credentials (context, blob, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (context) DO UPDATE SET blob = excluded.blob, updated_at = excluded.updated_at
+    `).run(name, blob, new Date().toISOString()));
+  }
+
+  /** @returns {Buffer|null} */
+  async credentials(name) {
+    if (!this.db) return null;
+    this.#refresh();
+    return this.db.prepare('SELECT blob FROM credentials WHERE context = ?').get(name)?.blob || null;
+  }
+
+  async dropCredentials(name) {
     if (!this.db) return;
-    this.db.prepare('UPDATE contexts SET status = "expired", expired_at = ? WHERE name = ?')
-      .run(new Date().toISOString(), name);
+    await this.#write(() => this.db.prepare('DELETE FROM credentials WHERE context = ?').run(name));
+  }
+
+  // ── EXPORT / IMPORT ────────────────────────────────────────────────────────
+  // Raw table rows for src/bundle.js. Credential blobs are left to the
+  // vault — they are sealed under this machine's vault key.
+
+  /** Every context (any status) and all history rows. */
+  async dump() {
+    if (!this.db) return { contexts: [], senders: [], messages: [], charges: [] };
+    this.#refresh();
+    const all = table => this.db.prepare(`SELECT * FROM ${table}`).all();
+    return { contexts: all('contexts'), senders: all('senders'), messages: all('messages'), charges: all('charges') };
+  }
+
+  /**
+   * Write one context row and its history from a bundle. History is merged
+   * (nothing already recorded is lost) unless `replace` drops it first; the
+   * context row is written as given.
+   * @param {object} row - contexts row; row.name is the name it is stored under
+   * @param {{ senders: Array, messages: Array, charges: Array }} history - rows, any `context` value is replaced
+   */
+  async load(row, { senders = [], messages = [], charges = [] }, { replace = false } = {}) {
+    if (!this.db) return;
+    await this.#write(() => {
+      const cols    = this.db.prepare('PRAGMA table_info(contexts)').all().map(c => c.name);
+      const name    = row.name;
+      // Past both sides' versions, so nothing read before the import can write over it
+      const local   = this.db.prepare('SELECT version FROM contexts WHERE name = ?').get(name);
+      row = { ...row, version: Math.max(row.version || 0, local?.version || 0) + 1 };
+      const present = cols.filter(c => c in row);
+      this.db.transaction(() => {
+        if (replace) ['senders', 'messages', 'charges'].forEach(t => this.db.prepare(`DELETE FROM ${t} WHERE context = ?`).run(name));
+        this.db.prepare(`INSERT OR REPLACE INTO contexts (${present.join(', ')}) VALUES (${present.map(c => `@${c}`).join(', ')})`)
+          .run(Object.fromEntries(present.map(c => [c, row[c] ?? null])));
+        const sender = this.db.prepare(`
+          INSERT INTO senders (context, domain, first_seen, last_seen) VALUES (@context, @domain, @first_seen, @last_seen)
+          ON CONFLICT (context, domain) DO UPDATE SET
+            first_seen = MIN(first_seen, excluded.first_seen),
+            last_seen  = MAX(last_seen, excluded.last_seen)
+        `);
+        const message = this.db.prepare(`
+          INSERT OR IGNORE INTO messages (context, id, date, from_addr, domain, subject, preview)
+          VALUES (@context, @id, @date, @from_addr, @domain, @subject, @preview)
+        `);
+        const charge = this.db.prepare(`
+          INSERT OR IGNORE INTO charges (context, token, created, amount, merchant, status, result)
+          VALUES (@context, @token, @created, @amount, @merchant, @status, @result)
+        `);
+        senders.forEach(r => sender.run({ ...r, context: name }));
+        messages.forEach(r => message.run({ ...r, context: name }));
+        charges.forEach(r => charge.run({ ...r, context: name }));
+      })();
+    });
+  }
+
+  /** The raw row for a name, any status — for import conflict checks. */
+  async row(name) {
+    if (!this.db) return null;
+    this.#refresh();
+    return this.db.prepare('SELECT * FROM contexts WHERE name = ?').get(name) || null;
+  }
+
+  // ── ENCRYPTION ─────────────────────────────────────────────────────────────
+
+  /**
+   * Seal a plaintext store under a new passphrase / key file.
+   * The plaintext file is overwritten and removed afterwards, and so are its
+   * migration backups — each one re-sealed first as contexts.db.enc.v<N>.bak.
+   * @param {string|Buffer} secret
+   */
+  async lock(secret) {
+    if (!this.db) throw new Error('Context store is not open');
+    if (this.encrypted) throw new Error('Context store is already encrypted');
+    this.#salt = newSalt();
+    this.#key  = deriveKey(secret, this.#salt);
+    const image = this.db.serialize();
+    writePrivate(this.sealedPath, seal(this.#key, this.#salt, image));
+    this.#stamp = stampOf(this.sealedPath);
+    this.db.close();
+    const dir = dirname(this.dbPath);
+    for (const name of readdirSync(dir)) {
+      const version = name.startsWith(`${basename(this.dbPath)}.v`) && name.match(/\.v(\d+)\.bak$/)?.[1];
+      if (!version) continue;
+      writePrivate(`${this.sealedPath}.v${version}.bak`, seal(this.#key, this.#salt, readFileSync(join(dir, name))));
+      shred(join(dir, name));
+    }
+    [this.dbPath, `${this.dbPath}-wal`, `${this.dbPath}-shm`, `${this.dbPath}-journal`].filter(f => existsSync(f)).forEach(shred);
+    this.db = new this.Database(image);
+  }
+
+  /**
+   * A key for secrets kept outside the database that should be sealed along
+   * with it (browser sessions, src/profiles.js). Derived from the store key,
+   * so it is only there while the store is unlocked.
+   * @param {string} purpose
+   * @returns {Buffer|null} null when the store isn't encrypted
+   */
+  subkey(purpose) {
+    if (!this.#key) return null;
+    return Buffer.from(hkdfSync('sha256', this.#key, this.#salt, `pane ${purpose}`, 32));
+  }
+
+  /**
+   * Leave the open store's key with the unlock agent so later processes skip the prompt.
+   * @param {number} ttlMinutes
+   * @returns {Promise<string>} ISO expiry
+   */
+  async rememberKey(ttlMinutes) {
+    if (!this.#key) throw new Error('Context store is not encrypted — nothing to unlock. Run: pane lock');
+    return saveSession(this.sealedPath, this.#key, ttlMinutes);
+  }
+
+  async #resolveKey(blob, { passphrase, prompt }) {
+    const secret = passphrase ?? envSecret();
+    if (secret != null) return this.#tryKey(blob, deriveKey(secret, this.#salt));
+
+    const cached = await loadSession(this.sealedPath);
+    if (cached) {
+      try { return this.#tryKey(blob, cached); } catch {}
+    }
+
+    if (!prompt) throw new Error('Context store is locked. Run: pane unlock (or set PANE_PASSPHRASE / PANE_KEY_FILE)');
+    return this.#tryKey(blob, deriveKey(await prompt(), this.#salt));
+  }
+
+  #tryKey(blob, key) {
+    unseal(key, blob); // throws on a wrong key
+    return key;
+  }
+
+  /**
+   * Run a write against the latest image. Sealed: under the store lock, after
+   * picking up whatever other processes wrote, and re-sealed before the lock
+   * is let go. A plaintext store is SQLite's to lock.
+   */
+  async #write(fn) {
+    if (!this.#key) return fn();
+    const release = await acquireLock(`${this.sealedPath}.lock`);
+    try {
+      this.#refresh();
+      const result = fn();
+      this.#persist();
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /** Re-open the sealed image if another process replaced the file since we last read or wrote it. */
+  #refresh() {
+    if (!this.#key) return;
+    const stamp = stampOf(this.sealedPath);
+    if (!stamp || stamp === this.#stamp) return;
+    const image = unseal(this.#key, readFileSync(this.sealedPath));
+    this.db.close();
+    this.db     = new this.Database(image);
+    this.#stamp = stamp;
+  }
+
+  #persist() {
+    if (!this.#key) return;
+    writePrivate(this.sealedPath, seal(this.#key, this.#salt, this.db.serialize()));
+    this.#stamp = stampOf(this.sealedPath);
   }
 }
+
+// Overwrite, then unlink — best effort, filesystems may keep old blocks
+function shred(path) {
+  try { writeFileSync(path, Buffer.alloc(statSync(path).size)); } catch {}
+  unlinkSync(path);
+}
+
+// writePrivate() renames a new file into place, so every write changes the inode
+function stampOf(path) {
+  const st = statSync(path, { throwIfNoEntry: false });
+  return st ? `${st.ino}:${st.mtimeMs}:${st.size}` : null;
+}
+
+/**
+ * Exclusive lock file holding the owner's pid. A lock whose owner is gone,
+ * or older than LOCK_STALE_MS, is taken over.
+ * @returns {Promise<Function>} release
+ */
+async function acquireLock(path) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      const fd = openSync(path, 'wx', 0o600);
+      writeFileSync(fd, String(process.pid));
+      closeSync(fd);
+      return () => { try { unlinkSync(path); } catch {} };
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    const owner = lockOwner(path);
+    if (owner.stale) { try { unlinkSync(path); } catch {} continue; }
+    if (Date.now() > deadline) throw new Error(`Context store is busy — ${path} held by pid ${owner.pid || '?'}`);
+    await new Promise(r => setTimeout(r, 25));
+  }
+}
+
+function lockOwner(path) {
+  try {
+    const pid = parseInt(readFileSync(path, 'utf8'));
+    if (Date.now() - statSync(path).mtimeMs > LOCK_STALE_MS) return { pid, stale: true };
+    if (pid) process.kill(pid, 0);
+    return { pid, stale: false };
+  } catch (e) {
+    return { stale: e.code === 'ESRCH' };
+  }
+}
+
+// camelCase field → column. identity and watchPolicy are stored as JSON;
+// trial is spread over the trial_* / renewal_* columns.
+export const FIELDS = {
+  aliasEmail:  'alias_email',
+  aliasId:     'alias_id',
+  cardToken:   'card_token',
+  cardLast4:   'card_last4',
+  identity:    'identity',
+  enrollUrl:   'enroll_url',
+  createdAt:   'created_at',
+  watchPolicy: 'watch_policy',
+  tags:        'tags',
+  notes:       'notes',
+  folder:      'folder',
+  verifiedAt:  'verified_at',
+};
+const JSON_FIELDS = ['identity', 'watchPolicy', 'tags'];
+
+export const TRANSITIONS = {
+  pending:  ['active'],
+  active:   ['expiring', 'expired'],
+  expiring: ['active', 'expired'],
+  expired:  [],
+};
+
+/** The one row → context mapper; every read goes through it. */
+function toContext(row) {
+  return {
+    name:        row.name,
+    status:      row.status,
+    version:     row.version,
+    aliasEmail:  row.alias_email,
+    aliasId:     row.alias_id,
+    cardToken:   row.card_token,
+    cardLast4:   row.card_last4,
+    identity:    JSON.parse(row.identity || '{}'),
+    enrollUrl:   row.enroll_url,
+    createdAt:   row.created_at,
+    expiredAt:   row.expired_at,
+    purgeAt:     row.purge_at,
+    watchPolicy: JSON.parse(row.watch_policy || 'null'),
+    trial:       trialOf(row),
+    tags:        JSON.parse(row.tags || '[]'),
+    notes:       row.notes || null,
+    folder:      row.folder || null,
+    verifiedAt:  row.verified_at || null,
+  };
+}
+
+// Only the fields present in `changes`; unknown keys are an error, not silently dropped.
+function toColumns(changes) {
+  const out = {};
+  for (let [field, value] of Object.entries(changes)) {
+    if (field === 'name' || value === undefined) continue;
+    if (field === 'trial') { Object.assign(out, trialColumns(value)); continue; }
+    if (field === 'tags')  value = value?.length ? normalizeTags(value) : null;
+    if (field === 'folder' || field === 'notes') value = value?.trim() || null;
+    const col = FIELDS[field];
+    if (!col) throw new Error(`Unknown context field "${field}"`);
+    out[col] = JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+  }
+  return out;
+}
+
+/**
+ * Lowercase, no leading #, deduplicated and sorted. Letters, digits and . _ - / only.
+ * @param {string[]} tags
+ */
+export function normalizeTags(tags) {
+  const out = new Set();
+  for (const raw of tags) {
+    const tag = String(raw).trim().toLowerCase().replace(/^#/, '');
+    if (!tag) continue;
+    if (!/^[a-z0-9][a-z0-9._\/-]*$/.test(tag)) throw new Error(`Tag "${raw}" — use letters, digits, . _ - /`);
+    out.add(tag);
+  }
+  return [...out].sort();
+}
+
+function trialOf(row) {
+  if (!row.trial_ends) return null;
+  return { ends: row.trial_ends, amount: row.renewal_amount, cadence: row.renewal_cadence, action: row.trial_action, leadDays: row.trial_lead_days };
+}
+
+function trialColumns(trial) {
+  return {
+    trial_ends:      trial?.ends ?? null,
+    renewal_amount:  trial?.amount ?? null,
+    renewal_cadence: trial?.cadence ?? null,
+    trial_action:    trial?.action ?? null,
+    trial_lead_days: trial?.leadDays ?? null,
+  };
+}
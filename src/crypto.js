@@ -0,0 +1,91 @@
+/**
+ * src/crypto.js — At-rest encryption
+ *
+ * Passphrase (or key file) → scrypt → AES-256-GCM.
+ * ContextStore uses this to keep the alias map sealed on disk.
+ *
+ * Sealed blob layout:
+ *   PANE1 | salt (16) | iv (12) | tag (16) | ciphertext
+ *
+ * `pane unlock` leaves the derived key with an in-memory agent
+ * (src/agent.js) for PANE_UNLOCK_TTL minutes so every CLI call doesn't
+ * re-prompt. `pane lock` stops it.
+ */
+
+import { scryptSync, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { readFileSync, writeFileSync, renameSync } from 'fs';
+
+const MAGIC   = Buffer.from('PANE1');
+const SALT_LEN = 16;
+const IV_LEN   = 12;
+const TAG_LEN  = 16;
+const HEADER   = MAGIC.length + SALT_LEN + IV_LEN + TAG_LEN;
+
+// scrypt cost — ~100ms on a laptop. Raising N invalidates nothing (salt is per-file).
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export function newSalt() {
+  return randomBytes(SALT_LEN);
+}
+
+/**
+ * Derive a 256-bit key from a passphrase or key file contents.
+ * @param {string|Buffer} secret
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+export function deriveKey(secret, salt) {
+  return scryptSync(secret, salt, 32, SCRYPT);
+}
+
+/**
+ * Encrypt plaintext under key. The salt is stored in the header so the
+ * key can be re-derived from the passphrase on the next open.
+ */
+export function seal(key, salt, plaintext) {
+  const iv     = randomBytes(IV_LEN);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const body   = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), body]);
+}
+
+export function unseal(key, blob) {
+  if (!isSealed(blob)) throw new Error('Not a pane encrypted file');
+  let o = MAGIC.length + SALT_LEN;
+  const iv  = blob.subarray(o, o += IV_LEN);
+  const tag = blob.subarray(o, o += TAG_LEN);
+  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(blob.subarray(HEADER)), decipher.final()]);
+  } catch {
+    throw new Error('Wrong passphrase or key file (or the file is corrupted)');
+  }
+}
+
+export function saltOf(blob) {
+  return blob.subarray(MAGIC.length, MAGIC.length + SALT_LEN);
+}
+
+export function isSealed(blob) {
+  return blob.length > HEADER && blob.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Atomically write a file readable only by the current user.
+ */
+export function writePrivate(path, data) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, data, { mode: 0o600 });
+  renameSync(tmp, path);
+}
+
+/**
+ * Secret from the environment: PANE_KEY_FILE wins over PANE_PASSPHRASE.
+ * @returns {Buffer|string|null}
+ */
+export function envSecret() {
+  if (process.env.PANE_KEY_FILE)   return readFileSync(process.env.PANE_KEY_FILE);
+  if (process.env.PANE_PASSPHRASE) return process.env.PANE_PASSPHRASE;
+  return null;
+}
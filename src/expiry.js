@@ -0,0 +1,108 @@
+/**
+ * src/expiry.js — Two-phase envelope expiry
+ *
+ * Phase 1 (begin):  alias disabled (mail blocked, address kept), card paused,
+ *                   context marked 'expiring' with a purge time.
+ *                   `pane restore <seed>` reverts everything until then;
+ *                   after it, the context only waits for the sweep.
+ * Phase 2 (sweep):  once the grace window has passed, the alias is deleted,
+ *                   the card closed, and the tombstone written. Final.
+ *
+ * Burning also deletes the envelope's browser profile (src/profiles.js).
+ *
+ * Grace window: PANE_EXPIRE_GRACE_HOURS (default 72). 0 = burn immediately.
+ * Sweeps run hourly inside server.js, or from cron via `pane sweep`.
+ */
+
+export class ExpiryService {
+  constructor({ alias, card, store, profiles = null }) {
+    this.alias    = alias;
+    this.card     = card;
+    this.store    = store;
+    this.profiles = profiles;
+    const grace = parseFloat(process.env.PANE_EXPIRE_GRACE_HOURS);
+    this.graceHours = Number.isFinite(grace) ? grace : 72;
+  }
+
+  /**
+   * Start expiring an active context. If a step fails, the ones before it
+   * are undone: the context stays active with its mail flowing.
+   * @param {object}  ctx             - from store.get()
+   * @param {object}  [opts]
+   * @param {boolean} [opts.immediate] - skip the grace window and burn now
+   * @returns {{ status: 'expiring'|'expired', purgeAt?: string }}
+   */
+  async begin(ctx, { immediate = false } = {}) {
+    if (ctx.status !== 'active') throw new Error(`"${ctx.name}" is ${ctx.status} — only an active context can be expired.`);
+    if (immediate || this.graceHours <= 0) {
+      await this.burn(ctx);
+      return { status: 'expired' };
+    }
+    const purgeAt = new Date(Date.now() + this.graceHours * 3_600_000).toISOString();
+    let frozen = false;
+    await this.alias.disable(ctx.aliasId);
+    try {
+      if (ctx.cardToken) { await this.card.freeze(ctx.cardToken); frozen = true; }
+      if (!await this.store.markExpiring(ctx.name, purgeAt)) {
+        throw new Error(`"${ctx.name}" is no longer active — it changed while expiring it.`);
+      }
+    } catch (e) {
+      await this.alias.enable(ctx.aliasId).catch(() => {});
+      if (frozen) await this.card.unfreeze(ctx.cardToken).catch(() => {});
+      throw e;
+    }
+    return { status: 'expiring', purgeAt };
+  }
+
+  /**
+   * Undo begin() while the context is still inside its grace window.
+   * @param {string} name
+   */
+  async restore(name) {
+    const ctx = await this.store.get(name, { status: 'expiring' });
+    if (!ctx) throw new Error(`No expiring context "${name}" — it is active, unknown, or already purged.`);
+    if (pastPurge(ctx)) throw new Error(`"${name}" is past its grace window (${ctx.purgeAt}) — it can't be restored, only swept.`);
+    await this.alias.enable(ctx.aliasId);
+    if (ctx.cardToken) await this.card.unfreeze(ctx.cardToken);
+    // The store checks the purge time again in the same write, in case it ran out just now
+    if (!await this.store.restore(name)) {
+      throw new Error(`"${name}" reached its purge time while restoring — run pane sweep to finish burning it.`);
+    }
+    return ctx;
+  }
+
+  /**
+   * Permanent delete: alias gone, card closed, tombstone written, browser profile removed.
+   * An alias already deleted or a card already closed at the provider is
+   * done, not an error — otherwise a sweep would fail on it forever.
+   */
+  async burn(ctx) {
+    await this.alias.delete(ctx.aliasId);
+    if (ctx.cardToken) await this.card.close(ctx.cardToken);
+    await this.store.tombstone(ctx.name);
+    this.profiles?.remove(ctx.name);
+  }
+
+  /**
+   * Burn every context whose grace window has passed.
+   * A failed burn leaves the context 'expiring' so the next sweep retries it.
+   * @returns {Array<{ name, ok, error? }>}
+   */
+  async sweep() {
+    const due     = await this.store.expiring({ dueBy: new Date().toISOString() });
+    const results = [];
+    for (const ctx of due) {
+      try {
+        await this.burn(ctx);
+        results.push({ name: ctx.name, ok: true });
+      } catch (e) {
+        results.push({ name: ctx.name, ok: false, error: e.message });
+      }
+    }
+    return results;
+  }
+}
+
+function pastPurge(ctx) {
+  return !!ctx.purgeAt && Date.parse(ctx.purgeAt) <= Date.now();
+}
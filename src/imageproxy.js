@@ -0,0 +1,179 @@
+/**
+ * src/imageproxy.js — Local caching image proxy
+ *
+ * sanitizeHtml() rewrites remote mail images to
+ *   http://127.0.0.1:3142/img/<sig>?u=<remote url>
+ * and this serves them. The remote fetch carries no cookies, no referrer
+ * and a generic user agent, and happens at most once per image (cached in
+ * ~/.pane/image-cache). That one fetch is made when the message is first
+ * shown, from your connection: an image with a per-recipient URL still
+ * tells the sender roughly when you first opened the message, though not
+ * in which client, or how often. Tracking pixels never get this far —
+ * sanitizeHtml() drops them.
+ *
+ * URLs are HMAC-signed with a per-install key so the endpoint can't be
+ * used as an open proxy. Only public addresses are fetched: every host,
+ * and every redirect hop, is resolved first and refused if it points at
+ * loopback, a private or link-local network, or other reserved space —
+ * and the connection goes to the address that was checked.
+ *
+ * Env: PANE_PROXY_PORT (default 3142), PANE_PROXY_URL (public base, if not localhost)
+ */
+
+import { createServer, get as httpGet } from 'http';
+import { get as httpsGet } from 'https';
+import { lookup }       from 'dns';
+import { BlockList, isIP } from 'net';
+import { createHmac, createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { readFileSync, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join }         from 'path';
+import { homedir }      from 'os';
+import { writePrivate } from './crypto.js';
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+// Where a mail image may not point: loopback, private, link-local, CGNAT,
+// multicast and other reserved ranges (IPv4-mapped IPv6 included).
+const RESERVED = new BlockList();
+for (const [net, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) RESERVED.addSubnet(net, bits, 'ipv4');
+for (const [net, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) RESERVED.addSubnet(net, bits, 'ipv6');
+
+export class ImageProxy {
+  constructor({ port, base } = {}) {
+    this.port     = port || parseInt(process.env.PANE_PROXY_PORT) || 3142;
+    this.base     = (base || process.env.PANE_PROXY_URL || `http://127.0.0.1:${this.port}`).replace(/\/$/, '');
+    this.cacheDir = join(homedir(), '.pane', 'image-cache');
+    mkdirSync(this.cacheDir, { recursive: true });
+    const keyPath = join(homedir(), '.pane', 'proxy.key');
+    if (!existsSync(keyPath)) writePrivate(keyPath, randomBytes(32));
+    this.key = readFileSync(keyPath);
+  }
+
+  /** Local URL that serves `remote` through the proxy. */
+  url(remote) {
+    return `${this.base}/img/${this.#sign(remote)}?u=${encodeURIComponent(remote)}`;
+  }
+
+  /**
+   * Request handler. Returns false for paths it doesn't own, so it can be
+   * mounted inside another server.
+   */
+  async handle(req, res) {
+    const u = new URL(req.url, this.base);
+    if (req.method !== 'GET' || !u.pathname.startsWith('/img/')) return false;
+
+    const remote = u.searchParams.get('u') || '';
+    const sig    = Buffer.from(u.pathname.slice(5));
+    const want   = Buffer.from(this.#sign(remote));
+    if (sig.length !== want.length || !timingSafeEqual(sig, want)) {
+      res.writeHead(403); res.end(); return true;
+    }
+
+    try {
+      const { type, body } = await this.#fetch(remote);
+      res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'private, max-age=604800', 'Referrer-Policy': 'no-referrer' });
+      res.end(body);
+    } catch (e) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end(e.message);
+    }
+    return true;
+  }
+
+  /** Serve on 127.0.0.1 only. */
+  listen() {
+    return new Promise((resolve, reject) => {
+      const server = createServer(async (req, res) => {
+        if (!(await this.handle(req, res))) { res.writeHead(404); res.end(); }
+      });
+      server.once('error', reject);
+      server.listen(this.port, '127.0.0.1', () => resolve(server));
+    });
+  }
+
+  #sign(remote) {
+    return createHmac('sha256', this.key).update(remote).digest('base64url').slice(0, 32);
+  }
+
+  async #fetch(remote) {
+    const id   = createHash('sha256').update(remote).digest('hex');
+    const file = join(this.cacheDir, id);
+    if (existsSync(file) && existsSync(`${file}.type`)) {
+      return { type: readFileSync(`${file}.type`, 'utf8'), body: readFileSync(file) };
+    }
+    if (!/^https?:\/\//i.test(remote)) throw new Error('Only http(s) images are proxied');
+
+    const { status, type, body } = await download(remote);
+    if (status < 200 || status > 299) throw new Error(`Upstream returned ${status}`);
+    if (!type.startsWith('image/') || type === 'image/svg+xml') throw new Error(`Not a raster image (${type || 'unknown type'})`);
+
+    writeFileSync(file, body);
+    writeFileSync(`${file}.type`, type);
+    return { type, body };
+  }
+}
+
+/** True for an address a mail image must not reach. */
+export function isReserved(address) {
+  const family = isIP(address);
+  return !family || RESERVED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * GET a public URL, following redirects by hand so each hop is checked.
+ * @returns {Promise<{ status: number, type: string, body: Buffer }>}
+ */
+function download(remote, hops = 0) {
+  const u    = new URL(remote);
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (!['http:', 'https:'].includes(u.protocol)) return Promise.reject(new Error('Only http(s) images are proxied'));
+  // An IP literal is connected to as-is, without a lookup
+  if (isIP(host) && isReserved(host)) return Promise.reject(new Error(`Refusing ${host} — not a public address`));
+
+  return new Promise((resolve, reject) => {
+    const get = u.protocol === 'https:' ? httpsGet : httpGet;
+    const req = get(u, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/*' }, lookup: publicLookup, timeout: 10000 }, res => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (hops >= MAX_REDIRECTS) return reject(new Error('Too many redirects'));
+        return resolve(download(new URL(res.headers.location, u).href, hops + 1));
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BYTES) return req.destroy(new Error('Image too large'));
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        type:   String(res.headers['content-type'] || '').split(';')[0].trim(),
+        body:   Buffer.concat(chunks),
+      }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('Upstream timed out')));
+    req.on('error', reject);
+  });
+}
+
+// dns.lookup that fails instead of returning a reserved address — the
+// socket connects to what this returns, so a rebinding DNS answer can't
+// slip a different address in after the check.
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isReserved(a.address));
+    if (bad || !addresses.length) return callback(Object.assign(new Error(`Refusing ${hostname} — resolves to ${bad?.address || 'nothing'}, not a public address`), { code: 'EPRIVATE' }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -1,31 +1,117 @@
 /**
  * src/inbox.js — Alias inbox reader
  *
- * Reads email activity via Addy.io / SimpleLogin API.
- * Proxies all remote images to block pixel trackers.
- * Detects unexpected senders as breach signals.
+ * Reads mail that arrived on an alias. Two kinds of source:
+ *
+ *   (default)  the alias provider's API — Addy.io activity only, no bodies
+ *   maildir    your catch inbox as a local Maildir  (src/mailboxes/maildir.js)
+ *   imap       your catch inbox over IMAPS          (src/mailboxes/imap.js)
+ *
+ * Switched via INBOX_SOURCE. Mailbox sources see real senders, subjects and
+ * bodies: forwarded mail is matched to a context by the alias recipient, and
+ * the sender is taken from the original-sender headers Addy.io and
+ * SimpleLogin add (their From: is rewritten to a reply address).
+ *
+ * Every body goes through src/sanitize.js: tracking pixels dropped, remote
+ * images rewritten to the local image proxy, click-trackers unwrapped. Each
+ * message carries a `removed` report. Breach scoring lives in src/breach.js.
  */
 
+import { MaildirSource } from './mailboxes/maildir.js';
+import { ImapSource }    from './mailboxes/imap.js';
+import { parseMessage, addresses, decodeWords } from './mailboxes/rfc822.js';
+import { sanitizeHtml, sanitizeText } from './sanitize.js';
+import { ImageProxy }    from './imageproxy.js';
+
+const SOURCES = {
+  maildir: MaildirSource,
+  imap:    ImapSource,
+};
+
+/**
+ * Add (or replace) a mailbox source.
+ * @param {string}   name   - value of INBOX_SOURCE that selects it
+ * @param {Function} Source - class with async *messages({ recipient }) yielding raw RFC 822 buffers, newest first
+ */
+export function registerSource(name, Source) {
+  SOURCES[name] = Source;
+}
+
+// Where the alias shows up on forwarded mail, most specific first.
+const RECIPIENT_HEADERS = [
+  'x-anonaddy-original-envelope-to', 'x-simplelogin-envelope-to',
+  'delivered-to', 'x-original-to', 'to', 'cc',
+];
+// Who actually wrote it, before the provider rewrote From:.
+const SENDER_HEADERS = [
+  'x-anonaddy-original-sender', 'x-anonaddy-original-from-header',
+  'x-simplelogin-original-from', 'from',
+];
+
 export class InboxService {
-  constructor() {
+  /**
+   * @param {string} [source]      - INBOX_SOURCE override
+   * @param {object} [opts]
+   * @param {ImageProxy} [opts.proxy] - where remote images are rewritten to
+   */
+  constructor(source = process.env.INBOX_SOURCE || null, { proxy } = {}) {
     this.provider = process.env.EMAIL_PROVIDER || 'addy';
     this.apiKey   = this.provider === 'addy'
       ? process.env.ADDY_API_KEY
       : process.env.SIMPLELOGIN_API_KEY;
+    this.proxy      = proxy || null;
+    this.sourceName = source;
+    this.source     = null;
+    if (source) {
+      const Source = SOURCES[source];
+      if (!Source) throw new Error(`Unknown INBOX_SOURCE "${source}". Available: ${Object.keys(SOURCES).join(', ')}`);
+      this.source = new Source();
+    }
   }
 
-  async read({ aliasId, limit = 10 }) {
+  /**
+   * @param {object} opts
+   * @param {string} [opts.aliasId]    - used by the provider API
+   * @param {string} [opts.aliasEmail] - used by mailbox sources to match forwarded mail
+   * @param {number} [opts.limit]
+   */
+  async read({ aliasId, aliasEmail, limit = 10 }) {
+    if (this.source) return this.#mailboxRead(aliasEmail, limit);
     if (this.provider === 'addy') return this.#addyRead(aliasId, limit);
     return [];
   }
 
-  async getHealth(aliasId) {
-    try {
-      const messages  = await this.read({ aliasId, limit: 50 });
-      const senders   = [...new Set(messages.map(m => m.from_domain).filter(Boolean))];
-      if (senders.length > 3) return 'warning';
-      return 'clean';
-    } catch { return 'unknown'; }
+  async #mailboxRead(aliasEmail, limit) {
+    if (!aliasEmail) return [];
+    const want = aliasEmail.toLowerCase();
+    const out  = [];
+    for await (const raw of this.source.messages({ recipient: want })) {
+      const msg = parseMessage(raw);
+      const to  = RECIPIENT_HEADERS.flatMap(h => msg.headers.get(h) || []).flatMap(addresses);
+      if (!to.includes(want)) continue;
+
+      const fromHeader = SENDER_HEADERS.map(h => msg.header(h)).find(Boolean) || '';
+      const from       = addresses(fromHeader)[0] || '';
+      const date       = new Date(msg.header('date'));
+      const text       = sanitizeText(msg.text);
+      const html       = msg.html ? sanitizeHtml(msg.html, { proxy: this.proxy ||= new ImageProxy() }) : null;
+      const unwrapped  = [...(html?.removed.links_unwrapped || []), ...text.links_unwrapped]
+        .filter((l, i, all) => all.findIndex(o => o.to === l.to) === i);
+      out.push({
+        id:          msg.header('message-id') || null,
+        from,
+        from_name:   decodeWords(fromHeader.replace(/<[^>]*>/, '').replace(/"/g, '')).trim() || from,
+        from_domain: from.split('@')[1] || '',
+        subject:     decodeWords(msg.header('subject')) || '(no subject)',
+        date:        isNaN(date) ? '' : date.toISOString(),
+        preview:     text.text.replace(/\s+/g, ' ').slice(0, 200),
+        body:        text.text,
+        html:        html?.html || null,
+        removed:     { trackers: [], images_proxied: 0, elements: 0, attributes: 0, ...html?.removed, links_unwrapped: unwrapped },
+      });
+      if (out.length >= limit) break;
+    }
+    return out;
   }
 
   async #addyRead(aliasId, limit) {
@@ -42,6 +128,7 @@ export class InboxService {
       if (!resp.ok) return [];
       const data = await resp.json();
       return (data.data || []).map(msg => ({
+        id:          msg.id ? String(msg.id) : null,
         from:        msg.from_email || msg.from || '',
         from_domain: (msg.from_email || msg.from || '').split('@')[1] || '',
         subject:     msg.subject || '(no subject)',
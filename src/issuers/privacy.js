@@ -0,0 +1,115 @@
+/**
+ * src/issuers/privacy.js — Privacy.com card issuer
+ *
+ * US only. API docs: privacy.com/developer/docs
+ *
+ * PRIVACY_API_URL points it elsewhere — Privacy's own sandbox
+ * (https://sandbox.privacy.com/v1) or a local stand-in. Requests are paced
+ * by PANE_PRIVACY_RATE (src/ratelimit.js).
+ */
+
+import { limiterFromEnv, paced } from '../ratelimit.js';
+
+const PRIVACY_BASE = 'https://api.privacy.com/v1';
+
+export class PrivacyIssuer {
+  constructor() {
+    this.apiKey = process.env.PRIVACY_API_KEY;
+    this.base   = (process.env.PRIVACY_API_URL || PRIVACY_BASE).replace(/\/$/, '');
+    if (!this.apiKey) {
+      throw new Error('Missing PRIVACY_API_KEY. Get yours at app.privacy.com/developer — or set CARD_ISSUER=sandbox.');
+    }
+    this.limiter = limiterFromEnv('PANE_PRIVACY_RATE', 60);
+  }
+
+  async create({ memo, spend_limit = 0, merchant_lock }) {
+    const body = {
+      memo,
+      type:        merchant_lock ? 'MERCHANT_LOCKED' : 'UNLOCKED',
+      spend_limit,
+      spend_limit_duration: 'TRANSACTION'
+    };
+    if (merchant_lock) body.merchant_locked = merchant_lock;
+
+    const res = await this.#request('POST', '/card', body);
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Privacy.com card creation failed (${res.status}): ${text}`);
+    }
+
+    const data = await res.json();
+    return {
+      token:     data.token,
+      last_four: data.last_four,
+      state:     data.state
+    };
+  }
+
+  async freeze(cardToken) {
+    const res = await this.#request('PUT', '/card', { card_token: cardToken, state: 'PAUSED' });
+    if (!res.ok) throw new Error(`Privacy.com card freeze failed (${res.status})`);
+  }
+
+  async unfreeze(cardToken) {
+    const res = await this.#request('PUT', '/card', { card_token: cardToken, state: 'OPEN' });
+    if (!res.ok) throw new Error(`Privacy.com card unfreeze failed (${res.status})`);
+  }
+
+  async setLimit(cardToken, limitCents) {
+    const res = await this.#request('PUT', '/card', { card_token: cardToken, spend_limit: limitCents });
+    if (!res.ok) throw new Error(`Privacy.com limit update failed (${res.status})`);
+  }
+
+  async close(cardToken) {
+    const res = await this.#request('PUT', '/card', { card_token: cardToken, state: 'CLOSED' });
+    if (res.ok || res.status === 404) return;
+    // A card that is already closed can't be updated, but it is closed
+    if ((await this.get(cardToken).catch(() => null))?.state === 'CLOSED') return;
+    throw new Error(`Privacy.com card close failed (${res.status})`);
+  }
+
+  async get(cardToken) {
+    const res = await this.#request('GET', `/card?card_token=${encodeURIComponent(cardToken)}`);
+    if (!res.ok) throw new Error(`Privacy.com card lookup failed (${res.status})`);
+    const c = (await res.json()).data?.[0];
+    if (!c) throw new Error(`Privacy.com card ${cardToken} not found`);
+    return { token: c.token, last_four: c.last_four, memo: c.memo || '', state: c.state, spend_limit: c.spend_limit };
+  }
+
+  async list() {
+    const cards = [];
+    for (let page = 1; ; page++) {
+      const res = await this.#request('GET', `/card?page=${page}&page_size=100`);
+      if (!res.ok) throw new Error(`Privacy.com card list failed (${res.status})`);
+      const { data, total_pages } = await res.json();
+      cards.push(...(data || []).map(c => ({ token: c.token, last_four: c.last_four, memo: c.memo || '', state: c.state })));
+      if (!total_pages || page >= total_pages) break;
+    }
+    return cards;
+  }
+
+  async transactions(cardToken, { limit = 50 } = {}) {
+    const res = await this.#request('GET', `/transaction?card_token=${encodeURIComponent(cardToken)}&page_size=${limit}`);
+    if (!res.ok) throw new Error(`Privacy.com transaction list failed (${res.status})`);
+    const { data } = await res.json();
+    return (data || []).map(t => ({
+      token:    t.token,
+      amount:   t.amount,
+      merchant: t.merchant?.descriptor || '',
+      status:   t.status,
+      result:   t.result,
+      created:  t.created,
+    }));
+  }
+
+  #request(method, path, body) {
+    return paced(this.limiter, () => fetch(`${this.base}${path}`, {
+      method,
+      headers: {
+        'Authorization': `api-key ${this.apiKey}`,
+        'Content-Type':  'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    }));
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * src/issuers/sandbox.js — Simulated card issuer
+ *
+ * Behaves like Privacy.com without an account: cards, states, limits and
+ * transactions live in a JSON file (PANE_SANDBOX_CARDS_PATH, default
+ * ~/.pane/sandbox-cards.json). No real money moves.
+ *
+ * authorize() simulates a merchant charging the card and applies the same
+ * rules a real issuer would — paused/closed cards, merchant locks and
+ * per-transaction limits all produce declines.
+ */
+
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir }       from 'os';
+import { randomBytes, randomInt } from 'crypto';
+import { writePrivate }  from '../crypto.js';
+
+export class SandboxIssuer {
+  constructor() {
+    this.path = process.env.PANE_SANDBOX_CARDS_PATH || join(homedir(), '.pane', 'sandbox-cards.json');
+    mkdirSync(dirname(this.path), { recursive: true });
+  }
+
+  async create({ memo, spend_limit = 0, merchant_lock }) {
+    const state = this.#load();
+    const card  = {
+      token:         `sandbox_${randomBytes(8).toString('hex')}`,
+      last_four:     String(randomInt(0, 10000)).padStart(4, '0'),
+      state:         'OPEN',
+      memo,
+      spend_limit,
+      merchant_lock: merchant_lock || null,
+      created:       new Date().toISOString(),
+      transactions:  [],
+    };
+    state.cards.push(card);
+    this.#write(state);
+    return { token: card.token, last_four: card.last_four, state: card.state };
+  }
+
+  async freeze(cardToken)   { this.#setState(cardToken, 'PAUSED'); }
+  async unfreeze(cardToken) { this.#setState(cardToken, 'OPEN'); }
+  async close(cardToken) {
+    if (this.#load().cards.some(c => c.token === cardToken)) this.#setState(cardToken, 'CLOSED');
+  }
+
+  async setLimit(cardToken, limitCents) {
+    const state = this.#load();
+    const card  = this.#find(state, cardToken);
+    if (card.state === 'CLOSED') throw new Error('Sandbox card is closed');
+    card.spend_limit = limitCents;
+    this.#write(state);
+  }
+
+  async get(cardToken) {
+    const { token, last_four, memo, state, spend_limit } = this.#find(this.#load(), cardToken);
+    return { token, last_four, memo, state, spend_limit };
+  }
+
+  async list() {
+    return this.#load().cards.map(({ token, last_four, memo, state }) => ({ token, last_four, memo, state }));
+  }
+
+  async transactions(cardToken, { limit = 50 } = {}) {
+    return this.#find(this.#load(), cardToken).transactions.slice(0, limit);
+  }
+
+  /**
+   * Simulate a merchant authorization against a card.
+   * @param {string} cardToken
+   * @param {object} opts
+   * @param {number} opts.amount   - cents
+   * @param {string} opts.merchant - merchant descriptor, e.g. "NOTION LABS"
+   * @returns {{ token, amount, merchant, status, result, created }}
+   */
+  async authorize(cardToken, { amount, merchant }) {
+    const state  = this.#load();
+    const card   = this.#find(state, cardToken);
+    // Merchant lock is a domain ("notion.so"); descriptors look like "NOTION LABS INC"
+    const lockTo = card.merchant_lock?.toLowerCase().split('.')[0];
+    const result = card.state === 'CLOSED' ? 'CARD_CLOSED'
+                 : card.state === 'PAUSED' ? 'CARD_PAUSED'
+                 : lockTo && !merchant.toLowerCase().includes(lockTo) ? 'UNAUTHORIZED_MERCHANT'
+                 : amount > card.spend_limit ? 'USER_TRANSACTION_LIMIT'
+                 : 'APPROVED';
+    const txn = {
+      token:    `sandbox_txn_${randomBytes(6).toString('hex')}`,
+      amount,
+      merchant,
+      status:   result === 'APPROVED' ? 'SETTLED' : 'DECLINED',
+      result,
+      created:  new Date().toISOString(),
+    };
+    card.transactions.unshift(txn);
+    this.#write(state);
+    return txn;
+  }
+
+  #setState(cardToken, next) {
+    const state = this.#load();
+    const card  = this.#find(state, cardToken);
+    if (card.state === 'CLOSED' && next !== 'CLOSED') throw new Error('Sandbox card is closed');
+    card.state = next;
+    this.#write(state);
+  }
+
+  #find(state, cardToken) {
+    const card = state.cards.find(c => c.token === cardToken);
+    if (!card) throw new Error(`Sandbox card ${cardToken} not found`);
+    return card;
+  }
+
+  #load() {
+    if (!existsSync(this.path)) return { cards: [] };
+    return JSON.parse(readFileSync(this.path, 'utf8'));
+  }
+
+  #write(state) {
+    writePrivate(this.path, JSON.stringify(state, null, 2));
+  }
+}
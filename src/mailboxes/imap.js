@@ -0,0 +1,127 @@
+/**
+ * src/mailboxes/imap.js — IMAP mailbox source
+ *
+ * Reads the catch inbox over IMAPS (IMAP_HOST, IMAP_USER, IMAP_PASSWORD;
+ * IMAP_PORT defaults to 993, IMAP_MAILBOX to INBOX). For Proton Mail,
+ * point it at Proton Bridge on 127.0.0.1.
+ *
+ * The mailbox is opened with EXAMINE, so nothing is marked read.
+ * Only the handful of commands the inbox needs are implemented.
+ */
+
+import tls from 'tls';
+
+export class ImapSource {
+  constructor() {
+    this.host     = process.env.IMAP_HOST;
+    this.port     = parseInt(process.env.IMAP_PORT) || 993;
+    this.user     = process.env.IMAP_USER;
+    this.password = process.env.IMAP_PASSWORD;
+    this.mailbox  = process.env.IMAP_MAILBOX || 'INBOX';
+    if (!this.host || !this.user || !this.password) {
+      throw new Error('IMAP_HOST, IMAP_USER and IMAP_PASSWORD must be set for INBOX_SOURCE=imap');
+    }
+  }
+
+  /**
+   * Raw messages, newest first.
+   * @param {object} [opts]
+   * @param {string} [opts.recipient] - narrow the server-side search to mail mentioning this address
+   */
+  async *messages({ recipient } = {}) {
+    const session = new ImapSession();
+    await session.connect(this.host, this.port);
+    try {
+      await session.command(`LOGIN ${quote(this.user)} ${quote(this.password)}`);
+      await session.command(`EXAMINE ${quote(this.mailbox)}`);
+      const { lines } = await session.command(recipient ? `UID SEARCH TEXT ${quote(recipient)}` : 'UID SEARCH ALL');
+      const uids = lines.filter(l => l.startsWith('* SEARCH')).flatMap(l => l.split(' ').slice(2)).map(Number).filter(Boolean);
+      for (const uid of uids.sort((a, b) => b - a)) {
+        const { literals } = await session.command(`UID FETCH ${uid} BODY.PEEK[]`);
+        if (literals[0]) yield literals[0];
+      }
+    } finally {
+      await session.close();
+    }
+  }
+}
+
+function quote(s) {
+  return `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+}
+
+class ImapSession {
+  #socket  = null;
+  #buf     = Buffer.alloc(0);
+  #literal = 0;        // bytes still owed to the current literal
+  #tag     = 0;
+  #pending = null;     // { tag, lines, literals, resolve, reject }
+  #greeted = null;
+
+  connect(host, port) {
+    return new Promise((resolve, reject) => {
+      this.#greeted = { resolve, reject };
+      this.#socket  = tls.connect({ host, port, servername: host });
+      this.#socket.setTimeout(30000, () => this.#socket.destroy(new Error('IMAP timeout')));
+      this.#socket.on('data',  chunk => this.#onData(chunk));
+      this.#socket.on('error', e => this.#fail(e));
+      // A server that hangs up without an error (before the greeting, mid-fetch) fails what was waiting too
+      this.#socket.on('close', () => this.#fail(new Error('IMAP server closed the connection')));
+    });
+  }
+
+  command(cmd) {
+    return new Promise((resolve, reject) => {
+      if (this.#socket.destroyed) return reject(new Error('IMAP server closed the connection'));
+      const tag = `p${++this.#tag}`;
+      this.#pending = { tag, lines: [], literals: [], resolve, reject };
+      this.#socket.write(`${tag} ${cmd}\r\n`);
+    });
+  }
+
+  async close() {
+    if (!this.#socket || this.#socket.destroyed) return;
+    await this.command('LOGOUT').catch(() => {});
+    this.#socket.end();
+  }
+
+  #fail(e) {
+    (this.#pending || this.#greeted)?.reject(e);
+    this.#pending = this.#greeted = null;
+  }
+
+  #onData(chunk) {
+    this.#buf = Buffer.concat([this.#buf, chunk]);
+    for (;;) {
+      if (this.#literal) {
+        if (this.#buf.length < this.#literal) return;
+        this.#pending?.literals.push(this.#buf.subarray(0, this.#literal));
+        this.#buf     = this.#buf.subarray(this.#literal);
+        this.#literal = 0;
+        continue;
+      }
+      const eol = this.#buf.indexOf('\r\n');
+      if (eol < 0) return;
+      const line = this.#buf.subarray(0, eol).toString('utf8');
+      this.#buf  = this.#buf.subarray(eol + 2);
+      this.#onLine(line);
+      const lit = line.match(/\{(\d+)\}$/);
+      if (lit) this.#literal = Number(lit[1]);
+    }
+  }
+
+  #onLine(line) {
+    if (this.#greeted) {
+      const g = this.#greeted;
+      this.#greeted = null;
+      return /^\* (OK|PREAUTH)/i.test(line) ? g.resolve() : g.reject(new Error(`IMAP greeting: ${line}`));
+    }
+    const p = this.#pending;
+    if (!p) return;
+    if (!line.startsWith(`${p.tag} `)) { p.lines.push(line); return; }
+    this.#pending = null;
+    const [, status, text] = line.match(/^\S+ (\w+) ?(.*)$/) || [];
+    if (status?.toUpperCase() === 'OK') p.resolve({ lines: p.lines, literals: p.literals });
+    else p.reject(new Error(`IMAP ${status || 'error'}: ${text || line}`));
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * src/mailboxes/maildir.js — Maildir mailbox source
+ *
+ * Reads the catch inbox from a local Maildir (PANE_MAILDIR), e.g. one
+ * kept in sync by mbsync/offlineimap or delivered to by your own MTA.
+ * Read-only: messages are never moved from new/ to cur/ or flagged.
+ */
+
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { join }    from 'path';
+import { homedir } from 'os';
+
+export class MaildirSource {
+  constructor() {
+    const dir = process.env.PANE_MAILDIR;
+    if (!dir) throw new Error('PANE_MAILDIR not set — point it at your catch inbox Maildir');
+    this.dir = dir.replace(/^~(?=$|\/)/, homedir());
+    if (!existsSync(join(this.dir, 'cur')) && !existsSync(join(this.dir, 'new'))) {
+      throw new Error(`${this.dir} is not a Maildir (no cur/ or new/)`);
+    }
+  }
+
+  /** Raw messages, newest delivery first (Maildir names lead with the delivery time). */
+  async *messages() {
+    const files = [];
+    for (const sub of ['new', 'cur']) {
+      const d = join(this.dir, sub);
+      if (!existsSync(d)) continue;
+      for (const f of readdirSync(d)) {
+        if (f.startsWith('.')) continue;
+        const path = join(d, f);
+        files.push({ path, time: parseInt(f) || statSync(path).mtimeMs / 1000 });
+      }
+    }
+    files.sort((a, b) => b.time - a.time);
+    for (const f of files) yield readFileSync(f.path);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * src/mailboxes/rfc822.js — Minimal RFC 822 / MIME reader
+ *
+ * Just enough parsing for the inbox: unfolded headers, encoded-word
+ * subjects, and the first text/plain and text/html parts of a (possibly
+ * nested) multipart body. `text` falls back to flattened HTML; `html` is
+ * returned raw and must go through src/sanitize.js before rendering.
+ */
+
+/**
+ * @param {Buffer|string} raw
+ * @returns {{ headers: Map<string, string[]>, header: Function, text: string, html: string }}
+ */
+export function parseMessage(raw) {
+  const src = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+  const { headers, body } = splitEntity(src);
+  const parts = leaves(headers, body);
+  const plain = parts.find(p => p.type === 'text/plain');
+  const html  = parts.find(p => p.type === 'text/html');
+  return {
+    headers,
+    header: name => headers.get(name.toLowerCase())?.[0] ?? '',
+    text:   plain ? plain.content.replace(/\r\n/g, '\n').trim() : html ? flattenHtml(html.content) : '',
+    html:   html?.content || '',
+  };
+}
+
+/** Bare addresses from an address-list header value. */
+export function addresses(value) {
+  return [...String(value || '').matchAll(/[^\s<>",;:()]+@[^\s<>",;:()]+/g)].map(m => m[0].toLowerCase());
+}
+
+/** Decode RFC 2047 encoded-words (=?utf-8?B?…?= / =?utf-8?Q?…?=). */
+export function decodeWords(value) {
+  return String(value || '')
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, enc, data) => {
+      const bytes = enc.toLowerCase() === 'b'
+        ? Buffer.from(data, 'base64')
+        : qpBytes(data.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+function splitEntity(src) {
+  const m     = src.match(/\r?\n\r?\n/);
+  const head  = m ? src.slice(0, m.index) : src;
+  const body  = m ? src.slice(m.index + m[0].length) : '';
+  const headers = new Map();
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i < 1) continue;
+    const key = line.slice(0, i).trim().toLowerCase();
+    const val = line.slice(i + 1).trim();
+    headers.set(key, [...(headers.get(key) || []), val]);
+  }
+  return { headers, body };
+}
+
+function param(value, name) {
+  return value.match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'))?.slice(1).find(Boolean) || '';
+}
+
+// Decoded text/* leaf parts in document order; attachments are skipped.
+function leaves(headers, body) {
+  const type = headers.get('content-type')?.[0] || 'text/plain';
+  if (/^multipart\//i.test(type)) {
+    const boundary = param(type, 'boundary');
+    if (!boundary) return [];
+    return body.split(`--${boundary}`).slice(1)
+      .filter(p => !p.startsWith('--'))
+      .map(p => splitEntity(p.replace(/^\r?\n/, '')))
+      .flatMap(p => leaves(p.headers, p.body));
+  }
+  if (!/^text\/(plain|html)/i.test(type)) return [];
+  if (/^attachment/i.test(headers.get('content-disposition')?.[0] || '')) return [];
+
+  const enc   = (headers.get('content-transfer-encoding')?.[0] || '').toLowerCase();
+  const bytes = enc === 'base64'           ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+              : enc === 'quoted-printable' ? qpBytes(body.replace(/=\r?\n/g, ''))
+              : Buffer.from(body, 'latin1');
+  return [{ type: type.split(';')[0].trim().toLowerCase(), content: decodeCharset(bytes, param(type, 'charset') || 'utf-8') }];
+}
+
+function qpBytes(s) {
+  const out = [];
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '=' && /^[0-9a-f]{2}$/i.test(s.slice(i + 1, i + 3))) {
+      out.push(parseInt(s.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      out.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(out);
+}
+
+function decodeCharset(bytes, charset) {
+  try { return new TextDecoder(charset.toLowerCase()).decode(bytes); }
+  catch { return bytes.toString('latin1'); }
+}
+
+function flattenHtml(html) {
+  return html
+    .replace(/\r\n/g, '\n')
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<img\b[^>]*>/gi, '[image blocked]')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,130 @@
+/**
+ * src/migrations.js — ContextStore schema migrations
+ *
+ * Ordered and append-only: each entry takes the schema from version - 1 to
+ * `version`. ContextStore runs the pending ones at open, each in its own
+ * transaction, and records them in schema_version. A shipped migration is
+ * never edited — a change to the schema is the next entry.
+ *
+ * Stores from before versioning have no schema_version table and may have
+ * any mix of the columns added since (they were patched in ad hoc), so
+ * migrations 1–7 leave alone whatever already exists.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name:    'contexts',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS contexts (
+        name        TEXT PRIMARY KEY,
+        alias_email TEXT,
+        alias_id    TEXT,
+        card_token  TEXT,
+        card_last4  TEXT,
+        identity    TEXT,
+        enroll_url  TEXT,
+        status      TEXT DEFAULT 'active',
+        created_at  TEXT,
+        expired_at  TEXT
+      );
+    `),
+  },
+  {
+    version: 2,
+    name:    'expiry grace window',
+    up: db => addColumn(db, 'contexts', 'purge_at', 'TEXT'),
+  },
+  {
+    version: 3,
+    name:    'sender history',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS senders (
+        context     TEXT,
+        domain      TEXT,
+        first_seen  TEXT,
+        last_seen   TEXT,
+        PRIMARY KEY (context, domain)
+      );
+      CREATE TABLE IF NOT EXISTS messages (
+        context     TEXT,
+        id          TEXT,
+        date        TEXT,
+        from_addr   TEXT,
+        domain      TEXT,
+        subject     TEXT,
+        preview     TEXT,
+        PRIMARY KEY (context, id)
+      );
+    `),
+  },
+  {
+    version: 4,
+    name:    'watch policies',
+    up: db => addColumn(db, 'contexts', 'watch_policy', 'TEXT'),
+  },
+  {
+    version: 5,
+    name:    'card charges',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS charges (
+        context     TEXT,
+        token       TEXT,
+        created     TEXT,
+        amount      INTEGER,
+        merchant    TEXT,
+        status      TEXT,
+        result      TEXT,
+        PRIMARY KEY (context, token)
+      );
+    `),
+  },
+  {
+    version: 6,
+    name:    'trials',
+    up: db => {
+      addColumn(db, 'contexts', 'trial_ends',      'TEXT');
+      addColumn(db, 'contexts', 'renewal_amount',  'INTEGER');
+      addColumn(db, 'contexts', 'renewal_cadence', 'TEXT');
+      addColumn(db, 'contexts', 'trial_action',    'TEXT');
+      addColumn(db, 'contexts', 'trial_lead_days', 'REAL');
+    },
+  },
+  {
+    version: 7,
+    name:    'credential vault',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS credentials (
+        context     TEXT PRIMARY KEY,
+        blob        BLOB,
+        updated_at  TEXT
+      );
+    `),
+  },
+  {
+    version: 8,
+    name:    'context versions',
+    up: db => addColumn(db, 'contexts', 'version', 'INTEGER NOT NULL DEFAULT 0'),
+  },
+  {
+    version: 9,
+    name:    'tags, notes and folders',
+    up: db => {
+      addColumn(db, 'contexts', 'tags',   'TEXT');
+      addColumn(db, 'contexts', 'notes',  'TEXT');
+      addColumn(db, 'contexts', 'folder', 'TEXT');
+    },
+  },
+  {
+    version: 10,
+    name:    'email verification',
+    up: db => addColumn(db, 'contexts', 'verified_at', 'TEXT'),
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+function addColumn(db, table, column, type) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+}
@@ -0,0 +1,306 @@
+/**
+ * src/profiles.js — Per-context browser profiles
+ *
+ * Each envelope keeps its own browser: the fingerprint it signed up with
+ * and its storage state (cookies, localStorage, IndexedDB) as the site left
+ * it.
+ * BrowserService.enroll (src/browser.js) starts from the profile and saves
+ * it back; `pane open <seed>` opens a window that is already logged in as
+ * that identity. Nothing is shared between profiles — every session is a
+ * fresh browser context holding one envelope's state and nothing else.
+ *
+ * Fingerprints come from fingerprintFor(): seeded from the context name, so
+ * a context is always the same browser, and drawn from one machine
+ * description, so the parts agree — a Mac user agent comes with macOS client
+ * hints, navigator.platform 'MacIntel', a Retina screen and an Apple GPU.
+ * The timezone and languages follow the identity (src/identity.js). The
+ * canvas noise is seeded too: the same context reads the same canvas.
+ *
+ *   ~/.pane/profiles/<seed>/fingerprint.json   which browser it claims to be
+ *   ~/.pane/profiles/<seed>/state.enc          storage state, sealed
+ *
+ * The storage state holds live session cookies, so it is sealed like the
+ * passwords are: with the credential vault's key (src/vault.js), or — once
+ * `pane lock` has sealed the store — with a key derived from the store's,
+ * so a locked machine gives away neither the sessions nor which sites they
+ * are for. Sessions saved before the lock are re-sealed by it. Profiles
+ * stay on this machine: `pane export` bundles don't carry them. Expiring a
+ * context deletes its profile.
+ *
+ *   PANE_PROFILE_DIR   where profiles live   default ~/.pane/profiles
+ */
+
+import { readFileSync, existsSync, mkdirSync, rmSync, statSync, readdirSync } from 'fs';
+import { join }    from 'path';
+import { homedir } from 'os';
+import { seal, unseal, newSalt, writePrivate } from './crypto.js';
+
+// ── FINGERPRINT CONFIG ────────────────────────────────────────────────────────
+// Bump when the fingerprint shape changes; older saved ones are regenerated,
+// and the session saved under them is dropped
+export const FINGERPRINT_VERSION = 2;
+
+// Kept near the Chromium Playwright ships, so the claimed Chrome is one that exists
+const CHROME_MAJOR = 153;
+
+// One entry per OS. Everything a fingerprint says is drawn from a single
+// entry, so the user agent, client hints, navigator.platform, screen, GPU
+// and fonts always describe the same machine.
+const MACHINES = [
+  {
+    os:       'mac',
+    weight:   45,
+    ua:       'Macintosh; Intel Mac OS X 10_15_7',
+    platform: 'macOS',
+    navigatorPlatform: 'MacIntel',
+    platformVersions:  ['14.6.1', '15.3.2', '15.6.0'],
+    screens: [
+      { width: 1440, height: 900,  scale: 2, chrome: 87 },
+      { width: 1512, height: 982,  scale: 2, chrome: 87 },
+      { width: 1728, height: 1117, scale: 2, chrome: 87 },
+      { width: 1920, height: 1080, scale: 1, chrome: 87 },
+    ],
+    gpus: [
+      { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)',     arch: 'arm' },
+      { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)',     arch: 'arm' },
+      { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M3 Pro, Unspecified Version)', arch: 'arm' },
+      { vendor: 'Google Inc. (Intel Inc.)', renderer: 'ANGLE (Intel Inc., Intel(R) Iris(TM) Plus Graphics OpenGL Engine, OpenGL 4.1)', arch: 'x86' },
+    ],
+    cores:  [8, 10, 12],
+    fonts:  ['Helvetica Neue', 'Helvetica', 'Arial', 'Avenir', 'Geneva', 'Lucida Grande', 'Menlo', 'Monaco', 'Courier New', 'Georgia', 'Times New Roman', 'Verdana'],
+  },
+  {
+    os:       'windows',
+    weight:   45,
+    ua:       'Windows NT 10.0; Win64; x64',
+    platform: 'Windows',
+    navigatorPlatform: 'Win32',
+    platformVersions:  ['10.0.0', '15.0.0', '19.0.0'],
+    screens: [
+      { width: 1920, height: 1080, scale: 1,    chrome: 127 },
+      { width: 1536, height: 864,  scale: 1.25, chrome: 127 },
+      { width: 1366, height: 768,  scale: 1,    chrome: 127 },
+      { width: 2560, height: 1440, scale: 1,    chrome: 127 },
+    ],
+    gpus: [
+      { vendor: 'Google Inc. (NVIDIA)', renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)', arch: 'x86' },
+      { vendor: 'Google Inc. (Intel)',  renderer: 'ANGLE (Intel, Intel(R) UHD Graphics 620 Direct3D11 vs_5_0 ps_5_0, D3D11)', arch: 'x86' },
+      { vendor: 'Google Inc. (Intel)',  renderer: 'ANGLE (Intel, Intel(R) Iris(R) Xe Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)', arch: 'x86' },
+      { vendor: 'Google Inc. (AMD)',    renderer: 'ANGLE (AMD, AMD Radeon(TM) Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)', arch: 'x86' },
+    ],
+    cores:  [4, 8, 12, 16],
+    fonts:  ['Segoe UI', 'Calibri', 'Cambria', 'Consolas', 'Arial', 'Tahoma', 'Verdana', 'Courier New', 'Georgia', 'Times New Roman', 'Trebuchet MS'],
+  },
+  {
+    os:       'linux',
+    weight:   10,
+    ua:       'X11; Linux x86_64',
+    platform: 'Linux',
+    navigatorPlatform: 'Linux x86_64',
+    platformVersions:  ['6.8.0', '6.11.0'],
+    screens: [
+      { width: 1920, height: 1080, scale: 1, chrome: 100 },
+      { width: 2560, height: 1440, scale: 1, chrome: 100 },
+    ],
+    gpus: [
+      { vendor: 'Google Inc. (Intel)', renderer: 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)', arch: 'x86' },
+      { vendor: 'Google Inc. (AMD)',   renderer: 'ANGLE (AMD, AMD Radeon Graphics (radeonsi, renoir, LLVM 17.0.6, DRM 3.57), OpenGL 4.6)', arch: 'x86' },
+    ],
+    cores:  [4, 8, 16],
+    fonts:  ['DejaVu Sans', 'DejaVu Serif', 'DejaVu Sans Mono', 'Liberation Sans', 'Liberation Serif', 'Liberation Mono', 'Noto Sans', 'Ubuntu'],
+  },
+];
+
+// Browser language by the identity's country
+const LANGUAGES = { GB: ['en-GB', 'en'], US: ['en-US', 'en'] };
+
+// Seeds become directory names
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export class ProfileStore {
+  /**
+   * @param {object} deps
+   * @param {import('./vault.js').CredentialVault} deps.vault - seals the storage state
+   * @param {import('./context.js').ContextStore} [deps.store] - seals it instead once locked
+   */
+  constructor({ vault, store }) {
+    this.vault = vault;
+    this.store = store;
+    this.dir   = process.env.PANE_PROFILE_DIR || join(homedir(), '.pane', 'profiles');
+  }
+
+  /** A context's profile directory. */
+  dirFor(name) {
+    if (!SAFE_NAME.test(name)) throw new Error(`"${name}" can't name a browser profile`);
+    return join(this.dir, name);
+  }
+
+  has(name) {
+    return existsSync(join(this.dirFor(name), 'fingerprint.json'));
+  }
+
+  /**
+   * A context's profile, created on first use. The fingerprint is saved the
+   * first time and kept from then on, even if the identity later changes.
+   * A fingerprint from an older FINGERPRINT_VERSION is replaced, and the
+   * saved session with it: a site would see the same login turn up on a
+   * different browser.
+   * @param {string} name
+   * @param {object} [opts]
+   * @param {object} [opts.identity] - from IdentityGen; timezone and country for a new fingerprint
+   * @returns {{ dir, fingerprint: object, storageState: object|null, savedAt: string|null, replaced: boolean }}
+   */
+  load(name, { identity } = {}) {
+    const dir  = this.dirFor(name);
+    const fpPath    = join(dir, 'fingerprint.json');
+    const statePath = join(dir, 'state.enc');
+    let fingerprint = existsSync(fpPath) ? JSON.parse(readFileSync(fpPath, 'utf8')) : null;
+    const replaced  = !!fingerprint && fingerprint.version !== FINGERPRINT_VERSION;
+    if (fingerprint?.version !== FINGERPRINT_VERSION) {
+      fingerprint = fingerprintFor(name, identity);
+      mkdirSync(dir, { recursive: true, mode: 0o700 });
+      if (replaced) rmSync(statePath, { force: true });
+      writePrivate(fpPath, JSON.stringify(fingerprint, null, 2) + '\n');
+    }
+    if (!existsSync(statePath)) return { dir, fingerprint, storageState: null, savedAt: null, replaced };
+    return {
+      dir,
+      fingerprint,
+      replaced,
+      storageState: JSON.parse(this.#read(statePath).data.toString('utf8')),
+      savedAt:      statSync(statePath).mtime.toISOString(),
+    };
+  }
+
+  /**
+   * Replace a context's storage state.
+   * @param {string} name
+   * @param {object} storageState - from Playwright's BrowserContext.storageState()
+   * @returns {{ cookies: number, origins: number }}
+   */
+  save(name, storageState) {
+    const dir = this.dirFor(name);
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const key  = this.#key();
+    const data = JSON.stringify(storageState);
+    writePrivate(join(dir, 'state.enc'), key ? seal(key, newSalt(), Buffer.from(data)) : this.vault.sealBlob(data));
+    return { cookies: storageState.cookies?.length || 0, origins: storageState.origins?.length || 0 };
+  }
+
+  /** Delete a context's profile. @returns {boolean} whether there was one */
+  remove(name) {
+    const dir = this.dirFor(name);
+    if (!existsSync(dir)) return false;
+    rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Move every saved session under the store's key. `pane lock` runs this
+   * right after sealing the store, so sessions saved before it are covered.
+   * @returns {number} sessions re-sealed
+   */
+  reseal() {
+    if (!this.#key() || !existsSync(this.dir)) return 0;
+    return readdirSync(this.dir)
+      .map(name => join(this.dir, name, 'state.enc'))
+      .filter(statePath => existsSync(statePath) && this.#read(statePath).moved)
+      .length;
+  }
+
+  // The store's key for sessions, or null while the store isn't encrypted
+  #key() {
+    return this.store?.subkey('browser profiles') || null;
+  }
+
+  // A session still under the vault key while the store is locked was saved
+  // before `pane lock`: it is re-sealed under the store's key as it's read.
+  #read(statePath) {
+    const blob = readFileSync(statePath);
+    const key  = this.#key();
+    if (!key) return { data: this.vault.unsealBlob(blob), moved: false };
+    try {
+      return { data: unseal(key, blob), moved: false };
+    } catch {
+      const data = this.vault.unsealBlob(blob);
+      writePrivate(statePath, seal(key, newSalt(), data));
+      return { data, moved: true };
+    }
+  }
+}
+
+/**
+ * The browser a context claims to be, derived from its name: the same name
+ * always gives the same fingerprint, on any machine. One OS is drawn, then
+ * everything else from what that OS would have — user agent and client
+ * hints, navigator.platform, screen and scale, GPU, cores, fonts — plus the
+ * identity's timezone and languages and a seed for the canvas noise.
+ * @param {string} name     - context name
+ * @param {object} [identity] - from IdentityGen; timezone and address.country are used
+ */
+export function fingerprintFor(name, identity = {}) {
+  const rng     = seededRng(`fingerprint:${name}`);
+  const pick    = arr => arr[Math.floor(rng() * arr.length)];
+  const machine = weighted(MACHINES, rng);
+  const screen  = pick(machine.screens);
+  const gpu     = pick(machine.gpus);
+  const languages = LANGUAGES[identity.address?.country] || LANGUAGES.US;
+  const brands  = [
+    { brand: 'Chromium',      version: String(CHROME_MAJOR) },
+    { brand: 'Google Chrome', version: String(CHROME_MAJOR) },
+    { brand: 'Not?A_Brand',   version: '24' },
+  ];
+  return {
+    version:  FINGERPRINT_VERSION,
+    os:       machine.os,
+    userAgent: `Mozilla/5.0 (${machine.ua}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    brands,
+    platform:          machine.platform,
+    platformVersion:   pick(machine.platformVersions),
+    navigatorPlatform: machine.navigatorPlatform,
+    architecture:      gpu.arch,
+    screen:   { width: screen.width, height: screen.height },
+    viewport: { width: screen.width, height: screen.height - screen.chrome },
+    deviceScaleFactor: screen.scale,
+    webgl:    { vendor: gpu.vendor, renderer: gpu.renderer },
+    hardwareConcurrency: pick(machine.cores),
+    // Chrome reports at most 8
+    deviceMemory: 8,
+    fonts:     machine.fonts,
+    timezone:  identity.timezone || 'America/New_York',
+    locale:    languages[0],
+    languages,
+    canvasSeed: Math.floor(rng() * 2 ** 31),
+    created_at: new Date().toISOString(),
+  };
+}
+
+/** Accept-Language for a fingerprint's languages ("en-GB,en;q=0.9"). */
+export function acceptLanguage({ languages }) {
+  return languages.map((l, i) => i ? `${l};q=${(1 - i / 10).toFixed(1)}` : l).join(',');
+}
+
+/** sec-ch-ua for a fingerprint's brands. */
+export function clientHintBrands({ brands }) {
+  return brands.map(b => `"${b.brand}";v="${b.version}"`).join(', ');
+}
+
+function weighted(items, rng) {
+  let roll = rng() * items.reduce((sum, i) => sum + i.weight, 0);
+  return items.find(i => (roll -= i.weight) < 0) || items.at(-1);
+}
+
+// Same generator as IdentityGen's, so a name always draws the same values
+function seededRng(seed) {
+  let h = 0;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(31, h) + seed.charCodeAt(i) | 0;
+  }
+  let s = h >>> 0;
+  return function() {
+    s += 0x6D2B79F5;
+    let t = Math.imul(s ^ s >>> 15, 1 | s);
+    t ^= t + Math.imul(t ^ t >>> 7, 61 | t);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * src/providers/addy.js — Addy.io alias provider
+ *
+ * API docs: app.addy.io/docs
+ * Requests are paced by PANE_ADDY_RATE (src/ratelimit.js).
+ */
+
+import { limiterFromEnv, paced } from '../ratelimit.js';
+
+const ADDY_BASE = 'https://app.addy.io/api/v1';
+
+export class AddyProvider {
+  constructor() {
+    this.apiKey = process.env.ADDY_API_KEY;
+    if (!this.apiKey) {
+      throw new Error('Missing API key for email provider "addy". Check your .env file.');
+    }
+    this.limiter = limiterFromEnv('PANE_ADDY_RATE', 60);
+  }
+
+  async create({ description }) {
+    const domain = process.env.ALIAS_DOMAIN || undefined;
+    const body   = { description };
+    if (domain) body.domain = domain;
+
+    const res = await this.#request('POST', '/aliases', body);
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Addy.io alias creation failed (${res.status}): ${text}`);
+    }
+
+    const { data } = await res.json();
+    return { id: data.id, email: data.email };
+  }
+
+  async delete(aliasId) {
+    const res = await this.#request('DELETE', `/aliases/${aliasId}`);
+    // 404: already deleted
+    if (!res.ok && res.status !== 204 && res.status !== 404) {
+      throw new Error(`Addy.io alias deletion failed (${res.status})`);
+    }
+  }
+
+  async disable(aliasId) {
+    const res = await this.#request('DELETE', `/active-aliases/${aliasId}`);
+    if (!res.ok && res.status !== 204) {
+      throw new Error(`Addy.io alias disable failed (${res.status})`);
+    }
+  }
+
+  async enable(aliasId) {
+    const res = await this.#request('POST', '/active-aliases', { id: aliasId });
+    if (!res.ok) throw new Error(`Addy.io alias enable failed (${res.status})`);
+  }
+
+  async list() {
+    const aliases = [];
+    for (let page = 1; ; page++) {
+      const res = await this.#request('GET', `/aliases?page[number]=${page}&page[size]=100&filter[deleted]=without`);
+      if (!res.ok) throw new Error(`Addy.io alias list failed (${res.status})`);
+      const { data, meta } = await res.json();
+      aliases.push(...data.map(a => ({
+        id:          a.id,
+        email:       a.email,
+        description: a.description || '',
+        active:      a.active,
+        createdAt:   a.created_at,
+      })));
+      if (!meta || page >= meta.last_page) break;
+    }
+    return aliases;
+  }
+
+  async stats(aliasId) {
+    const res = await this.#request('GET', `/aliases/${aliasId}`);
+    if (!res.ok) throw new Error(`Addy.io alias lookup failed (${res.status})`);
+    const { data } = await res.json();
+    return {
+      forwarded: data.emails_forwarded || 0,
+      blocked:   data.emails_blocked   || 0,
+      replied:   data.emails_replied   || 0,
+      lastUsed:  data.last_forwarded   || null,
+    };
+  }
+
+  #request(method, path, body) {
+    return paced(this.limiter, () => fetch(`${ADDY_BASE}${path}`, {
+      method,
+      headers: {
+        'Authorization':    `Bearer ${this.apiKey}`,
+        'Content-Type':     'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    }));
+  }
+}
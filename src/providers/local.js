@@ -0,0 +1,86 @@
+/**
+ * src/providers/local.js — File-backed mock alias provider
+ *
+ * No network, no account. Aliases live in a JSON file
+ * (PANE_LOCAL_ALIAS_PATH, default ~/.pane/local-aliases.json).
+ * Used by CI and for trying pane before signing up for Addy.io.
+ *
+ * Addresses use ALIAS_DOMAIN if set, otherwise the reserved `pane.local`.
+ * Nothing is actually forwarded.
+ */
+
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir }       from 'os';
+import { randomBytes }   from 'crypto';
+import { writePrivate }  from '../crypto.js';
+
+export class LocalProvider {
+  constructor() {
+    this.path   = process.env.PANE_LOCAL_ALIAS_PATH || join(homedir(), '.pane', 'local-aliases.json');
+    this.domain = process.env.ALIAS_DOMAIN || 'pane.local';
+    mkdirSync(dirname(this.path), { recursive: true });
+  }
+
+  async create({ name, description }) {
+    const aliases = this.#load();
+    const slug    = String(name || 'alias').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'alias';
+    const alias   = {
+      id:          randomBytes(8).toString('hex'),
+      email:       `${slug}.${randomBytes(2).toString('hex')}@${this.domain}`,
+      description: description || name || '',
+      active:      true,
+      createdAt:   new Date().toISOString(),
+      forwarded:   0,
+      blocked:     0,
+      replied:     0,
+      lastUsed:    null,
+    };
+    aliases.push(alias);
+    this.#write(aliases);
+    return { id: alias.id, email: alias.email };
+  }
+
+  async delete(aliasId) {
+    const aliases = this.#load();
+    const rest    = aliases.filter(a => a.id !== aliasId);
+    if (rest.length === aliases.length) return;   // already gone
+    this.#write(rest);
+  }
+
+  async disable(aliasId) {
+    const aliases = this.#load();
+    this.#find(aliases, aliasId).active = false;
+    this.#write(aliases);
+  }
+
+  async enable(aliasId) {
+    const aliases = this.#load();
+    this.#find(aliases, aliasId).active = true;
+    this.#write(aliases);
+  }
+
+  async list() {
+    return this.#load().map(({ id, email, description, active, createdAt }) => ({ id, email, description, active, createdAt }));
+  }
+
+  async stats(aliasId) {
+    const { forwarded, blocked, replied, lastUsed } = this.#find(this.#load(), aliasId);
+    return { forwarded, blocked, replied, lastUsed };
+  }
+
+  #find(aliases, aliasId) {
+    const alias = aliases.find(a => a.id === aliasId);
+    if (!alias) throw new Error(`Local alias ${aliasId} not found`);
+    return alias;
+  }
+
+  #load() {
+    if (!existsSync(this.path)) return [];
+    return JSON.parse(readFileSync(this.path, 'utf8'));
+  }
+
+  #write(aliases) {
+    writePrivate(this.path, JSON.stringify(aliases, null, 2));
+  }
+}
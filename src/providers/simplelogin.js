@@ -0,0 +1,93 @@
+/**
+ * src/providers/simplelogin.js — SimpleLogin alias provider
+ *
+ * API docs: github.com/simple-login/app/blob/master/docs/api.md
+ */
+
+const SL_BASE = 'https://app.simplelogin.io/api';
+
+export class SimpleLoginProvider {
+  constructor() {
+    this.apiKey = process.env.SIMPLELOGIN_API_KEY;
+    if (!this.apiKey) {
+      throw new Error('Missing API key for email provider "simplelogin". Check your .env file.');
+    }
+  }
+
+  async create({ description }) {
+    const res = await this.#request('POST', '/alias/random/new', { note: description });
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`SimpleLogin alias creation failed (${res.status}): ${text}`);
+    }
+
+    const data = await res.json();
+    return { id: String(data.id), email: data.email };
+  }
+
+  async delete(aliasId) {
+    const res = await this.#request('DELETE', `/aliases/${aliasId}`);
+    // 404: already deleted
+    if (!res.ok && res.status !== 404) throw new Error(`SimpleLogin alias deletion failed (${res.status})`);
+  }
+
+  async disable(aliasId) {
+    // SimpleLogin only exposes a toggle — check the current state first
+    const alias = await this.#get(aliasId);
+    if (!alias.enabled) return;
+    const res = await this.#request('POST', `/aliases/${aliasId}/toggle`);
+    if (!res.ok) throw new Error(`SimpleLogin alias disable failed (${res.status})`);
+  }
+
+  async enable(aliasId) {
+    const alias = await this.#get(aliasId);
+    if (alias.enabled) return;
+    const res = await this.#request('POST', `/aliases/${aliasId}/toggle`);
+    if (!res.ok) throw new Error(`SimpleLogin alias enable failed (${res.status})`);
+  }
+
+  async list() {
+    const aliases = [];
+    for (let page = 0; ; page++) {
+      const res = await this.#request('GET', `/v2/aliases?page_id=${page}`);
+      if (!res.ok) throw new Error(`SimpleLogin alias list failed (${res.status})`);
+      const data = await res.json();
+      if (!data.aliases?.length) break;
+      aliases.push(...data.aliases.map(a => ({
+        id:          String(a.id),
+        email:       a.email,
+        description: a.note || '',
+        active:      a.enabled,
+        createdAt:   new Date(a.creation_timestamp * 1000).toISOString(),
+      })));
+    }
+    return aliases;
+  }
+
+  async stats(aliasId) {
+    const data = await this.#get(aliasId);
+    return {
+      forwarded: data.nb_forward || 0,
+      blocked:   data.nb_block   || 0,
+      replied:   data.nb_reply   || 0,
+      lastUsed:  data.latest_activity ? new Date(data.latest_activity.timestamp * 1000).toISOString() : null,
+    };
+  }
+
+  async #get(aliasId) {
+    const res = await this.#request('GET', `/aliases/${aliasId}`);
+    if (!res.ok) throw new Error(`SimpleLogin alias lookup failed (${res.status})`);
+    return res.json();
+  }
+
+  #request(method, path, body) {
+    return fetch(`${SL_BASE}${path}`, {
+      method,
+      headers: {
+        'Authentication': this.apiKey,
+        'Content-Type':   'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * src/provision.js — Transactional envelope provisioning
+ *
+ * Creating an envelope touches two remote services. Done naively, a card
+ * failure after the alias succeeded leaves an orphan alias nobody tracks.
+ * Provisioning is therefore a saga:
+ *
+ *   1. reserve the context as 'pending' in ContextStore
+ *   2. create the alias  → record it on the pending row
+ *   3. create the card   → record it on the pending row
+ *   4. mark the context 'active'
+ *
+ * Any failure runs compensations in reverse (close card, delete alias) and
+ * drops the pending row. If a compensation itself fails — or the process
+ * dies mid-way — the pending row still lists what exists remotely, and
+ * `pane reconcile` cleans it up once it is older than PANE_STALL_MINUTES
+ * (default 10) — a younger one may still be provisioning.
+ *
+ * Aliases and cards are labelled `pane:<name>` (alias description, card
+ * memo), so reconcile can tell leftovers of pane's from the rest of your
+ * account. Only those are ever pruned.
+ */
+
+export const LABEL_PREFIX = 'pane:';
+
+/** Alias description / card memo for a context's resources. */
+export function labelFor(name, note) {
+  return `${LABEL_PREFIX}${name}${note ? ` — ${note}` : ''}`;
+}
+
+export class ProvisionService {
+  constructor({ alias, card, store }) {
+    this.alias = alias;
+    this.card  = card;
+    this.store = store;
+  }
+
+  /**
+   * Provision an alias (and optionally a card) under one context name.
+   * @param {object}  opts
+   * @param {string}  opts.name
+   * @param {object}  opts.identity
+   * @param {string}  [opts.description] - alias note, after the pane:<name> label
+   * @param {string}  [opts.enrollUrl]
+   * @param {boolean} [opts.withCard]   - default true
+   * @param {number}  [opts.cardLimit]  - cents, default 0
+   * @returns {{ aliasResult: {id, email}, cardResult: {token, last_four, state}|null }}
+   */
+  async envelope({ name, identity, description, enrollUrl, withCard = true, cardLimit = 0 }) {
+    await this.store.insertPending({ name, identity, enrollUrl, createdAt: new Date().toISOString() });
+    const undo = [];
+    try {
+      const aliasResult = await this.alias.create({ name, description: labelFor(name, description), identity });
+      undo.push(() => this.alias.delete(aliasResult.id));
+      await this.store.recordPending(name, { aliasEmail: aliasResult.email, aliasId: aliasResult.id });
+
+      let cardResult = null;
+      if (withCard) {
+        cardResult = await this.card.create({ memo: labelFor(name), spend_limit: cardLimit });
+        undo.push(() => this.card.close(cardResult.token));
+        await this.store.recordPending(name, { cardToken: cardResult.token, cardLast4: cardResult.last_four });
+      }
+
+      await this.store.activate(name);
+      return { aliasResult, cardResult };
+    } catch (err) {
+      const failed = await this.#compensate(undo);
+      if (failed.length) {
+        throw new Error(`${err.message} — rollback incomplete (${failed.join('; ')}). Run: pane reconcile --fix`);
+      }
+      await this.store.discardPending(name);
+      throw err;
+    }
+  }
+
+  /**
+   * Compare provider / issuer listings against ContextStore. Untracked
+   * resources are flagged `pane: true` when pane created them, which only
+   * the pane:<name> label says: a description that happens to match a
+   * context name may be the user's own alias.
+   * @param {object}  [opts]
+   * @param {boolean} [opts.fix]   - roll back stalled provisioning (pending longer than stallMinutes)
+   * @param {boolean} [opts.prune] - also delete untracked pane aliases and close untracked pane cards
+   * @param {number}  [opts.stallMinutes] - default PANE_STALL_MINUTES or 10
+   * @returns {{ stalled, inFlight, untrackedAliases, untrackedCards, missingAliases, fixed }}
+   */
+  async reconcile({ fix = false, prune = false, stallMinutes = parseFloat(process.env.PANE_STALL_MINUTES) || 10 } = {}) {
+    const tracked = await this.store.tracked();
+    const pending = await this.store.pending();
+    const aliasIds   = new Set(tracked.map(t => String(t.aliasId)).filter(Boolean));
+    const cardTokens = new Set(tracked.map(t => t.cardToken).filter(Boolean));
+    const cutoff     = Date.now() - stallMinutes * 60_000;
+    const stalled    = pending.filter(p => !(Date.parse(p.createdAt) > cutoff));
+
+    const remoteAliases = await this.alias.list();
+    const remoteCards   = await this.card.list();
+    const remoteIds     = new Set(remoteAliases.map(a => String(a.id)));
+    const ours = label => String(label || '').startsWith(LABEL_PREFIX);
+
+    const report = {
+      stalled:          stalled.map(s => ({ name: s.name, aliasId: s.aliasId, cardToken: s.cardToken, since: s.createdAt })),
+      inFlight:         pending.filter(p => !stalled.includes(p)).map(p => ({ name: p.name, since: p.createdAt })),
+      untrackedAliases: remoteAliases.filter(a => !aliasIds.has(String(a.id))).map(a => ({ ...a, pane: ours(a.description) })),
+      untrackedCards:   remoteCards.filter(c => c.state !== 'CLOSED' && !cardTokens.has(c.token)).map(c => ({ ...c, pane: ours(c.memo) })),
+      missingAliases:   tracked.filter(t => t.status !== 'pending' && t.aliasId && !remoteIds.has(String(t.aliasId))).map(t => t.name),
+      fixed:            [],
+    };
+
+    if (fix || prune) {
+      for (const s of stalled) {
+        const undo = [];
+        if (s.cardToken) undo.push(() => this.card.close(s.cardToken));
+        if (s.aliasId && remoteIds.has(String(s.aliasId))) undo.push(() => this.alias.delete(s.aliasId));
+        const failed = await this.#compensate(undo);
+        if (failed.length) { report.fixed.push({ name: s.name, ok: false, error: failed.join('; ') }); continue; }
+        await this.store.discardPending(s.name);
+        report.fixed.push({ name: s.name, ok: true });
+      }
+    }
+    if (prune) {
+      for (const a of report.untrackedAliases.filter(a => a.pane)) {
+        await this.alias.delete(a.id)
+          .then(() => report.fixed.push({ alias: a.email, ok: true }))
+          .catch(e => report.fixed.push({ alias: a.email, ok: false, error: e.message }));
+      }
+      for (const c of report.untrackedCards.filter(c => c.pane)) {
+        await this.card.close(c.token)
+          .then(() => report.fixed.push({ card: c.last_four, ok: true }))
+          .catch(e => report.fixed.push({ card: c.last_four, ok: false, error: e.message }));
+      }
+    }
+    return report;
+  }
+
+  // Run compensations newest-first; return the ones that failed.
+  async #compensate(undo) {
+    const failed = [];
+    for (const step of undo.reverse()) {
+      try { await step(); } catch (e) { failed.push(e.message); }
+    }
+    return failed;
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * src/qr.js — QR reader for 2FA setup screenshots
+ *
+ * Services show the TOTP secret as a QR code. Screenshot it (or let the
+ * browser engine do it — ~/.pane/screenshots) and readQr() returns the
+ * payload, normally an otpauth:// URI.
+ *
+ * PNG only (what Playwright writes). Needs the optional jsqr and pngjs
+ * packages; loaded lazily so nothing else depends on them.
+ */
+
+import { createRequire } from 'module';
+import { readFileSync }  from 'fs';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @param {string} path - PNG file
+ * @returns {string} the first QR code's content
+ */
+export function readQr(path) {
+  let jsQR, PNG;
+  try {
+    jsQR    = require('jsqr');
+    ({ PNG } = require('pngjs'));
+  } catch {
+    throw new Error('Reading QR codes needs two optional packages. Run: npm install jsqr pngjs');
+  }
+  const png = PNG.sync.read(readFileSync(path));
+  const hit = jsQR(new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length), png.width, png.height);
+  if (!hit) throw new Error(`No QR code found in ${path}`);
+  return hit.data;
+}
@@ -0,0 +1,131 @@
+/**
+ * src/query.js — Envelope queries
+ *
+ * One filter shape behind `pane list` and pane_list:
+ *
+ *   status   lifecycle (active, expiring, expired, pending) and/or health
+ *            (clean, warning, breach) — health implies active
+ *   health   the same health levels on their own
+ *   domain   the enrolled service: "notion" matches notion.so, www.notion.so
+ *   search   words that must all appear in the name, alias, enroll URL or notes
+ *   tag      carries this tag
+ *   folder   filed in this folder
+ *   since    created on/after — a date (2026-09-01) or days ago (30d)
+ *   until    created before — same forms
+ *   card     true = has a card, false = alias only
+ *
+ * Lifecycle, dates, card, tag, folder and search are SQL (ContextStore.query); domain
+ * and health are checked here — health means a breach assessment per
+ * context, so it only runs for active contexts.
+ */
+
+export const LIFECYCLE = ['active', 'expiring', 'expired', 'pending'];
+export const HEALTH    = ['clean', 'warning', 'breach'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class EnvelopeQuery {
+  /**
+   * @param {object} deps
+   * @param {import('./context.js').ContextStore} deps.store
+   * @param {import('./breach.js').BreachScorer}  deps.breach
+   */
+  constructor({ store, breach }) {
+    this.store  = store;
+    this.breach = breach;
+  }
+
+  /**
+   * @param {object}  [filters] - see parseFilters()
+   * @param {object}  [opts]
+   * @param {boolean} [opts.assess] - false skips health unless a health filter needs it
+   * @returns {Array<object>} contexts, newest first; active ones carry `health: { level, score }`
+   */
+  async run(filters = {}, { now = new Date(), assess = true } = {}) {
+    const f = parseFilters(filters, { now });
+    const contexts = (await this.store.query({
+      statuses:      f.lifecycle,
+      createdAfter:  f.since,
+      createdBefore: f.until,
+      hasCard:       f.card,
+      search:        f.search,
+      tag:           f.tag,
+      folder:        f.folder,
+    })).filter(ctx => !f.domain || matchesDomain(ctx.enrollUrl, f.domain));
+    if (!assess && !f.health.length) return contexts;
+
+    const assessed = await Promise.all(contexts.map(async ctx => {
+      if (ctx.status !== 'active') return { ...ctx, health: null };
+      const health = await this.breach.assess(ctx).catch(() => ({ level: 'unknown', score: null }));
+      return { ...ctx, health: { level: health.level, score: health.score } };
+    }));
+    return f.health.length ? assessed.filter(ctx => f.health.includes(ctx.health?.level)) : assessed;
+  }
+}
+
+/**
+ * Normalise CLI flags or MCP arguments. Throws on anything it can't read.
+ * @param {{ status?: string|string[], health?: string|string[], domain?, search?, since?, until?, card?: boolean, tag?, folder? }} input
+ * @returns {{ lifecycle: string[], health: string[], domain, search: string[], since, until, card, tag, folder }}
+ */
+export function parseFilters({ status, health: levels, domain, search, since, until, card, tag, folder } = {}, { now = new Date() } = {}) {
+  const wanted = [status, levels].flatMap(v => Array.isArray(v) ? v : String(v || '').split(','))
+    .map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(s => !LIFECYCLE.includes(s) && !HEALTH.includes(s) && s !== 'all');
+  if (unknown.length) throw new Error(`Unknown status ${unknown.join(', ')} — use ${[...LIFECYCLE, ...HEALTH, 'all'].join(', ')}`);
+
+  const health    = wanted.filter(s => HEALTH.includes(s));
+  let   lifecycle = wanted.includes('all') ? LIFECYCLE : wanted.filter(s => LIFECYCLE.includes(s));
+  if (health.length && !lifecycle.includes('active')) lifecycle = [...lifecycle, 'active'];
+  if (!lifecycle.length) lifecycle = ['active'];
+
+  return {
+    lifecycle,
+    health,
+    domain: domain ? String(domain).toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '') : null,
+    search: String(search || '').toLowerCase().split(/\s+/).filter(Boolean),
+    since:  since ? parseWhen(since, now) : null,
+    until:  until ? parseWhen(until, now) : null,
+    card:   card ?? null,
+    tag:    tag || null,
+    folder: folder || null,
+  };
+}
+
+/**
+ * One line of `pane list` / pane_list.
+ * @param {object} ctx - from EnvelopeQuery.run()
+ */
+export function listRow(ctx) {
+  return {
+    name:    ctx.name,
+    alias:   ctx.aliasEmail,
+    card:    ctx.cardLast4 ? `····${ctx.cardLast4}` : '—',
+    status:  ctx.health?.level || ctx.status,
+    score:   ctx.health?.score ?? null,
+    created: ctx.createdAt?.split('T')[0] || '—',
+    ...(ctx.enrollUrl && { domain: hostOf(ctx.enrollUrl) }),
+    tags:    ctx.tags || [],
+    folder:  ctx.folder || null,
+    ...(ctx.notes && { notes: ctx.notes }),
+    ...(ctx.verifiedAt && { verified: ctx.verifiedAt.split('T')[0] }),
+  };
+}
+
+// "2026-09-01", an ISO time, or "30d" (days before now)
+function parseWhen(input, now) {
+  const span = String(input).match(/^(\d+)d$/);
+  const date = span ? new Date(now.getTime() - span[1] * DAY) : new Date(input);
+  if (isNaN(date)) throw new Error(`Can't read date "${input}" — use 2026-09-01 or a number of days ago (30d)`);
+  return date.toISOString();
+}
+
+function matchesDomain(url, domain) {
+  const host = hostOf(url);
+  if (!host) return false;
+  return host === domain || host.endsWith(`.${domain}`) || host.split('.').includes(domain);
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch { return null; }
+}
@@ -0,0 +1,79 @@
+/**
+ * src/ratelimit.js — Request pacing for provider APIs
+ *
+ * Addy.io and Privacy.com limit requests per API key. A bulk command
+ * (`pane expire --tag …`, src/bulk.js) or a watch pass over many contexts
+ * can get there in seconds, so each of those providers keeps a RateLimiter
+ * and every request waits its turn: at most `perMinute` start in any
+ * rolling minute. A 429 that still gets through is retried after its
+ * Retry-After, up to three times.
+ *
+ *   PANE_ADDY_RATE     requests a minute to Addy.io      default 60
+ *   PANE_PRIVACY_RATE  requests a minute to Privacy.com  default 60
+ *
+ * 0 turns pacing off.
+ */
+
+const RETRIES = 3;
+
+export class RateLimiter {
+  /**
+   * @param {number} perMinute - 0 or less: no limit
+   * @param {object} [opts]
+   * @param {number} [opts.windowMs] - length of the rolling window (tests shorten it)
+   */
+  constructor(perMinute, { windowMs = 60_000 } = {}) {
+    this.perMinute = perMinute;
+    this.windowMs  = windowMs;
+    this.starts    = [];
+    this.queue     = Promise.resolve();
+  }
+
+  /** Resolves when the next request may start. Callers are served in order. */
+  take() {
+    const turn = this.queue.then(() => this.#wait());
+    this.queue = turn;
+    return turn;
+  }
+
+  async #wait() {
+    if (!(this.perMinute > 0)) return;
+    for (;;) {
+      const now = Date.now();
+      this.starts = this.starts.filter(t => now - t < this.windowMs);
+      if (this.starts.length < this.perMinute) break;
+      await sleep(this.starts[0] + this.windowMs - now);
+    }
+    this.starts.push(Date.now());
+  }
+}
+
+/**
+ * A limiter from an env var holding requests a minute.
+ * @param {string} name
+ * @param {number} fallback
+ */
+export function limiterFromEnv(name, fallback) {
+  const rate = parseFloat(process.env[name]);
+  return new RateLimiter(Number.isFinite(rate) ? rate : fallback);
+}
+
+/**
+ * Run a fetch under a limiter, retrying 429s.
+ * @param {RateLimiter} limiter
+ * @param {() => Promise<Response>} request
+ * @returns {Promise<Response>}
+ */
+export async function paced(limiter, request) {
+  for (let attempt = 0; ; attempt++) {
+    await limiter.take();
+    const res = await request();
+    if (res.status !== 429 || attempt === RETRIES) return res;
+    const after = parseFloat(res.headers?.get('retry-after'));
+    await sleep((Number.isFinite(after) ? after : 2 ** attempt) * 1000);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,208 @@
+/**
+ * src/recipes.js — Site recipes for browser enrollment
+ *
+ * A recipe says how to sign up at one site: the page to open, the steps
+ * (fill a field from the identity, click, submit, work through a
+ * multi-screen wizard, wait, branch, extract a value) and what the page
+ * shows once it worked. BrowserService (src/browser.js)
+ * replays it; sites without one get generic form detection.
+ *
+ * Recipes are JSON (or YAML, with the optional `yaml` package), one site per
+ * file, versioned by their `recipe` key and checked against
+ * recipes/recipe.schema.json when loaded. They come from:
+ *
+ *   recipes/         shipped with pane
+ *   ~/.pane/recipes  your own — `pane record <url>` saves here; a recipe
+ *                    for the same domain replaces the shipped one
+ *                    (PANE_RECIPE_DIR moves it)
+ *
+ * A file that doesn't validate is skipped and reported by `pane recipes`.
+ * The format is described in WORKFLOWS.md ("Site recipes").
+ */
+
+import { readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join, extname } from 'path';
+import { homedir }       from 'os';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { writePrivate }  from './crypto.js';
+
+export const RECIPE_VERSION = 1;
+export const SHIPPED_DIR    = fileURLToPath(new URL('../recipes/', import.meta.url));
+
+const SCHEMA     = JSON.parse(readFileSync(join(SHIPPED_DIR, 'recipe.schema.json'), 'utf8'));
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+const require    = createRequire(import.meta.url);
+
+/** Identity values a fill step can use. */
+export const FILL_FIELDS = SCHEMA.definitions.field.enum;
+
+export class RecipeBook {
+  /**
+   * @param {object}   [opts]
+   * @param {string[]} [opts.dirs] - searched in order, later ones winning per domain
+   */
+  constructor({ dirs } = {}) {
+    this.userDir = process.env.PANE_RECIPE_DIR || join(homedir(), '.pane', 'recipes');
+    this.dirs    = dirs || [SHIPPED_DIR, this.userDir];
+    this.loaded  = null;
+  }
+
+  /**
+   * Every valid recipe, plus the files that were skipped and why.
+   * @returns {{ recipes: Map<string, { recipe, file }>, problems: Array<{ file, errors: string[] }> }}
+   */
+  load() {
+    if (this.loaded) return this.loaded;
+    const recipes = new Map(), problems = [];
+    for (const dir of this.dirs) {
+      if (!existsSync(dir)) continue;
+      for (const name of readdirSync(dir).sort()) {
+        if (!EXTENSIONS.includes(extname(name)) || name.endsWith('.schema.json')) continue;
+        const file = join(dir, name);
+        try {
+          const recipe = readRecipe(file);
+          const errors = validateRecipe(recipe);
+          if (errors.length) problems.push({ file, errors });
+          else recipes.set(recipe.domain, { recipe, file });
+        } catch (e) {
+          problems.push({ file, errors: [e.message] });
+        }
+      }
+    }
+    return this.loaded = { recipes, problems };
+  }
+
+  /**
+   * @param {string} domain - hostname, with or without www.
+   * @returns {object|null}
+   */
+  for(domain) {
+    return this.load().recipes.get(domain.replace(/^www\./, ''))?.recipe || null;
+  }
+
+  /** Where a recipe for `domain` is saved in the user directory. */
+  pathFor(domain) {
+    return join(this.userDir, `${domain}.json`);
+  }
+
+  /**
+   * Validate and write a recipe to the user directory.
+   * @returns {string} the file written
+   */
+  save(recipe) {
+    const errors = validateRecipe(recipe);
+    if (errors.length) throw new Error(`Recipe for ${recipe.domain} is invalid:\n  ${errors.join('\n  ')}`);
+    const file = this.pathFor(recipe.domain);
+    mkdirSync(this.userDir, { recursive: true });
+    writePrivate(file, JSON.stringify(recipe, null, 2) + '\n');
+    this.loaded = null;
+    return file;
+  }
+}
+
+/**
+ * Parse a recipe file — JSON, or YAML if the optional `yaml` package is installed.
+ * @param {string} file
+ */
+export function readRecipe(file) {
+  const text = readFileSync(file, 'utf8');
+  if (extname(file) === '.json') {
+    try { return JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  }
+  let YAML;
+  try { YAML = require('yaml'); } catch {
+    throw new Error('YAML recipes need the optional yaml package. Run: npm install yaml');
+  }
+  return YAML.parse(text);
+}
+
+/**
+ * Check a recipe against recipes/recipe.schema.json, then what a schema
+ * can't say: regexes compile and the URL is on the recipe's domain.
+ * @returns {string[]} problems, empty if it is valid
+ */
+export function validateRecipe(recipe) {
+  const errors = [];
+  check(recipe, SCHEMA, '', errors);
+  if (errors.length) return errors;
+
+  const host = new URL(recipe.url).hostname.replace(/^www\./, '');
+  if (host !== recipe.domain && !host.endsWith(`.${recipe.domain}`)) {
+    errors.push(`url: ${host} is not on ${recipe.domain}`);
+  }
+  walk(recipe.steps, (step, path) => {
+    for (const key of ['pattern', 'strip']) {
+      if (step[key] == null) continue;
+      try { new RegExp(step[key]); } catch (e) { errors.push(`${path}.${key}: ${e.message}`); }
+    }
+  });
+  return errors;
+}
+
+// Every step, branches included, with its path for error messages
+function walk(steps, fn, path = 'steps') {
+  steps.forEach((step, i) => {
+    fn(step, `${path}[${i}]`);
+    if (step.then) walk(step.then, fn, `${path}[${i}].then`);
+    if (step.else) walk(step.else, fn, `${path}[${i}].else`);
+  });
+}
+
+// ── SCHEMA CHECK ──────────────────────────────────────────────────────────────
+// The JSON Schema keywords recipe.schema.json uses, and no more.
+
+function check(value, schema, path, errors) {
+  const at = path || 'recipe';
+  if (schema.$ref) return check(value, resolve(schema.$ref), path, errors);
+
+  if (schema.oneOf) {
+    const tries  = schema.oneOf.map(s => { const e = []; check(value, s, path, e); return { s, e }; });
+    const passed = tries.filter(t => !t.e.length).length;
+    if (passed > 1) errors.push(`${at}: ambiguous — matches more than one form`);
+    if (passed) return;
+    // Report against the closest form, preferring those of the right type
+    const typed   = tries.filter(t => { const s = t.s.$ref ? resolve(t.s.$ref) : t.s; return !s.type || isType(value, s.type); });
+    const closest = (typed.length ? typed : tries).reduce((best, t) => t.e.length < best.e.length ? t : best);
+    errors.push(...closest.e);
+    return;
+  }
+  if ('const' in schema && value !== schema.const) return errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) return errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.type && !isType(value, schema.type)) return errors.push(`${at}: must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value}" doesn't match ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => check(v, schema.items, `${path}[${i}]`, errors));
+  }
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+    }
+    if (schema.minProperties && Object.keys(value).length < schema.minProperties) errors.push(`${at}: must not be empty`);
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) check(v, sub, path ? `${path}.${key}` : key, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unknown key "${key}"`);
+    }
+  }
+}
+
+function resolve(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], SCHEMA);
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':   return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default:        return typeof value === type;
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * src/recorder.js — Record a signup as a site recipe
+ *
+ * `pane record <url>` opens a visible browser at the signup page and
+ * watches you sign up by hand. You type the values pane printed (the
+ * envelope's alias, name, password…); every field you fill, button you
+ * press and page you land on is captured. buildRecipe() then maps each
+ * typed value back to the identity field it came from, picks selectors
+ * that should survive a redesign (ids, test ids, names, autocomplete, labels
+ * — not generated ids or positions) and returns a recipe for
+ * RecipeBook.save() (src/recipes.js). Typed values are never written to
+ * the recipe, only which field they were.
+ *
+ * A field whose value isn't one of the printed ones is matched on its
+ * attributes (autocomplete="given-name", type="password", name="email"…);
+ * anything still unmatched is left out and reported.
+ *
+ * With --seed the signup happens as that envelope: the browser comes from
+ * BrowserService.session() with the envelope's profile (src/profiles.js),
+ * and the session the site leaves is saved back to it, as enroll does.
+ */
+
+import { chromium }       from 'playwright';
+import { RECIPE_VERSION } from './recipes.js';
+
+// Runs in every frame; reports to the __paneRecord binding
+const PAGE_SCRIPT = `(() => {
+  if (window.__paneRecording) return;
+  window.__paneRecording = true;
+  const TEST_ATTRS = ['data-testid', 'data-test', 'data-qa', 'data-cy'];
+  const describe = el => {
+    const testAttr = TEST_ATTRS.find(a => el.hasAttribute(a)) || null;
+    const label = el.labels?.[0]?.innerText || el.closest('label')?.innerText || '';
+    return {
+      tag:          el.tagName.toLowerCase(),
+      id:           el.id || null,
+      name:         el.getAttribute('name'),
+      type:         el.getAttribute('type'),
+      autocomplete: el.getAttribute('autocomplete'),
+      placeholder:  el.getAttribute('placeholder'),
+      ariaLabel:    el.getAttribute('aria-label'),
+      testAttr,
+      testId:       testAttr && el.getAttribute(testAttr),
+      label:        label.trim().slice(0, 80),
+      text:         (el.innerText || (el.tagName === 'INPUT' ? el.value : '') || '').trim().slice(0, 80),
+    };
+  };
+  const send = (kind, el, extra = {}) =>
+    window.__paneRecord({ kind, target: describe(el), ...extra, at: Date.now() }).catch(() => {});
+
+  document.addEventListener('change', e => {
+    const el = e.target;
+    if (!el.matches?.('input, textarea, select') || ['checkbox', 'radio', 'submit', 'button'].includes(el.type)) return;
+    send('fill', el, { value: el.value });
+  }, true);
+  document.addEventListener('click', e => {
+    const el = e.target.closest?.('button, a, [role=button], input[type=submit], input[type=button], input[type=checkbox], input[type=radio]');
+    if (el) send('click', el);
+  }, true);
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Enter' || !e.target.matches?.('input')) return;
+    const button = e.target.form?.querySelector('button[type=submit], input[type=submit], button:not([type])');
+    send('enter', button || e.target, { button: !!button });
+  }, true);
+})()`;
+
+export class RecipeRecorder {
+  /**
+   * @param {object} [deps]
+   * @param {import('./browser.js').BrowserService} [deps.browser] - for recording as a seed
+   */
+  constructor({ browser = null } = {}) {
+    this.browser = browser;
+  }
+
+  /**
+   * Open `url` in a visible browser and collect what happens until `until`
+   * resolves or the window is closed.
+   * @param {string} url
+   * @param {object}   [opts]
+   * @param {string}   [opts.seed]     - sign up as this context, in its browser profile
+   * @param {object}   [opts.identity] - from IdentityGen, if the profile is new
+   * @param {Promise}  [opts.until]    - resolves when the signup is done (Enter in the terminal)
+   * @param {Function} [opts.onStatus] - (step, message) => void
+   * @returns {{ url, events: object[], final: { url, title, heading }, saved?: { cookies, origins } }}
+   */
+  async record(url, { seed = null, identity, until = new Promise(() => {}), onStatus = null } = {}) {
+    const emit   = (step, msg) => onStatus?.(step, msg);
+    const events = [];
+    if (seed && !this.browser) throw new Error('RecipeRecorder needs a BrowserService to record as a seed');
+    const session = seed
+      ? await this.browser.session(seed, { identity, emit })
+      : await plainSession(emit);
+    const { browser, context } = session;
+    try {
+      await context.exposeBinding('__paneRecord', ({ frame }, event) => {
+        const inFrame = frame !== frame.page().mainFrame();
+        events.push({ ...event, ...(inFrame && { frameUrl: frame.url() }) });
+      });
+      await context.addInitScript(PAGE_SCRIPT);
+
+      const page = await context.newPage();
+      page.on('framenavigated', f => {
+        if (f === page.mainFrame()) events.push({ kind: 'page', url: f.url(), at: Date.now() });
+      });
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      emit('record', 'Recording — sign up in the browser window');
+
+      const closed = page.waitForEvent('close', { timeout: 0 }).catch(() => {});
+      await Promise.race([until, closed]);
+
+      const final = page.isClosed()
+        ? { url: events.filter(e => e.kind === 'page').at(-1)?.url || url, title: null, heading: null }
+        : {
+            url:     page.url(),
+            title:   await page.title().catch(() => null),
+            heading: await page.$eval('h1', el => el.innerText.trim()).catch(() => null),
+          };
+      emit('record', `Captured ${events.filter(e => e.kind !== 'page').length} actions`);
+      if (!seed || !browser.isConnected()) return { url, events, final };
+      const saved = await session.save();
+      emit('save', `Session saved to the ${seed} profile — ${saved.cookies} cookies, ${saved.origins} sites with storage`);
+      return { url, events, final, saved };
+    } finally {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+// No seed: a throwaway browser, nothing kept
+async function plainSession(emit) {
+  emit('launch', 'Opening the browser…');
+  const browser = await chromium.launch({
+    headless: false,
+    args:     ['--disable-blink-features=AutomationControlled'],
+  });
+  return { browser, context: await browser.newContext({ viewport: null, locale: 'en-US' }) };
+}
+
+// ── RECIPE FROM EVENTS ────────────────────────────────────────────────────────
+
+// autocomplete tokens and input types that name a field outright
+const AUTOCOMPLETE = {
+  'email': 'email', 'given-name': 'first_name', 'family-name': 'last_name', 'name': 'full_name',
+  'username': 'username', 'new-password': 'password', 'current-password': 'password', 'tel': 'phone',
+};
+const INPUT_TYPES = { email: 'email', password: 'password', tel: 'phone' };
+const HINTS = [
+  [/e-?mail/i,                    'email'],
+  [/first|given|forename/i,       'first_name'],
+  [/last|family|surname/i,        'last_name'],
+  [/user.?name|login|handle/i,    'username'],
+  [/full.?name|\bname\b/i,        'full_name'],
+  [/pass/i,                       'password'],
+  [/phone|mobile|tel/i,           'phone'],
+];
+
+// Cookie banners — enroll dismisses those itself
+const CONSENT = /cookie|consent|accept all|allow all|reject all|necessary only/i;
+
+// Ids a framework made up; they change between page loads
+const GENERATED_ID = /\d{3,}|^:|^[a-f0-9-]{12,}$|^(ember|react|radix|headlessui|mui|mantine|chakra)[-_]/i;
+
+/**
+ * Turn recorded events into a recipe.
+ * @param {object}   rec
+ * @param {string}   rec.url    - where recording started
+ * @param {object[]} rec.events - from RecipeRecorder.record()
+ * @param {object}   [rec.final] - { url, heading } of the last page
+ * @param {object}   rec.values - what the user was asked to type, by field (BrowserService.signupValues)
+ * @returns {{ recipe: object, matched: Array<{ field, selector, by: 'value'|'hint' }>, unmapped: string[] }}
+ */
+export function buildRecipe({ url, events, final = null, values = {} }) {
+  const start  = new URL(url);
+  const domain = start.hostname.replace(/^www\./, '');
+  const steps = [], matched = [], unmapped = [];
+  let frame = null;
+
+  for (const event of [...events].sort((a, b) => a.at - b.at)) {
+    if (event.kind === 'fill') {
+      if (!event.value) continue;
+      const selector = selectorFor(event.target);
+      const [field, by] = fieldFor(event, values);
+      if (!field) { unmapped.push(event.target.label || selector); continue; }
+      // Typing into the same box twice is one step
+      if (steps.some(s => s.fill === field && s.selector === selector)) continue;
+      steps.push({ fill: field, selector });
+      matched.push({ field, selector, by });
+      if (event.frameUrl) frame = new URL(event.frameUrl).hostname;
+    } else if (event.kind === 'click') {
+      const { target } = event;
+      if (CONSENT.test(target.text) && !['checkbox', 'radio'].includes(target.type)) continue;
+      const selector = selectorFor(target);
+      if (steps.at(-1)?.click === selector) continue;
+      steps.push({ click: selector, ...(isButton(target) && { button: true }) });
+    } else if (event.kind === 'enter') {
+      steps.push({ submit: event.button ? selectorFor(event.target) : 'button[type="submit"]' });
+    }
+  }
+
+  // The last button pressed after the last fill sends the form
+  const lastFill = steps.findLastIndex(s => s.fill);
+  if (!steps.slice(lastFill + 1).some(s => s.submit)) {
+    const i = steps.findLastIndex((s, j) => j > lastFill && s.button);
+    if (i >= 0) steps[i] = { submit: steps[i].click };
+  }
+  for (const step of steps) delete step.button;
+
+  // What the page said once it was done
+  const success = [];
+  if (final?.url) {
+    const path = new URL(final.url).pathname;
+    if (path !== start.pathname && path !== '/') success.push({ url: path });
+  }
+  if (final?.heading) success.push(final.heading.toLowerCase().slice(0, 60));
+
+  const recipe = {
+    recipe:      RECIPE_VERSION,
+    domain,
+    url:         start.origin + start.pathname,
+    ...(frame && frame !== start.hostname && { frame }),
+    recorded_at: new Date().toISOString(),
+    steps,
+    ...(success.length && { success }),
+  };
+  return { recipe, matched, unmapped };
+}
+
+/**
+ * A selector for a recorded element, most stable first: a real id, a test
+ * id, name, autocomplete, aria-label, placeholder, button text, input type.
+ * Up to three are joined so the recipe still works when one changes.
+ * @param {object} d - element description from the page script
+ * @returns {string}
+ */
+export function selectorFor(d) {
+  const q   = s => String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const tag = d.tag || '*';
+  const candidates = [];
+  if (d.id && !GENERATED_ID.test(d.id)) {
+    candidates.push(/^[A-Za-z][\w-]*$/.test(d.id) ? `#${d.id}` : `[id="${q(d.id)}"]`);
+  }
+  if (d.testId)       candidates.push(`[${d.testAttr}="${q(d.testId)}"]`);
+  if (d.name)         candidates.push(`${tag}[name="${q(d.name)}"]`);
+  if (d.autocomplete && !['on', 'off'].includes(d.autocomplete)) candidates.push(`${tag}[autocomplete="${q(d.autocomplete)}"]`);
+  if (d.ariaLabel)    candidates.push(`${tag}[aria-label="${q(d.ariaLabel)}"]`);
+  if (d.placeholder)  candidates.push(`${tag}[placeholder="${q(d.placeholder)}"]`);
+  if (d.text && isButton(d)) candidates.push(`${tag}:has-text("${q(d.text.split('\n')[0])}")`);
+  if (d.type && tag === 'input' && candidates.length < 2) candidates.push(`input[type="${q(d.type)}"]`);
+  return candidates.slice(0, 3).join(', ') || tag;
+}
+
+// Which identity field a typed value was: the exact value first, then the element's attributes
+function fieldFor({ value, target }, values) {
+  for (const [field, v] of Object.entries(values)) {
+    if (v && value === String(v)) return [field, 'value'];
+  }
+  const auto = AUTOCOMPLETE[target.autocomplete?.split(/\s+/).pop()];
+  if (auto) return [auto, 'hint'];
+  if (INPUT_TYPES[target.type]) return [INPUT_TYPES[target.type], 'hint'];
+  const words = [target.name, target.id, target.label, target.placeholder, target.ariaLabel].filter(Boolean).join(' ');
+  const hint  = HINTS.find(([re]) => re.test(words));
+  return hint ? [hint[1], 'hint'] : [null, null];
+}
+
+function isButton(d) {
+  return d.tag === 'button' || d.tag === 'a' || ['submit', 'button'].includes(d.type);
+}
@@ -0,0 +1,187 @@
+/**
+ * src/sanitize.js — Mail HTML sanitizer
+ *
+ * Makes alias mail safe to render:
+ *   - only an allowlist of layout tags and attributes survives
+ *     (no script, iframe, form, event handlers); a style that could load
+ *     anything (url(), image-set(), @import…) is dropped whole, judged
+ *     after CSS comments and escapes are decoded — `\75 rl(` is url(
+ *   - tracking pixels (1×1, hidden, known ESP open-trackers) are dropped
+ *   - remaining remote images are rewritten to the local image proxy
+ *     (src/imageproxy.js): fetched once, cookie-less, then from cache
+ *   - click-tracking redirects are unwrapped to their destination and
+ *     stripped of tracking params
+ *
+ * Every message reports what was removed.
+ */
+
+// Open/click tracking hosts used by email service providers
+const MAIL_TRACKER_DOMAINS = [
+  'list-manage.com','mailchimp.com','mandrillapp.com','mcsv.net',
+  'sendgrid.net','ct.sendgrid.net','mailgun.org','mailgun.net','sparkpostmail.com',
+  'hubspotemail.net','hubspotlinks.com','hs-analytics.net','klaviyo.com','klclick.com',
+  'exacttarget.com','sfmc-content.com','pardot.com','mktoweb.com','mktdns.com',
+  'braze.com','customeriomail.com','cmail19.com','cmail20.com','createsend.com',
+  'mailtrack.io','mixmax.com','yesware.com','bananatag.com','getnotify.com',
+  'superhuman.com','streak.com','emltrk.com','intercom-mail.com','postmarkapp.com',
+  'doubleclick.net','google-analytics.com','facebook.com','linkedin.com',
+];
+
+const TRACKING_PARAMS = [
+  'fbclid','gclid','gclsrc','utm_source','utm_medium','utm_campaign',
+  'utm_term','utm_content','utm_id','ref','mc_cid','mc_eid',
+  '_hsenc','_hsmi','hsCtaTracking','mkt_tok','igshid','msclkid',
+];
+
+// Query keys redirectors use to carry the real destination
+const REDIRECT_KEYS = ['url','u','q','redirect','redirect_url','redirect_uri','target','dest','destination','link','r','to'];
+
+const PIXEL_PATH = /(^|[\/._-])(open|opened|track|tracking|pixel|beacon|wf\/open|o\.gif|e\/o)([\/._?-]|$)/i;
+
+// CSS that fetches, or runs, something. image-set() and friends take bare strings, not just url().
+const STYLE_FETCH = /url\s*\(|image-set\s*\(|image\s*\(|cross-fade\s*\(|element\s*\(|src\s*\(|expression\s*\(|@import|binding|behavior/i;
+
+const ALLOWED_TAGS = new Set([
+  'a','abbr','b','blockquote','br','center','code','div','em','font','h1','h2','h3','h4','h5','h6',
+  'hr','i','img','li','ol','p','pre','small','span','strong','sub','sup','table','tbody','td',
+  'tfoot','th','thead','tr','u','ul',
+]);
+const DROP_WITH_CONTENT = ['script','style','head','title','iframe','object','embed','noscript','template','svg','math'];
+const ALLOWED_ATTRS = {
+  '*':   ['align','dir','style','title'],
+  a:     ['href'],
+  img:   ['src','alt','width','height'],
+  font:  ['color','face','size'],
+  table: ['width','border','cellpadding','cellspacing','bgcolor'],
+  td:    ['width','colspan','rowspan','valign','bgcolor'],
+  th:    ['width','colspan','rowspan','valign','bgcolor'],
+};
+
+/**
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {{ url: Function }} [opts.proxy] - ImageProxy; without one, remote images are removed
+ * @returns {{ html: string, removed: { trackers: Array<{host, reason}>, images_proxied: number, links_unwrapped: Array<{from, to}>, elements: number, attributes: number } }}
+ */
+export function sanitizeHtml(html, { proxy } = {}) {
+  const removed = { trackers: [], images_proxied: 0, links_unwrapped: [], elements: 0, attributes: 0 };
+
+  let out = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of DROP_WITH_CONTENT) {
+    out = out.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), () => { removed.elements++; return ''; });
+  }
+
+  out = out.replace(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>/g, (_, close, rawName, rawAttrs) => {
+    const name = rawName.toLowerCase();
+    if (!ALLOWED_TAGS.has(name)) { removed.elements++; return ''; }
+    if (close) return `</${name}>`;
+
+    const attrs = {};
+    for (const [, k, ...v] of rawAttrs.matchAll(/([^\s=\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      const key = k.toLowerCase();
+      const val = decodeEntities(v.find(x => x !== undefined) ?? '');
+      if (![...ALLOWED_ATTRS['*'], ...(ALLOWED_ATTRS[name] || [])].includes(key)
+          || (key === 'style' && STYLE_FETCH.test(decodeCss(val)))) {
+        removed.attributes++;
+        continue;
+      }
+      attrs[key] = val;
+    }
+
+    if (name === 'img') {
+      const verdict = pixelVerdict(attrs);
+      if (verdict) { removed.trackers.push(verdict); return ''; }
+      if (/^https?:/i.test(attrs.src || '')) {
+        if (!proxy) { removed.trackers.push({ host: hostOf(attrs.src), reason: 'remote image' }); return ''; }
+        attrs.src = proxy.url(attrs.src);
+        removed.images_proxied++;
+      } else if (!/^(data:image\/|cid:)/i.test(attrs.src || '')) {
+        return '';
+      }
+    }
+
+    if (name === 'a' && attrs.href) {
+      if (!/^(https?:|mailto:)/i.test(attrs.href)) { delete attrs.href; removed.attributes++; }
+      else {
+        const to = unwrapLink(attrs.href);
+        if (to !== attrs.href) removed.links_unwrapped.push({ from: hostOf(attrs.href), to });
+        attrs.href = to;
+      }
+    }
+
+    const rendered = Object.entries(attrs).map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+    return `<${name}${rendered}${name === 'a' ? ' rel="noopener noreferrer"' : ''}>`;
+  });
+
+  return { html: out.trim(), removed };
+}
+
+/**
+ * Unwrap click-tracking links in plain text bodies.
+ * @returns {{ text: string, links_unwrapped: Array<{from, to}> }}
+ */
+export function sanitizeText(text) {
+  const links_unwrapped = [];
+  const out = String(text || '').replace(/https?:\/\/[^\s<>"')\]]+/g, href => {
+    const to = unwrapLink(href);
+    if (to !== href) links_unwrapped.push({ from: hostOf(href), to });
+    return to;
+  });
+  return { text: out, links_unwrapped };
+}
+
+/**
+ * Follow redirector query params (…?url=https://real.example/…) to the
+ * destination, then drop tracking params. Opaque redirects (no destination
+ * in the URL) are left alone — resolving them would mean visiting them.
+ */
+export function unwrapLink(href) {
+  let current = href;
+  for (let hop = 0; hop < 5; hop++) {
+    let u;
+    try { u = new URL(current); } catch { return current; }
+    const next = REDIRECT_KEYS.map(k => u.searchParams.get(k)).find(v => v && /^https?:\/\//i.test(v));
+    if (!next) break;
+    current = next;
+  }
+  try {
+    const u = new URL(current);
+    TRACKING_PARAMS.forEach(p => u.searchParams.delete(p));
+    return u.toString();
+  } catch { return current; }
+}
+
+// Returns { host, reason } if the image looks like an open-tracker.
+function pixelVerdict(attrs) {
+  const src   = attrs.src || '';
+  const host  = hostOf(src);
+  const style = (attrs.style || '').toLowerCase().replace(/\s+/g, '');
+  const dim   = k => parseInt(attrs[k] ?? (style.match(new RegExp(`(?:^|;)${k}:(\\d+)`)) || [])[1]);
+  if (dim('width') <= 1 || dim('height') <= 1)                                return { host, reason: '1x1 pixel' };
+  if (/display:none|visibility:hidden|opacity:0(?![.\d])/.test(style))        return { host, reason: 'hidden image' };
+  if (host && MAIL_TRACKER_DOMAINS.some(d => host === d || host.endsWith(`.${d}`))) return { host, reason: 'tracker domain' };
+  if (host && PIXEL_PATH.test(new URL(src).pathname))                         return { host, reason: 'tracking path' };
+  return null;
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname; } catch { return ''; }
+}
+
+// What a browser reads: comments gone, `\75 ` / `\u` escapes resolved
+function decodeCss(s) {
+  return s.replace(/\/\*[\s\S]*?(\*\/|$)/g, '')
+    .replace(/\\([0-9a-f]{1,6})[ \t\n\r\f]?/gi, (_, hex) => {
+      const cp = parseInt(hex, 16);
+      return cp && cp <= 0x10ffff && (cp < 0xd800 || cp > 0xdfff) ? String.fromCodePoint(cp) : '\ufffd';
+    })
+    .replace(/\\([\s\S])/g, '$1');
+}
+
+function decodeEntities(s) {
+  return s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
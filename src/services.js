@@ -31,22 +31,7 @@ export class InboxService {
     return [];
   }
 
-  /**
-   * Get a simple health signal for an alias.
-   * Returns 'clean' | 'warning' | 'breach' | 'unknown'
-   */
-  async getHealth(aliasId) {
-    try {
-      const messages = await this.read({ aliasId, limit: 50 });
-      if (!messages.length) return 'clean';
-      // Simple heuristic: if >3 unique domains, flag as warning
-      const domains = new Set(messages.map(m => m.from_domain).filter(Boolean));
-      if (domains.size > 5) return 'warning';
-      return 'clean';
-    } catch {
-      return 'unknown';
-    }
-  }
+  // Health scoring: see BreachScorer in src/breach.js.
 
   async #addyRead(aliasId, limit) {
     const res = await fetch(`https://app.addy.io/api/v1/aliases/${aliasId}`, {
@@ -0,0 +1,95 @@
+/**
+ * src/trials.js — Trial and subscription lifecycle
+ *
+ * Records when an envelope's free trial converts to paid, what it is
+ * expected to renew at and how often. A configurable number of days before
+ * conversion `pane watch` applies the trial's action:
+ *
+ *   remind   log / webhook only                                    default
+ *   freeze   pause the card — the conversion charge is declined
+ *   zero     set the card limit back to $0
+ *
+ * Defaults: PANE_TRIAL_ACTION, PANE_TRIAL_LEAD_DAYS (2). Both can be set
+ * per trial with `pane trial <seed> --action A --days N`.
+ */
+
+export const TRIAL_ACTIONS = ['remind', 'freeze', 'zero'];
+export const CADENCES      = ['weekly', 'monthly', 'yearly'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class TrialTracker {
+  /**
+   * @param {object} deps
+   * @param {import('./context.js').ContextStore} deps.store
+   */
+  constructor({ store }) {
+    this.store    = store;
+    this.action   = process.env.PANE_TRIAL_ACTION || 'remind';
+    const lead    = parseFloat(process.env.PANE_TRIAL_LEAD_DAYS);
+    this.leadDays = Number.isFinite(lead) ? lead : 2;
+    if (!TRIAL_ACTIONS.includes(this.action)) throw new Error(`PANE_TRIAL_ACTION must be one of: ${TRIAL_ACTIONS.join(', ')}`);
+  }
+
+  /**
+   * Start, change or clear a context's trial. Unset fields keep their value.
+   * @param {string} name
+   * @param {{ ends?: string, amount?: number, cadence?: string, action?: string, leadDays?: number }|null} changes
+   *   ends is a date ("2026-11-01") or a span from now ("14d"); amount in cents; null clears
+   */
+  async set(name, changes, { now = new Date() } = {}) {
+    if (changes === null) return this.store.setTrial(name, null);
+    const ctx  = await this.store.get(name);
+    if (!ctx) throw new Error(`No context "${name}"`);
+    const next = { ...(ctx.trial || {}) };
+    if (changes.ends != null)     next.ends     = parseEnds(changes.ends, now);
+    if (changes.amount != null)   next.amount   = changes.amount;
+    if (changes.cadence != null)  next.cadence  = changes.cadence;
+    if (changes.action != null)   next.action   = changes.action;
+    if (changes.leadDays != null) next.leadDays = changes.leadDays;
+    if (!next.ends) throw new Error('A trial needs an end date (e.g. --ends 2026-11-01 or --ends 14d)');
+    if (next.cadence && !CADENCES.includes(next.cadence))     throw new Error(`cadence must be one of: ${CADENCES.join(', ')}`);
+    if (next.action && !TRIAL_ACTIONS.includes(next.action))  throw new Error(`action must be one of: ${TRIAL_ACTIONS.join(', ')}`);
+    await this.store.setTrial(name, next);
+    return this.view({ ...ctx, trial: next }, { now });
+  }
+
+  /**
+   * Where a context's trial stands, or null without one.
+   * status: 'running' → 'due' (inside the lead window) → 'converted' (end date passed)
+   */
+  view(ctx, { now = new Date() } = {}) {
+    const t = ctx.trial;
+    if (!t?.ends) return null;
+    const leadDays = t.leadDays ?? this.leadDays;
+    const ends     = Date.parse(t.ends);
+    const actOn    = new Date(ends - leadDays * DAY);
+    return {
+      context:        ctx.name,
+      ends:           t.ends,
+      days_left:      Math.ceil((ends - now) / DAY),
+      renewal_amount: t.amount ?? null,
+      cadence:        t.cadence || null,
+      action:         t.action || this.action,
+      lead_days:      leadDays,
+      act_on:         actOn.toISOString(),
+      status:         now >= ends ? 'converted' : now >= actOn ? 'due' : 'running',
+      card:           ctx.cardLast4 ? `····${ctx.cardLast4}` : null,
+    };
+  }
+
+  /** Every active context with a trial, soonest conversion first. */
+  async list({ now = new Date() } = {}) {
+    return (await this.store.list())
+      .map(ctx => this.view(ctx, { now }))
+      .filter(Boolean)
+      .sort((a, b) => a.ends.localeCompare(b.ends));
+  }
+}
+
+function parseEnds(input, now) {
+  const span = String(input).match(/^\+?(\d+)d$/);
+  const date = span ? new Date(now.getTime() + span[1] * DAY) : new Date(input);
+  if (isNaN(date)) throw new Error(`Can't read trial end "${input}" — use a date (2026-11-01) or days from now (14d)`);
+  return date.toISOString();
+}
@@ -0,0 +1,156 @@
+/**
+ * src/vault.js — Per-context credential vault
+ *
+ * What it takes to log back in to an envelope's account: username,
+ * password, TOTP secret and security answers. `pane enroll --agent` saves
+ * the generated username / password here; the rest is added with
+ * `pane creds <seed> --set …`, or `pane otp <seed> --set / --qr` for 2FA.
+ *
+ * TOTP secrets are kept with their otpauth:// parameters (digits, period,
+ * algorithm), so codes match what a phone authenticator would show.
+ *
+ * Each context's credentials are one AES-256-GCM blob (src/crypto.js) in
+ * ContextStore, under a per-install key in ~/.pane/vault.key — a copied
+ * contexts.db on its own reveals nothing. `pane lock` puts a passphrase
+ * over the whole store on top of that.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { readFileSync, existsSync } from 'fs';
+import { join }    from 'path';
+import { homedir } from 'os';
+import { seal, unseal, newSalt, writePrivate } from './crypto.js';
+
+export const FIELDS = ['username', 'password', 'totp', 'answer'];
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export class CredentialVault {
+  /**
+   * @param {object} deps
+   * @param {import('./context.js').ContextStore} deps.store
+   */
+  constructor({ store }) {
+    this.store   = store;
+    this.keyPath = process.env.PANE_VAULT_KEY_PATH || join(homedir(), '.pane', 'vault.key');
+    this.key     = null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {{ username?, password?, totp?: { secret, digits, period, algorithm, issuer?, account? }, answers: Array<{question, answer}>, updated_at }|null}
+   */
+  async get(name) {
+    const blob = await this.store.credentials(name);
+    if (!blob) return null;
+    return JSON.parse(unseal(this.#key(), blob).toString('utf8'));
+  }
+
+  /**
+   * Merge into a context's credentials. Undefined fields are left alone;
+   * an answer replaces the one with the same question.
+   * @param {string} name
+   * @param {{ username?, password?, totp?: string, answer?: { question, answer } }} changes - totp: base32 secret or otpauth:// URI
+   */
+  async set(name, { username, password, totp, answer } = {}) {
+    const creds = (await this.get(name)) || { answers: [] };
+    if (username != null) creds.username = username;
+    if (password != null) creds.password = password;
+    if (totp != null)     creds.totp     = parseTotp(totp);
+    if (answer) {
+      creds.answers = creds.answers.filter(a => a.question.toLowerCase() !== answer.question.toLowerCase());
+      creds.answers.push(answer);
+    }
+    creds.updated_at = new Date().toISOString();
+    await this.store.saveCredentials(name, seal(this.#key(), newSalt(), Buffer.from(JSON.stringify(creds))));
+    return creds;
+  }
+
+  /**
+   * Current 2FA code for a context, or null if it has no TOTP secret.
+   * @returns {{ code: string, expires_in: number, issuer?: string }|null}
+   */
+  async code(name, now = Date.now()) {
+    const totp = (await this.get(name))?.totp;
+    return totp ? { ...totpCode(totp, now), ...(totp.issuer && { issuer: totp.issuer }) } : null;
+  }
+
+  /** Replace a context's credentials wholesale (bundle import). */
+  async put(name, creds) {
+    await this.store.saveCredentials(name, seal(this.#key(), newSalt(), Buffer.from(JSON.stringify(creds))));
+  }
+
+  async remove(name) {
+    await this.store.dropCredentials(name);
+  }
+
+  /** Seal other per-context secrets under the vault key (browser profiles, src/profiles.js). */
+  sealBlob(data) {
+    return seal(this.#key(), newSalt(), Buffer.from(data));
+  }
+
+  /** @returns {Buffer} */
+  unsealBlob(blob) {
+    return unseal(this.#key(), blob);
+  }
+
+  #key() {
+    if (this.key) return this.key;
+    if (!existsSync(this.keyPath)) writePrivate(this.keyPath, randomBytes(32));
+    return this.key = readFileSync(this.keyPath);
+  }
+}
+
+/**
+ * Current RFC 6238 code.
+ * @param {{ secret, digits?, period?, algorithm? }|string} totp - a bare string is a SHA-1 / 6-digit / 30s secret
+ * @returns {{ code: string, expires_in: number }}
+ */
+export function totpCode(totp, now = Date.now()) {
+  const { secret, digits = 6, period = 30, algorithm = 'SHA1' } = typeof totp === 'string' ? { secret: totp } : totp;
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / period)));
+  const mac  = createHmac(algorithm.toLowerCase(), base32Decode(secret)).update(msg).digest();
+  const o    = mac[mac.length - 1] & 0x0f;
+  const code = (mac.readUInt32BE(o) & 0x7fffffff) % 10 ** digits;
+  return { code: String(code).padStart(digits, '0'), expires_in: period - Math.floor(now / 1000) % period };
+}
+
+/**
+ * A bare base32 secret or an otpauth://totp/ URI (what 2FA QR codes hold).
+ * @returns {{ secret, digits, period, algorithm, issuer?, account? }}
+ */
+export function parseTotp(input) {
+  const s = String(input).trim();
+  let params = null, label = '';
+  if (/^otpauth:/i.test(s)) {
+    const u = new URL(s);
+    if (u.host.toLowerCase() !== 'totp') throw new Error(`Only time-based codes are supported (got otpauth://${u.host})`);
+    params = u.searchParams;
+    label  = decodeURIComponent(u.pathname.slice(1));
+  }
+  const secret = (params ? params.get('secret') || '' : s).replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  if (!secret || [...secret].some(ch => !BASE32.includes(ch))) throw new Error('TOTP secret must be base32 (or an otpauth:// URI)');
+
+  const algorithm = (params?.get('algorithm') || 'SHA1').toUpperCase();
+  const digits    = parseInt(params?.get('digits')) || 6;
+  const period    = parseInt(params?.get('period')) || 30;
+  if (!['SHA1', 'SHA256', 'SHA512'].includes(algorithm)) throw new Error(`Unsupported TOTP algorithm ${algorithm}`);
+  const [issuer, account] = label.includes(':') ? label.split(':', 2).map(x => x.trim()) : [null, label || null];
+  return {
+    secret, digits, period, algorithm,
+    ...((params?.get('issuer') || issuer) && { issuer: params?.get('issuer') || issuer }),
+    ...(account && { account }),
+  };
+}
+
+function base32Decode(s) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of s) {
+    value = (value << 5) | BASE32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 0xff); bits -= 8; }
+  }
+  return Buffer.from(out);
+}
@@ -0,0 +1,143 @@
+/**
+ * src/verify.js — Email verification for enrollment
+ *
+ * Most signups end on "check your email". VerificationService waits for that
+ * mail on the alias through src/inbox.js and findVerification() pulls out
+ * what to do with it: a confirmation link to open, or a code to type.
+ * Only the enrolled site counts: the mail must come from its domain or a
+ * sister domain (src/breach.js), or the link must point at one.
+ * BrowserService.enroll (src/browser.js) opens or enters it in the same
+ * browser session, and only then is the context marked verified
+ * (`verifiedAt`).
+ *
+ * Needs a mailbox source (INBOX_SOURCE=maildir or imap) — the Addy.io API
+ * has no message bodies.
+ *
+ *   PANE_VERIFY_TIMEOUT   seconds to wait for the mail    default 300
+ *   PANE_VERIFY_INTERVAL  seconds between inbox checks    default 10
+ */
+
+import { baseDomain, serviceDomains } from './breach.js';
+
+// Mail that is about verifying an address
+const VERIFY_MAIL = /verif|confirm|activat|validat|magic link|sign.?in link|log.?in link|one.?time|security code|your code|passcode/i;
+// Links that do it, and links that never do
+const VERIFY_LINK = /verif|confirm|activat|validat|magic|token|sign.?in|log.?in|complete|finish/i;
+const OTHER_LINK  = /unsubscribe|preferences|privacy|terms|legal|help|support|contact|facebook|twitter|x\.com|linkedin|instagram|youtube|apps\.apple|play\.google|mailto:/i;
+// "code" and the digits that follow it (123456, 123 456, 123-456)
+const CODE_WORDS  = /code|\bpin\b|otp|passcode|one.?time/i;
+const CODE        = /\b(\d{3}[ -]\d{3}|\d{4,8})\b/;
+
+// A mail dated a little before the signup still counts — clocks disagree
+const SKEW_MS = 2 * 60 * 1000;
+
+export class VerificationService {
+  /**
+   * @param {object} deps
+   * @param {import('./inbox.js').InboxService} deps.inbox
+   */
+  constructor({ inbox }) {
+    this.inbox    = inbox;
+    this.timeout  = (parseFloat(process.env.PANE_VERIFY_TIMEOUT)  || 300) * 1000;
+    this.interval = (parseFloat(process.env.PANE_VERIFY_INTERVAL) || 10)  * 1000;
+  }
+
+  /** False when the inbox can't read message bodies. */
+  get available() {
+    return !!this.inbox.source;
+  }
+
+  /**
+   * Wait for the verification mail on a context's alias.
+   * @param {object} ctx - { aliasEmail, aliasId, enrollUrl }
+   * @param {object} [opts]
+   * @param {Date}   [opts.since]    - ignore mail from before this (the signup)
+   * @param {number} [opts.timeout]  - ms
+   * @param {number} [opts.interval] - ms between checks
+   * @returns {Promise<{ link?: string, code?: string, from, subject, date }|null>} null if nothing came
+   */
+  async waitFor(ctx, { since = new Date(), timeout = this.timeout, interval = this.interval } = {}) {
+    if (!this.available) throw new Error('Email verification needs a mailbox source — set INBOX_SOURCE=maildir or imap');
+    const domain   = hostOf(ctx.enrollUrl);
+    const after    = since.getTime() - SKEW_MS;
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const messages = await this.inbox.read({ aliasId: ctx.aliasId, aliasEmail: ctx.aliasEmail, limit: 10 });
+      for (const m of messages) {
+        if (m.date && new Date(m.date).getTime() < after) continue;
+        const found = findVerification(m, { domain });
+        if (found) return { ...found, from: m.from, subject: m.subject, date: m.date };
+      }
+      if (Date.now() + interval > deadline) return null;
+      await sleep(interval);
+    }
+  }
+}
+
+/**
+ * The confirmation link or code in a message, if it is a verification mail.
+ * A link wins over a code when there are both.
+ * @param {object} message        - from InboxService.read()
+ * @param {object} [opts]
+ * @param {string} [opts.domain]  - the enrolled site; mail from anyone else counts
+ *   only for a link onto the site, and a code only if the site sent it
+ * @returns {{ link?: string, code?: string }|null}
+ */
+export function findVerification(message, { domain = null } = {}) {
+  const text = `${message.subject || ''}\n${message.body || message.preview || ''}`;
+  if (!VERIFY_MAIL.test(text) && !CODE_WORDS.test(message.subject || '')) return null;
+
+  const site   = domain ? serviceDomains(domain) : null;
+  const fromIt = !site || site.has(baseDomain(message.from_domain));
+  const link = links(message)
+    .filter(l => fromIt || site.has(baseDomain(hostOf(l.href))))
+    .map(l => ({ ...l, score: scoreLink(l, site) }))
+    .filter(l => l.score >= 3)
+    .sort((a, b) => b.score - a.score)[0]?.href;
+  if (link) return { link };
+  if (!fromIt) return null;
+
+  const code = findCode(message.subject || '') || findCode(message.body || message.preview || '');
+  return code ? { code } : null;
+}
+
+// Every link in the message with the words around it: anchors in the HTML, bare URLs in the text
+function links({ html, body }) {
+  const out = [];
+  for (const [, href, label] of String(html || '').matchAll(/<a\b[^>]*\bhref="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi)) {
+    out.push({ href: href.replace(/&amp;/g, '&'), label: label.replace(/<[^>]+>/g, ' ').trim() });
+  }
+  for (const [href] of String(body || '').matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+    if (!out.some(l => l.href === href)) out.push({ href, label: '' });
+  }
+  return out.filter(l => /^https?:/i.test(l.href));
+}
+
+function scoreLink({ href, label }, site) {
+  if (OTHER_LINK.test(href) || OTHER_LINK.test(label)) return 0;
+  let score = 0;
+  if (VERIFY_LINK.test(label)) score += 3;
+  let path;
+  try { const u = new URL(href); path = u.pathname + u.search; } catch { return 0; }
+  if (VERIFY_LINK.test(path)) score += 2;
+  if (site?.has(baseDomain(hostOf(href)))) score += 2;
+  return score;
+}
+
+// Digits just after a word like "code" ("Your code is 482 913"), or just
+// before it ("482913 is your code") — not any number in the mail
+function findCode(text) {
+  for (const m of text.matchAll(new RegExp(CODE_WORDS.source, 'gi'))) {
+    const code = text.slice(m.index, m.index + 80).match(CODE) || text.slice(Math.max(0, m.index - 20), m.index).match(CODE);
+    if (code) return code[1].replace(/\D/g, '');
+  }
+  return null;
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, '').toLowerCase(); } catch { return null; }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
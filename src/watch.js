@@ -0,0 +1,186 @@
+/**
+ * src/watch.js — Breach-watch daemon
+ *
+ * `pane watch` polls every active context on an interval, runs the breach
+ * audit (src/breach.js) and checks card transactions, then applies that
+ * context's policy:
+ *
+ *   onBreach  notify   log it (and POST to PANE_WATCH_WEBHOOK if set)      default
+ *             disable  alias disabled — mail blocked, address kept; the
+ *                      context stays active and `pane restore` re-enables it.
+ *                      A breach score is a guess, so nothing is deleted.
+ *   onCharge  notify   log it                                               default
+ *             freeze   pause the card
+ *
+ * Trials (src/trials.js) inside their lead window get their own action
+ * once: remind, freeze the card, or zero its limit.
+ *
+ * Defaults come from PANE_WATCH_ON_BREACH / PANE_WATCH_ON_CHARGE; per-context
+ * overrides are set with `pane policy <seed>`.
+ *
+ * Charge alerts come from src/charges.js: a merchant_mismatch is handled by
+ * the onCharge policy; declines and near-limit recurring charges are only
+ * ever notified.
+ *
+ * Every automatic action — including plain notifications — is appended to
+ * ~/.pane/watch.log as one JSON line. The log is never rewritten; it also
+ * records what was already handled, so a signal is acted on once.
+ */
+
+import { readFileSync, existsSync, appendFileSync } from 'fs';
+import { join }    from 'path';
+import { homedir } from 'os';
+
+export const POLICIES = {
+  onBreach: ['notify', 'disable'],
+  onCharge: ['notify', 'freeze'],
+};
+
+export class WatchService {
+  /**
+   * @param {object} deps
+   * @param {object} deps.alias  - AliasService
+   * @param {object} deps.card   - CardService
+   * @param {object} deps.store  - ContextStore
+   * @param {object} deps.breach - BreachScorer
+   * @param {object} deps.charges - ChargeMonitor
+   * @param {object} deps.trials  - TrialTracker
+   */
+  constructor({ alias, card, store, breach, charges, trials }) {
+    this.alias   = alias;
+    this.card    = card;
+    this.store   = store;
+    this.breach  = breach;
+    this.charges = charges;
+    this.trials  = trials;
+    this.logPath = process.env.PANE_WATCH_LOG || join(homedir(), '.pane', 'watch.log');
+    this.webhook = process.env.PANE_WATCH_WEBHOOK || null;
+    this.defaults = {
+      onBreach: process.env.PANE_WATCH_ON_BREACH || 'notify',
+      onCharge: process.env.PANE_WATCH_ON_CHARGE || 'notify',
+    };
+    for (const [k, v] of Object.entries(this.defaults)) {
+      if (!POLICIES[k].includes(v)) throw new Error(`PANE_WATCH_${k === 'onBreach' ? 'ON_BREACH' : 'ON_CHARGE'} must be one of: ${POLICIES[k].join(', ')}`);
+    }
+    this.handled = this.#loadHandled();
+  }
+
+  /** Effective policy for a context. */
+  policyFor(ctx) {
+    return { ...this.defaults, ...(ctx.watchPolicy || {}) };
+  }
+
+  /**
+   * Check every active context once.
+   * @param {object}   [opts]
+   * @param {Function} [opts.onEvent] - called with each log entry as it is written
+   * @returns {Array<object>} log entries written this pass
+   */
+  async poll({ onEvent } = {}) {
+    const entries = [];
+    const record  = async entry => {
+      const line = { at: new Date().toISOString(), ...entry };
+      appendFileSync(this.logPath, JSON.stringify(line) + '\n', { mode: 0o600 });
+      if (line.action !== 'failed') this.handled.add(`${line.context}|${line.key}`);
+      entries.push(line);
+      onEvent?.(line);
+      if (this.webhook) {
+        await fetch(this.webhook, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(line), signal: AbortSignal.timeout(5000) })
+          .catch(() => {});
+      }
+    };
+
+    for (const ctx of await this.store.list()) {
+      const policy = this.policyFor(ctx);
+
+      const audit = await this.breach.assess(ctx).catch(e => ({ error: e.message }));
+      if (audit.level === 'breach') {
+        const key = `breach:${[...audit.unexpected_senders].sort().join(',')}`;
+        if (!this.#seen(ctx, key)) {
+          const detail = `score ${audit.score} — ${audit.evidence.map(e => e.detail).join('; ')}`;
+          await record(await this.#act(ctx, { signal: 'breach', key, detail, policy: policy.onBreach }));
+        }
+      }
+
+      const trial = this.trials.view(ctx);
+      if (trial && trial.status !== 'running' && !this.#seen(ctx, `trial:${trial.ends}`)) {
+        const renews = trial.renewal_amount != null ? ` at $${(trial.renewal_amount / 100).toFixed(2)}${trial.cadence ? ` ${trial.cadence}` : ''}` : '';
+        const detail = `trial ${trial.status === 'converted' ? 'ended' : `ends in ${trial.days_left} day${trial.days_left !== 1 ? 's' : ''}`} (${trial.ends.slice(0, 10)})${renews}`;
+        const policy = trial.action === 'remind' || !ctx.cardToken ? 'notify' : trial.action;
+        await record(await this.#act(ctx, { signal: 'trial_ending', key: `trial:${trial.ends}`, detail, policy }));
+      }
+
+      if (!ctx.cardToken) continue;
+      const { alerts = [] } = await this.charges.review(ctx).catch(() => ({}));
+      for (const a of alerts) {
+        const mismatch = a.type === 'merchant_mismatch';
+        const key      = mismatch ? `charge:${a.token}` : `${a.type}:${a.token}`;
+        if (this.#seen(ctx, key)) continue;
+        await record(await this.#act(ctx, {
+          signal: mismatch ? 'unexpected_charge' : a.type, key, detail: a.detail, policy: mismatch ? policy.onCharge : 'notify',
+        }));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Poll until stopped.
+   * @param {object}   opts
+   * @param {number}   opts.intervalMinutes
+   * @param {Function} [opts.onEvent]
+   * @param {Function} [opts.onPass]  - called with (entries, error) after each pass
+   * @returns {Function} stop()
+   */
+  run({ intervalMinutes, onEvent, onPass }) {
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+      let entries = [], error = null;
+      try { entries = await this.poll({ onEvent }); } catch (e) { error = e; }
+      onPass?.(entries, error);
+      if (!stopped) timer = setTimeout(tick, intervalMinutes * 60_000);
+    };
+    tick();
+    return () => { stopped = true; clearTimeout(timer); };
+  }
+
+  async #act(ctx, { signal, key, detail, policy }) {
+    const base = { context: ctx.name, signal, key, detail, policy };
+    try {
+      if (policy === 'disable') {
+        await this.alias.disable(ctx.aliasId);
+        return { ...base, action: 'disabled', alias: ctx.aliasEmail };
+      }
+      if (policy === 'freeze') {
+        await this.card.freeze(ctx.cardToken);
+        return { ...base, action: 'frozen' };
+      }
+      if (policy === 'zero') {
+        await this.card.setLimit(ctx.cardToken, 0);
+        return { ...base, action: 'zeroed' };
+      }
+      return { ...base, action: 'notified' };
+    } catch (e) {
+      return { ...base, action: 'failed', error: e.message };
+    }
+  }
+
+  #seen(ctx, key) {
+    return this.handled.has(`${ctx.name}|${key}`);
+  }
+
+  // Signals already acted on, from the log itself. A failed action is retried.
+  #loadHandled() {
+    const handled = new Set();
+    if (!existsSync(this.logPath)) return handled;
+    for (const line of readFileSync(this.logPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const e = JSON.parse(line);
+        if (e.action !== 'failed') handled.add(`${e.context}|${e.key}`);
+      } catch {}
+    }
+    return handled;
+  }
+}